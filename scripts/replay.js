@@ -0,0 +1,58 @@
+/**
+ * Replays a recorded trading day through the scanners and prints the alerts
+ * that would have fired (nothing is sent to Telegram).
+ *
+ * Usage:
+ *   npm run replay -- 2025-01-15              # <TV_RECORD_DIR or data/recordings>/2025-01-15.jsonl
+ *   npm run replay -- path/to/recording.jsonl
+ *   npm run replay -- 2025-01-15 --csv        # CSV instead of the text report
+ *   npm run replay -- 2025-01-15 --verbose    # keep scanner logs
+ *
+ * Thresholds come from .env as usual, so the same day can be replayed with different settings.
+ */
+import path from 'path';
+import { parseConfig } from '../src/config/index.js';
+import { readRecording } from '../src/services/recorder.js';
+import { runReplay, formatReplayReport } from '../src/services/replay.js';
+
+async function main() {
+    const args = process.argv.slice(2);
+    const target = args.find(a => !a.startsWith('--'));
+    const csv = args.includes('--csv');
+    const verbose = args.includes('--verbose');
+
+    if (!target) {
+        console.error('Usage: npm run replay -- <YYYY-MM-DD | file.jsonl> [--csv] [--verbose]');
+        process.exit(1);
+    }
+
+    const file = /^\d{4}-\d{2}-\d{2}$/.test(target)
+        ? path.join(process.env.TV_RECORD_DIR || 'data/recordings', `${target}.jsonl`)
+        : target;
+
+    // Replay only needs thresholds and schedule; Telegram credentials may be absent
+    process.env.BOT_TOKEN ||= 'replay';
+    process.env.CHAT_ID ||= '0';
+    const config = parseConfig();
+    const records = await readRecording(file);
+
+    const original = { log: console.log, warn: console.warn };
+    if (!verbose) {
+        console.log = () => { };
+        console.warn = () => { };
+    }
+    let result;
+    try {
+        result = await runReplay(records, config);
+    } finally {
+        console.log = original.log;
+        console.warn = original.warn;
+    }
+
+    console.log(formatReplayReport(result, csv ? 'csv' : 'text'));
+}
+
+main().catch(e => {
+    console.error('❌ Replay failed:', e.message);
+    process.exit(1);
+});
@@ -2,6 +2,12 @@
  * @fileoverview Configuration management for the stock watcher
  */
 import "dotenv/config";
+import fs from "fs";
+import YAML from "yaml";
+import { DEFAULT_SCHEDULE } from "../core/utils/time.js";
+import { resolveScreenerFilters } from "../services/screenerFilters.js";
+import { ALERT_ROUTES, routeEnvName, parseDestinations } from "../services/alertRoutes.js";
+import { ConfigurationError } from "../core/errorHandler.js";
 
 /**
  * @typedef {Object} Config
@@ -11,13 +17,28 @@ import "dotenv/config";
  * @property {number} premarketThreshold - Percentage threshold for stock alerts
  * @property {number} scanIntervalMs - Scan interval in milliseconds
  * @property {boolean} sendOnStartup - Whether to send all stocks on startup
- * @property {number} rvolThreshold - RVOL surge threshold
- * @property {number} rvolIntervalMs - RVOL scan interval
- * @property {number} rvolAlertStep - Increment step for repeated alerts
+ * @property {number} rvolThreshold - Min intraday 5m RVOL for RVOL surge alerts
+ * @property {number} rvolIntervalMs - RVOL surge scan interval
+ * @property {number} rvolAlertStep - RVOL increase needed for a repeated alert
  * @property {number} premarketAlertStep - Increment step for premarket growth alerts
- * @property {Object} premarketHours - Premarket trading hours
+ * @property {Object} premarketHours - Premarket trading hours (alias of schedule.premarket)
  * @property {string} premarketHours.start - Start time (HH:MM)
  * @property {string} premarketHours.end - End time (HH:MM)
+ * @property {Object} schedule - NY-time phase windows ({ start, end } each)
+ * @property {Object} schedule.premarket - Growth Scanner window
+ * @property {Object} schedule.catalystSetup - Catalyst watchlist build window
+ * @property {Object} schedule.catalystActive - Catalyst alert window
+ * @property {Object} schedule.briefing - Premarket briefing window (posted once inside it)
+ * @property {Object} schedule.market - Shadow Velocity window
+ * @property {Object} schedule.postmarket - After-hours scanner window
+ * @property {number} premarketDashboardIntervalMs - Premarket dashboard refresh interval
+ * @property {number} premarketDashboardTopN - Gappers on the premarket dashboard (0 = off)
+ * @property {number} postmarketThreshold - Min |% change| for after-hours alerts
+ * @property {number} postmarketAlertStep - Increment step for after-hours re-alerts
+ * @property {number} postmarketMinVolume - Min after-hours volume
+ * @property {number} postmarketScanIntervalMs - After-hours scan interval
+ * @property {number} outcomeSampleIntervalMs - Price sampling interval for alert outcome tracking
+ * @property {string|null} eodReportFile - Also attach the end-of-day recap as a file: "md", "csv" or null
  * @property {Object} timeouts - Various timeout configurations
  * @property {number} timeouts.launchTimeoutMs - Telegram launch timeout
  * @property {number} timeouts.fetchTimeoutMs - API fetch timeout
@@ -28,6 +49,30 @@ import "dotenv/config";
  * @property {string} api.tradingViewUrl - TradingView scanner URL
  * @property {string} api.userAgent - Browser user agent
  * @property {string|null} api.tvCookie - Optional TradingView session cookie
+ * @property {number} tvRequestsPerMinute - Shared TradingView request budget (all scanners)
+ * @property {number} tvCircuitFailures - 401/403 responses in a row that pause all scans
+ * @property {number} tvCircuitCooldownMs - Pause before the next TradingView check after a 401/403 circuit opens
+ * @property {number} tvCacheTtlMs - How long identical TradingView scan responses are shared between scanners (0 = off)
+ * @property {string|number|null} adminChatId - Chat allowed to run admin commands (/tvcookie); gets TradingView session notices
+ * @property {string|null} tvCookieKey - Secret for encrypting the stored TradingView cookie (falls back to BOT_TOKEN)
+ * @property {Object<string, Array<{chatId: string|number, threadId: number|null}>>} routes - Alert category → destinations (ROUTE_<CATEGORY>)
+ * @property {Object} screenerFilters - Declarative TradingView filter spec per scan (see screenerFilters.js)
+ * @property {Object} stateStore - Scanner state persistence
+ * @property {string} stateStore.backend - Backend: "file", "sqlite" or "memory"
+ * @property {string|null} stateStore.path - Backend file path (defaults per backend)
+ * @property {string|null} recordDir - Directory for raw TradingView response recordings (replay input)
+ * @property {string} chartSource - OHLC bar source for alert charts: "none" (text-only alerts, default), "yahoo" or "history"
+ * @property {number} chartDeadlineMs - How long an alert waits for its chart before it is sent as text
+ * @property {number|null} httpPort - Port of the HTTP API (/healthz, /state, ...), null = off
+ * @property {string} httpHost - Interface the HTTP API binds to (loopback unless set)
+ * @property {string|null} httpApiToken - Bearer token for every HTTP route except /healthz
+ * @property {Object} logging - Logger settings (see configureLogging in core/logger.js)
+ * @property {string} logging.level - Default minimum level (DEBUG, INFO, WARN, ERROR)
+ * @property {Object<string, string>} logging.componentLevels - Minimum level by component (LOG_LEVELS)
+ * @property {string} logging.format - Console format: "text" or "json"
+ * @property {string|null} logging.file - JSON-lines log file, rotated by size
+ * @property {number} logging.fileMaxBytes - Size that triggers a rotation
+ * @property {number} logging.fileMaxFiles - Rotated files kept
  * @property {Object} screenshot - [DISABLED] Screenshot service configurations
  * // @property {Object} screenshot.viewport - Viewport dimensions
  * // @property {Array<string>} screenshot.blockedResources - List of resource types to block
@@ -43,74 +88,226 @@ import "dotenv/config";
 const parseChatId = (rawChatId) =>
     /^\-?\d+$/.test(rawChatId) ? Number(rawChatId) : rawChatId;
 
+/**
+ * Parses a "HH:MM-HH:MM" phase window override
+ * @param {string|undefined} raw - Raw window from environment
+ * @param {Object} fallback - Default window
+ * @returns {Object} Frozen { start, end } window
+ */
+const parseWindow = (raw, fallback) => {
+    if (!raw) return fallback;
+    const [start, end] = raw.split("-").map(part => part.trim());
+    return Object.freeze({ start, end });
+};
+
+/**
+ * Parses the NY-time phase schedule (SCHEDULE_<PHASE>=HH:MM-HH:MM overrides)
+ * @returns {Object} Frozen schedule table
+ */
+const parseSchedule = () => Object.freeze({
+    premarket: parseWindow(process.env.SCHEDULE_PREMARKET, DEFAULT_SCHEDULE.premarket),
+    catalystSetup: parseWindow(process.env.SCHEDULE_CATALYST_SETUP, DEFAULT_SCHEDULE.catalystSetup),
+    catalystActive: parseWindow(process.env.SCHEDULE_CATALYST_ACTIVE, DEFAULT_SCHEDULE.catalystActive),
+    briefing: parseWindow(process.env.SCHEDULE_BRIEFING, DEFAULT_SCHEDULE.briefing),
+    market: parseWindow(process.env.SCHEDULE_MARKET, DEFAULT_SCHEDULE.market),
+    postmarket: parseWindow(process.env.SCHEDULE_POSTMARKET, DEFAULT_SCHEDULE.postmarket)
+});
+
+/**
+ * Parses per-component log levels (LOG_LEVELS=TV=warn,MarketScanner=debug)
+ * @param {string|undefined} raw - Comma-separated component=level pairs
+ * @returns {Object} Frozen map of component → upper-case level
+ */
+const parseComponentLevels = (raw) => Object.freeze(Object.fromEntries(
+    (raw || "").split(",")
+        .map(pair => pair.trim())
+        .filter(Boolean)
+        .map(pair => {
+            const [component, level = ""] = pair.split("=");
+            return [component.trim(), level.trim().toUpperCase()];
+        })
+));
+
+/**
+ * Parses the alert routing table (ROUTE_<CATEGORY>=chatId[:threadId],...)
+ * TradingView session notices go to ROUTE_SYSTEM_SESSION, else ADMIN_CHAT_ID, else the system.error route
+ * @param {string|number|null} adminChatId - Admin chat (ADMIN_CHAT_ID)
+ * @returns {Object} Frozen map of category → destinations (only configured categories)
+ */
+const parseRoutes = (adminChatId) => {
+    const routes = Object.fromEntries(
+        Object.values(ALERT_ROUTES)
+            .filter(category => process.env[routeEnvName(category)]?.trim())
+            .map(category => [category, parseDestinations(process.env[routeEnvName(category)], parseChatId)])
+    );
+    if (!routes[ALERT_ROUTES.SYSTEM_SESSION]) {
+        const fallback = adminChatId != null
+            ? Object.freeze([Object.freeze({ chatId: adminChatId, threadId: null })])
+            : routes[ALERT_ROUTES.SYSTEM_ERROR];
+        if (fallback) routes[ALERT_ROUTES.SYSTEM_SESSION] = fallback;
+    }
+    return Object.freeze(routes);
+};
+
+/**
+ * Loads custom screener filter specs from SCREENER_FILTERS_PATH (.json/.yaml/.yml)
+ * or SCREENER_FILTERS (inline JSON)
+ * @returns {Object|null} Parsed specs keyed by scan, or null for defaults
+ * @throws {ConfigurationError} If the file or JSON cannot be read
+ */
+const loadScreenerFilters = () => {
+    const filePath = process.env.SCREENER_FILTERS_PATH?.trim();
+    const inline = process.env.SCREENER_FILTERS?.trim();
+
+    try {
+        if (filePath) {
+            const text = fs.readFileSync(filePath, "utf8");
+            return /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+        }
+        return inline ? JSON.parse(inline) : null;
+    } catch (error) {
+        throw new ConfigurationError(
+            `Cannot load screener filters from ${filePath || "SCREENER_FILTERS"}: ${error.message}`,
+            "screenerFilters"
+        );
+    }
+};
+
 /**
  * Parses configuration from environment variables
  * @returns {Config} Configuration object
  */
-export const parseConfig = () => Object.freeze({
-    botToken: process.env.BOT_TOKEN?.trim(),
-    chatId: parseChatId(process.env.CHAT_ID?.trim()),
-    threadId: process.env.THREAD_ID ? Number(process.env.THREAD_ID) : null,
-    premarketThreshold: Number(process.env.PREMARKET_THRESHOLD || 10),
-    scanIntervalMs: Number(process.env.SCAN_INTERVAL_MS || 10000),
-    sendOnStartup: String(process.env.SEND_ON_STARTUP || "false") === "true",
-    // Market Scanner (Shadow Velocity) configuration
-    marketScanIntervalMs: Number(process.env.MARKET_SCAN_INTERVAL_MS || 10000),
-    marketDashboardIntervalMs: Number(process.env.MARKET_DASHBOARD_INTERVAL_MS || 30000),
-    marketAlertCooldownMs: Number(process.env.MARKET_ALERT_COOLDOWN_MS || 300000),
-    marketRvolPumpDelta: Number(process.env.MARKET_RVOL_PUMP_DELTA || 5),
-    marketDumpThreshold: Number(process.env.MARKET_DUMP_THRESHOLD || -2),
-    premarketAlertStep: Number(process.env.PREMARKET_ALERT_STEP || 1.0),
-
-    // Catalyst Sniper configuration
-    catalystWatchlistIntervalMs: Number(process.env.CATALYST_WATCHLIST_INTERVAL_MS || 60000),
-    catalystActiveIntervalMs: Number(process.env.CATALYST_ACTIVE_INTERVAL_MS || 15000),
-
-    // Trading hours configuration
-    premarketHours: Object.freeze({
-        start: "04:00",
-        end: "09:30"
-    }),
-
-    // Timeout configurations (extracted magic numbers)
-    timeouts: Object.freeze({
-        launchTimeoutMs: 15000,       // Telegram launch timeout (increased from 5000)
-        fetchTimeoutMs: 30000,        // API fetch timeout
-        retryDelayMs: 2000,           // Base retry delay
-        shutdownGraceMs: 1000,        // Graceful shutdown delay
-        gatekeeperIntervalMs: 30000   // Gatekeeper check interval
-    }),
-
-    // Retry configurations
-    retry: Object.freeze({
-        maxAttempts: 3,               // Maximum retry attempts
-        backoffMultiplier: 1.5        // Exponential backoff multiplier
-    }),
-
-    // API configurations
-    api: Object.freeze({
-        tradingViewUrl: "https://scanner.tradingview.com/america/scan",
-        userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-        tvCookie: process.env.TV_COOKIE || null
-    }),
-
-    // [DISABLED] Screenshot service configuration
-    // screenshot: Object.freeze({
-    //     viewport: Object.freeze({ width: 800, height: 600 }),
-    //     blockedResources: Object.freeze(['image', 'font', 'media']),
-    //     browserArgs: Object.freeze([
-    //         '--no-sandbox',
-    //         '--disable-setuid-sandbox',
-    //         '--disable-dev-shm-usage',
-    //         '--disable-gpu',
-    //         '--disable-web-security',
-    //         '--disable-features=VizDisplayCompositor',
-    //         '--no-first-run',
-    //         '--memory-pressure-off'
-    //     ]),
-    //     intervals: ["D", "240", "15", "1"]
-    // })
-});
+export const parseConfig = () => {
+    const schedule = parseSchedule();
+    const adminChatId = process.env.ADMIN_CHAT_ID?.trim() ? parseChatId(process.env.ADMIN_CHAT_ID.trim()) : null;
+
+    return Object.freeze({
+        botToken: process.env.BOT_TOKEN?.trim(),
+        chatId: parseChatId(process.env.CHAT_ID?.trim()),
+        threadId: process.env.THREAD_ID ? Number(process.env.THREAD_ID) : null,
+        premarketThreshold: Number(process.env.PREMARKET_THRESHOLD || 10),
+        scanIntervalMs: Number(process.env.SCAN_INTERVAL_MS || 10000),
+        sendOnStartup: String(process.env.SEND_ON_STARTUP || "false") === "true",
+        // Market Scanner (Shadow Velocity) configuration
+        marketScanIntervalMs: Number(process.env.MARKET_SCAN_INTERVAL_MS || 10000),
+        marketDashboardIntervalMs: Number(process.env.MARKET_DASHBOARD_INTERVAL_MS || 30000),
+        marketAlertCooldownMs: Number(process.env.MARKET_ALERT_COOLDOWN_MS || 300000),
+        marketRvolPumpDelta: Number(process.env.MARKET_RVOL_PUMP_DELTA || 5),
+        marketDumpThreshold: Number(process.env.MARKET_DUMP_THRESHOLD || -2),
+        marketHaltPolls: Number(process.env.MARKET_HALT_POLLS || 3),
+        premarketAlertStep: Number(process.env.PREMARKET_ALERT_STEP || 1.0),
+        premarketDashboardIntervalMs: Number(process.env.PREMARKET_DASHBOARD_INTERVAL_MS || 30000),
+        premarketDashboardTopN: Number(process.env.PREMARKET_DASHBOARD_TOP_N ?? 10),
+
+        // RVOL Surge Scanner (intraday relative_volume_intraday|5)
+        rvolThreshold: Number(process.env.RVOL_THRESHOLD || 3),
+        rvolAlertStep: Number(process.env.RVOL_ALERT_STEP || 2),
+        rvolIntervalMs: Number(process.env.RVOL_INTERVAL_MS || 30000),
+
+        // Catalyst Sniper configuration
+        catalystWatchlistIntervalMs: Number(process.env.CATALYST_WATCHLIST_INTERVAL_MS || 60000),
+        catalystActiveIntervalMs: Number(process.env.CATALYST_ACTIVE_INTERVAL_MS || 15000),
+
+        // Postmarket (after-hours earnings) scanner configuration
+        postmarketThreshold: Number(process.env.POSTMARKET_THRESHOLD || 5),
+        postmarketAlertStep: Number(process.env.POSTMARKET_ALERT_STEP || 1.0),
+        postmarketMinVolume: Number(process.env.POSTMARKET_MIN_VOLUME || 100000),
+        postmarketScanIntervalMs: Number(process.env.POSTMARKET_SCAN_INTERVAL_MS || 15000),
+
+        // Alert outcome tracking (/performance)
+        outcomeSampleIntervalMs: Number(process.env.OUTCOME_SAMPLE_INTERVAL_MS || 60000),
+
+        // End-of-day recap (HTML message; optional md/csv attachment)
+        eodReportFile: process.env.EOD_REPORT_FILE || null,
+
+        // Trading hours configuration (NY time)
+        schedule,
+        premarketHours: schedule.premarket,
+
+        // Timeout configurations (extracted magic numbers)
+        timeouts: Object.freeze({
+            launchTimeoutMs: 15000,       // Telegram launch timeout (increased from 5000)
+            fetchTimeoutMs: 30000,        // API fetch timeout
+            retryDelayMs: 2000,           // Base retry delay
+            shutdownGraceMs: 1000,        // Graceful shutdown delay
+            gatekeeperIntervalMs: 30000   // Gatekeeper check interval
+        }),
+
+        // Retry configurations
+        retry: Object.freeze({
+            maxAttempts: 3,               // Maximum retry attempts
+            backoffMultiplier: 1.5        // Exponential backoff multiplier
+        }),
+
+        // API configurations
+        api: Object.freeze({
+            tradingViewUrl: "https://scanner.tradingview.com/america/scan",
+            userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+            tvCookie: process.env.TV_COOKIE || null
+        }),
+
+        // TradingView request scheduler and 401/403 circuit breaker (shared by all scanners)
+        tvRequestsPerMinute: Number(process.env.TV_REQUESTS_PER_MINUTE || 30),
+        tvCircuitFailures: Number(process.env.TV_CIRCUIT_FAILURES || 3),
+        tvCircuitCooldownMs: Number(process.env.TV_CIRCUIT_COOLDOWN_MS || 600000),
+        tvCacheTtlMs: Number(process.env.TV_CACHE_TTL_MS ?? 5000),
+
+        // TradingView session: /tvcookie only from the admin chat; stored cookie encrypted with TV_COOKIE_KEY
+        adminChatId,
+        tvCookieKey: process.env.TV_COOKIE_KEY || null,
+
+        // Alert routing (categories without a route go to CHAT_ID / THREAD_ID)
+        routes: parseRoutes(adminChatId),
+
+        // TradingView screener filters (defaults unless SCREENER_FILTERS_PATH / SCREENER_FILTERS set)
+        screenerFilters: resolveScreenerFilters(loadScreenerFilters()),
+
+        // State persistence (survives restarts within the same NY trading day)
+        stateStore: Object.freeze({
+            backend: process.env.STATE_BACKEND || "file",
+            path: process.env.STATE_PATH || null
+        }),
+
+        // Raw TradingView responses for `npm run replay` (off unless set)
+        recordDir: process.env.TV_RECORD_DIR || null,
+
+        // Alert charts rendered with sharp from OHLC bars (opt-in via CHART_SOURCE, see barSource.js)
+        chartSource: process.env.CHART_SOURCE || "none",
+        chartDeadlineMs: Number(process.env.CHART_DEADLINE_MS || 3000),
+
+        // Read-only HTTP API for health checks and inspection (off unless HTTP_PORT is set)
+        httpPort: process.env.HTTP_PORT ? Number(process.env.HTTP_PORT) : null,
+        httpHost: process.env.HTTP_HOST || "127.0.0.1",
+        httpApiToken: process.env.HTTP_API_TOKEN || null,
+
+        // Logging: console text/JSON lines, per-component levels, optional rotated file
+        logging: Object.freeze({
+            level: (process.env.LOG_LEVEL || "info").toUpperCase(),
+            componentLevels: parseComponentLevels(process.env.LOG_LEVELS),
+            format: (process.env.LOG_FORMAT || "text").toLowerCase(),
+            file: process.env.LOG_FILE || null,
+            fileMaxBytes: Number(process.env.LOG_FILE_MAX_MB || 10) * 1024 * 1024,
+            fileMaxFiles: Number(process.env.LOG_FILE_MAX_FILES ?? 5)
+        }),
+
+        // [DISABLED] Screenshot service configuration
+        // screenshot: Object.freeze({
+        //     viewport: Object.freeze({ width: 800, height: 600 }),
+        //     blockedResources: Object.freeze(['image', 'font', 'media']),
+        //     browserArgs: Object.freeze([
+        //         '--no-sandbox',
+        //         '--disable-setuid-sandbox',
+        //         '--disable-dev-shm-usage',
+        //         '--disable-gpu',
+        //         '--disable-web-security',
+        //         '--disable-features=VizDisplayCompositor',
+        //         '--no-first-run',
+        //         '--memory-pressure-off'
+        //     ]),
+        //     intervals: ["D", "240", "15", "1"]
+        // })
+    });
+};
 
 /**
  * Validates configuration object
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Live configuration layer for Telegram /config, /set and /reset
+ *
+ * `parseConfig` stays the frozen source of startup values. The runtime layer
+ * exposes a frozen view of it where tunable keys are getters over an override
+ * map, so services that read `config.<key>` on every scan pick up /set changes
+ * on the next scan without being rebuilt.
+ * Overrides and the audit trail live in the `config` state-store namespace
+ * (persistent, not tied to the trading day).
+ */
+import { validateConfigValue } from "./validation.js";
+import { createLogger } from "../core/logger.js";
+import { createErrorHandler } from "../core/errorHandler.js";
+
+/**
+ * Settings that may change at runtime (config key → env name shown to users)
+ */
+export const TUNABLE_SETTINGS = Object.freeze({
+    premarketThreshold: "PREMARKET_THRESHOLD",
+    premarketAlertStep: "PREMARKET_ALERT_STEP",
+    marketRvolPumpDelta: "MARKET_RVOL_PUMP_DELTA",
+    marketDumpThreshold: "MARKET_DUMP_THRESHOLD",
+    marketAlertCooldownMs: "MARKET_ALERT_COOLDOWN_MS",
+    postmarketThreshold: "POSTMARKET_THRESHOLD",
+    postmarketAlertStep: "POSTMARKET_ALERT_STEP",
+    rvolThreshold: "RVOL_THRESHOLD",
+    rvolAlertStep: "RVOL_ALERT_STEP"
+});
+
+/**
+ * @typedef {Object} ConfigAuditEntry
+ * @property {string} at - ISO timestamp
+ * @property {string} key - Config key
+ * @property {'set'|'reset'} action - What happened
+ * @property {number} from - Previous effective value
+ * @property {number} to - New effective value
+ * @property {string} by - Who made the change
+ */
+
+const STATE_NAMESPACE = "config";
+const AUDIT_LIMIT = 100;
+
+/**
+ * Resolves "premarket_threshold" / "PREMARKET_THRESHOLD" / "premarketThreshold" to a config key
+ * @param {string} name - User-supplied setting name
+ * @returns {string|null} Config key or null if not tunable
+ */
+export const resolveSettingKey = (name) => {
+    const normalized = String(name || "").replace(/[_-]/g, "").toLowerCase();
+    return Object.keys(TUNABLE_SETTINGS).find(key => key.toLowerCase() === normalized) || null;
+};
+
+/**
+ * Creates the runtime config layer
+ * @param {Object} baseConfig - Frozen config from parseConfig
+ * @param {Object|null} [stateStore=null] - Optional state store for overrides and audit
+ * @returns {Object} Runtime config instance
+ */
+export const createRuntimeConfig = (baseConfig, stateStore = null) => {
+    const logger = createLogger();
+    const errorHandler = createErrorHandler(logger);
+
+    let overrides = new Map();
+    let audit = [];
+
+    const effective = (key) => (overrides.has(key) ? overrides.get(key) : baseConfig[key]);
+
+    const live = {};
+    for (const [key, value] of Object.entries(baseConfig)) {
+        if (key in TUNABLE_SETTINGS) {
+            Object.defineProperty(live, key, { enumerable: true, get: () => effective(key) });
+        } else {
+            live[key] = value;
+        }
+    }
+    const config = Object.freeze(live);
+
+    const persist = async () => {
+        if (!stateStore) return;
+        try {
+            await stateStore.save(STATE_NAMESPACE, { overrides, audit });
+        } catch (error) {
+            errorHandler.handle(error, { component: "RuntimeConfig", operation: "persist" });
+        }
+    };
+
+    const record = async (entry) => {
+        audit = [...audit, entry].slice(-AUDIT_LIMIT);
+        logger.info("RuntimeConfig", `⚙️ ${entry.action} ${entry.key}: ${entry.from} → ${entry.to} (by ${entry.by})`);
+        await persist();
+    };
+
+    /**
+     * Restores overrides and audit trail; overrides that no longer validate are dropped
+     * @returns {Promise<void>}
+     */
+    const load = async () => {
+        if (!stateStore) return;
+        try {
+            const snapshot = await stateStore.load(STATE_NAMESPACE, { persistent: true });
+            if (!snapshot) return;
+            if (Array.isArray(snapshot.audit)) audit = snapshot.audit;
+            if (snapshot.overrides instanceof Map) {
+                overrides = new Map([...snapshot.overrides].filter(([key, value]) =>
+                    key in TUNABLE_SETTINGS && validateConfigValue(key, value).isValid));
+            }
+            if (overrides.size > 0) {
+                logger.info("RuntimeConfig", `♻️ Restored overrides: ${[...overrides].map(([k, v]) => `${k}=${v}`).join(", ")}`);
+            }
+        } catch (error) {
+            errorHandler.handle(error, { component: "RuntimeConfig", operation: "load" });
+        }
+    };
+
+    /**
+     * Changes one setting
+     * @param {string} name - Setting name (config key or env name)
+     * @param {string|number} rawValue - New value
+     * @param {string} [by="unknown"] - Who made the change
+     * @returns {Promise<{success: boolean, key?: string, from?: number, to?: number, error?: string}>} Result
+     */
+    const set = async (name, rawValue, by = "unknown") => {
+        const key = resolveSettingKey(name);
+        if (!key) return { success: false, error: `Unknown setting: ${name}` };
+
+        const value = Number(rawValue);
+        const validation = validateConfigValue(key, value);
+        if (!validation.isValid) return { success: false, error: validation.errors.join(", ") };
+
+        const from = effective(key);
+        overrides.set(key, value);
+        await record({ at: new Date().toISOString(), key, action: "set", from, to: value, by });
+        return { success: true, key, from, to: value };
+    };
+
+    /**
+     * Restores one setting to its startup value (env or built-in default)
+     * @param {string} name - Setting name (config key or env name)
+     * @param {string} [by="unknown"] - Who made the change
+     * @returns {Promise<{success: boolean, key?: string, from?: number, to?: number, error?: string}>} Result
+     */
+    const reset = async (name, by = "unknown") => {
+        const key = resolveSettingKey(name);
+        if (!key) return { success: false, error: `Unknown setting: ${name}` };
+
+        const from = effective(key);
+        const wasOverridden = overrides.delete(key);
+        if (wasOverridden) {
+            await record({ at: new Date().toISOString(), key, action: "reset", from, to: baseConfig[key], by });
+        }
+        return { success: true, key, from, to: baseConfig[key] };
+    };
+
+    /**
+     * Lists effective values of every tunable setting
+     * @returns {Array<{key: string, env: string, value: number, base: number, overridden: boolean}>} Settings
+     */
+    const list = () => Object.entries(TUNABLE_SETTINGS).map(([key, env]) => ({
+        key,
+        env,
+        value: effective(key),
+        base: baseConfig[key],
+        overridden: overrides.has(key)
+    }));
+
+    return Object.freeze({
+        config,
+        load,
+        set,
+        reset,
+        list,
+        getAudit: () => [...audit]
+    });
+};
+
+/**
+ * Formats the /config reply
+ * @param {Array} settings - From runtimeConfig.list()
+ * @param {ConfigAuditEntry[]} audit - Audit trail
+ * @returns {string} Plain-text message
+ */
+export const formatConfigMessage = (settings, audit) => {
+    const lines = ["⚙️ Effective config"];
+    settings.forEach(s => {
+        lines.push(`- ${s.env} = ${s.value}${s.overridden ? ` (default ${s.base})` : ""}`);
+    });
+    const recent = audit.slice(-5).reverse();
+    if (recent.length > 0) {
+        lines.push("", "📝 Recent changes:");
+        recent.forEach(e => lines.push(`- ${e.at.slice(0, 16).replace("T", " ")}Z ${e.action} ${TUNABLE_SETTINGS[e.key] || e.key}: ${e.from} → ${e.to} by ${e.by}`));
+    }
+    lines.push("", "Use /set KEY VALUE or /reset KEY");
+    return lines.join("\n");
+};
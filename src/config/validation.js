@@ -1,6 +1,19 @@
 /**
  * @fileoverview Data validation utilities for API responses and configuration
  */
+import { validateScreenerFilters } from "../services/screenerFilters.js";
+import { SCREENER_COLUMNS } from "../services/tradingview.js";
+import { ALERT_ROUTES } from "../services/alertRoutes.js";
+import { BAR_SOURCES } from "../services/barSource.js";
+import { LOG_LEVELS, LOG_FORMATS } from "../core/logger.js";
+import { isSqliteSupported } from "../core/stateStore.js";
+
+/**
+ * Whether the HTTP API host only accepts local connections (unset = 127.0.0.1)
+ * @param {string|undefined|null} host - HTTP_HOST
+ * @returns {boolean} True for loopback addresses
+ */
+const isLoopbackHost = (host) => !host || host === "localhost" || host === "::1" || /^127\./.test(host);
 
 /**
  * @typedef {Object} ValidationResult
@@ -64,6 +77,42 @@ export const validateStockData = (stock) => {
     return { isValid: errors.length === 0, errors };
 };
 
+/**
+ * Value rules for numeric settings (also used by runtime /set)
+ * key → { check, message }
+ */
+export const CONFIG_VALUE_RULES = Object.freeze({
+    premarketThreshold: { check: (v) => v > 0, message: 'must be positive number' },
+    premarketAlertStep: { check: (v) => v > 0, message: 'must be positive number' },
+    scanIntervalMs: { check: (v) => v > 0, message: 'must be positive number' },
+    marketRvolPumpDelta: { check: (v) => v > 0, message: 'must be positive number' },
+    marketDumpThreshold: { check: (v) => v < 0, message: 'must be negative number' },
+    marketAlertCooldownMs: { check: (v) => v >= 0, message: 'must be non-negative number' },
+    postmarketThreshold: { check: (v) => v > 0, message: 'must be positive number' },
+    postmarketAlertStep: { check: (v) => v > 0, message: 'must be positive number' },
+    rvolThreshold: { check: (v) => v > 0, message: 'must be positive number' },
+    rvolAlertStep: { check: (v) => v > 0, message: 'must be positive number' },
+    rvolIntervalMs: { check: (v) => v > 0, message: 'must be positive number' },
+    outcomeSampleIntervalMs: { check: (v) => v > 0, message: 'must be positive number' }
+});
+
+/**
+ * Validates a single numeric setting against CONFIG_VALUE_RULES
+ * @param {string} key - Config key
+ * @param {any} value - Candidate value
+ * @returns {ValidationResult} Validation result
+ */
+export const validateConfigValue = (key, value) => {
+    const rule = CONFIG_VALUE_RULES[key];
+    if (!rule) {
+        return { isValid: false, errors: [`Unknown setting: ${key}`] };
+    }
+    if (typeof value !== 'number' || !isFinite(value) || !rule.check(value)) {
+        return { isValid: false, errors: [`${key} ${rule.message}`] };
+    }
+    return { isValid: true, errors: [] };
+};
+
 /**
  * Validates configuration object
  * @param {any} config - Configuration to validate
@@ -85,14 +134,188 @@ export const validateConfig = (config) => {
         errors.push('Config must have valid chatId string or number');
     }
 
-    if (config.premarketThreshold !== undefined &&
-        (typeof config.premarketThreshold !== 'number' || config.premarketThreshold <= 0)) {
-        errors.push('Config premarketThreshold must be positive number');
+    for (const key of Object.keys(CONFIG_VALUE_RULES)) {
+        if (config[key] === undefined) continue;
+        const result = validateConfigValue(key, config[key]);
+        if (!result.isValid) errors.push(...result.errors.map(e => `Config ${e}`));
+    }
+
+    if (config.schedule !== undefined) {
+        errors.push(...validateSchedule(config.schedule).errors);
+    }
+
+    if (config.routes !== undefined) {
+        errors.push(...validateRoutes(config.routes).errors);
+    }
+
+    if (config.screenerFilters !== undefined) {
+        errors.push(...validateScreenerFilters(config.screenerFilters, SCREENER_COLUMNS, config).errors);
+    }
+
+    if (config.premarketDashboardIntervalMs !== undefined &&
+        !(config.premarketDashboardIntervalMs > 0)) {
+        errors.push('Config premarketDashboardIntervalMs must be positive number');
+    }
+
+    if (config.premarketDashboardTopN !== undefined &&
+        !(Number.isInteger(config.premarketDashboardTopN) && config.premarketDashboardTopN >= 0)) {
+        errors.push('Config premarketDashboardTopN must be non-negative integer');
+    }
+
+    if (config.marketHaltPolls !== undefined &&
+        !(Number.isInteger(config.marketHaltPolls) && config.marketHaltPolls > 0)) {
+        errors.push('Config marketHaltPolls must be positive integer');
+    }
+
+    if (config.eodReportFile != null && !['md', 'csv'].includes(config.eodReportFile)) {
+        errors.push('Config eodReportFile must be one of: md, csv');
+    }
+
+    if (config.stateStore !== undefined &&
+        !['file', 'sqlite', 'memory'].includes(config.stateStore?.backend)) {
+        errors.push('Config stateStore.backend must be one of: file, sqlite, memory');
+    }
+
+    if (config.stateStore?.backend === 'sqlite' && !isSqliteSupported()) {
+        errors.push(`Config stateStore.backend sqlite needs Node >= 22.5 with node:sqlite (running ${process.version}); use file`);
+    }
+
+    if (config.chartSource !== undefined && !BAR_SOURCES.includes(config.chartSource)) {
+        errors.push(`Config chartSource must be one of: ${BAR_SOURCES.join(', ')}`);
+    }
+
+    if (config.chartDeadlineMs !== undefined && !(config.chartDeadlineMs > 0)) {
+        errors.push('Config chartDeadlineMs must be positive number');
+    }
+
+    if (config.httpPort != null &&
+        !(Number.isInteger(config.httpPort) && config.httpPort >= 0 && config.httpPort <= 65535)) {
+        errors.push('Config httpPort must be an integer port (0-65535)');
+    }
+
+    // /state, /alerts and /watchlist must not be reachable from outside without a token
+    if (config.httpPort != null && !isLoopbackHost(config.httpHost) && !config.httpApiToken) {
+        errors.push(`Config httpApiToken is required when the HTTP API listens on ${config.httpHost} (set HTTP_API_TOKEN or bind HTTP_HOST to 127.0.0.1)`);
+    }
+
+    if (config.tvRequestsPerMinute !== undefined &&
+        !(Number.isInteger(config.tvRequestsPerMinute) && config.tvRequestsPerMinute > 0)) {
+        errors.push('Config tvRequestsPerMinute must be positive integer');
+    }
+
+    if (config.tvCircuitFailures !== undefined &&
+        !(Number.isInteger(config.tvCircuitFailures) && config.tvCircuitFailures > 0)) {
+        errors.push('Config tvCircuitFailures must be positive integer');
+    }
+
+    if (config.tvCircuitCooldownMs !== undefined && !(config.tvCircuitCooldownMs > 0)) {
+        errors.push('Config tvCircuitCooldownMs must be positive number');
+    }
+
+    if (config.tvCacheTtlMs !== undefined && !(config.tvCacheTtlMs >= 0)) {
+        errors.push('Config tvCacheTtlMs must be non-negative number');
     }
 
-    if (config.scanIntervalMs !== undefined &&
-        (typeof config.scanIntervalMs !== 'number' || config.scanIntervalMs <= 0)) {
-        errors.push('Config scanIntervalMs must be positive number');
+    if (config.adminChatId != null &&
+        typeof config.adminChatId !== 'string' && typeof config.adminChatId !== 'number') {
+        errors.push('Config adminChatId must be string or number');
+    }
+
+    if (config.tvCookieKey != null && !(typeof config.tvCookieKey === 'string' && config.tvCookieKey.length >= 16)) {
+        errors.push('Config tvCookieKey must be at least 16 characters');
+    }
+
+    if (config.logging !== undefined) {
+        errors.push(...validateLogging(config.logging).errors);
+    }
+
+    return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates the NY-time phase schedule table
+ * @param {any} schedule - Map of phase name → { start, end } (HH:MM)
+ * @returns {ValidationResult} Validation result
+ */
+export const validateSchedule = (schedule) => {
+    const errors = [];
+    const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    if (!schedule || typeof schedule !== 'object') {
+        errors.push('Schedule must be an object');
+        return { isValid: false, errors };
+    }
+
+    for (const [phase, window] of Object.entries(schedule)) {
+        if (!window || !HHMM.test(window.start) || !HHMM.test(window.end)) {
+            errors.push(`Schedule ${phase} must have HH:MM start and end`);
+        } else if (window.start >= window.end) {
+            errors.push(`Schedule ${phase} start must be before end`);
+        }
+    }
+
+    return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates logger settings
+ * @param {Object} logging - Logging config (level, componentLevels, format, fileMaxBytes, fileMaxFiles)
+ * @returns {ValidationResult} Validation result
+ */
+export const validateLogging = (logging) => {
+    const errors = [];
+    const levels = Object.values(LOG_LEVELS);
+
+    if (!levels.includes(logging.level)) {
+        errors.push(`Config logging.level must be one of: ${levels.join(', ')}`);
+    }
+    for (const [component, level] of Object.entries(logging.componentLevels ?? {})) {
+        if (!levels.includes(level)) errors.push(`Log level for ${component} must be one of: ${levels.join(', ')}`);
+    }
+    if (!Object.values(LOG_FORMATS).includes(logging.format)) {
+        errors.push(`Config logging.format must be one of: ${Object.values(LOG_FORMATS).join(', ')}`);
+    }
+    if (logging.file && !(logging.fileMaxBytes > 0)) {
+        errors.push('Config logging.fileMaxBytes must be positive number');
+    }
+    if (logging.file && !(Number.isInteger(logging.fileMaxFiles) && logging.fileMaxFiles >= 0)) {
+        errors.push('Config logging.fileMaxFiles must be non-negative integer');
+    }
+
+    return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates the alert routing table
+ * @param {any} routes - Map of alert category → [{ chatId, threadId }]
+ * @returns {ValidationResult} Validation result
+ */
+export const validateRoutes = (routes) => {
+    const errors = [];
+    const categories = Object.values(ALERT_ROUTES);
+
+    if (!routes || typeof routes !== 'object') {
+        errors.push('Routes must be an object');
+        return { isValid: false, errors };
+    }
+
+    for (const [category, destinations] of Object.entries(routes)) {
+        if (!categories.includes(category)) {
+            errors.push(`Route ${category} is not a known alert category`);
+            continue;
+        }
+        if (!Array.isArray(destinations) || destinations.length === 0) {
+            errors.push(`Route ${category} must have at least one destination`);
+            continue;
+        }
+        destinations.forEach((d, i) => {
+            if (!d?.chatId || (typeof d.chatId !== 'string' && typeof d.chatId !== 'number')) {
+                errors.push(`Route ${category}[${i}] must have valid chatId`);
+            }
+            if (d?.threadId !== null && d?.threadId !== undefined && !(Number.isInteger(d.threadId) && d.threadId > 0)) {
+                errors.push(`Route ${category}[${i}] threadId must be positive integer`);
+            }
+        });
     }
 
     return { isValid: errors.length === 0, errors };
@@ -33,6 +33,12 @@ export const createErrorHandler = (logger) => {
     const handle = (error, context) => {
         const { component, operation, metadata = {} } = context;
 
+        // Paused TradingView client (backoff / open circuit) — expected, reported once elsewhere
+        if (error instanceof TradingViewPausedError) {
+            logger.debug(component, `${operation} skipped: ${error.message}`);
+            return;
+        }
+
         logger.error(component, `${operation} failed: ${error.message}`, {
             stack: error.stack,
             name: error.name,
@@ -98,6 +104,19 @@ export class TradingViewError extends Error {
     }
 }
 
+/**
+ * Thrown without a network call while the TradingView client is paused
+ * (429 backoff longer than a scan can wait, or the 401/403 circuit is open)
+ */
+export class TradingViewPausedError extends TradingViewError {
+    constructor(message, reason, retryAt) {
+        super(message, null, null);
+        this.name = 'TradingViewPausedError';
+        this.reason = reason;
+        this.retryAt = retryAt;
+    }
+}
+
 export class ValidationError extends Error {
     constructor(message, errors) {
         super(message);
@@ -118,9 +137,10 @@ export class ConfigurationError extends Error {
  * Creates a global error handler for the application
  * @param {Object} telegramService - Telegram service for error notifications
  * @param {Object} logger - Logger instance
+ * @param {Object} [notifyOptions={}] - Send options for the notification (e.g. the system.error route)
  * @returns {Function} Global error handler
  */
-export const createGlobalErrorHandler = (telegramService, logger) => {
+export const createGlobalErrorHandler = (telegramService, logger, notifyOptions = {}) => {
     return async (error, context = {}) => {
         logger.error('GLOBAL', `Unhandled error: ${error.message}`, {
             stack: error.stack,
@@ -134,7 +154,8 @@ export const createGlobalErrorHandler = (telegramService, logger) => {
             error.message.includes('timeout')) {
             try {
                 await telegramService.sendMessage(
-                    `🚨 Critical Error: ${error.message}\nComponent: ${context.component || 'Unknown'}`
+                    `🚨 Critical Error: ${error.message}\nComponent: ${context.component || 'Unknown'}`,
+                    notifyOptions
                 );
             } catch (notificationError) {
                 logger.error('GLOBAL', `Failed to send error notification: ${notificationError.message}`);
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Size-rotated log file sink
+ *
+ * Lines are appended synchronously, so they stay in order with the console output
+ * and nothing is lost when the process exits. When the next line would push the
+ * file past `maxBytes`, the files shift (`app.log` → `app.log.1` → … → `app.log.N`)
+ * and the oldest is dropped.
+ */
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Creates a rotating file sink
+ * @param {string} filePath - Active log file
+ * @param {Object} [options={}] - Rotation options
+ * @param {number} [options.maxBytes=10485760] - Size that triggers a rotation
+ * @param {number} [options.maxFiles=5] - Rotated files kept next to the active one
+ * @returns {{write: Function, close: Function}} Sink
+ */
+export const createRotatingFile = (filePath, { maxBytes = 10 * 1024 * 1024, maxFiles = 5 } = {}) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    let fd = fs.openSync(filePath, "a");
+    let size = fs.fstatSync(fd).size;
+
+    const rotate = () => {
+        fs.closeSync(fd);
+        fs.rmSync(`${filePath}.${maxFiles}`, { force: true });
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${filePath}.${i}`)) fs.renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+        }
+        if (maxFiles > 0) fs.renameSync(filePath, `${filePath}.1`);
+        else fs.rmSync(filePath, { force: true });
+        fd = fs.openSync(filePath, "a");
+        size = 0;
+    };
+
+    /**
+     * Appends one line
+     * @param {string} line - Text without the trailing newline
+     */
+    const write = (line) => {
+        const data = `${line}\n`;
+        const bytes = Buffer.byteLength(data);
+        if (size > 0 && size + bytes > maxBytes) rotate();
+        fs.writeSync(fd, data);
+        size += bytes;
+    };
+
+    const close = () => {
+        if (fd === null) return;
+        fs.closeSync(fd);
+        fd = null;
+    };
+
+    return Object.freeze({ write, close });
+};
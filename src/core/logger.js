@@ -1,8 +1,20 @@
 /**
  * @fileoverview Centralized logging system with structured logging
+ *
+ * Every module logs through createLogger(). Output settings are process-wide and
+ * applied once at startup with configureLogging():
+ *   - text lines (`[HH:MM:SS] [LEVEL] [Component] message`) or JSON lines on the console
+ *   - a minimum level, overridable per component (LOG_LEVEL, LOG_LEVELS)
+ *   - an optional size-rotated file sink that always receives JSON lines
+ * JSON lines carry the ISO timestamp, NY time, component, the trading phase
+ * (setLogContext) and the scan / correlation IDs of the current async context
+ * (withLogContext).
  */
 
-import { nowTs } from './utils/time.js';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { nowTs, nyTimestamp } from './utils/time.js';
+import { createRotatingFile } from './logFile.js';
 
 /**
  * @typedef {Object} LogLevel
@@ -22,6 +34,118 @@ export const LOG_LEVELS = Object.freeze({
     ERROR: 'ERROR'
 });
 
+/**
+ * Console output formats
+ */
+export const LOG_FORMATS = Object.freeze({
+    TEXT: 'text',
+    JSON: 'json'
+});
+
+const LEVEL_PRIORITY = Object.freeze({
+    [LOG_LEVELS.DEBUG]: 0,
+    [LOG_LEVELS.INFO]: 1,
+    [LOG_LEVELS.WARN]: 2,
+    [LOG_LEVELS.ERROR]: 3
+});
+
+/**
+ * @typedef {Object} LoggingOptions
+ * @property {string} [level='INFO'] - Default minimum level
+ * @property {Object<string, string>} [componentLevels={}] - Minimum level by component (case-insensitive)
+ * @property {string} [format='text'] - Console format (LOG_FORMATS)
+ * @property {string|null} [file=null] - JSON-lines log file, rotated by size
+ * @property {number} [fileMaxBytes] - Size that triggers a rotation
+ * @property {number} [fileMaxFiles] - Rotated files kept
+ */
+
+const settings = {
+    level: LOG_LEVELS.INFO,
+    componentLevels: {},
+    format: LOG_FORMATS.TEXT,
+    sink: null
+};
+const globalContext = {};
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Applies process-wide logging settings (loggers created earlier follow them too)
+ * @param {LoggingOptions} [options={}] - Logging options
+ */
+export const configureLogging = ({ level = LOG_LEVELS.INFO, componentLevels = {}, format = LOG_FORMATS.TEXT, file = null, fileMaxBytes, fileMaxFiles } = {}) => {
+    settings.sink?.close();
+    settings.level = level;
+    settings.componentLevels = Object.fromEntries(
+        Object.entries(componentLevels).map(([component, componentLevel]) => [component.toLowerCase(), componentLevel]));
+    settings.format = format;
+    settings.sink = file ? createRotatingFile(file, { maxBytes: fileMaxBytes, maxFiles: fileMaxFiles }) : null;
+};
+
+/**
+ * Closes the file sink (shutdown)
+ */
+export const closeLogging = () => {
+    settings.sink?.close();
+    settings.sink = null;
+};
+
+/**
+ * Sets fields attached to every log line from now on (e.g. the trading phase)
+ * @param {Object} fields - Context fields; undefined removes a field
+ */
+export const setLogContext = (fields) => {
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) delete globalContext[key];
+        else globalContext[key] = value;
+    }
+};
+
+/**
+ * Runs fn with extra fields on every log line of its async call tree
+ * @param {Object} fields - Context fields (scanId, correlationId…)
+ * @param {Function} fn - Function to run
+ * @returns {any} Result of fn
+ */
+export const withLogContext = (fields, fn) =>
+    contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+
+/**
+ * Creates a short ID for scan passes and requests
+ * @param {string} prefix - ID prefix (scanner, http, tg)
+ * @returns {string} e.g. "market-1f3a9c2e"
+ */
+export const newLogId = (prefix) => `${prefix}-${randomUUID().slice(0, 8)}`;
+
+/**
+ * Builds the JSON record of one log line
+ * @returns {Object} Record with fixed fields first, extra fields after
+ */
+const buildRecord = (level, component, message, extra) => {
+    const date = new Date();
+    const record = {
+        ts: date.toISOString(),
+        ny: nyTimestamp(date),
+        level,
+        component,
+        ...globalContext,
+        ...contextStorage.getStore(),
+        msg: String(message)
+    };
+    for (const [key, value] of Object.entries(extra)) {
+        if (!(key in record)) record[key] = value instanceof Error ? value.message : value;
+    }
+    return record;
+};
+
+const writeToSink = (line) => {
+    try {
+        settings.sink?.write(line);
+    } catch (error) {
+        settings.sink = null;
+        console.error(`[${nowTs()}] [ERROR] [Logger] Log file disabled: ${error.message}`);
+    }
+};
+
 /**
  * @typedef {Object} Logger
  * @property {Function} debug - Log debug message
@@ -35,19 +159,15 @@ export const LOG_LEVELS = Object.freeze({
 
 /**
  * Creates a structured logger with different levels
- * @param {string} [minLevel='INFO'] - Minimum log level to output
+ * @param {string|null} [minLevel=null] - Fixed minimum level; null follows configureLogging
  * @returns {Logger} Logger instance
  */
-export const createLogger = (minLevel = LOG_LEVELS.INFO) => {
-    const levelPriority = {
-        [LOG_LEVELS.DEBUG]: 0,
-        [LOG_LEVELS.INFO]: 1,
-        [LOG_LEVELS.WARN]: 2,
-        [LOG_LEVELS.ERROR]: 3
+export const createLogger = (minLevel = null) => {
+    const shouldLog = (level, component) => {
+        const threshold = minLevel ?? settings.componentLevels[String(component).toLowerCase()] ?? settings.level;
+        return LEVEL_PRIORITY[level] >= LEVEL_PRIORITY[threshold];
     };
 
-    const shouldLog = (level) => levelPriority[level] >= levelPriority[minLevel];
-
     const formatMessage = (level, component, message, extra = {}) => {
         const timestamp = nowTs();
         const baseMsg = `[${timestamp}] [${level}] [${component}] ${message}`;
@@ -58,10 +178,14 @@ export const createLogger = (minLevel = LOG_LEVELS.INFO) => {
         return baseMsg;
     };
 
-    const log = (level, component, message, extra) => {
-        if (!shouldLog(level)) return;
+    const log = (level, component, message, extra = {}) => {
+        if (!shouldLog(level, component)) return;
 
-        const formattedMsg = formatMessage(level, component, message, extra);
+        const json = settings.format === LOG_FORMATS.JSON || settings.sink
+            ? JSON.stringify(buildRecord(level, component, message, extra))
+            : null;
+        if (settings.sink) writeToSink(json);
+        const formattedMsg = settings.format === LOG_FORMATS.JSON ? json : formatMessage(level, component, message, extra);
 
         switch (level) {
             case LOG_LEVELS.ERROR:
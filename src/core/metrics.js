@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Minimal Prometheus metrics registry (counters and histograms)
+ *
+ * One process-wide registry (`metrics`) is shared by every module; metric
+ * getters are idempotent, so a module declares the metrics it records at load
+ * time and the HTTP API renders all of them on `/metrics` in the Prometheus
+ * text exposition format (0.0.4).
+ */
+import { withLogContext, newLogId } from "./logger.js";
+
+/** Default latency buckets, seconds */
+export const DEFAULT_BUCKETS = Object.freeze([0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}` : "";
+};
+
+/**
+ * Picks the declared labels in a stable order (missing → "")
+ * @param {string[]} labelNames - Declared label names
+ * @param {Object} labels - Label values
+ * @returns {Object} Ordered labels
+ */
+const pickLabels = (labelNames, labels) =>
+    Object.fromEntries(labelNames.map(name => [name, labels[name] ?? ""]));
+
+/**
+ * Creates a metrics registry
+ * @returns {Object} Registry with counter / histogram / render / reset
+ */
+export const createMetricsRegistry = () => {
+    const registry = new Map();   // name → { type, help, labelNames, buckets, series: Map }
+
+    const declare = (name, type, help, labelNames, buckets = null) => {
+        const existing = registry.get(name);
+        if (existing) {
+            if (existing.type !== type) throw new Error(`Metric ${name} already registered as ${existing.type}`);
+            return existing;
+        }
+        const metric = { type, help, labelNames, buckets, series: new Map() };
+        registry.set(name, metric);
+        return metric;
+    };
+
+    const seriesFor = (metric, labels, init) => {
+        const picked = pickLabels(metric.labelNames, labels);
+        const key = JSON.stringify(picked);
+        if (!metric.series.has(key)) metric.series.set(key, { labels: picked, ...init() });
+        return metric.series.get(key);
+    };
+
+    /**
+     * Declares (or returns) a counter
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {string[]} [labelNames=[]] - Label names
+     * @returns {{inc: Function}} Counter
+     */
+    const counter = (name, help, labelNames = []) => {
+        const metric = declare(name, "counter", help, labelNames);
+        return Object.freeze({
+            inc: (labels = {}, by = 1) => { seriesFor(metric, labels, () => ({ value: 0 })).value += by; }
+        });
+    };
+
+    /**
+     * Declares (or returns) a histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {string[]} [labelNames=[]] - Label names
+     * @param {number[]} [buckets=DEFAULT_BUCKETS] - Upper bounds, ascending
+     * @returns {{observe: Function, startTimer: Function}} Histogram
+     */
+    const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+        const metric = declare(name, "histogram", help, labelNames, buckets);
+        const observe = (labels = {}, value) => {
+            const series = seriesFor(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+            metric.buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+            series.sum += value;
+            series.count++;
+        };
+        return Object.freeze({
+            observe,
+            /** Starts a timer; the returned function observes the elapsed seconds */
+            startTimer: (labels = {}) => {
+                const start = process.hrtime.bigint();
+                return (extraLabels = {}) => observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+            }
+        });
+    };
+
+    /**
+     * Renders every metric in the Prometheus text format
+     * @returns {string} Exposition text
+     */
+    const render = () => {
+        const lines = [];
+        for (const [name, metric] of registry) {
+            lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+            for (const series of metric.series.values()) {
+                if (metric.type === "counter") {
+                    lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                    continue;
+                }
+                metric.buckets.forEach((bound, i) =>
+                    lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`));
+                lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+                lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+            }
+        }
+        return lines.join("\n") + "\n";
+    };
+
+    return Object.freeze({
+        counter,
+        histogram,
+        render,
+        /** Clears recorded values, keeps declarations (tests) */
+        reset: () => registry.forEach(metric => metric.series.clear())
+    });
+};
+
+/** Process-wide registry */
+export const metrics = createMetricsRegistry();
+
+const scanDuration = metrics.histogram("tvsrocks_scan_duration_seconds",
+    "Duration of one scan pass, by scanner", ["scanner"]);
+
+/**
+ * Wraps a service's scan pass: its duration lands in tvsrocks_scan_duration_seconds
+ * and its log lines carry a fresh scan ID
+ * @param {string} scanner - Scanner id (premarket, market, rvol, catalyst, postmarket)
+ * @param {Function} scan - Async scan pass
+ * @returns {Function} Timed scan pass
+ */
+export const timeScan = (scanner, scan) => async (...args) => {
+    const stopTimer = scanDuration.startTimer({ scanner });
+    try {
+        return await withLogContext({ scanner, scanId: newLogId(scanner) }, () => scan(...args));
+    } finally {
+        stopTimer();
+    }
+};
@@ -1,14 +1,28 @@
 /**
  * @fileoverview Central service orchestrator for managing time-based execution
  */
-import { isPremarketTime, isMarketNow, isWeekend } from "./utils/index.js";
-import { createLogger } from "./logger.js";
+import {
+    isPremarketTime,
+    isMarketNow,
+    isPhaseNow,
+    nyTradingDay,
+    getCurrentNYTime,
+    isTimeInRange,
+    createMarketClosedMessage,
+    DEFAULT_SCHEDULE
+} from "./utils/index.js";
+import { createLogger, setLogContext } from "./logger.js";
 import { createStateManager } from "./utils/state.js";
 
+/**
+ * Every time util receives the same `now` so one cycle sees one consistent NY moment
+ */
 const DEFAULT_TIME_UTILS = {
     isPremarketTime,
     isMarketNow,
-    isWeekend,
+    isPhaseNow,
+    getTradingDay: nyTradingDay,
+    getNYTime: getCurrentNYTime,
     getNow: () => new Date()
 };
 
@@ -16,16 +30,47 @@ const DEFAULT_TIME_UTILS = {
  * Creates a service orchestrator
  * @param {Object} config - Configuration object
  * @param {Object} services - Map of services to manage
- * @param {Object} [timeUtils=DEFAULT_TIME_UTILS] - Optional time utilities for testing
+ * @param {Object} [timeUtils=DEFAULT_TIME_UTILS] - Optional time utilities for testing (merged over defaults)
+ * @param {Object|null} [telegramService=null] - Optional Telegram service for session notices
  * @returns {Object} Orchestrator instance
  */
-export const createOrchestrator = (config, services, timeUtils = DEFAULT_TIME_UTILS) => {
+export const createOrchestrator = (config, services, timeUtils = DEFAULT_TIME_UTILS, telegramService = null) => {
     const logger = createLogger();
+    const time = { ...DEFAULT_TIME_UTILS, ...timeUtils };
+    const schedule = {
+        ...DEFAULT_SCHEDULE,
+        ...(config.premarketHours && { premarket: config.premarketHours }),
+        ...config.schedule
+    };
     const stateManager = createStateManager({
         orchestratorTimer: null,
-        isProcessing: false
+        isProcessing: false,
+        closedNoticeDate: null
     });
 
+    /**
+     * Keeps every service off on exchange holidays and posts one notice per day
+     * @param {Object} tradingDay - Trading day description from the calendar
+     * @returns {Promise<void>}
+     */
+    const handleMarketClosedDay = async (tradingDay, now) => {
+        await Promise.all(
+            Object.values(services).map(async (service) => {
+                if (service?.getState?.().isRunning && service.stop) await service.stop();
+            })
+        );
+
+        const { closedNoticeDate } = stateManager.get();
+        const { hhmm } = time.getNYTime(now);
+        if (closedNoticeDate === tradingDay.date || !isTimeInRange(hhmm, schedule.premarket.start, "23:59")) return;
+
+        stateManager.update(() => ({ closedNoticeDate: tradingDay.date }));
+        logger.info('Orchestrator', `🏖 NYSE closed today (${tradingDay.name}). Scanners stay off.`);
+        if (telegramService) {
+            await telegramService.sendMessage(createMarketClosedMessage(tradingDay));
+        }
+    };
+
     /**
      * Main check logic that runs every interval
      */
@@ -36,15 +81,26 @@ export const createOrchestrator = (config, services, timeUtils = DEFAULT_TIME_UT
         try {
             stateManager.update(() => ({ isProcessing: true }));
 
-            const inPremarket = timeUtils.isPremarketTime(config.premarketHours);
-            const inMarket = timeUtils.isMarketNow();
-            const now = timeUtils.getNow();
-            const timeStr = now.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+            const now = time.getNow();
+            const tradingDay = time.getTradingDay(now);
+            if (tradingDay.isHoliday) {
+                setLogContext({ phase: 'closed' });
+                await handleMarketClosedDay(tradingDay, now);
+                return;
+            }
+
+            const inPremarket = time.isPremarketTime(schedule.premarket, now);
+            const inMarket = time.isMarketNow(schedule.market, now);
+            const { hhmm, weekday } = time.getNYTime(now);
+            // Trading phase on every log line until the next cycle
+            setLogContext({
+                phase: inPremarket ? 'premarket' : inMarket ? 'market' : time.isPhaseNow(schedule.postmarket, now) ? 'postmarket' : 'closed'
+            });
 
-            logger.info('Orchestrator', `--- Cycle Check [NY ${timeStr}] ---`);
-            logger.info('Orchestrator', `Phase: Premarket=${inPremarket ? 'YES' : 'NO'}, Market=${inMarket ? 'OPEN' : 'CLOSED'}`);
+            logger.info('Orchestrator', `--- Cycle Check [NY ${weekday} ${hhmm}] ---`);
+            logger.info('Orchestrator', `Phase: Premarket=${inPremarket ? 'YES' : 'NO'}, Market=${inMarket ? 'OPEN' : 'CLOSED'}${tradingDay.isEarlyClose ? ` (early close ${tradingDay.close})` : ''}`);
 
-            const { growthScanner, marketScanner, catalystScanner } = services;
+            const { growthScanner, premarketDashboard, marketScanner, rvolScanner, catalystScanner, postmarketScanner, eodReport, morningBriefing } = services;
 
             // 1. Manage Premarket Growth Scanner
             if (growthScanner && inPremarket) {
@@ -54,11 +110,23 @@ export const createOrchestrator = (config, services, timeUtils = DEFAULT_TIME_UT
                     logger.info('Orchestrator', '🌅 Premarket started. Starting Growth Scanner...');
                     await growthScanner.start();
                 }
+                if (premarketDashboard && !premarketDashboard.getState().isRunning) {
+                    await premarketDashboard.start();
+                }
             } else if (growthScanner) {
                 if (growthScanner.getState().isRunning) {
                     logger.info('Orchestrator', '🌅 Premarket ended. Stopping Growth Scanner...');
                     await growthScanner.stop();
                 }
+                if (premarketDashboard?.getState().isRunning) {
+                    logger.info('Orchestrator', '🌅 Archiving premarket dashboard...');
+                    await premarketDashboard.archive();
+                }
+            }
+
+            // 1b. Premarket briefing (once, inside the briefing window)
+            if (morningBriefing && schedule.briefing && time.isPhaseNow(schedule.briefing, now)) {
+                await morningBriefing.send();
             }
 
             // 2. Manage Market Scanner (Shadow Velocity)
@@ -74,17 +142,30 @@ export const createOrchestrator = (config, services, timeUtils = DEFAULT_TIME_UT
                     if (s.isRunning) {
                         logger.info('Orchestrator', '🔥 Market closed. Stopping Shadow Velocity Scanner...');
                         await marketScanner.stop();
+                        if (eodReport) await eodReport.send();
+                    }
+                }
+            }
+
+            // 2b. Manage RVOL Surge Scanner (regular session)
+            if (rvolScanner) {
+                const s = rvolScanner.getState();
+                logger.info('Orchestrator', `RvolScanner: ${s.isRunning ? 'RUNNING' : 'STOPPED'} (Alerts: ${s.alertCount})`);
+                if (inMarket) {
+                    if (!s.isRunning && !s.isStarting) {
+                        logger.info('Orchestrator', '⚡ Market opened. Starting RVOL Surge Scanner...');
+                        await rvolScanner.start();
                     }
+                } else if (s.isRunning) {
+                    logger.info('Orchestrator', '⚡ Market closed. Stopping RVOL Surge Scanner...');
+                    await rvolScanner.stop();
                 }
             }
 
             // 3. Manage Catalyst Sniper (Gap & Reverse)
             if (catalystScanner) {
-                const isOffDay = timeUtils.isWeekend(now);
-                const currentTimeStr = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-
-                const inCatalystSetup = !isOffDay && currentTimeStr >= "08:00" && currentTimeStr < "09:30";
-                const inCatalystActive = !isOffDay && currentTimeStr >= "09:30" && currentTimeStr < "13:30";
+                const inCatalystSetup = time.isPhaseNow(schedule.catalystSetup, now);
+                const inCatalystActive = time.isPhaseNow(schedule.catalystActive, now);
 
                 const s = catalystScanner.getState();
                 const mode = s.isRunning ? (s.isWatchlistOnly ? 'WATCHLIST' : 'ACTIVE') : 'OFF';
@@ -92,14 +173,14 @@ export const createOrchestrator = (config, services, timeUtils = DEFAULT_TIME_UT
 
                 if (inCatalystSetup) {
                     if (!s.isRunning) {
-                        logger.info('Orchestrator', '🎯 Catalyst setup phase (08:00-09:30). Starting Watchlist build...');
+                        logger.info('Orchestrator', `🎯 Catalyst setup phase (${schedule.catalystSetup.start}-${schedule.catalystSetup.end}). Starting Watchlist build...`);
                         await catalystScanner.start('watchlist');
                     } else if (!s.isWatchlistOnly) {
                         catalystScanner.setMode('watchlist');
                     }
                 } else if (inCatalystActive) {
                     if (!s.isRunning) {
-                        logger.info('Orchestrator', '🎯 Catalyst active phase (09:30-13:30). Starting alerts...');
+                        logger.info('Orchestrator', `🎯 Catalyst active phase (${schedule.catalystActive.start}-${schedule.catalystActive.end}). Starting alerts...`);
                         await catalystScanner.start('active');
                     } else if (s.isWatchlistOnly) {
                         catalystScanner.setMode('active');
@@ -111,6 +192,22 @@ export const createOrchestrator = (config, services, timeUtils = DEFAULT_TIME_UT
                     }
                 }
             }
+
+            // 4. Manage After-Hours Scanner (16:00-20:00, shifted on early-close days)
+            if (postmarketScanner) {
+                const inPostmarket = time.isPhaseNow(schedule.postmarket, now);
+                const s = postmarketScanner.getState();
+                logger.info('Orchestrator', `PostmarketScanner: ${s.isRunning ? 'RUNNING' : 'STOPPED'} (Alerts: ${s.alertCount})`);
+                if (inPostmarket) {
+                    if (!s.isRunning && !s.isStarting) {
+                        logger.info('Orchestrator', '🌙 After-hours started. Starting Postmarket Scanner...');
+                        await postmarketScanner.start();
+                    }
+                } else if (s.isRunning) {
+                    logger.info('Orchestrator', '🌙 After-hours ended. Stopping Postmarket Scanner...');
+                    await postmarketScanner.stop();
+                }
+            }
         } catch (error) {
             logger.error('Orchestrator', `Error in check cycle: ${error.message}`);
         } finally {
@@ -143,7 +240,7 @@ export const createOrchestrator = (config, services, timeUtils = DEFAULT_TIME_UT
         // Stop all services concurrently and wait for their termination
         await Promise.all(
             Object.values(services).map(async (service) => {
-                if (service.stop) {
+                if (service?.stop) {
                     try {
                         await service.stop();
                     } catch (e) {
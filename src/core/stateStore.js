@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Pluggable state store for persisting scanner memory across restarts
+ *
+ * Backends:
+ *   - file   — single JSON document, written atomically (tmp + rename)
+ *   - sqlite — one row per namespace (requires Node >= 22.5, `node:sqlite`)
+ *   - memory — no persistence (tests / explicit opt-out)
+ *
+ * Every snapshot is stamped with the NY trading day it was taken on.
+ * Snapshots from a previous trading day are treated as expired on load,
+ * unless the caller asks for `{ persistent: true }` (settings such as mutes).
+ */
+import fs from "fs/promises";
+import path from "path";
+import { createRequire } from "module";
+import { createLogger } from "./logger.js";
+import { ConfigurationError } from "./errorHandler.js";
+import { nyDate } from "./utils/time.js";
+
+/**
+ * @typedef {Object} StateStore
+ * @property {Function} load - Loads a namespace snapshot (null if missing or expired); `load(ns, { persistent: true })` skips expiry
+ * @property {Function} save - Saves a namespace snapshot for the current trading day
+ * @property {Function} clear - Removes a namespace snapshot
+ * @property {Function} close - Flushes pending writes and releases resources
+ */
+
+/**
+ * @typedef {Object} StoredSnapshot
+ * @property {string} tradingDay - NY trading day (YYYY-MM-DD) the snapshot belongs to
+ * @property {number} savedAt - Epoch ms when the snapshot was written
+ * @property {any} data - Service-defined payload
+ */
+
+// ─── SERIALIZATION ──────────────────────────────────────────────────────────
+
+/**
+ * JSON replacer that keeps Map and Set instances intact
+ */
+const replacer = (key, value) => {
+    if (value instanceof Map) return { __type: "Map", entries: [...value.entries()] };
+    if (value instanceof Set) return { __type: "Set", values: [...value.values()] };
+    return value;
+};
+
+/**
+ * JSON reviver that restores Map and Set instances
+ */
+const reviver = (key, value) => {
+    if (value && typeof value === "object") {
+        if (value.__type === "Map" && Array.isArray(value.entries)) return new Map(value.entries);
+        if (value.__type === "Set" && Array.isArray(value.values)) return new Set(value.values);
+    }
+    return value;
+};
+
+/**
+ * Serializes state to JSON, preserving Maps and Sets
+ * @param {any} value - Value to serialize
+ * @returns {string} JSON string
+ */
+export const serializeState = (value) => JSON.stringify(value, replacer);
+
+/**
+ * Parses JSON produced by serializeState
+ * @param {string} json - JSON string
+ * @returns {any} Restored value
+ */
+export const deserializeState = (json) => JSON.parse(json, reviver);
+
+/**
+ * Checks whether a stored snapshot belongs to the given trading day
+ * @param {StoredSnapshot|null|undefined} snapshot - Stored snapshot
+ * @param {string} tradingDay - Current NY trading day
+ * @returns {boolean} True if the snapshot is still valid
+ */
+export const isSnapshotFresh = (snapshot, tradingDay) =>
+    Boolean(snapshot) && snapshot.tradingDay === tradingDay;
+
+// ─── BACKENDS ───────────────────────────────────────────────────────────────
+
+/**
+ * Creates an in-memory store (no persistence)
+ * @param {Function} [getTradingDay=nyDate] - Trading day resolver (injectable for testing)
+ * @returns {StateStore} Store instance
+ */
+export const createMemoryStateStore = (getTradingDay = nyDate) => {
+    const snapshots = new Map();
+
+    return Object.freeze({
+        backend: "memory",
+        load: async (namespace, { persistent = false } = {}) => {
+            const snapshot = snapshots.get(namespace);
+            if (!snapshot || (!persistent && !isSnapshotFresh(snapshot, getTradingDay()))) return null;
+            return deserializeState(snapshot.data);
+        },
+        save: async (namespace, data) => {
+            snapshots.set(namespace, {
+                tradingDay: getTradingDay(),
+                savedAt: Date.now(),
+                data: serializeState(data)
+            });
+        },
+        clear: async (namespace) => { snapshots.delete(namespace); },
+        close: async () => { }
+    });
+};
+
+/**
+ * Creates a JSON file backed store
+ * @param {string} filePath - Path to the JSON document
+ * @param {Function} [getTradingDay=nyDate] - Trading day resolver (injectable for testing)
+ * @returns {StateStore} Store instance
+ */
+export const createFileStateStore = (filePath, getTradingDay = nyDate) => {
+    const logger = createLogger();
+    let doc = null;
+    let writeChain = Promise.resolve();
+
+    const readDoc = async () => {
+        if (doc) return doc;
+        try {
+            const raw = await fs.readFile(filePath, "utf8");
+            const parsed = JSON.parse(raw);
+            doc = parsed && typeof parsed.namespaces === "object" ? parsed : { namespaces: {} };
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.warn("StateStore", `Unreadable state file ${filePath}, starting fresh: ${error.message}`);
+            }
+            doc = { namespaces: {} };
+        }
+        return doc;
+    };
+
+    // Writes are serialized so concurrent saves never interleave on disk
+    const flush = () => {
+        writeChain = writeChain
+            .then(async () => {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                const tmpPath = `${filePath}.tmp`;
+                await fs.writeFile(tmpPath, JSON.stringify(doc));
+                await fs.rename(tmpPath, filePath);
+            })
+            .catch(error => {
+                logger.error("StateStore", `Failed to write ${filePath}: ${error.message}`);
+            });
+        return writeChain;
+    };
+
+    return Object.freeze({
+        backend: "file",
+        load: async (namespace, { persistent = false } = {}) => {
+            const { namespaces } = await readDoc();
+            const snapshot = namespaces[namespace];
+            if (!snapshot || (!persistent && !isSnapshotFresh(snapshot, getTradingDay()))) return null;
+            return deserializeState(snapshot.data);
+        },
+        save: async (namespace, data) => {
+            const current = await readDoc();
+            current.namespaces[namespace] = {
+                tradingDay: getTradingDay(),
+                savedAt: Date.now(),
+                data: serializeState(data)
+            };
+            await flush();
+        },
+        clear: async (namespace) => {
+            const current = await readDoc();
+            delete current.namespaces[namespace];
+            await flush();
+        },
+        close: async () => { await writeChain; }
+    });
+};
+
+/**
+ * Whether this runtime ships `node:sqlite` (Node >= 22.5; checked at startup, so
+ * STATE_BACKEND=sqlite fails loudly instead of losing every save)
+ * @returns {boolean} True if the sqlite backend can be used
+ */
+export const isSqliteSupported = () => {
+    try {
+        createRequire(import.meta.url)("node:sqlite");
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Creates a SQLite backed store (lazy-loads `node:sqlite`)
+ * @param {string} filePath - Path to the SQLite database file
+ * @param {Function} [getTradingDay=nyDate] - Trading day resolver (injectable for testing)
+ * @returns {StateStore} Store instance
+ */
+export const createSqliteStateStore = (filePath, getTradingDay = nyDate) => {
+    let dbPromise = null;
+
+    const getDb = () => {
+        if (!dbPromise) {
+            dbPromise = (async () => {
+                const { DatabaseSync } = await import("node:sqlite");
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                const db = new DatabaseSync(filePath);
+                db.exec(`CREATE TABLE IF NOT EXISTS scanner_state (
+                    namespace   TEXT PRIMARY KEY,
+                    trading_day TEXT NOT NULL,
+                    saved_at    INTEGER NOT NULL,
+                    data        TEXT NOT NULL
+                )`);
+                return db;
+            })();
+        }
+        return dbPromise;
+    };
+
+    return Object.freeze({
+        backend: "sqlite",
+        load: async (namespace, { persistent = false } = {}) => {
+            const db = await getDb();
+            const row = db.prepare(
+                "SELECT trading_day AS tradingDay, saved_at AS savedAt, data FROM scanner_state WHERE namespace = ?"
+            ).get(namespace);
+            if (!row || (!persistent && !isSnapshotFresh(row, getTradingDay()))) return null;
+            return deserializeState(row.data);
+        },
+        save: async (namespace, data) => {
+            const db = await getDb();
+            db.prepare(
+                `INSERT INTO scanner_state (namespace, trading_day, saved_at, data) VALUES (?, ?, ?, ?)
+                 ON CONFLICT(namespace) DO UPDATE SET
+                    trading_day = excluded.trading_day, saved_at = excluded.saved_at, data = excluded.data`
+            ).run(namespace, getTradingDay(), Date.now(), serializeState(data));
+        },
+        clear: async (namespace) => {
+            const db = await getDb();
+            db.prepare("DELETE FROM scanner_state WHERE namespace = ?").run(namespace);
+        },
+        close: async () => {
+            if (!dbPromise) return;
+            const db = await dbPromise;
+            db.close();
+            dbPromise = null;
+        }
+    });
+};
+
+// ─── FACTORY ────────────────────────────────────────────────────────────────
+
+/**
+ * Creates the configured state store
+ * @param {Object} config - Configuration object
+ * @returns {StateStore} Store instance
+ */
+export const createStateStore = (config) => {
+    const { backend = "file", path: storePath } = config.stateStore || {};
+
+    switch (backend) {
+        case "sqlite":
+            if (!isSqliteSupported()) {
+                throw new ConfigurationError(`STATE_BACKEND=sqlite needs Node >= 22.5 (running ${process.version})`, "STATE_BACKEND");
+            }
+            return createSqliteStateStore(storePath || "data/state.db");
+        case "memory":
+            return createMemoryStateStore();
+        case "file":
+            return createFileStateStore(storePath || "data/state.json");
+        default:
+            throw new ConfigurationError(`Unknown state store backend: ${backend}`, "STATE_BACKEND");
+    }
+};
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview NYSE trading calendar — full holidays and 13:00 ET early closes
+ *
+ * Holidays are derived from the exchange rules, so every year is covered
+ * without a hand-maintained table:
+ *   - Fixed-date holidays move to Monday when they fall on Sunday and to Friday
+ *     when they fall on Saturday (except New Year's Day, which is not observed
+ *     on the preceding Friday).
+ *   - Early closes: July 3 (Mon–Thu), the day after Thanksgiving, Christmas Eve (Mon–Thu).
+ * One-off closures (e.g. national days of mourning) live in SPECIAL_CLOSURES.
+ */
+
+/**
+ * @typedef {Object} TradingDayInfo
+ * @property {string} date - NY date (YYYY-MM-DD)
+ * @property {boolean} isTradingDay - True if the exchange is open at all
+ * @property {boolean} isHoliday - True if the exchange is closed for a holiday
+ * @property {boolean} isWeekend - True on Saturday/Sunday
+ * @property {boolean} isEarlyClose - True on 13:00 ET early-close days
+ * @property {string|null} name - Holiday / early-close name
+ * @property {string|null} close - Regular session close (HH:MM) or null when closed
+ */
+
+export const REGULAR_CLOSE = "16:00";
+export const EARLY_CLOSE = "13:00";
+
+/**
+ * Unscheduled full-day closures announced by the exchange
+ */
+export const SPECIAL_CLOSURES = Object.freeze({
+    "2025-01-09": "National Day of Mourning (Jimmy Carter)"
+});
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/**
+ * Formats a UTC date as YYYY-MM-DD
+ * @param {Date} d - Date (UTC based)
+ * @returns {string} Date string
+ */
+const toKey = (d) => `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+
+const utc = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+const addDays = (d, days) => new Date(d.getTime() + days * 86_400_000);
+
+/**
+ * Finds the n-th weekday of a month (n = -1 for the last one)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} weekday - Day of week (0 = Sun … 6 = Sat)
+ * @param {number} n - Occurrence (1-based, -1 = last)
+ * @returns {Date} UTC date
+ */
+const nthWeekday = (year, month, weekday, n) => {
+    if (n === -1) {
+        const last = utc(year, month + 1, 0);
+        return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+    }
+    const first = utc(year, month, 1);
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return addDays(first, offset + (n - 1) * 7);
+};
+
+/**
+ * Computes Easter Sunday (Anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {Date} UTC date
+ */
+const easterSunday = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return utc(year, month, day);
+};
+
+/**
+ * Shifts a fixed-date holiday to its observed weekday
+ * @param {Date} d - Actual holiday date
+ * @returns {Date} Observed date
+ */
+const observed = (d) => {
+    const dow = d.getUTCDay();
+    if (dow === 6) return addDays(d, -1);
+    if (dow === 0) return addDays(d, 1);
+    return d;
+};
+
+const holidayCache = new Map();
+const earlyCloseCache = new Map();
+
+/**
+ * Gets NYSE full-day holidays for a year
+ * @param {number} year - Year
+ * @returns {Map<string, string>} Map of YYYY-MM-DD → holiday name
+ */
+export const getMarketHolidays = (year) => {
+    if (holidayCache.has(year)) return holidayCache.get(year);
+
+    const list = [];
+
+    // New Year's Day: Sunday → Monday; Saturday is not observed on Dec 31
+    const newYear = utc(year, 1, 1);
+    if (newYear.getUTCDay() !== 6) list.push([observed(newYear), "New Year's Day"]);
+
+    list.push([nthWeekday(year, 1, 1, 3), "Martin Luther King Jr. Day"]);
+    list.push([nthWeekday(year, 2, 1, 3), "Washington's Birthday"]);
+    list.push([addDays(easterSunday(year), -2), "Good Friday"]);
+    list.push([nthWeekday(year, 5, 1, -1), "Memorial Day"]);
+    if (year >= 2022) list.push([observed(utc(year, 6, 19)), "Juneteenth"]);
+    list.push([observed(utc(year, 7, 4)), "Independence Day"]);
+    list.push([nthWeekday(year, 9, 1, 1), "Labor Day"]);
+    list.push([nthWeekday(year, 11, 4, 4), "Thanksgiving Day"]);
+    list.push([observed(utc(year, 12, 25)), "Christmas Day"]);
+
+    const holidays = new Map(list.map(([d, name]) => [toKey(d), name]));
+    for (const [date, name] of Object.entries(SPECIAL_CLOSURES)) {
+        if (date.startsWith(`${year}-`)) holidays.set(date, name);
+    }
+
+    holidayCache.set(year, holidays);
+    return holidays;
+};
+
+/**
+ * Gets NYSE 13:00 ET early-close days for a year
+ * @param {number} year - Year
+ * @returns {Map<string, string>} Map of YYYY-MM-DD → reason
+ */
+export const getEarlyCloses = (year) => {
+    if (earlyCloseCache.has(year)) return earlyCloseCache.get(year);
+
+    const closes = new Map();
+    const isMonToThu = (d) => d.getUTCDay() >= 1 && d.getUTCDay() <= 4;
+
+    const july3 = utc(year, 7, 3);
+    if (isMonToThu(july3)) closes.set(toKey(july3), "Independence Day Eve");
+
+    closes.set(toKey(addDays(nthWeekday(year, 11, 4, 4), 1)), "Day after Thanksgiving");
+
+    const christmasEve = utc(year, 12, 24);
+    if (isMonToThu(christmasEve)) closes.set(toKey(christmasEve), "Christmas Eve");
+
+    earlyCloseCache.set(year, closes);
+    return closes;
+};
+
+/**
+ * Describes the trading session for a NY date
+ * @param {string} date - NY date (YYYY-MM-DD)
+ * @returns {TradingDayInfo} Trading day description
+ */
+export const getTradingDayInfo = (date) => {
+    const [year, month, day] = date.split("-").map(Number);
+    const dow = utc(year, month, day).getUTCDay();
+    const isWeekendDay = dow === 0 || dow === 6;
+
+    const holidayName = getMarketHolidays(year).get(date) || null;
+    const earlyName = getEarlyCloses(year).get(date) || null;
+
+    const isHoliday = !isWeekendDay && Boolean(holidayName);
+    const isTradingDay = !isWeekendDay && !isHoliday;
+    const isEarlyClose = isTradingDay && Boolean(earlyName);
+
+    return Object.freeze({
+        date,
+        isTradingDay,
+        isHoliday,
+        isWeekend: isWeekendDay,
+        isEarlyClose,
+        name: isHoliday ? holidayName : (isEarlyClose ? earlyName : null),
+        close: isTradingDay ? (isEarlyClose ? EARLY_CLOSE : REGULAR_CLOSE) : null
+    });
+};
+
+/**
+ * Checks if the exchange is closed for a holiday on a NY date
+ * @param {string} date - NY date (YYYY-MM-DD)
+ * @returns {boolean} True on full-day holidays
+ */
+export const isMarketHoliday = (date) => getTradingDayInfo(date).isHoliday;
+
+/**
+ * Checks if a NY date is a 13:00 ET early-close day
+ * @param {string} date - NY date (YYYY-MM-DD)
+ * @returns {boolean} True on early-close days
+ */
+export const isEarlyClose = (date) => getTradingDayInfo(date).isEarlyClose;
@@ -1,6 +1,7 @@
 /**
  * @fileoverview Formatting utilities for financial data and tokens
  */
+import { DEFAULT_SCHEDULE } from './time.js';
 
 /**
  * @typedef {Object} StockData
@@ -66,6 +67,80 @@ export const createStockMessage = (stock, isUpdate = false, prevChange = null, c
     ].join('\n');
 };
 
+/**
+ * Creates formatted message for an after-hours (postmarket) alert
+ * @param {Object} stock - Mapped postmarket stock (see TvScanner.mapPostmarketRow)
+ * @param {boolean} isUpdate - Whether this is an update to an existing alert
+ * @param {number|null} prevChange - Previous reported postmarket change percentage
+ * @param {number} count - Current alert count for this stock
+ * @returns {string} Formatted message for Telegram
+ */
+export const createPostmarketMessage = (stock, isUpdate = false, prevChange = null, count = 1) => {
+    const fmtPrice = (v) => (v === null || v === undefined || Number.isNaN(v) || v === 0) ? "-" : `$${Number(v).toFixed(2)}`;
+    const change = Number.isFinite(stock.postmarket_change) ? `${stock.postmarket_change.toFixed(2)}%` : "-";
+    const dollarVolRaw = (Number(stock.postmarket_volume) || 0) * (Number(stock.postmarket_close) || 0);
+    const dollarVolStr = dollarVolRaw > 0 ? `$${formatNum(dollarVolRaw)}` : "-";
+
+    const emoji = stock.postmarket_change < 0 ? "🔻" : (isUpdate ? "📈" : "🚀");
+    const changeSuffix = isUpdate && prevChange !== null && prevChange !== undefined ? ` (was ${prevChange.toFixed(2)}%)` : "";
+    const stepPrefix = count > 1 ? `[STEP #${count}] ` : "";
+
+    return [
+        `${stepPrefix}🌙 AH ${emoji} ${stock.symbol}`,
+        `• AH Price: ${fmtPrice(stock.postmarket_close)} (close ${fmtPrice(stock.close)})`,
+        `• AH Change: ${change}${changeSuffix}`,
+        `• Float: ${formatNum(stock.float_shares_outstanding)}`,
+        `• AH Vol: ${formatNum(stock.postmarket_volume)}`,
+        `• $Dol-Vol$: ${dollarVolStr}`,
+    ].join('\n');
+};
+
+/**
+ * Creates status message for after-hours scanner start/stop
+ * @param {boolean} isStarting - True if starting, false if stopping
+ * @param {{start: string, end: string}} [window=DEFAULT_SCHEDULE.postmarket] - Postmarket window (ET)
+ * @returns {string} Formatted status message
+ */
+export const createPostmarketStatusMessage = (isStarting, window = DEFAULT_SCHEDULE.postmarket) =>
+    isStarting
+        ? `🌙 ScreenStonks after-hours scanner started (ET ${window.start}–${window.end})`
+        : "🌙 ScreenStonks after-hours scanner stopped";
+
+/**
+ * Creates formatted message for an intraday RVOL surge
+ * @param {Object} stock - Market row (mapMarketRow)
+ * @param {boolean} [isUpdate=false] - Whether this is a repeated alert
+ * @param {number|null} [prevRvol=null] - RVOL at the previous alert
+ * @param {number} [count=1] - Current alert count for this stock
+ * @returns {string} Formatted message for Telegram
+ */
+export const createRvolMessage = (stock, isUpdate = false, prevRvol = null, count = 1) => {
+    const fmtPct = (v) => Number.isFinite(v) ? `${v > 0 ? "+" : ""}${v.toFixed(2)}%` : "-";
+    const emoji = isUpdate ? "📈" : "🚀";
+    const rvolSuffix = isUpdate && prevRvol !== null && prevRvol !== undefined ? ` (was ${prevRvol.toFixed(1)}x)` : "";
+    const stepPrefix = count > 1 ? `[STEP #${count}] ` : "";
+
+    return [
+        `${stepPrefix}⚡ RVOL ${emoji} ${stock.symbol}`,
+        `• RVOL 5m: ${stock.rvol_intraday_5m.toFixed(1)}x${rvolSuffix}`,
+        `• Price: ${stock.close ? `$${stock.close.toFixed(2)}` : "-"} | Change: ${fmtPct(stock.change)}`,
+        `• Float: ${formatNum(stock.float_shares_outstanding)}`,
+        `• Vol: ${formatNum(stock.volume)} | $Value: ${stock.value_traded > 0 ? `$${formatNum(stock.value_traded)}` : "-"}`,
+        `• Premarket: ${fmtPct(stock.premarket_change)}`,
+    ].join('\n');
+};
+
+/**
+ * Creates status message for RVOL surge scanner start/stop
+ * @param {boolean} isStarting - True if starting, false if stopping
+ * @param {{start: string, end: string}} [window=DEFAULT_SCHEDULE.market] - Regular session window (ET)
+ * @returns {string} Formatted status message
+ */
+export const createRvolStatusMessage = (isStarting, window = DEFAULT_SCHEDULE.market) =>
+    isStarting
+        ? `⚡ ScreenStonks RVOL surge scanner started (ET ${window.start}–${window.end})`
+        : "⚡ ScreenStonks RVOL surge scanner stopped";
+
 /**
  * Creates status message for scanner start/stop
  * @param {boolean} isStarting - True if starting, false if stopping
@@ -76,6 +151,42 @@ export const createStatusMessage = (createStatusMessage) =>
         ? "🟢 ScreenStonks premarket watcher started (ET 04:00–09:30)"
         : "🔴 ScreenStonks premarket watcher stopped (outside ET 04:00–09:30)";
 
+/**
+ * Creates the "market closed today" notice for exchange holidays
+ * @param {Object} tradingDay - Trading day description from the calendar
+ * @param {string} tradingDay.date - NY date (YYYY-MM-DD)
+ * @param {string|null} tradingDay.name - Holiday name
+ * @returns {string} Formatted notice
+ */
+export const createMarketClosedMessage = (tradingDay) =>
+    `🏖 NYSE closed today — ${tradingDay.name || "holiday"} (${tradingDay.date}). Scanners stay off.`;
+
+/**
+ * Creates the TradingView circuit breaker notice (one per open / close)
+ * @param {Object} event - Circuit event from tradingview.js
+ * @param {string} event.state - "open" or "closed"
+ * @param {number} [event.status] - HTTP status that opened the circuit
+ * @param {number} [event.failures] - Auth failures in a row
+ * @param {number} [event.retryAt] - Probe time, ms
+ * @returns {string} Formatted notice
+ */
+export const createTvCircuitMessage = (event) => event.state === "open"
+    ? `⚠️ TV cookie expired — TradingView answered ${event.status} to ${event.failures} requests in a row. ` +
+      `Scans are paused; next check in ${Math.max(1, Math.round((event.retryAt - Date.now()) / 60_000))} min. Update TV_COOKIE or send /tvcookie <cookie> from the admin chat.`
+    : "✅ TradingView is answering again. Scans resumed.";
+
+/**
+ * Creates the TradingView data mode notice (anonymous delayed data ↔ real-time)
+ * @param {Object} event - Session event from tradingview.js
+ * @param {string} event.state - "delayed" or "realtime"
+ * @param {number} [event.share] - Share of delayed rows, 0..1
+ * @returns {string} Formatted notice
+ */
+export const createTvSessionMessage = (event) => event.state === "delayed"
+    ? `⚠️ TV session looks anonymous — ${Math.round(event.share * 100)}% of rows are delayed. ` +
+      "Alerts run on 15-min old prices. Send /tvcookie <cookie> from the admin chat."
+    : "✅ TradingView data is real-time again.";
+
 /**
  * Creates a startup message with configuration parameters
  * @param {Config} config - Configuration object
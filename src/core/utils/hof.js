@@ -2,7 +2,9 @@
  * @fileoverview Higher-order functions for functional programming patterns
  */
 
-import { nowTs } from './time.js';
+import { createLogger } from '../logger.js';
+
+const logger = createLogger();
 
 /**
  * @typedef {Function} AsyncFunction
@@ -22,7 +24,7 @@ export const withRetry = (asyncFn, maxRetries = 2) => async (...args) => {
             return await asyncFn(...args);
         } catch (error) {
             if (attempt === maxRetries) throw error;
-            console.warn(`Retry ${attempt + 1}/${maxRetries + 1} failed:`, error.message);
+            logger.warn('Hof', `Retry ${attempt + 1}/${maxRetries + 1} failed: ${error.message}`);
         }
     }
 };
@@ -34,23 +36,22 @@ export const withRetry = (asyncFn, maxRetries = 2) => async (...args) => {
  * @returns {Function} Function with logging
  */
 export const withLogging = (fn, logPrefix) => (...args) => {
-    const ts = nowTs();
-    console.log(`[${ts}] ${logPrefix}...`);
+    logger.info('Hof', `${logPrefix}...`);
     const result = fn(...args);
 
     if (result instanceof Promise) {
         return result
             .then(res => {
-                console.log(`[${ts}] ✓ ${logPrefix} completed`);
+                logger.info('Hof', `✓ ${logPrefix} completed`);
                 return res;
             })
             .catch(err => {
-                console.error(`[${ts}] ✖ ${logPrefix} failed:`, err.message);
+                logger.error('Hof', `✖ ${logPrefix} failed: ${err.message}`);
                 throw err;
             });
     }
 
-    console.log(`[${ts}] ✓ ${logPrefix} completed`);
+    logger.info('Hof', `✓ ${logPrefix} completed`);
     return result;
 };
 
@@ -7,19 +7,40 @@
 export {
     nowTs,
     nyNow as getCurrentNYTime,
+    nyDate,
+    nyTradingDay,
     isTimeInRange,
     isWeekend,
+    isPhaseNow,
+    resolvePhaseWindow,
+    DEFAULT_SCHEDULE,
     isPremarketNow as isPremarketTime,
     isMarketNow
 } from './time.js';
 
+// Re-export trading calendar
+export {
+    getTradingDayInfo,
+    getMarketHolidays,
+    getEarlyCloses,
+    isMarketHoliday,
+    isEarlyClose
+} from './calendar.js';
+
 // Re-export formatting utilities
 export {
     maskToken,
     formatNum,
     createStockMessage,
     createStatusMessage,
-    createStartupMessage
+    createPostmarketMessage,
+    createPostmarketStatusMessage,
+    createRvolMessage,
+    createRvolStatusMessage,
+    createStartupMessage,
+    createMarketClosedMessage,
+    createTvCircuitMessage,
+    createTvSessionMessage
 } from './format.js';
 
 // Re-export state management
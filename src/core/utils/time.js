@@ -2,6 +2,8 @@
  * @fileoverview Time and timezone utilities for stock market operations
  */
 
+import { getTradingDayInfo, REGULAR_CLOSE } from './calendar.js';
+
 /**
  * @typedef {Object} NYTime
  * @property {string} hhmm - Time in HH:MM format
@@ -22,25 +24,57 @@ export const nowTs = () =>
     new Date().toISOString().split("T")[1].split(".")[0];
 
 /**
- * Gets current New York time with timezone handling (including DST)
+ * Gets New York time with timezone handling (including DST)
+ * @param {Date} [date=new Date()] - Moment to convert
  * @returns {NYTime} Object with hhmm and weekday properties
  */
-export const nyNow = () => {
+export const nyNow = (date = new Date()) => {
     const fmt = new Intl.DateTimeFormat("en-US", {
         timeZone: "America/New_York",
-        hour12: false,
+        hourCycle: "h23",
         year: "numeric", month: "2-digit", day: "2-digit",
         hour: "2-digit", minute: "2-digit", second: "2-digit"
     });
-    const parts = Object.fromEntries(fmt.formatToParts(new Date()).map(p => [p.type, p.value]));
+    const parts = Object.fromEntries(fmt.formatToParts(date).map(p => [p.type, p.value]));
     const hhmm = `${parts.hour}:${parts.minute}`;
     const weekday = new Intl.DateTimeFormat("en-US", {
         timeZone: "America/New_York",
         weekday: "short"
-    }).format(new Date());
+    }).format(date);
     return Object.freeze({ hhmm, weekday });
 };
 
+/**
+ * Gets the New York calendar date, used as the trading-day key
+ * @param {Date} [date=new Date()] - Moment to convert
+ * @returns {string} Date in YYYY-MM-DD format (America/New_York)
+ */
+export const nyDate = (date = new Date()) => {
+    const fmt = new Intl.DateTimeFormat("en-US", {
+        timeZone: "America/New_York",
+        year: "numeric", month: "2-digit", day: "2-digit"
+    });
+    const parts = Object.fromEntries(fmt.formatToParts(date).map(p => [p.type, p.value]));
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+const NY_TIMESTAMP_FORMAT = new Intl.DateTimeFormat("en-US", {
+    timeZone: "America/New_York",
+    hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit"
+});
+
+/**
+ * Gets the New York wall-clock timestamp (log lines)
+ * @param {Date} [date=new Date()] - Moment to convert
+ * @returns {string} Timestamp in "YYYY-MM-DD HH:MM:SS" format (America/New_York)
+ */
+export const nyTimestamp = (date = new Date()) => {
+    const parts = Object.fromEntries(NY_TIMESTAMP_FORMAT.formatToParts(date).map(p => [p.type, p.value]));
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
 /**
  * Converts HH:MM time string to minutes since midnight
  * @param {string} hhmm - Time in HH:MM format
@@ -73,20 +107,83 @@ export const isTimeInRange = (currentTime, startTime, endTime) => {
 };
 
 /**
- * Checks if current time is within premarket hours (ET, Mon-Fri)
- * @param {MarketHours} premarketHours - Premarket time configuration
- * @returns {boolean} True if currently in premarket hours
+ * Gets the NYSE session description for the current NY date
+ * @param {Date} [date=new Date()] - Moment to check
+ * @returns {import('./calendar.js').TradingDayInfo} Trading day description
  */
-export const isPremarketNow = (premarketHours) => {
-    const { hhmm, weekday } = nyNow();
-    return !isWeekend(weekday) && isTimeInRange(hhmm, premarketHours.start, premarketHours.end);
+export const nyTradingDay = (date = new Date()) => getTradingDayInfo(nyDate(date));
+
+/**
+ * Default NY-time phase windows (overridable through config.schedule)
+ */
+export const DEFAULT_SCHEDULE = Object.freeze({
+    premarket: Object.freeze({ start: "04:00", end: "09:30" }),
+    catalystSetup: Object.freeze({ start: "08:00", end: "09:30" }),
+    briefing: Object.freeze({ start: "09:25", end: "09:30" }),
+    catalystActive: Object.freeze({ start: "09:30", end: "13:30" }),
+    market: Object.freeze({ start: "09:30", end: "16:00" }),
+    postmarket: Object.freeze({ start: "16:00", end: "20:00" })
+});
+
+/**
+ * Converts minutes since midnight back to HH:MM
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time in HH:MM format
+ */
+const minToHhmm = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+/**
+ * Resolves a phase window for a trading day.
+ * On 13:00 early-close days:
+ *   - windows that start before the close end no later than the close
+ *   - after-close windows (starting at/after 16:00) move earlier with the close,
+ *     so the 16:00–20:00 after-hours phase becomes 13:00–17:00
+ * @param {MarketHours} window - Configured window
+ * @param {Object} tradingDay - Trading day description from the calendar
+ * @returns {MarketHours|null} Effective window or null when the exchange is closed
+ */
+export const resolvePhaseWindow = (window, tradingDay) => {
+    if (!window || !tradingDay.isTradingDay) return null;
+    const close = hhmmToMin(tradingDay.close);
+    const regularClose = hhmmToMin(REGULAR_CLOSE);
+    const start = hhmmToMin(window.start);
+    const end = hhmmToMin(window.end);
+
+    if (start >= regularClose) {
+        const shift = regularClose - close;
+        return { start: minToHhmm(start - shift), end: minToHhmm(end - shift) };
+    }
+    return { start: window.start, end: start < close && end > close ? tradingDay.close : window.end };
 };
 
 /**
- * Checks if current time is within regular market hours (ET, Mon-Fri, 09:30-16:00)
- * @returns {boolean} True if currently in regular market hours
+ * Checks if a moment falls inside a NY-time phase window on a trading day
+ * @param {MarketHours} window - Phase window (NY time)
+ * @param {Date} [date=new Date()] - Moment to check
+ * @returns {boolean} True if the phase is active
  */
-export const isMarketNow = () => {
-    const { hhmm, weekday } = nyNow();
-    return !isWeekend(weekday) && isTimeInRange(hhmm, "09:30", "16:00");
+export const isPhaseNow = (window, date = new Date()) => {
+    const effective = resolvePhaseWindow(window, nyTradingDay(date));
+    if (!effective) return false;
+    return isTimeInRange(nyNow(date).hhmm, effective.start, effective.end);
 };
+
+/**
+ * Checks if a moment is within premarket hours (ET, NYSE trading days)
+ * @param {MarketHours} [premarketHours=DEFAULT_SCHEDULE.premarket] - Premarket window
+ * @param {Date} [date=new Date()] - Moment to check
+ * @returns {boolean} True if in premarket hours
+ */
+export const isPremarketNow = (premarketHours = DEFAULT_SCHEDULE.premarket, date = new Date()) =>
+    isPhaseNow(premarketHours, date);
+
+/**
+ * Checks if a moment is within regular market hours
+ * (ET, NYSE trading days, 09:30 until 16:00 or the 13:00 early close)
+ * @param {MarketHours} [marketHours=DEFAULT_SCHEDULE.market] - Market window
+ * @param {Date} [date=new Date()] - Moment to check
+ * @returns {boolean} True if in regular market hours
+ */
+export const isMarketNow = (marketHours = DEFAULT_SCHEDULE.market, date = new Date()) =>
+    isPhaseNow(marketHours, date);
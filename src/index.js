@@ -7,12 +7,39 @@ import { maskToken, createStartupMessage } from "./core/utils/index.js";
 import { createTelegramService } from "./services/telegram.js";
 import { createScanner } from "./services/scanner.js";
 import { createMarketService } from "./services/marketService.js";
+import { createRvolService } from "./services/rvolService.js";
 import { createCatalystService } from "./services/catalystService.js";
+import { createPostmarketScanner } from "./services/postmarketScanner.js";
+import { createAlertActionRouter } from "./services/alertActions.js";
+import { createMuteService, parseMuteDuration, describeMuteExpiry, formatMuteList, toMuteKey } from "./services/muteService.js";
+import { createAlertGate } from "./services/alertGate.js";
+import { createBarSource } from "./services/barSource.js";
+import { createBarHistory } from "./services/barHistory.js";
+import { createChartRenderer } from "./services/chartRenderer.js";
+import { createOutcomeTracker, parsePerformanceArgs, formatPerformanceMessage, STRATEGIES } from "./services/outcomeTracker.js";
+import { createEodReport } from "./services/eodReport.js";
+import { createMorningBriefing } from "./services/morningBriefing.js";
+import { createPremarketDashboard } from "./services/premarketDashboard.js";
+import { createAlertLog } from "./services/alertLog.js";
+import { createHttpApi } from "./services/httpApi.js";
+import { createTvSession } from "./services/tvSession.js";
+import { ALERT_ROUTES } from "./services/alertRoutes.js";
+import { createRuntimeConfig, formatConfigMessage } from "./config/runtime.js";
 import { createOrchestrator } from "./core/orchestrator.js";
-import { createLogger } from "./core/logger.js";
+import { createStateStore } from "./core/stateStore.js";
+import { setResponseRecorder, configureRequestLimits, setCircuitListener, setSessionListener, setSnapshotCacheTtl } from "./services/tradingview.js";
+import { createTvRecorder } from "./services/recorder.js";
+import { createLogger, configureLogging, closeLogging } from "./core/logger.js";
 import { createGlobalErrorHandler, ConfigurationError } from "./core/errorHandler.js";
 import { validateConfig as validateConfigData } from "./config/validation.js";
 
+/**
+ * Splits command arguments ("/mute AAPL 2h" → ["AAPL", "2h"])
+ * @param {Object} ctx - Telegraf context
+ * @returns {string[]} Arguments
+ */
+const getCommandArgs = (ctx) => (ctx.message?.text || "").trim().split(/\s+/).slice(1);
+
 /**
  * Creates the main application instance
  * @returns {Promise<Object>} Application instance
@@ -31,28 +58,97 @@ const createApp = async () => {
             );
         }
 
-        const config = validateConfig(rawConfig);
+        const startupConfig = validateConfig(rawConfig);
+        configureLogging(startupConfig.logging);
+
+        // Services get the live view, so /set changes apply on their next scan
+        const stateStore = createStateStore(startupConfig);
+        const runtimeConfig = createRuntimeConfig(startupConfig, stateStore);
+        const config = runtimeConfig.config;
 
         logger.info('App', `CFG → BOT_TOKEN: ${maskToken(config.botToken)}, CHAT_ID: ${config.chatId}, THREAD_ID: ${config.threadId}`);
 
         const telegramService = createTelegramService(config);
-        const growthScanner = createScanner(config, telegramService);
-        const marketScanner = createMarketService(config, telegramService);
-        const catalystScanner = createCatalystService(config, telegramService);
-        const orchestrator = createOrchestrator(config, { growthScanner, marketScanner, catalystScanner });
-        const globalErrorHandler = createGlobalErrorHandler(telegramService, logger);
+        logger.info('App', `State store: ${stateStore.backend}`);
+
+        if (config.recordDir) {
+            setResponseRecorder(createTvRecorder(config.recordDir).record);
+            logger.info('App', `Recording TradingView responses to ${config.recordDir}`);
+        }
+
+        // One request budget and one 401/403 circuit for every scanner; one warning per expired cookie
+        configureRequestLimits({
+            requestsPerMinute: config.tvRequestsPerMinute,
+            failureThreshold: config.tvCircuitFailures,
+            cooldownMs: config.tvCircuitCooldownMs
+        });
+        // Expired (401/403) or anonymous (delayed data) session → notice to the admin; /tvcookie replaces the cookie
+        const tvSession = createTvSession(config, stateStore, telegramService);
+        setCircuitListener(tvSession.notifyCircuit);
+        setSessionListener(tvSession.notifyDataMode);
+        // Scanners sending the same query body within the TTL share one response
+        setSnapshotCacheTtl(config.tvCacheTtlMs);
+
+        // Scanners send through the alert gate, so muted/ignored tickers never reach Telegram
+        // and every delivered alert is scored by the outcome tracker and kept in the alert log
+        const muteService = createMuteService(stateStore);
+        const outcomeTracker = createOutcomeTracker(config, stateStore);
+        const alertLog = createAlertLog();
+        const alertTelegram = createAlertGate(telegramService, muteService, outcomeTracker, alertLog);
+
+        // 1-minute bars built from Shadow Velocity polls (velocity triggers, charts, EOD report)
+        const barHistory = createBarHistory();
+
+        // Alert charts are drawn server-side from OHLC bars (CHART_SOURCE=none → text alerts)
+        const barSource = createBarSource(config, barHistory);
+        const chartRenderer = barSource ? createChartRenderer(config, barSource) : null;
+
+        const growthScanner = createScanner(config, alertTelegram, undefined, stateStore, chartRenderer);
+        const premarketDashboard = config.premarketDashboardTopN > 0
+            ? createPremarketDashboard(config, telegramService, growthScanner, stateStore)
+            : null;
+        const marketScanner = createMarketService(config, alertTelegram, undefined, stateStore, chartRenderer, barHistory);
+        const rvolScanner = createRvolService(config, alertTelegram, undefined, stateStore);
+        const catalystScanner = createCatalystService(config, alertTelegram, undefined, stateStore);
+        const postmarketScanner = createPostmarketScanner(config, alertTelegram, undefined, stateStore);
+        const eodReport = createEodReport(config, telegramService, { growthScanner, marketScanner, outcomeTracker, barHistory });
+        const morningBriefing = createMorningBriefing(config, telegramService, { growthScanner, catalystScanner });
+        const orchestrator = createOrchestrator(config, { growthScanner, premarketDashboard, marketScanner, rvolScanner, catalystScanner, postmarketScanner, eodReport, morningBriefing }, undefined, telegramService);
+        const alertActions = createAlertActionRouter({
+            premarket: growthScanner,
+            market: marketScanner,
+            rvol: rvolScanner,
+            catalyst: catalystScanner,
+            postmarket: postmarketScanner
+        }, muteService);
+        const httpApi = config.httpPort != null
+            ? createHttpApi(config, {
+                telegramService,
+                services: { growthScanner, premarketDashboard, marketScanner, rvolScanner, catalystScanner, postmarketScanner },
+                alertLog,
+                catalystScanner
+            })
+            : null;
+        const globalErrorHandler = createGlobalErrorHandler(telegramService, logger, { route: ALERT_ROUTES.SYSTEM_ERROR });
 
         return Object.freeze({
             start: async () => {
                 logger.info('App', "=== ScreenStonks watcher (premarket auto) стартує ===");
 
                 await telegramService.initialize();
+                if (httpApi) await httpApi.start();
+                await runtimeConfig.load();
+                await tvSession.restore();
+                await muteService.load();
+                await outcomeTracker.load();
 
                 // 📊 Register on-demand stats command
                 telegramService.onCommand('stats', async (ctx) => {
                     const gState = growthScanner.getState();
                     const mState = marketScanner.getState();
+                    const rState = rvolScanner.getState();
                     const cState = catalystScanner.getState();
+                    const pmState = postmarketScanner.getState();
 
                     const report = ["📊 *ScreenStonks Stats*"];
 
@@ -75,9 +171,137 @@ const createApp = async () => {
                     report.push(`- Alpha: *${mState.alphaCount || 0}* | Bear: *${mState.bearCount || 0}*`);
                     report.push(`- Tracked: *${mState.trackedSymbols || 0}* symbols`);
 
+                    report.push(`\n⚡ *RVOL SURGE:*`);
+                    report.push(`- Status: ${rState.isRunning ? "✅ Active" : "🛑 Off"} (RVOL 5m > ${config.rvolThreshold}, step ${config.rvolAlertStep})`);
+                    report.push(`- Total Scanned (API): *${rState.lastTotalCount || 0}*`);
+                    report.push(`- Alerts Sent: *${rState.alertCount || 0}*`);
+                    if (rState.lastTickers?.length > 0) {
+                        report.push(`- Last Wave: \`${rState.lastTickers.join(", ")}\``);
+                    }
+
+                    report.push(`\n🌙 *AFTER-HOURS:*`);
+                    report.push(`- Status: ${pmState.isRunning ? "✅ Active" : "🛑 Off"}`);
+                    report.push(`- Total Scanned (API): *${pmState.lastTotalCount || 0}*`);
+                    report.push(`- Alerts Sent: *${pmState.alertCount || 0}*`);
+                    if (pmState.lastTickers?.length > 0) {
+                        report.push(`- Last Wave: \`${pmState.lastTickers.join(", ")}\``);
+                    }
+
+                    const { mutes, ignored } = muteService.list();
+                    report.push(`\n🔕 *MUTES:*`);
+                    report.push(`- Muted: *${mutes.length}* | Ignored: *${ignored.length}*`);
+                    if (mutes.length + ignored.length > 0) {
+                        report.push(`- Tickers: \`${[...new Set([...mutes.map(m => m.ticker), ...ignored])].join(", ")}\``);
+                    }
+
                     await ctx.replyWithMarkdown(report.join('\n'));
                 });
 
+                // 🔕 Per-ticker mute / ignore list
+                telegramService.onCommand('mute', async (ctx) => {
+                    const [ticker, duration] = getCommandArgs(ctx);
+                    if (!ticker) {
+                        await ctx.reply("Usage: /mute TICKER [30m|2h|3d|today]");
+                        return;
+                    }
+                    const expiry = parseMuteDuration(duration);
+                    if (!expiry) {
+                        await ctx.reply(`Invalid duration "${duration}". Use 30m, 2h, 3d or today.`);
+                        return;
+                    }
+                    const entry = await muteService.mute(ticker, expiry);
+                    await ctx.reply(`🔕 ${entry.ticker} muted (${describeMuteExpiry(expiry)})`);
+                });
+
+                telegramService.onCommand('unmute', async (ctx) => {
+                    const [ticker] = getCommandArgs(ctx);
+                    if (!ticker) {
+                        await ctx.reply("Usage: /unmute TICKER");
+                        return;
+                    }
+                    const removed = await muteService.unmute(ticker);
+                    await ctx.reply(removed ? `🔔 ${toMuteKey(ticker)} unmuted` : `${toMuteKey(ticker)} was not muted`);
+                });
+
+                telegramService.onCommand('ignore', async (ctx) => {
+                    const [ticker] = getCommandArgs(ctx);
+                    if (!ticker) {
+                        await ctx.reply("Usage: /ignore TICKER");
+                        return;
+                    }
+                    const ignoredTicker = await muteService.ignore(ticker);
+                    await ctx.reply(`🚫 ${ignoredTicker} ignored permanently (/unmute ${ignoredTicker} to undo)`);
+                });
+
+                telegramService.onCommand('mutes', async (ctx) => {
+                    await ctx.reply(formatMuteList(muteService.list()));
+                });
+
+                // ⚙️ Runtime threshold tuning (applies on the next scan, every change is audited)
+                telegramService.onCommand('config', async (ctx) => {
+                    await ctx.reply(formatConfigMessage(runtimeConfig.list(), runtimeConfig.getAudit()));
+                });
+
+                telegramService.onCommand('set', async (ctx) => {
+                    const [key, value] = getCommandArgs(ctx);
+                    if (!key || value === undefined) {
+                        await ctx.reply("Usage: /set KEY VALUE (see /config for keys)");
+                        return;
+                    }
+                    const result = await runtimeConfig.set(key, value, ctx.from?.username || String(ctx.from?.id));
+                    await ctx.reply(result.success
+                        ? `⚙️ ${key.toUpperCase()}: ${result.from} → ${result.to} (applies on the next scan)`
+                        : `❌ ${result.error}`);
+                });
+
+                telegramService.onCommand('reset', async (ctx) => {
+                    const [key] = getCommandArgs(ctx);
+                    if (!key) {
+                        await ctx.reply("Usage: /reset KEY");
+                        return;
+                    }
+                    const result = await runtimeConfig.reset(key, ctx.from?.username || String(ctx.from?.id));
+                    await ctx.reply(result.success
+                        ? `↩️ ${key.toUpperCase()} back to ${result.to}`
+                        : `❌ ${result.error}`);
+                });
+
+                // 📈 Alert outcomes: win rate and average move per strategy
+                telegramService.onCommand('performance', async (ctx) => {
+                    const query = parsePerformanceArgs(getCommandArgs(ctx));
+                    if (!query) {
+                        await ctx.reply(`Usage: /performance [${STRATEGIES.join("|")}] [DAYS]`);
+                        return;
+                    }
+                    await ctx.reply(formatPerformanceMessage(outcomeTracker.getPerformance(query), query));
+                });
+
+                // 🔑 TradingView cookie rotation without a redeploy (admin chat only, probed before use)
+                telegramService.onCommand('tvcookie', async (ctx) => {
+                    const cookie = (ctx.message?.text || "").replace(/^\/\S+\s*/, "");
+                    // The message holds the session secret — do not leave it in the chat history
+                    if (cookie.trim()) await ctx.deleteMessage().catch(() => { });
+                    if (config.adminChatId == null || ctx.chat.id !== config.adminChatId) {
+                        await ctx.reply(config.adminChatId == null
+                            ? "/tvcookie is disabled: set ADMIN_CHAT_ID"
+                            : "/tvcookie is only accepted in the admin chat");
+                        return;
+                    }
+                    if (!cookie.trim()) {
+                        const { source, updatedAt, updatedBy } = tvSession.getState();
+                        const since = updatedAt ? ` since ${new Date(updatedAt).toISOString()}${updatedBy ? ` (${updatedBy})` : ""}` : "";
+                        await ctx.reply(`Usage: /tvcookie <cookie header from tradingview.com>\nActive cookie: ${source}${since}`);
+                        return;
+                    }
+                    const result = await tvSession.update(cookie, ctx.from?.username || String(ctx.from?.id));
+                    await ctx.reply(result.success
+                        ? `🔑 TradingView cookie accepted${result.persisted ? ", stored encrypted" : ", NOT stored — lost on restart"}. Scans use it now.`
+                        : `❌ Cookie rejected: ${result.error}. The current cookie stays active.`);
+                });
+
+                // 🔘 Inline buttons on alerts (Mute / Watchlist / Chart / Details)
+                telegramService.onAlertAction(alertActions.handle);
+
                 await telegramService.sendMessage(createStartupMessage(config));
 
                 const launchPromise = telegramService.launch()
@@ -87,6 +311,7 @@ const createApp = async () => {
                     });
 
                 orchestrator.start();
+                outcomeTracker.start();
 
                 // Wait for launch to complete
                 await launchPromise;
@@ -95,11 +320,16 @@ const createApp = async () => {
             },
             shutdown: async () => {
                 await orchestrator.stop();
+                outcomeTracker.stop();
+                if (httpApi) await httpApi.stop();
                 if (growthScanner.shutdown) await growthScanner.shutdown();
                 if (marketScanner.shutdown) await marketScanner.shutdown();
                 if (catalystScanner.stop) await catalystScanner.stop();
+                if (rvolScanner.stop) await rvolScanner.stop();
+                if (postmarketScanner.stop) await postmarketScanner.stop();
+                await stateStore.close();
             },
-            sendErrorMessage: telegramService.sendMessage,
+            sendErrorMessage: (text) => telegramService.sendMessage(text, { route: ALERT_ROUTES.SYSTEM_ERROR }),
             handleGlobalError: globalErrorHandler
         });
     } catch (error) {
@@ -144,6 +374,7 @@ const setupGracefulShutdown = (app) => {
         try {
             await app.shutdown();
             logger.info('App', 'Graceful shutdown completed');
+            closeLogging();
             process.exit(0);
         } catch (error) {
             logger.error('App', `Error during shutdown: ${error.message}`);
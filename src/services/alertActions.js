@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Inline-keyboard actions attached to scanner alerts
+ *
+ * Callback data layout: `alert:<action>:<scanner>:<symbol>`. The symbol keeps its
+ * exchange prefix ("NASDAQ:AAPL"), so everything after the scanner id is the symbol.
+ * Telegram caps callback data at 64 bytes, which every TradingView symbol fits.
+ */
+import { parseMuteDuration } from "./muteService.js";
+
+export const ACTION_PREFIX = "alert";
+
+export const ALERT_ACTIONS = Object.freeze({
+    MUTE_HOUR: "mute1h",
+    MUTE_DAY: "muteday",
+    WATCH: "watch",
+    CHART: "chart",
+    DETAILS: "details"
+});
+
+/**
+ * @typedef {Object} AlertAction
+ * @property {string} action - One of ALERT_ACTIONS
+ * @property {string} scanner - Id of the scanner that sent the alert
+ * @property {string} symbol - Full symbol ("NASDAQ:AAPL")
+ */
+
+/**
+ * Strips the exchange prefix from a symbol
+ * @param {string} symbol - Full symbol
+ * @returns {string} Ticker
+ */
+const toTicker = (symbol) => symbol.split(":")[1] || symbol;
+
+/**
+ * Builds callback data for a button
+ * @param {string} action - Action id
+ * @param {string} scanner - Scanner id
+ * @param {string} symbol - Full symbol
+ * @returns {string} Callback data
+ */
+export const createActionData = (action, scanner, symbol) =>
+    `${ACTION_PREFIX}:${action}:${scanner}:${symbol}`;
+
+/**
+ * Parses callback data produced by createActionData
+ * @param {string} data - Callback data
+ * @returns {AlertAction|null} Parsed action or null if foreign/malformed
+ */
+export const parseActionData = (data) => {
+    const [prefix, action, scanner, ...rest] = String(data || "").split(":");
+    const symbol = rest.join(":");
+    if (prefix !== ACTION_PREFIX || !scanner || !symbol) return null;
+    if (!Object.values(ALERT_ACTIONS).includes(action)) return null;
+    return { action, scanner, symbol };
+};
+
+/**
+ * Creates the inline keyboard for an alert
+ * @param {string} scanner - Scanner id (premarket, market, rvol, catalyst, postmarket)
+ * @param {string} symbol - Full symbol
+ * @returns {Object} Extra send options with reply_markup
+ */
+export const createAlertKeyboard = (scanner, symbol) => {
+    const button = (text, action) => ({ text, callback_data: createActionData(action, scanner, symbol) });
+    return {
+        reply_markup: {
+            inline_keyboard: [
+                [button("🔕 Mute 1h", ALERT_ACTIONS.MUTE_HOUR), button("🔕 Mute today", ALERT_ACTIONS.MUTE_DAY)],
+                [button("⭐ Add to watchlist", ALERT_ACTIONS.WATCH)],
+                [button("📈 Chart", ALERT_ACTIONS.CHART), button("ℹ️ Details", ALERT_ACTIONS.DETAILS)]
+            ]
+        }
+    };
+};
+
+/**
+ * Creates send options for an alert: the keyboard plus the metadata the alert gate checks
+ * @param {string} scanner - Scanner id (premarket, market, rvol, catalyst, postmarket)
+ * @param {string} symbol - Full symbol
+ * @param {string|null} [category=null] - Routing category (ALERT_ROUTES, e.g. "market.pump")
+ * @param {number|null} [price=null] - Trigger price (outcome tracking)
+ * @returns {Object} Extra send options
+ */
+export const createAlertOptions = (scanner, symbol, category = null, price = null) => ({
+    alert: { scanner, symbol, category, price },
+    ...createAlertKeyboard(scanner, symbol)
+});
+
+/**
+ * Computes how long a mute button silences a ticker
+ * @param {string} action - MUTE_HOUR or MUTE_DAY
+ * @param {Date} [now=new Date()] - Current moment
+ * @returns {import('./muteService.js').MuteExpiry} Expiry
+ */
+export const createMuteExpiry = (action, now = new Date()) =>
+    parseMuteDuration(action === ALERT_ACTIONS.MUTE_HOUR ? "1h" : "today", now);
+
+/**
+ * Builds a TradingView chart link
+ * @param {string} symbol - Full symbol
+ * @returns {string} Chart URL
+ */
+export const getChartUrl = (symbol) =>
+    `https://www.tradingview.com/chart/?symbol=${encodeURIComponent(symbol)}`;
+
+/**
+ * Creates the router that dispatches button presses to the scanner that sent the alert.
+ * Mute buttons mute the ticker for that scanner only; Details come from the
+ * scanner's `getDetails(symbol)`; "Add to watchlist" lands in the Catalyst Sniper watchlist.
+ * @param {Object<string, Object>} scanners - Scanner id → service
+ * @param {Object} muteService - Shared mute service
+ * @param {Object|null} [watchlistOwner=scanners.catalyst] - Service exposing addToWatchlist(symbol)
+ * @returns {Object} Router with handle(action)
+ */
+export const createAlertActionRouter = (scanners, muteService, watchlistOwner = scanners.catalyst) => {
+    /**
+     * Handles one button press
+     * @param {AlertAction} parsed - Parsed callback data
+     * @param {Date} [now=new Date()] - Current moment
+     * @returns {Promise<{toast: string, message?: string}>} Callback answer and optional chat message
+     */
+    const handle = async ({ action, scanner, symbol }, now = new Date()) => {
+        const owner = scanners[scanner];
+        const ticker = toTicker(symbol);
+        if (!owner) return { toast: `Unknown scanner: ${scanner}` };
+
+        switch (action) {
+            case ALERT_ACTIONS.MUTE_HOUR:
+            case ALERT_ACTIONS.MUTE_DAY:
+                await muteService.mute(symbol, createMuteExpiry(action, now), scanner);
+                return { toast: `🔕 ${ticker} muted ${action === ALERT_ACTIONS.MUTE_HOUR ? "for 1h" : "for today"} (${scanner})` };
+
+            case ALERT_ACTIONS.WATCH: {
+                if (!watchlistOwner?.addToWatchlist) return { toast: "Watchlist unavailable" };
+                const added = await watchlistOwner.addToWatchlist(symbol);
+                return { toast: added ? `⭐ ${ticker} added to watchlist` : `${ticker} is already on the watchlist` };
+            }
+
+            case ALERT_ACTIONS.CHART:
+                return { toast: `📈 ${ticker}`, message: `📈 ${ticker}: ${getChartUrl(symbol)}` };
+
+            case ALERT_ACTIONS.DETAILS: {
+                const details = owner.getDetails?.(symbol);
+                return details
+                    ? { toast: `ℹ️ ${ticker}`, message: details }
+                    : { toast: `No ${scanner} data for ${ticker}` };
+            }
+
+            default:
+                return { toast: `Unknown action: ${action}` };
+        }
+    };
+
+    return Object.freeze({ handle });
+};
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Central alert gate in front of the Telegram service
+ *
+ * Scanners pass `{ alert: { scanner, symbol } }` in the send options of every alert
+ * (see createAlertOptions). The gate drops alerts for muted/ignored tickers before
+ * they reach Telegram and strips the metadata from the options it forwards,
+ * keeping only the alert category as the `route`.
+ * Status messages (no `alert` key) always pass through. Delivered alerts are handed
+ * to the outcome tracker and the alert log, when given, and every alert is counted
+ * in tvsrocks_alerts_total.
+ */
+import { createLogger } from "../core/logger.js";
+import { metrics } from "../core/metrics.js";
+
+const alertsTotal = metrics.counter("tvsrocks_alerts_total",
+    "Scanner alerts by scanner, trigger type and outcome (delivered / muted / failed)", ["scanner", "trigger", "outcome"]);
+
+/**
+ * Trigger type of an alert: the category suffix ("market.pump" → "pump")
+ * @param {Object} alert - Alert metadata
+ * @returns {string} Trigger label
+ */
+const triggerOf = (alert) => alert.category?.split(".").pop() ?? "unknown";
+
+/**
+ * Wraps a Telegram service so alert sends honour the mute list
+ * @param {Object} telegramService - Telegram service instance
+ * @param {Object} muteService - Mute service instance
+ * @param {Object|null} [outcomeTracker=null] - Optional outcome tracker (see outcomeTracker.js)
+ * @param {Object|null} [alertLog=null] - Optional recent alert log (see alertLog.js)
+ * @returns {Object} Telegram service with gated sendMessage / sendMessageHTML / sendPhoto
+ */
+export const createAlertGate = (telegramService, muteService, outcomeTracker = null, alertLog = null) => {
+    const logger = createLogger();
+
+    /**
+     * Runs one send through the mute check and outcome tracking
+     * @param {Object} extra - Send options, possibly with `alert` metadata
+     * @param {Function} send - Sends with the forwarded options
+     * @param {string} [text=""] - Message text or caption (alert log)
+     * @returns {Promise<Object>} Send result
+     */
+    const gated = async (extra, send, text = "") => {
+        const { alert, ...options } = extra;
+        if (alert && muteService.isMuted(alert.symbol, alert.scanner)) {
+            logger.debug("AlertGate", `🔕 Suppressed ${alert.scanner} alert for ${alert.symbol}`);
+            alertsTotal.inc({ scanner: alert.scanner, trigger: triggerOf(alert), outcome: "muted" });
+            return { success: false, muted: true };
+        }
+        const result = await send(alert?.category ? { ...options, route: alert.category } : options);
+        if (alert) {
+            alertsTotal.inc({ scanner: alert.scanner, trigger: triggerOf(alert), outcome: result?.success ? "delivered" : "failed" });
+        }
+        if (alert && result?.success) {
+            alertLog?.record(alert, text);
+            if (outcomeTracker) await outcomeTracker.track(alert);
+        }
+        return result;
+    };
+
+    const gate = (send) => (text, extra = {}) => gated(extra, options => send(text, options), text);
+
+    return Object.freeze({
+        ...telegramService,
+        /**
+         * Whether an alert would be dropped by the mute list (lets callers skip expensive work, e.g. charts)
+         * @param {Object} [extra={}] - Send options, possibly with `alert` metadata
+         * @returns {boolean} True if muted or ignored
+         */
+        isSuppressed: (extra = {}) => Boolean(extra.alert && muteService.isMuted(extra.alert.symbol, extra.alert.scanner)),
+        sendMessage: gate(telegramService.sendMessage),
+        sendMessageHTML: gate(telegramService.sendMessageHTML),
+        sendPhoto: (photo, caption = "", extra = {}) =>
+            gated(extra, options => telegramService.sendPhoto(photo, caption, options), caption)
+    });
+};
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Recent delivered alerts (HTTP API `/alerts`)
+ *
+ * The alert gate records every delivered scanner alert here. The log is a bounded
+ * in-memory ring: it covers the recent past of the running process, while the
+ * outcome tracker keeps the long-term, per-strategy history.
+ */
+
+/**
+ * @typedef {Object} AlertLogEntry
+ * @property {number} at - Delivery time, ms
+ * @property {string} scanner - Scanner id (premarket, market, rvol, catalyst, postmarket)
+ * @property {string} symbol - Full symbol
+ * @property {string|null} category - Routing category (ALERT_ROUTES)
+ * @property {number|null} price - Trigger price
+ * @property {string} text - Message text or photo caption
+ */
+
+/**
+ * Creates the alert log
+ * @param {number} [limit=500] - Entries kept (oldest dropped first)
+ * @returns {Object} Alert log instance
+ */
+export const createAlertLog = (limit = 500) => {
+    const entries = [];
+
+    /**
+     * Records a delivered alert
+     * @param {Object} alert - Alert metadata from createAlertOptions
+     * @param {string} [text=""] - Message text or caption
+     * @param {number} [now=Date.now()] - Delivery time, ms
+     */
+    const record = (alert, text = "", now = Date.now()) => {
+        entries.push({
+            at: now,
+            scanner: alert.scanner,
+            symbol: alert.symbol,
+            category: alert.category ?? null,
+            price: alert.price ?? null,
+            text: String(text)
+        });
+        if (entries.length > limit) entries.shift();
+    };
+
+    /**
+     * Alerts delivered after `since`, oldest first
+     * @param {number} [since=0] - Epoch ms (exclusive)
+     * @returns {Array<AlertLogEntry>} Copies of the entries
+     */
+    const list = (since = 0) => entries.filter(e => e.at > since).map(e => ({ ...e }));
+
+    return Object.freeze({ record, list, size: () => entries.length });
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Alert routing table (alert category → chat/topic destinations)
+ *
+ * Every alert carries a category (see createAlertOptions); the Telegram service
+ * looks it up in `config.routes` and sends to each destination. Categories
+ * without a route go to the default CHAT_ID / THREAD_ID.
+ *
+ * Env: ROUTE_<CATEGORY>=chatId[:threadId][,chatId[:threadId]...]
+ *   ROUTE_MARKET_PUMP=-1001234567890:42,-1009876543210
+ */
+
+/** Known alert categories */
+export const ALERT_ROUTES = Object.freeze({
+    PREMARKET_NEW: "premarket.new",
+    PREMARKET_STEP: "premarket.step",
+    MARKET_NEW: "market.new",
+    MARKET_PUMP: "market.pump",
+    MARKET_DUMP: "market.dump",
+    MARKET_PMH: "market.pmh",
+    MARKET_VWAP_UP: "market.vwap_up",
+    MARKET_VWAP_DOWN: "market.vwap_down",
+    MARKET_HALTED: "market.halted",
+    MARKET_RESUMED: "market.resumed",
+    CATALYST_FADE: "catalyst.fade",
+    CATALYST_BOUNCE: "catalyst.bounce",
+    POSTMARKET_NEW: "postmarket.new",
+    POSTMARKET_STEP: "postmarket.step",
+    RVOL_NEW: "rvol.new",
+    RVOL_STEP: "rvol.step",
+    SYSTEM_ERROR: "system.error",
+    SYSTEM_SESSION: "system.session",
+    DASHBOARD: "dashboard",
+    REPORT_EOD: "report.eod",
+    REPORT_BRIEFING: "report.briefing"
+});
+
+/**
+ * @typedef {Object} Destination
+ * @property {string|number} chatId - Telegram chat ID
+ * @property {number|null} threadId - Topic ID (null = main chat)
+ */
+
+/**
+ * Env variable name for a category ("market.pump" → "ROUTE_MARKET_PUMP")
+ * @param {string} category - Alert category
+ * @returns {string} Env variable name
+ */
+export const routeEnvName = (category) => `ROUTE_${category.toUpperCase().replace(/\./g, "_")}`;
+
+/**
+ * Parses "chatId[:threadId],..." into destinations
+ * @param {string} raw - Raw env value
+ * @param {Function} parseChatId - Chat ID parser (numeric IDs → number)
+ * @returns {Destination[]} Frozen destinations
+ */
+export const parseDestinations = (raw, parseChatId) => Object.freeze(
+    raw.split(",").map(part => part.trim()).filter(Boolean).map(part => {
+        const sep = part.lastIndexOf(":");
+        const hasThread = sep > 0 && /^\d+$/.test(part.slice(sep + 1));
+        return Object.freeze({
+            chatId: parseChatId(hasThread ? part.slice(0, sep) : part),
+            threadId: hasThread ? Number(part.slice(sep + 1)) : null
+        });
+    })
+);
+
+/**
+ * Resolves where a message goes
+ * @param {Object} config - Config with chatId, threadId and routes
+ * @param {string} [route] - Alert category
+ * @returns {Destination[]} Destinations (the default chat if the category has no route)
+ */
+export const resolveDestinations = (config, route) => {
+    const routed = route ? config.routes?.[route] : null;
+    return routed?.length ? routed : [{ chatId: config.chatId, threadId: config.threadId ?? null }];
+};
+
+/**
+ * Lists every chat that may use commands and alert buttons
+ * @param {Object} config - Config with chatId, routes and adminChatId
+ * @returns {Set<string|number>} Chat IDs (the admin chat even if no route points to it, for /tvcookie)
+ */
+export const getRoutedChatIds = (config) => new Set([
+    config.chatId,
+    ...Object.values(config.routes || {}).flat().map(d => d.chatId),
+    ...(config.adminChatId != null ? [config.adminChatId] : [])
+]);
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Rolling intraday time series per tracked symbol
+ *
+ * Built from successive `getMarketStocks` polls (Shadow Velocity): every poll adds a
+ * sample per symbol (price, cumulative volume, RVOL 5m, cumulative value traded) and
+ * updates the symbol's current 1-minute bar. Raw samples are kept for the longest
+ * velocity window, bars for the NY trading day. `getBars` follows the bar source
+ * interface (see barSource.js), so the same bars feed charts and the EOD report.
+ *
+ * VWAP is approximated from the polls: the volume traded between two polls is priced
+ * at the later poll's price. The first poll prices all earlier volume at its own price,
+ * so the approximation is closest for symbols tracked from the open.
+ */
+import { aggregateBars } from "./barSource.js";
+import { nyDate } from "../core/utils/time.js";
+
+/**
+ * @typedef {Object} MinuteBar
+ * @property {number} time - Minute start, ms
+ * @property {number} open - First price of the minute
+ * @property {number} high - Highest polled price
+ * @property {number} low - Lowest polled price
+ * @property {number} close - Last polled price
+ * @property {number} volume - Shares traded during the minute (cumulative volume delta)
+ * @property {number} valueTraded - Dollar value traded during the minute
+ * @property {number|null} rvol - Last RVOL 5m of the minute
+ */
+
+/**
+ * @typedef {Object} Velocity
+ * @property {number} priceChange - Price change over the window, %
+ * @property {number} volume - Shares traded over the window
+ * @property {number} valueTraded - Dollar value traded over the window
+ * @property {number|null} rvolChange - RVOL 5m change over the window (points)
+ * @property {number} spanMs - Time actually covered (shorter than the window right after tracking starts)
+ */
+
+const MINUTE_MS = 60_000;
+
+/**
+ * Creates the bar history
+ * @param {Object} [options={}] - Retention
+ * @param {number} [options.sampleWindowMin=15] - Longest velocity window, minutes
+ * @param {number} [options.maxBars=960] - 1-minute bars kept per symbol (16h covers 04:00–20:00)
+ * @returns {Object} Bar history instance
+ */
+export const createBarHistory = ({ sampleWindowMin = 15, maxBars = 960 } = {}) => {
+    let day = null;
+    const series = new Map();   // symbol → { samples: [], bars: MinuteBar[], pv, vwapVolume }
+
+    /**
+     * Adds one poll
+     * @param {Array<Object>} stocks - Mapped market rows (TvScanner.mapMarketRow)
+     * @param {number} [now=Date.now()] - Poll time, ms
+     */
+    const record = (stocks, now = Date.now()) => {
+        const today = nyDate(new Date(now));
+        if (day !== today) {
+            series.clear();
+            day = today;
+        }
+
+        for (const stock of stocks) {
+            if (!stock?.symbol || !(stock.close > 0)) continue;
+            let entry = series.get(stock.symbol);
+            if (!entry) {
+                entry = { samples: [], bars: [], pv: 0, vwapVolume: 0 };
+                series.set(stock.symbol, entry);
+            }
+
+            const sample = {
+                time: now,
+                price: stock.close,
+                volume: stock.volume || 0,
+                valueTraded: stock.value_traded || 0,
+                rvol: Number.isFinite(stock.rvol_intraday_5m) ? stock.rvol_intraday_5m : null
+            };
+            const prevSample = entry.samples.at(-1);
+            entry.samples.push(sample);
+            // Keep one sample at or before the window start as the baseline
+            const cutoff = now - sampleWindowMin * MINUTE_MS;
+            while (entry.samples.length > 2 && entry.samples[1].time <= cutoff) entry.samples.shift();
+
+            const volumeDelta = prevSample ? Math.max(0, sample.volume - prevSample.volume) : 0;
+            const valueDelta = prevSample ? Math.max(0, sample.valueTraded - prevSample.valueTraded) : 0;
+            const vwapVolume = prevSample ? volumeDelta : sample.volume;
+            entry.pv += sample.price * vwapVolume;
+            entry.vwapVolume += vwapVolume;
+            const minute = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+            const bar = entry.bars.at(-1);
+            if (bar && bar.time === minute) {
+                bar.high = Math.max(bar.high, sample.price);
+                bar.low = Math.min(bar.low, sample.price);
+                bar.close = sample.price;
+                bar.volume += volumeDelta;
+                bar.valueTraded += valueDelta;
+                bar.rvol = sample.rvol;
+            } else {
+                entry.bars.push({
+                    time: minute,
+                    open: sample.price,
+                    high: sample.price,
+                    low: sample.price,
+                    close: sample.price,
+                    volume: volumeDelta,
+                    valueTraded: valueDelta,
+                    rvol: sample.rvol
+                });
+                if (entry.bars.length > maxBars) entry.bars.shift();
+            }
+        }
+    };
+
+    /**
+     * Change over the last `minutes` (up to sampleWindowMin). Until the symbol has been
+     * tracked that long, the window starts at its first sample.
+     * @param {string} symbol - Full symbol
+     * @param {number} minutes - Window, minutes (1, 5, 15, ...)
+     * @param {number} [now=Date.now()] - Reference time, ms
+     * @returns {Velocity|null} Velocity, or null with fewer than two samples
+     */
+    const getVelocity = (symbol, minutes, now = Date.now()) => {
+        const samples = series.get(symbol)?.samples;
+        if (!samples || samples.length < 2) return null;
+
+        const from = now - minutes * MINUTE_MS;
+        let base = samples[0];
+        for (const sample of samples) {
+            if (sample.time > from) break;
+            base = sample;
+        }
+        const last = samples.at(-1);
+        if (base === last) return null;
+
+        return {
+            priceChange: ((last.price - base.price) / base.price) * 100,
+            volume: Math.max(0, last.volume - base.volume),
+            valueTraded: Math.max(0, last.valueTraded - base.valueTraded),
+            rvolChange: last.rvol != null && base.rvol != null ? last.rvol - base.rvol : null,
+            spanMs: last.time - base.time
+        };
+    };
+
+    /**
+     * Intraday bars (bar source interface). Only minute intervals are available.
+     * @param {string} symbol - Full symbol
+     * @param {string} [interval="1"] - TradingView minute interval ("1", "5", "15", ...)
+     * @param {number} [limit=390] - Maximum number of bars (most recent)
+     * @returns {Array<MinuteBar>} Bars, oldest first (copies)
+     */
+    const getBars = (symbol, interval = "1", limit = 390) => {
+        const minutes = Number(interval);
+        const bars = series.get(symbol)?.bars;
+        if (!bars || !Number.isInteger(minutes) || minutes < 1) return [];
+        const copies = bars.map(bar => ({ ...bar }));
+        return (minutes === 1 ? copies : aggregateBars(copies, minutes)).slice(-limit);
+    };
+
+    /**
+     * Session range of a symbol from its bars (EOD report)
+     * @param {string} symbol - Full symbol
+     * @returns {{open: number, high: number, low: number, close: number, volume: number, bars: number}|null} Range or null if untracked
+     */
+    const getSessionStats = (symbol) => {
+        const bars = series.get(symbol)?.bars;
+        if (!bars?.length) return null;
+        return {
+            open: bars[0].open,
+            high: Math.max(...bars.map(b => b.high)),
+            low: Math.min(...bars.map(b => b.low)),
+            close: bars.at(-1).close,
+            volume: bars.reduce((sum, b) => sum + b.volume, 0),
+            bars: bars.length
+        };
+    };
+
+    /**
+     * Running VWAP approximation since the symbol was first polled today
+     * @param {string} symbol - Full symbol
+     * @returns {number|null} VWAP or null if untracked / no volume yet
+     */
+    const getVwap = (symbol) => {
+        const entry = series.get(symbol);
+        return entry?.vwapVolume > 0 ? entry.pv / entry.vwapVolume : null;
+    };
+
+    return Object.freeze({
+        record,
+        getVelocity,
+        getBars,
+        getSessionStats,
+        getVwap,
+        getSymbols: () => [...series.keys()],
+        getDay: () => day
+    });
+};
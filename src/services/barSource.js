@@ -0,0 +1,148 @@
+/**
+ * @fileoverview OHLC bar sources for server-side charts
+ *
+ * A bar source is any object with `getBars(symbol, interval, limit)` resolving to
+ * `[{ time, open, high, low, close, volume }]` (time in ms, oldest first). Intervals use
+ * TradingView notation: "D", "240", "15", "1". The TradingView screener has no history
+ * endpoint, so the default source reads Yahoo Finance's public chart API; intraday
+ * panels prefer the bars Shadow Velocity builds from its own polls (barHistory.js).
+ */
+import { createLogger } from "../core/logger.js";
+
+/** @typedef {{time: number, open: number, high: number, low: number, close: number, volume: number}} Bar */
+
+export const BAR_SOURCES = Object.freeze(["yahoo", "history", "none"]);
+
+// Yahoo interval/range per TradingView interval; "240" has no native Yahoo interval
+const YAHOO_INTERVALS = Object.freeze({
+    D: { interval: "1d", range: "6mo" },
+    "240": { interval: "60m", range: "1mo", aggregate: 240 },
+    "60": { interval: "60m", range: "1mo" },
+    "15": { interval: "15m", range: "5d" },
+    "5": { interval: "5m", range: "5d" },
+    "1": { interval: "1m", range: "1d" }
+});
+
+const YAHOO_CHART_URL = "https://query1.finance.yahoo.com/v8/finance/chart/";
+
+/**
+ * Converts a TradingView symbol to a Yahoo ticker ("NYSE:BRK.B" → "BRK-B")
+ * @param {string} symbol - Full symbol
+ * @returns {string} Yahoo ticker
+ */
+export const toYahooTicker = (symbol) => (symbol.split(":")[1] || symbol).replace(/\./g, "-");
+
+/**
+ * Merges bars into larger fixed-size buckets (e.g. 60m → 240m)
+ * @param {Array<Bar>} bars - Bars, oldest first
+ * @param {number} minutes - Bucket size in minutes
+ * @returns {Array<Bar>} Aggregated bars
+ */
+export const aggregateBars = (bars, minutes) => {
+    const size = minutes * 60_000;
+    return bars.reduce((out, bar) => {
+        const bucket = Math.floor(bar.time / size) * size;
+        const last = out.at(-1);
+        if (last && last.time === bucket) {
+            last.high = Math.max(last.high, bar.high);
+            last.low = Math.min(last.low, bar.low);
+            last.close = bar.close;
+            last.volume += bar.volume;
+            // Extra series from barHistory.js
+            if (last.valueTraded !== undefined) last.valueTraded += bar.valueTraded;
+            if (last.rvol !== undefined) last.rvol = bar.rvol;
+        } else {
+            out.push({ ...bar, time: bucket });
+        }
+        return out;
+    }, []);
+};
+
+/**
+ * Parses a Yahoo chart response into bars, skipping empty (null) rows
+ * @param {Object} json - Response body
+ * @returns {Array<Bar>} Bars, oldest first
+ */
+export const parseYahooChart = (json) => {
+    const result = json?.chart?.result?.[0];
+    const quote = result?.indicators?.quote?.[0];
+    if (!result?.timestamp || !quote) return [];
+    return result.timestamp.reduce((bars, ts, i) => {
+        const [open, high, low, close] = [quote.open[i], quote.high[i], quote.low[i], quote.close[i]];
+        if ([open, high, low, close].every(Number.isFinite)) {
+            bars.push({ time: ts * 1000, open, high, low, close, volume: quote.volume?.[i] || 0 });
+        }
+        return bars;
+    }, []);
+};
+
+/**
+ * Creates the Yahoo Finance bar source (extended hours included)
+ * @param {Object} config - Configuration object (api.userAgent)
+ * @param {Function} [fetchImpl=globalThis.fetch] - fetch implementation (injectable for testing)
+ * @param {number} [timeoutMs=8000] - Per-request timeout
+ * @returns {Object} Bar source with getBars(symbol, interval, limit)
+ */
+export const createYahooBarSource = (config, fetchImpl = globalThis.fetch, timeoutMs = 8000) => {
+    const logger = createLogger();
+
+    /**
+     * Fetches the latest bars for one interval
+     * @param {string} symbol - Full symbol
+     * @param {string} interval - TradingView interval ("D", "240", "15", "1")
+     * @param {number} [limit=120] - Maximum number of bars (most recent)
+     * @returns {Promise<Array<Bar>>} Bars, oldest first (empty on failure)
+     */
+    const getBars = async (symbol, interval, limit = 120) => {
+        const spec = YAHOO_INTERVALS[interval];
+        if (!spec) return [];
+        const url = `${YAHOO_CHART_URL}${encodeURIComponent(toYahooTicker(symbol))}` +
+            `?interval=${spec.interval}&range=${spec.range}&includePrePost=true`;
+        try {
+            const res = await fetchImpl(url, {
+                headers: { "user-agent": config.api?.userAgent || "Mozilla/5.0" },
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const bars = parseYahooChart(await res.json());
+            return (spec.aggregate ? aggregateBars(bars, spec.aggregate) : bars).slice(-limit);
+        } catch (error) {
+            logger.warn("BarSource", `Yahoo bars failed for ${symbol} (${interval}): ${error.message}`);
+            return [];
+        }
+    };
+
+    return Object.freeze({ getBars });
+};
+
+/**
+ * Serves minute intervals from the bar history once it has enough bars, other
+ * intervals (and thin histories) from the fallback source
+ * @param {Object} fallback - Bar source
+ * @param {Object} barHistory - Bar history (barHistory.js)
+ * @param {number} [minBars=30] - Bars the history needs before it is preferred
+ * @returns {Object} Bar source
+ */
+export const withBarHistory = (fallback, barHistory, minBars = 30) => Object.freeze({
+    getBars: async (symbol, interval, limit) => {
+        const own = barHistory.getBars(symbol, interval, limit);
+        return own.length >= minBars ? own : fallback.getBars(symbol, interval, limit);
+    }
+});
+
+/**
+ * Creates the bar source selected by CHART_SOURCE
+ * @param {Object} config - Configuration object (chartSource)
+ * @param {Object|null} [barHistory=null] - Intraday bars from Shadow Velocity polls
+ * @returns {Object|null} Bar source or null when charts are off
+ */
+export const createBarSource = (config, barHistory = null) => {
+    switch (config.chartSource) {
+        case "yahoo":
+            return barHistory ? withBarHistory(createYahooBarSource(config), barHistory) : createYahooBarSource(config);
+        case "history":
+            return barHistory;
+        default:
+            return null;
+    }
+};
@@ -1,11 +1,20 @@
 import { createLogger } from "../core/logger.js";
+import { timeScan } from "../core/metrics.js";
+import { TradingViewPausedError } from "../core/errorHandler.js";
 import { TvScanner as DefaultScanner } from "./tradingview.js";
+import { createAlertOptions } from "./alertActions.js";
+import { ALERT_ROUTES } from "./alertRoutes.js";
 
 /**
  * Catalyst Sniper Service (Gap & Reverse Scanner)
+ * @param {Object} config - App configuration
+ * @param {Object} telegram - Telegram service instance
+ * @param {Object} [scanner=DefaultScanner] - Scanner (injectable for testing)
+ * @param {Object|null} [stateStore=null] - Optional state store for restart persistence
  */
-export const createCatalystService = (config, telegram, scanner = DefaultScanner) => {
+export const createCatalystService = (config, telegram, scanner = DefaultScanner, stateStore = null) => {
     const logger = createLogger();
+    const STATE_NAMESPACE = 'catalyst';
     const state = {
         isRunning: false,
         isWatchlistOnly: true, // 08:00 - 09:30 mode
@@ -14,6 +23,34 @@ export const createCatalystService = (config, telegram, scanner = DefaultScanner
         timer: null
     };
 
+    /**
+     * Snapshot watchlist/triggered to the state store
+     */
+    const persist = async () => {
+        if (!stateStore) return;
+        try {
+            await stateStore.save(STATE_NAMESPACE, { watchlist: state.watchlist, triggered: state.triggered });
+        } catch (error) {
+            logger.error('Catalyst', `Persist error: ${error.message}`);
+        }
+    };
+
+    /**
+     * Restore watchlist/triggered from the state store (same trading day only)
+     */
+    const rehydrate = async () => {
+        if (!stateStore) return;
+        try {
+            const snapshot = await stateStore.load(STATE_NAMESPACE);
+            if (!snapshot) return;
+            if (snapshot.watchlist instanceof Map) state.watchlist = snapshot.watchlist;
+            if (snapshot.triggered instanceof Set) state.triggered = snapshot.triggered;
+            logger.info('Catalyst', `♻️ Restored watchlist (${state.watchlist.size}) and triggered (${state.triggered.size}) from state store`);
+        } catch (error) {
+            logger.error('Catalyst', `Rehydrate error: ${error.message}`);
+        }
+    };
+
     /**
      * Calc score for ranking
      */
@@ -42,7 +79,7 @@ Action: ${actionText}`;
     /**
      * Core scan logic
      */
-    const performScan = async () => {
+    const performScan = timeScan('catalyst', async () => {
         logger.info('Catalyst', '--- performScan initiation ---');
         try {
             if (state.isWatchlistOnly) {
@@ -52,13 +89,24 @@ Action: ${actionText}`;
                 const results = data.map(scanner.mapRow);
 
                 results.forEach(s => {
-                    if (state.watchlist.has(s.symbol)) return;
+                    // Gap and score are fixed at entry; the rest tracks the latest quote (morning briefing)
+                    const latest = {
+                        preVol: s.premarket_volume,
+                        price: s.premarket_close,
+                        high: s.premarket_high,
+                        float: s.float_shares_outstanding
+                    };
+                    const existing = state.watchlist.get(s.symbol);
+                    if (existing) {
+                        if (!existing.manual) Object.assign(existing, latest);
+                        return;
+                    }
 
                     const score = calcScore(s.premarket_change, s.premarket_volume);
                     state.watchlist.set(s.symbol, {
                         symbol: s.symbol,
                         gap: s.premarket_change,
-                        preVol: s.premarket_volume,
+                        ...latest,
                         score
                     });
                     logger.info('Catalyst', `[+ WATCHLIST] ${s.symbol.split(':')[1] || s.symbol} | Gap: ${s.premarket_change.toFixed(1).padStart(5)}% | Vol: ${(s.premarket_volume / 1000).toFixed(0).padStart(4)}k | Score: ${score.toFixed(1)}`);
@@ -92,7 +140,7 @@ Action: ${actionText}`;
                     if (candidate.gap > 4.0 && openDiff < -0.5) {
                         logger.info('Catalyst', `🎯 TRIGGER: ${ticker} matched FADE pattern! (Gap ${candidate.gap.toFixed(1)}% & Drop ${openDiff.toFixed(2)}%)`);
                         const msg = formatAlert({ ...candidate, currentChange: openDiff }, 'FADE (Short)');
-                        await telegram.sendMessage(msg);
+                        await telegram.sendMessage(msg, createAlertOptions('catalyst', s.symbol, ALERT_ROUTES.CATALYST_FADE, s.close));
                         state.triggered.add(s.symbol);
                     }
 
@@ -100,21 +148,26 @@ Action: ${actionText}`;
                     else if (candidate.gap < -8.0 && openDiff > 0.5) {
                         logger.info('Catalyst', `🎯 TRIGGER: ${ticker} matched BOUNCE pattern! (Gap ${candidate.gap.toFixed(1)}% & Recovery ${openDiff.toFixed(2)}%)`);
                         const msg = formatAlert({ ...candidate, currentChange: openDiff }, 'BOUNCE (Long)');
-                        await telegram.sendMessage(msg);
+                        await telegram.sendMessage(msg, createAlertOptions('catalyst', s.symbol, ALERT_ROUTES.CATALYST_BOUNCE, s.close));
                         state.triggered.add(s.symbol);
                     }
                 }
             }
+            await persist();
         } catch (error) {
-            logger.error('Catalyst', `Scan error: ${error.message} ${error.stack}`);
+            if (error instanceof TradingViewPausedError) logger.debug('Catalyst', `Scan skipped: ${error.message}`);
+            else logger.error('Catalyst', `Scan error: ${error.message} ${error.stack}`);
         }
-    };
+    });
 
-    const start = (mode = 'watchlist') => {
+    const start = async (mode = 'watchlist') => {
         if (state.isRunning) return;
         state.isRunning = true;
         state.isWatchlistOnly = (mode === 'watchlist');
 
+        await rehydrate();
+        if (!state.isRunning) return; // stopped while restoring
+
         logger.info('Catalyst', `Service started in ${mode} mode`);
 
         // Initial scan
@@ -159,10 +212,39 @@ Action: ${actionText}`;
         }
     };
 
+    /**
+     * Adds a symbol to today's watchlist by hand (alert button).
+     * Manual entries carry no gap, so they are tracked but never match FADE/BOUNCE on their own.
+     * @returns {Promise<boolean>} False if the symbol was already on the watchlist
+     */
+    const addToWatchlist = async (symbol) => {
+        if (state.watchlist.has(symbol)) return false;
+        state.watchlist.set(symbol, { symbol, gap: 0, preVol: 0, score: 0, manual: true });
+        logger.info('Catalyst', `[+ WATCHLIST] ${symbol.split(':')[1] || symbol} added manually`);
+        await persist();
+        return true;
+    };
+
+    /**
+     * Describes a watchlist entry (alert button)
+     */
+    const getDetails = (symbol) => {
+        const entry = state.watchlist.get(symbol);
+        if (!entry) return null;
+        const ticker = symbol.split(':')[1] || symbol;
+        return [
+            `🎯 ${ticker} catalyst`,
+            entry.manual ? 'Added manually' : `Gap: ${entry.gap > 0 ? '+' : ''}${entry.gap.toFixed(1)}% | Pre-Vol: ${(entry.preVol / 1000000).toFixed(1)}M | Score: ${entry.score.toFixed(1)}`,
+            `Triggered today: ${state.triggered.has(symbol) ? 'yes' : 'no'}`
+        ].join('\n');
+    };
+
     return {
         start,
         stop,
         setMode,
+        addToWatchlist,
+        getDetails,
         getState: () => ({ ...state })
     };
 };
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Server-side candlestick charts for alerts (no headless browser)
+ *
+ * Each panel is drawn as SVG and stitched with sharp into the same asymmetric 2x2 grid
+ * the Playwright `captureStitched` produced: daily and 4h on the left, 15m and 1m on
+ * the right. OHLC bars come from a pluggable bar source (see barSource.js).
+ */
+import sharp from "sharp";
+import { createLogger } from "../core/logger.js";
+import { createErrorHandler } from "../core/errorHandler.js";
+
+// Same geometry as captureStitched; `limit` = bars requested per panel
+export const CHART_PANELS = Object.freeze([
+    { interval: "D", width: 800, height: 600, left: 0, top: 0, limit: 90 },
+    { interval: "240", width: 800, height: 600, left: 0, top: 600, limit: 90 },
+    { interval: "15", width: 1200, height: 600, left: 800, top: 0, limit: 130 },
+    { interval: "1", width: 1200, height: 600, left: 800, top: 600, limit: 180 }
+]);
+
+const GRID_WIDTH = 2000;
+const GRID_HEIGHT = 1200;
+
+// Telegram photo caption limit
+export const CAPTION_LIMIT = 1024;
+
+// How long an alert waits for its chart before going out as text (CHART_DEADLINE_MS)
+export const CHART_DEADLINE_MS = 3000;
+
+const INTERVAL_LABELS = Object.freeze({ D: "1D", "240": "4h", "60": "1h", "15": "15m", "5": "5m", "1": "1m" });
+
+const COLORS = Object.freeze({
+    background: "#131722",
+    grid: "#2a2e39",
+    text: "#d1d4dc",
+    muted: "#787b86",
+    up: "#26a69a",
+    down: "#ef5350"
+});
+
+const FONT = "DejaVu Sans, Arial, sans-serif";
+
+// Panel insets: title row on top, price scale on the right, time scale at the bottom
+const PAD = Object.freeze({ top: 40, right: 80, bottom: 28, left: 10 });
+const VOLUME_SHARE = 0.18;
+
+/**
+ * Escapes text for SVG
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => String(text)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * Formats a price for the scale (more decimals for sub-dollar stocks)
+ * @param {number} value - Price
+ * @returns {string} Formatted price
+ */
+const formatPrice = (value) => value.toFixed(value < 1 ? 4 : 2);
+
+/**
+ * Formats a bar time for the time scale (NY time)
+ * @param {number} time - Bar time, ms
+ * @param {string} interval - TradingView interval
+ * @returns {string} Label
+ */
+const formatTime = (time, interval) => new Date(time).toLocaleString("en-US", interval === "D"
+    ? { timeZone: "America/New_York", month: "short", day: "numeric" }
+    : { timeZone: "America/New_York", hour: "2-digit", minute: "2-digit", hour12: false });
+
+/**
+ * Draws one candlestick panel
+ * @param {Array<import('./barSource.js').Bar>} bars - Bars, oldest first
+ * @param {Object} panel - Panel options
+ * @param {number} panel.width - Width, px
+ * @param {number} panel.height - Height, px
+ * @param {string} panel.title - Title (e.g. "AAPL · 15m")
+ * @param {string} [panel.interval="15"] - TradingView interval (time scale format)
+ * @returns {string} SVG document
+ */
+export const renderCandlestickSvg = (bars, { width, height, title, interval = "15" }) => {
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`,
+        `<rect width="${width}" height="${height}" fill="${COLORS.background}"/>`,
+        `<text x="${PAD.left + 4}" y="26" font-family="${FONT}" font-size="18" font-weight="bold" fill="${COLORS.text}">${escapeXml(title)}</text>`
+    ];
+
+    if (bars.length === 0) {
+        parts.push(`<text x="${width / 2}" y="${height / 2}" text-anchor="middle" font-family="${FONT}" font-size="16" fill="${COLORS.muted}">No data</text>`);
+        return `${parts.join("")}</svg>`;
+    }
+
+    const plotW = width - PAD.left - PAD.right;
+    const plotH = height - PAD.top - PAD.bottom;
+    const priceH = plotH * (1 - VOLUME_SHARE);
+    const volTop = PAD.top + priceH;
+
+    let low = Math.min(...bars.map(b => b.low));
+    let high = Math.max(...bars.map(b => b.high));
+    const margin = (high - low) * 0.05 || high * 0.01 || 1;
+    low -= margin;
+    high += margin;
+    const y = (price) => PAD.top + (high - price) / (high - low) * priceH;
+    const maxVolume = Math.max(...bars.map(b => b.volume), 1);
+
+    const slot = plotW / bars.length;
+    const bodyW = Math.max(1, slot * 0.7);
+    const x = (i) => PAD.left + slot * i + slot / 2;
+
+    // Price grid + scale
+    for (let i = 0; i <= 4; i++) {
+        const price = high - (high - low) * (i / 4);
+        const gy = y(price).toFixed(1);
+        parts.push(`<line x1="${PAD.left}" y1="${gy}" x2="${PAD.left + plotW}" y2="${gy}" stroke="${COLORS.grid}" stroke-width="1"/>`);
+        parts.push(`<text x="${width - PAD.right + 6}" y="${gy}" dy="4" font-family="${FONT}" font-size="12" fill="${COLORS.muted}">${formatPrice(price)}</text>`);
+    }
+
+    // Time scale
+    const labelEvery = Math.max(1, Math.ceil(bars.length / 5));
+    for (let i = 0; i < bars.length; i += labelEvery) {
+        const anchor = i === 0 ? `x="${PAD.left}" text-anchor="start"` : `x="${x(i).toFixed(1)}" text-anchor="middle"`;
+        parts.push(`<text ${anchor} y="${height - 8}" font-family="${FONT}" font-size="12" fill="${COLORS.muted}">${escapeXml(formatTime(bars[i].time, interval))}</text>`);
+    }
+
+    // Candles + volume
+    bars.forEach((bar, i) => {
+        const color = bar.close >= bar.open ? COLORS.up : COLORS.down;
+        const cx = x(i).toFixed(1);
+        const bodyTop = y(Math.max(bar.open, bar.close));
+        const bodyH = Math.max(1, Math.abs(y(bar.open) - y(bar.close)));
+        const volH = (bar.volume / maxVolume) * (plotH - priceH);
+        parts.push(`<line x1="${cx}" y1="${y(bar.high).toFixed(1)}" x2="${cx}" y2="${y(bar.low).toFixed(1)}" stroke="${color}" stroke-width="1"/>`);
+        parts.push(`<rect x="${(x(i) - bodyW / 2).toFixed(1)}" y="${bodyTop.toFixed(1)}" width="${bodyW.toFixed(1)}" height="${bodyH.toFixed(1)}" fill="${color}"/>`);
+        parts.push(`<rect x="${(x(i) - bodyW / 2).toFixed(1)}" y="${(volTop + (plotH - priceH) - volH).toFixed(1)}" width="${bodyW.toFixed(1)}" height="${volH.toFixed(1)}" fill="${color}" fill-opacity="0.4"/>`);
+    });
+
+    // Last price line + label
+    const last = bars.at(-1);
+    const lastColor = last.close >= last.open ? COLORS.up : COLORS.down;
+    const ly = y(last.close).toFixed(1);
+    parts.push(`<line x1="${PAD.left}" y1="${ly}" x2="${PAD.left + plotW}" y2="${ly}" stroke="${lastColor}" stroke-width="1" stroke-dasharray="4 4"/>`);
+    parts.push(`<rect x="${width - PAD.right + 2}" y="${Number(ly) - 10}" width="${PAD.right - 4}" height="20" fill="${lastColor}"/>`);
+    parts.push(`<text x="${width - PAD.right + 6}" y="${ly}" dy="4" font-family="${FONT}" font-size="12" font-weight="bold" fill="#ffffff">${formatPrice(last.close)}</text>`);
+
+    // OHLC of the last bar next to the title
+    const ohlc = `O ${formatPrice(last.open)}  H ${formatPrice(last.high)}  L ${formatPrice(last.low)}  C ${formatPrice(last.close)}`;
+    parts.push(`<text x="${PAD.left + 4 + title.length * 11 + 16}" y="26" font-family="${FONT}" font-size="14" fill="${lastColor}">${ohlc}</text>`);
+
+    return `${parts.join("")}</svg>`;
+};
+
+/**
+ * Stitches one panel per CHART_PANELS entry into the 2x2 grid
+ * @param {string} symbol - Full symbol
+ * @param {Array<Array<import('./barSource.js').Bar>>} barsByPanel - Bars for each CHART_PANELS entry
+ * @returns {Promise<Buffer>} PNG image
+ */
+export const renderChartGrid = (symbol, barsByPanel) => {
+    const ticker = symbol.split(":")[1] || symbol;
+    return sharp({
+        create: {
+            width: GRID_WIDTH,
+            height: GRID_HEIGHT,
+            channels: 4,
+            background: { r: 0, g: 0, b: 0, alpha: 1 }
+        }
+    })
+        .composite(CHART_PANELS.map((panel, i) => ({
+            input: Buffer.from(renderCandlestickSvg(barsByPanel[i] || [], {
+                width: panel.width,
+                height: panel.height,
+                title: `${ticker} · ${INTERVAL_LABELS[panel.interval] || panel.interval}`,
+                interval: panel.interval
+            })),
+            left: panel.left,
+            top: panel.top
+        })))
+        .png()
+        .toBuffer();
+};
+
+/**
+ * Creates the chart renderer
+ * @param {Object} config - Configuration object (chartDeadlineMs)
+ * @param {Object} barSource - Bar source with getBars(symbol, interval, limit) (see barSource.js)
+ * @returns {Object} Renderer with renderStitched(symbol) and the alert deadline
+ */
+export const createChartRenderer = (config, barSource) => {
+    const logger = createLogger();
+    const errorHandler = createErrorHandler(logger);
+
+    // Step alerts for one ticker often arrive seconds apart
+    const CACHE_TTL = 10000;
+    const cache = new Map();     // symbol → { buffer, timestamp }
+    const pending = new Map();   // symbol → Promise<Buffer|null>
+
+    /**
+     * Renders the 2x2 grid for a symbol (deduplicated and cached for CACHE_TTL)
+     * @param {string} symbol - Full symbol
+     * @returns {Promise<Buffer|null>} PNG image or null when no bars are available
+     */
+    const renderStitched = async (symbol) => {
+        const cached = cache.get(symbol);
+        if (cached && Date.now() - cached.timestamp < CACHE_TTL) return cached.buffer;
+        if (pending.has(symbol)) return pending.get(symbol);
+
+        const render = (async () => {
+            const t0 = Date.now();
+            try {
+                const barsByPanel = await Promise.all(CHART_PANELS.map(panel =>
+                    Promise.resolve(barSource.getBars(symbol, panel.interval, panel.limit)).catch(() => [])));
+                if (barsByPanel.every(bars => !bars?.length)) {
+                    logger.warn("ChartRenderer", `No bars for ${symbol}, sending without chart`);
+                    return null;
+                }
+                const buffer = await renderChartGrid(symbol, barsByPanel);
+                cache.set(symbol, { buffer, timestamp: Date.now() });
+                logger.info("ChartRenderer", `🎨 Rendered ${symbol} in ${Date.now() - t0}ms`);
+                return buffer;
+            } catch (error) {
+                errorHandler.handle(error, {
+                    component: "ChartRenderer",
+                    operation: "renderStitched",
+                    metadata: { symbol }
+                });
+                return null;
+            } finally {
+                pending.delete(symbol);
+                for (const [key, entry] of cache) {
+                    if (Date.now() - entry.timestamp >= CACHE_TTL) cache.delete(key);
+                }
+            }
+        })();
+
+        pending.set(symbol, render);
+        return render;
+    };
+
+    return Object.freeze({ renderStitched, deadlineMs: config.chartDeadlineMs ?? CHART_DEADLINE_MS });
+};
+
+/**
+ * Resolves with the chart, or null once the deadline passes (the render keeps going and is cached)
+ * @param {Promise<Buffer|null>} render - Pending render
+ * @param {number} deadlineMs - Deadline in ms
+ * @returns {Promise<Buffer|null>} Chart or null
+ */
+const withDeadline = (render, deadlineMs) => {
+    let timer;
+    const deadline = new Promise(resolve => { timer = setTimeout(() => resolve(null), deadlineMs); });
+    return Promise.race([render, deadline]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Sends an alert as a chart with the alert text as caption, falling back to a text
+ * message when there is no renderer, no chart in time (deadlineMs), the text exceeds
+ * the caption limit or the photo fails to send. Muted alerts skip the chart entirely
+ * @param {Object} telegramService - Telegram service (alert gate)
+ * @param {Object|null} chartRenderer - Chart renderer or null (text only)
+ * @param {string} symbol - Full symbol
+ * @param {string} text - Alert text
+ * @param {Object} [extra={}] - Send options (createAlertOptions)
+ * @param {string|null} [parseMode=null] - "HTML" for sendMessageHTML alerts, null for plain text
+ * @returns {Promise<Object>} Send result
+ */
+export const sendChartAlert = async (telegramService, chartRenderer, symbol, text, extra = {}, parseMode = null) => {
+    const sendText = () => (parseMode === "HTML"
+        ? telegramService.sendMessageHTML(text, extra)
+        : telegramService.sendMessage(text, extra));
+
+    if (!chartRenderer || !telegramService.sendPhoto || text.length > CAPTION_LIMIT) return sendText();
+    // Muted tickers go straight to the gate: no bar requests, no rendering
+    if (telegramService.isSuppressed?.(extra)) return sendText();
+
+    const chart = await withDeadline(chartRenderer.renderStitched(symbol), chartRenderer.deadlineMs ?? CHART_DEADLINE_MS);
+    if (!chart) return sendText();
+
+    const result = await telegramService.sendPhoto(chart, text, { ...extra, parse_mode: parseMode });
+    return result?.success || result?.muted ? result : sendText();
+};
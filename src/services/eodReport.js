@@ -0,0 +1,218 @@
+/**
+ * @fileoverview End-of-day summary posted when the regular session closes
+ *
+ * The orchestrator calls `send()` right after it stops Shadow Velocity at the close.
+ * The recap is assembled from state the app already keeps:
+ * - premarket alerts and Catalyst triggers — outcome tracker (trigger price, last price),
+ *   with the final premarket change from the Growth Scanner;
+ * - Alpha / Bear names by peak SVS / HSS — marketService.getDaySummary(), with the
+ *   session range from the 1-minute bar history (barHistory.js);
+ * - TradingView request / error / 429 counters — tradingview.js getRequestStats().
+ * It goes out as one HTML message; EOD_REPORT_FILE=md|csv also attaches it as a file.
+ */
+import { getRequestStats as tvRequestStats } from "./tradingview.js";
+import { ALERT_ROUTES } from "./alertRoutes.js";
+import { STRATEGIES, directionalMove } from "./outcomeTracker.js";
+import { nyDate } from "../core/utils/index.js";
+import { formatNum } from "../core/utils/format.js";
+import { createLogger } from "../core/logger.js";
+
+/** Supported EOD_REPORT_FILE formats */
+export const EOD_FILE_FORMATS = Object.freeze(["md", "csv"]);
+
+const ticker = (symbol) => symbol.split(":")[1] || symbol;
+const pct = (v) => (v == null ? "n/a" : `${v >= 0 ? "+" : ""}${v.toFixed(1)}%`);
+const range = (r) => (r ? `$${r.low.toFixed(2)}–$${r.high.toFixed(2)}` : "n/a");
+
+/** Move of an outcome at the moment of the report (last sampled price) */
+const currentMove = (outcome) => (outcome.last != null ? directionalMove(outcome, outcome.last) : outcome.moves.close);
+
+/**
+ * Builds the day's recap
+ * @param {Object} sources - Data sources
+ * @param {Object} [sources.growthScanner] - Growth Scanner (final premarket change)
+ * @param {Object} [sources.marketScanner] - Shadow Velocity (peak SVS / HSS)
+ * @param {Object} [sources.outcomeTracker] - Outcome tracker (alerts and prices)
+ * @param {Object} [sources.barHistory] - Bar history (session high / low of Alpha / Bear names)
+ * @param {Function} [sources.requestStats] - TradingView counters
+ * @param {string} day - NY date (YYYY-MM-DD)
+ * @returns {Object} Report data
+ */
+export const buildEodReport = (sources, day) => {
+    const outcomes = (sources.outcomeTracker?.getOutcomes() || []).filter(o => o.day === day);
+    const finalChanges = sources.growthScanner?.getState().lastReportedChanges || new Map();
+
+    // One row per premarket ticker: first trigger, number of alerts, move since the first trigger
+    const premarket = new Map();
+    for (const o of outcomes.filter(o => o.strategy === "STEP")) {
+        const row = premarket.get(o.symbol);
+        if (row) {
+            row.alerts++;
+            continue;
+        }
+        premarket.set(o.symbol, {
+            symbol: o.symbol,
+            change: finalChanges.get(o.symbol)?.change ?? null,
+            alerts: 1,
+            price: o.price,
+            move: currentMove(o)
+        });
+    }
+
+    const catalyst = outcomes
+        .filter(o => o.strategy === "FADE" || o.strategy === "BOUNCE")
+        .map(o => ({ symbol: o.symbol, strategy: o.strategy, price: o.price, last: o.last, pnl: currentMove(o) }));
+
+    const counts = Object.fromEntries(STRATEGIES.map(s => [s, outcomes.filter(o => o.strategy === s).length]));
+    const peaks = sources.marketScanner?.getDaySummary?.() ?? { alpha: [], bear: [] };
+    const withRange = (rows) => rows.map(s => ({ ...s, range: sources.barHistory?.getSessionStats(s.symbol) ?? null }));
+    const tv = sources.requestStats?.() ?? { requests: 0, errors: 0, rateLimited: 0 };
+
+    return {
+        day,
+        premarket: [...premarket.values()],
+        alpha: withRange(peaks.alpha),
+        bear: withRange(peaks.bear),
+        catalyst,
+        counts,
+        tv: { requests: tv.requests, errors: tv.errors, rateLimited: tv.rateLimited }
+    };
+};
+
+/**
+ * Formats the recap as a Telegram HTML message
+ * @param {Object} report - Result of buildEodReport
+ * @returns {string} HTML text
+ */
+export const formatEodHtml = (report) => {
+    const lines = [`<b>🔔 END OF DAY — ${report.day}</b>`, ""];
+
+    lines.push(`<b>🌅 Premarket alerts (${report.premarket.length})</b>`);
+    if (report.premarket.length === 0) lines.push("—");
+    report.premarket.forEach(p => lines.push(
+        `<code>${ticker(p.symbol).padEnd(6)}</code> PM ${pct(p.change)} ×${p.alerts} | since alert ${pct(p.move)}`
+    ));
+
+    lines.push("", "<b>🔥 Alpha (peak SVS)</b>");
+    if (report.alpha.length === 0) lines.push("—");
+    report.alpha.forEach(s => lines.push(
+        `<code>${ticker(s.symbol).padEnd(6)}</code> SVS ${formatNum(Math.round(s.score))} | ${pct(s.change)} | RVOL ${(s.rvol || 0).toFixed(0)}x${s.range ? ` | ${range(s.range)}` : ""}`
+    ));
+
+    lines.push("", "<b>🐻 Bear (peak HSS)</b>");
+    if (report.bear.length === 0) lines.push("—");
+    report.bear.forEach(s => lines.push(
+        `<code>${ticker(s.symbol).padEnd(6)}</code> HSS ${formatNum(Math.round(s.score))} | ${pct(s.change)} | $${formatNum(s.value || 0)}${s.range ? ` | ${range(s.range)}` : ""}`
+    ));
+
+    lines.push("", `<b>🎯 Catalyst triggers (${report.catalyst.length})</b>`);
+    if (report.catalyst.length === 0) lines.push("—");
+    report.catalyst.forEach(c => lines.push(
+        `<code>${ticker(c.symbol).padEnd(6)}</code> ${c.strategy} @ ${c.price} → ${c.last ?? "n/a"} | P&amp;L ${pct(c.pnl)}`
+    ));
+
+    lines.push("", "<b>📊 Alerts</b>");
+    lines.push(Object.entries(report.counts).map(([type, n]) => `${type} ${n}`).join(" | "));
+
+    lines.push("", "<b>📡 TradingView</b>");
+    lines.push(`Requests ${report.tv.requests} | Errors ${report.tv.errors} | Rate-limited ${report.tv.rateLimited}`);
+    return lines.join("\n");
+};
+
+/**
+ * Formats the recap as Markdown
+ * @param {Object} report - Result of buildEodReport
+ * @returns {string} Markdown document
+ */
+export const formatEodMarkdown = (report) => {
+    const table = (header, rows) => [
+        `| ${header.join(" | ")} |`,
+        `| ${header.map(() => "---").join(" | ")} |`,
+        ...rows.map(r => `| ${r.join(" | ")} |`)
+    ];
+    return [
+        `# End of day — ${report.day}`,
+        "",
+        "## Premarket alerts",
+        ...table(["Ticker", "Final PM change", "Alerts", "Trigger", "Since alert"],
+            report.premarket.map(p => [ticker(p.symbol), pct(p.change), p.alerts, p.price, pct(p.move)])),
+        "",
+        "## Alpha (peak SVS)",
+        ...table(["Ticker", "SVS", "Chg from open", "RVOL", "Day range"],
+            report.alpha.map(s => [ticker(s.symbol), Math.round(s.score), pct(s.change), (s.rvol || 0).toFixed(1), range(s.range)])),
+        "",
+        "## Bear (peak HSS)",
+        ...table(["Ticker", "HSS", "Chg from open", "Value", "Day range"],
+            report.bear.map(s => [ticker(s.symbol), Math.round(s.score), pct(s.change), formatNum(s.value || 0), range(s.range)])),
+        "",
+        "## Catalyst triggers",
+        ...table(["Ticker", "Strategy", "Trigger", "Last", "P&L"],
+            report.catalyst.map(c => [ticker(c.symbol), c.strategy, c.price, c.last ?? "n/a", pct(c.pnl)])),
+        "",
+        "## Alerts",
+        ...table(Object.keys(report.counts), [Object.values(report.counts)]),
+        "",
+        "## TradingView",
+        `Requests: ${report.tv.requests}, errors: ${report.tv.errors}, rate-limited: ${report.tv.rateLimited}`,
+        ""
+    ].join("\n");
+};
+
+/**
+ * Formats the recap as CSV (one row per name, section in the first column)
+ * @param {Object} report - Result of buildEodReport
+ * @returns {string} CSV document
+ */
+export const formatEodCsv = (report) => {
+    const rows = [["section", "symbol", "strategy", "price", "change", "score", "move"]];
+    report.premarket.forEach(p => rows.push(["premarket", p.symbol, "STEP", p.price, p.change, "", p.move]));
+    report.alpha.forEach(s => rows.push(["alpha", s.symbol, "", s.close, s.change, s.score, ""]));
+    report.bear.forEach(s => rows.push(["bear", s.symbol, "", s.close, s.change, s.score, ""]));
+    report.catalyst.forEach(c => rows.push(["catalyst", c.symbol, c.strategy, c.price, "", "", c.pnl]));
+    Object.entries(report.counts).forEach(([type, n]) => rows.push(["alerts", "", type, "", "", "", n]));
+    rows.push(["tradingview", "", "requests", "", "", "", report.tv.requests]);
+    rows.push(["tradingview", "", "errors", "", "", "", report.tv.errors]);
+    rows.push(["tradingview", "", "rate_limited", "", "", "", report.tv.rateLimited]);
+    return rows.map(r => r.map(v => (v == null ? "" : typeof v === "number" ? Number(v.toFixed(4)) : v)).join(",")).join("\n") + "\n";
+};
+
+/**
+ * Creates the end-of-day reporter
+ * @param {Object} config - App config (eodReportFile)
+ * @param {Object} telegramService - Telegram service instance
+ * @param {Object} sources - { growthScanner, marketScanner, outcomeTracker, barHistory?, requestStats? }
+ * @param {Function} [getNow=() => new Date()] - Clock (injectable for testing)
+ * @returns {Object} Reporter instance
+ */
+export const createEodReport = (config, telegramService, sources, getNow = () => new Date()) => {
+    const logger = createLogger();
+    const allSources = { requestStats: tvRequestStats, ...sources };
+    let lastSentDay = null;
+
+    /**
+     * Posts today's recap (once per NY day)
+     * @returns {Promise<Object|null>} Send result, or null if already sent today
+     */
+    const send = async () => {
+        const day = nyDate(getNow());
+        if (lastSentDay === day) return null;
+        lastSentDay = day;
+
+        const report = buildEodReport(allSources, day);
+        logger.info("EodReport", `📝 Posting recap for ${day}: ${report.premarket.length} premarket, ${report.catalyst.length} catalyst`);
+        const extra = { route: ALERT_ROUTES.REPORT_EOD };
+        const result = await telegramService.sendMessageHTML(formatEodHtml(report), extra);
+
+        const format = config.eodReportFile;
+        if (EOD_FILE_FORMATS.includes(format) && telegramService.sendDocument) {
+            const content = format === "csv" ? formatEodCsv(report) : formatEodMarkdown(report);
+            await telegramService.sendDocument(Buffer.from(content), `eod-${day}.${format}`, `EOD ${day}`, extra);
+        }
+        return result;
+    };
+
+    return Object.freeze({
+        send,
+        build: () => buildEodReport(allSources, nyDate(getNow()))
+    });
+};
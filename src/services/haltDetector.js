@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Trading halt inference for Shadow Velocity
+ *
+ * The screener has no halt flag. A halted stock stops printing: its price and
+ * cumulative volume repeat poll after poll while the rest of the scan keeps moving.
+ * A symbol counts as halted after `minPolls` such polls, or twice as many when the
+ * freeze did not follow a LULD-sized move (news / regulatory halts are rarer than
+ * volatility pauses, so they need more evidence). Polls where most of the scan is
+ * frozen too (stale feed) neither count nor reset the freeze.
+ *
+ * LULD context: the last price before the freeze is compared with the average price
+ * of the 5 minutes before it. A move past one of LULD_BANDS marks a likely limit
+ * up / limit down pause.
+ */
+import { nyDate } from "../core/utils/time.js";
+
+/**
+ * @typedef {Object} HaltEvent
+ * @property {"HALTED"|"RESUMED"} type - Event type
+ * @property {Object} stock - Mapped market row of the poll that produced the event
+ * @property {number} since - Time of the last print before the halt, ms
+ * @property {number} haltPrice - Last price before the halt
+ * @property {number|null} move - Move into the halt vs the 5-minute average, %
+ * @property {number|null} band - LULD band the move crossed (5 / 10), null if none
+ * @property {number} [durationMs] - Halt duration (RESUMED)
+ * @property {number} [gap] - Resume price vs halt price, % (RESUMED)
+ */
+
+/** LULD price bands, % (Tier 1 / Tier 2 above $3) */
+export const LULD_BANDS = Object.freeze([5, 10]);
+
+const REFERENCE_WINDOW_MS = 5 * 60_000;
+
+/**
+ * Creates the halt detector
+ * @param {Object} [options={}] - Thresholds
+ * @param {number} [options.minPolls=3] - Frozen polls after a LULD-sized move before a halt is declared
+ * @param {number} [options.neighbourShare=0.5] - Share of other symbols that must have printed in the poll
+ * @returns {Object} Detector with update / isHalted / isSuppressed / getHalt
+ */
+export const createHaltDetector = ({ minPolls = 3, neighbourShare = 0.5 } = {}) => {
+    let day = null;
+    // symbol → { price, volume, lastChange, frozenPolls, prices: [{ time, price }], halt, resumedAt }
+    const symbols = new Map();
+
+    const referenceMove = (entry) => {
+        const window = entry.prices.filter(p => p.time >= entry.lastChange - REFERENCE_WINDOW_MS);
+        const reference = window.reduce((sum, p) => sum + p.price, 0) / window.length;
+        return ((entry.price - reference) / reference) * 100;
+    };
+
+    /**
+     * Feeds one poll
+     * @param {Array<Object>} stocks - Mapped market rows (TvScanner.mapMarketRow)
+     * @param {number} [now=Date.now()] - Poll time, ms
+     * @returns {Array<HaltEvent>} Halts declared and resumed in this poll
+     */
+    const update = (stocks, now = Date.now()) => {
+        const today = nyDate(new Date(now));
+        if (day !== today) {
+            symbols.clear();
+            day = today;
+        }
+
+        const polled = stocks.filter(s => s?.symbol && s.close > 0);
+        const changed = new Map(polled
+            .filter(s => symbols.has(s.symbol))
+            .map(s => {
+                const entry = symbols.get(s.symbol);
+                return [s.symbol, s.close !== entry.price || (s.volume || 0) !== entry.volume];
+            }));
+        const printing = [...changed.values()].filter(Boolean).length;
+
+        const events = [];
+        for (const stock of polled) {
+            const entry = symbols.get(stock.symbol);
+            if (!entry) {
+                symbols.set(stock.symbol, {
+                    price: stock.close, volume: stock.volume || 0, lastChange: now, frozenPolls: 0,
+                    prices: [{ time: now, price: stock.close }], halt: null, resumedAt: null
+                });
+                continue;
+            }
+
+            if (changed.get(stock.symbol)) {
+                if (entry.halt) {
+                    events.push({
+                        type: "RESUMED", stock, ...entry.halt,
+                        durationMs: now - entry.halt.since,
+                        gap: ((stock.close - entry.halt.haltPrice) / entry.halt.haltPrice) * 100
+                    });
+                    entry.halt = null;
+                    entry.resumedAt = now;
+                }
+                entry.price = stock.close;
+                entry.volume = stock.volume || 0;
+                entry.lastChange = now;
+                entry.frozenPolls = 0;
+                entry.prices.push({ time: now, price: stock.close });
+                while (entry.prices[0].time < now - REFERENCE_WINDOW_MS) entry.prices.shift();
+                continue;
+            }
+
+            // Frozen — only meaningful while the other symbols keep printing
+            const others = changed.size - 1;
+            if (entry.halt || others < 1 || printing / others < neighbourShare) continue;
+            entry.frozenPolls++;
+            const move = referenceMove(entry);
+            const band = [...LULD_BANDS].reverse().find(b => Math.abs(move) >= b) ?? null;
+            if (entry.frozenPolls >= (band ? minPolls : minPolls * 2)) {
+                entry.halt = { since: entry.lastChange, haltPrice: entry.price, move, band };
+                events.push({ type: "HALTED", stock, ...entry.halt });
+            }
+        }
+        return events;
+    };
+
+    /**
+     * Whether price triggers of a symbol are unreliable: halted, or resumed within
+     * `afterMs` (velocity windows still straddle the halt)
+     * @param {string} symbol - Full symbol
+     * @param {number} [now=Date.now()] - Reference time, ms
+     * @param {number} [afterMs=60000] - Quiet period after the resume
+     * @returns {boolean} True to skip PUMP / DUMP
+     */
+    const isSuppressed = (symbol, now = Date.now(), afterMs = 60_000) => {
+        const entry = symbols.get(symbol);
+        return Boolean(entry?.halt) || (entry?.resumedAt != null && now - entry.resumedAt < afterMs);
+    };
+
+    return Object.freeze({
+        update,
+        isSuppressed,
+        isHalted: (symbol) => Boolean(symbols.get(symbol)?.halt),
+        getHalt: (symbol) => (symbols.get(symbol)?.halt ? { ...symbols.get(symbol).halt } : null)
+    });
+};
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Local HTTP API for health checks and inspection
+ *
+ * Read-only JSON routes:
+ *   GET /healthz          — Telegram reachable, age of the last successful TradingView fetch
+ *   GET /state            — getState() of every service (Maps → objects, Sets → arrays)
+ *   GET /alerts?since=    — recently delivered alerts (alertLog.js); since = epoch ms or ISO date
+ *   GET /watchlist        — Catalyst Sniper watchlist and triggered symbols
+ *   GET /metrics          — Prometheus text format (core/metrics.js)
+ *
+ * Binds to 127.0.0.1 unless HTTP_HOST is set; a non-loopback host needs HTTP_API_TOKEN
+ * (config validation). /healthz is always open (Fly health checks); with a token the
+ * other routes need `Authorization: Bearer <token>`.
+ */
+import http from "node:http";
+import crypto from "node:crypto";
+import { createLogger, withLogContext, newLogId } from "../core/logger.js";
+import { createErrorHandler } from "../core/errorHandler.js";
+import { metrics as defaultMetrics } from "../core/metrics.js";
+import { getRequestStats } from "./tradingview.js";
+
+/** TradingView data older than this while a scanner runs makes /healthz fail */
+export const TV_MAX_AGE_MS = 5 * 60_000;
+
+const TELEGRAM_CHECK_TTL_MS = 30_000;
+const TELEGRAM_CHECK_TIMEOUT_MS = 5_000;
+const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/**
+ * Checks the Authorization header in constant time
+ * @param {string|undefined} header - Authorization header
+ * @param {string} token - HTTP_API_TOKEN
+ * @returns {boolean} True for "Bearer <token>"
+ */
+const isAuthorized = (header, token) => {
+    const given = Buffer.from(String(header ?? ""));
+    const expected = Buffer.from(`Bearer ${token}`);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * JSON.stringify replacer for service state: Maps become objects, Sets arrays;
+ * timers and functions are dropped
+ */
+const stateReplacer = (key, value) => {
+    if (value instanceof Map) return Object.fromEntries([...value.entries()].map(([k, v]) => [String(k), v]));
+    if (value instanceof Set) return [...value];
+    if (typeof value === "function" || typeof value?.hasRef === "function") return undefined;
+    return value;
+};
+
+/**
+ * Serializes service state to JSON
+ * @param {any} value - Value with possible Maps / Sets / timers
+ * @returns {string} JSON
+ */
+export const toStateJson = (value) => JSON.stringify(value, stateReplacer);
+
+/**
+ * Parses the `since` query parameter
+ * @param {string|null} raw - Epoch ms or an ISO date, empty for everything
+ * @returns {number|null} Epoch ms, or null if not understood
+ */
+export const parseSince = (raw) => {
+    if (raw == null || raw === "") return 0;
+    if (/^\d+$/.test(raw)) return Number(raw);
+    const parsed = Date.parse(raw);
+    return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Creates the HTTP API
+ * @param {Object} config - Configuration object (httpPort, httpHost, httpApiToken)
+ * @param {Object} sources - Data sources
+ * @param {Object} sources.telegramService - Telegram service (ping)
+ * @param {Object<string, Object>} sources.services - Services by name (getState)
+ * @param {Object|null} [sources.alertLog] - Alert log (alertLog.js)
+ * @param {Object|null} [sources.catalystScanner] - Catalyst Sniper (watchlist)
+ * @param {Function} [sources.requestStats=getRequestStats] - TradingView request counters
+ * @param {Object} [sources.metrics] - Metrics registry (defaults to the process-wide one)
+ * @returns {Object} API with start / stop / handle
+ */
+export const createHttpApi = (config, sources) => {
+    const logger = createLogger();
+    const errorHandler = createErrorHandler(logger);
+    const requestStats = sources.requestStats ?? getRequestStats;
+    const metrics = sources.metrics ?? defaultMetrics;
+    const startedAt = Date.now();
+    let server = null;
+    let telegramCheck = null;   // { at, result }
+
+    const checkTelegram = async () => {
+        if (telegramCheck && Date.now() - telegramCheck.at < TELEGRAM_CHECK_TTL_MS) return telegramCheck.result;
+        const timeout = new Promise(resolve =>
+            setTimeout(() => resolve({ ok: false, error: "timeout" }), TELEGRAM_CHECK_TIMEOUT_MS).unref());
+        const result = await Promise.race([sources.telegramService.ping(), timeout]);
+        telegramCheck = { at: Date.now(), result };
+        return result;
+    };
+
+    const collectStates = () => Object.fromEntries(Object.entries(sources.services)
+        .filter(([, service]) => typeof service?.getState === "function")
+        .map(([name, service]) => [name, service.getState()]));
+
+    const healthz = async () => {
+        const now = Date.now();
+        const telegram = await checkTelegram();
+        const tv = requestStats();
+        const ageMs = tv.lastSuccessAt ? now - tv.lastSuccessAt : null;
+        const scanning = Object.values(collectStates()).some(state => state?.isRunning);
+        const tvOk = !scanning || (ageMs !== null && ageMs <= TV_MAX_AGE_MS);
+        const ok = telegram.ok && tvOk;
+        return [ok ? 200 : 503, {
+            status: ok ? "ok" : "degraded",
+            uptimeSec: Math.round((now - startedAt) / 1000),
+            telegram,
+            tradingView: {
+                ok: tvOk, scanning, lastSuccessAt: tv.lastSuccessAt, ageMs,
+                requests: tv.requests, errors: tv.errors, rateLimited: tv.rateLimited,
+                circuit: tv.circuit ?? null, budget: tv.budget ?? null, dataMode: tv.dataMode ?? null
+            }
+        }];
+    };
+
+    const routes = {
+        "/healthz": healthz,
+        "/state": async () => [200, { at: Date.now(), services: collectStates() }],
+        "/alerts": async (url) => {
+            const since = parseSince(url.searchParams.get("since"));
+            if (since === null) return [400, { error: "since must be epoch ms or an ISO date" }];
+            const alerts = sources.alertLog?.list(since) ?? [];
+            return [200, { since, count: alerts.length, alerts }];
+        },
+        "/watchlist": async () => {
+            const state = sources.catalystScanner?.getState() ?? {};
+            const watchlist = [...(state.watchlist?.entries() ?? [])].map(([symbol, entry]) => ({ symbol, ...entry }));
+            return [200, { count: watchlist.length, watchlist, triggered: [...(state.triggered ?? [])] }];
+        },
+        "/metrics": async () => [200, metrics.render()]
+    };
+
+    /**
+     * Resolves one request
+     * @param {string} method - HTTP method
+     * @param {string} rawUrl - Request path with query
+     * @param {Object} [headers={}] - Request headers (lower-case keys)
+     * @returns {Promise<[number, Object|string]>} Status code and JSON body (text for /metrics)
+     */
+    const handle = async (method, rawUrl, headers = {}) => {
+        const url = new URL(rawUrl, "http://localhost");
+        const route = routes[url.pathname];
+        if (!route) return [404, { error: "not found", routes: Object.keys(routes) }];
+        if (method !== "GET") return [405, { error: "method not allowed" }];
+        if (config.httpApiToken && url.pathname !== "/healthz" &&
+            !isAuthorized(headers.authorization, config.httpApiToken)) {
+            return [401, { error: "unauthorized" }];
+        }
+        return route(url);
+    };
+
+    const onRequest = (req, res) => withLogContext({ correlationId: newLogId("http") }, async () => {
+        let status = 500;
+        let body = { error: "internal error" };
+        try {
+            [status, body] = await handle(req.method, req.url, req.headers);
+        } catch (error) {
+            errorHandler.handle(error, { component: "HttpApi", operation: "request", metadata: { url: req.url } });
+        }
+        const text = typeof body === "string";
+        res.writeHead(status, {
+            "content-type": text ? PROMETHEUS_CONTENT_TYPE : "application/json; charset=utf-8",
+            "cache-control": "no-store"
+        });
+        res.end(text ? body : toStateJson(body));
+    });
+
+    return Object.freeze({
+        handle,
+
+        /**
+         * Starts listening on config.httpPort (0 = any free port)
+         * @returns {Promise<number>} Bound port
+         */
+        start: () => new Promise((resolve, reject) => {
+            server = http.createServer(onRequest);
+            server.once("error", reject);
+            server.listen(config.httpPort, config.httpHost || "127.0.0.1", () => {
+                const { port } = server.address();
+                logger.info("HttpApi", `🩺 HTTP API on ${config.httpHost || "127.0.0.1"}:${port}`);
+                resolve(port);
+            });
+        }),
+
+        stop: () => new Promise(resolve => {
+            if (!server) return resolve();
+            server.close(() => resolve());
+            server.closeAllConnections?.();
+            server = null;
+        })
+    });
+};
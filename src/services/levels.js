@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Intraday price levels for Shadow Velocity symbols
+ *
+ * Levels per symbol, all derived from the TradingView polls:
+ *   - premarket high / low — `premarket_high` / `premarket_low` of the market scan
+ *   - opening range high / low — first 5 / 15 minutes of the bar history (barHistory.js)
+ *   - VWAP — running approximation from the bar history
+ *
+ * `createLevelTracker` turns successive polls into level events: a break above the
+ * premarket high, and VWAP reclaim / loss (with a small band so a price sitting on
+ * VWAP does not flip every poll).
+ */
+import { hhmmToMin, nyNow } from "../core/utils/time.js";
+
+/**
+ * @typedef {Object} Range
+ * @property {number} high - Highest price
+ * @property {number} low - Lowest price
+ */
+
+/**
+ * @typedef {Object} Levels
+ * @property {number|null} premarketHigh - Premarket high (null without premarket trades)
+ * @property {number|null} premarketLow - Premarket low
+ * @property {Object<string, Range|null>} openingRange - Opening range per OPENING_RANGES minutes
+ *   (null while it is forming or if the symbol was not tracked from the open)
+ * @property {number|null} vwap - Running VWAP approximation
+ */
+
+/** Opening range lengths, minutes */
+export const OPENING_RANGES = Object.freeze([5, 15]);
+
+const REGULAR_OPEN = "09:30";
+const MINUTE_MS = 60_000;
+
+/**
+ * Epoch ms of today's 09:30 NY open
+ * @param {number} [now=Date.now()] - Reference time, ms
+ * @returns {number} Open time, ms
+ */
+export const sessionOpenMs = (now = Date.now()) => {
+    const minuteStart = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    return minuteStart - (hhmmToMin(nyNow(new Date(now)).hhmm) - hhmmToMin(REGULAR_OPEN)) * MINUTE_MS;
+};
+
+/**
+ * High / low of the first `minutes` of the session from 1-minute bars
+ * @param {Array<Object>} bars - 1-minute bars, oldest first
+ * @param {number} minutes - Range length
+ * @param {number} [now=Date.now()] - Reference time, ms
+ * @returns {Range|null} Range, or null while forming / without a bar at the open
+ */
+export const getOpeningRange = (bars, minutes, now = Date.now()) => {
+    const open = sessionOpenMs(now);
+    const end = open + minutes * MINUTE_MS;
+    if (!bars.length || bars[0].time > open || now < end) return null;
+    const window = bars.filter(bar => bar.time >= open && bar.time < end);
+    if (window.length === 0) return null;
+    return {
+        high: Math.max(...window.map(b => b.high)),
+        low: Math.min(...window.map(b => b.low))
+    };
+};
+
+/**
+ * Current levels of one symbol
+ * @param {Object} stock - Mapped market row (TvScanner.mapMarketRow)
+ * @param {Object} barHistory - Bar history (barHistory.js)
+ * @param {number} [now=Date.now()] - Reference time, ms
+ * @returns {Levels} Levels
+ */
+export const computeLevels = (stock, barHistory, now = Date.now()) => {
+    const bars = barHistory.getBars(stock.symbol, "1", Infinity);
+    return {
+        premarketHigh: stock.premarket_high > 0 ? stock.premarket_high : null,
+        premarketLow: stock.premarket_low > 0 ? stock.premarket_low : null,
+        openingRange: Object.fromEntries(OPENING_RANGES.map(minutes => [minutes, getOpeningRange(bars, minutes, now)])),
+        vwap: barHistory.getVwap(stock.symbol)
+    };
+};
+
+const price = (value) => `$${value.toFixed(value >= 10 ? 2 : 3)}`;
+
+/**
+ * One-line level summary for alerts ("PMH $12.40 | OR5 $11.90–$12.10 | VWAP $11.85")
+ * @param {Levels} levels - Levels
+ * @returns {string} Summary, empty if no level is known
+ */
+export const formatLevels = (levels) => {
+    const parts = [];
+    if (levels.premarketHigh) parts.push(`PMH ${price(levels.premarketHigh)}`);
+    if (levels.premarketLow) parts.push(`PML ${price(levels.premarketLow)}`);
+    for (const minutes of OPENING_RANGES) {
+        const range = levels.openingRange?.[minutes];
+        if (range) parts.push(`OR${minutes} ${price(range.low)}–${price(range.high)}`);
+    }
+    if (levels.vwap) parts.push(`VWAP ${price(levels.vwap)}`);
+    return parts.join(" | ");
+};
+
+/**
+ * Creates the level event tracker. The first poll of a symbol only records its side
+ * of each level; events fire on the next crossing.
+ * @param {number} [vwapBand=0.002] - VWAP band as a fraction of VWAP (0.2%)
+ * @returns {Object} Tracker with detect / clear
+ */
+export const createLevelTracker = (vwapBand = 0.002) => {
+    const sides = new Map();   // symbol → { abovePmh: boolean|null, vwap: "above"|"below"|null }
+
+    /**
+     * Updates a symbol's sides and returns the crossings since the previous poll
+     * @param {Object} stock - Mapped market row
+     * @param {Levels} levels - Levels of the symbol
+     * @returns {Array<"PMH"|"VWAP_UP"|"VWAP_DOWN">} Events
+     */
+    const detect = (stock, levels) => {
+        const prev = sides.get(stock.symbol) ?? { abovePmh: null, vwap: null };
+        const next = { ...prev };
+        const events = [];
+
+        if (levels.premarketHigh) {
+            next.abovePmh = stock.close > levels.premarketHigh;
+            if (prev.abovePmh === false && next.abovePmh) events.push("PMH");
+        }
+
+        if (levels.vwap) {
+            if (stock.close > levels.vwap * (1 + vwapBand)) next.vwap = "above";
+            else if (stock.close < levels.vwap * (1 - vwapBand)) next.vwap = "below";
+            if (prev.vwap === "below" && next.vwap === "above") events.push("VWAP_UP");
+            if (prev.vwap === "above" && next.vwap === "below") events.push("VWAP_DOWN");
+        }
+
+        sides.set(stock.symbol, next);
+        return events;
+    };
+
+    return Object.freeze({
+        detect,
+        clear: () => sides.clear()
+    });
+};
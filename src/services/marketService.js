@@ -3,7 +3,10 @@
  * 
  * Two modes:
  *   1. Pinned Dashboard — one message, updated every 30s via editMessage
- *   2. Smart Alerts — separate messages for NEW / PUMP / DUMP triggers
+ *   2. Smart Alerts — separate messages for NEW / PUMP / DUMP triggers and level
+ *      events (premarket high break, VWAP reclaim / loss — see levels.js)
+ *   3. Halt alerts — HALTED / RESUMED inferred from frozen prints (see haltDetector.js);
+ *      PUMP / DUMP are muted for a halted symbol until a minute after it resumes
  * 
  * Scoring:
  *   SVS (Shadow Velocity Score) = change_from_open * rvol_5m * log10(value_traded)
@@ -11,8 +14,16 @@
  */
 import { TvScanner } from "./tradingview.js";
 import { createLogger } from "../core/logger.js";
+import { timeScan } from "../core/metrics.js";
 import { createErrorHandler } from "../core/errorHandler.js";
 import { formatNum } from "../core/utils/format.js";
+import { nyDate } from "../core/utils/time.js";
+import { createAlertOptions } from "./alertActions.js";
+import { ALERT_ROUTES } from "./alertRoutes.js";
+import { sendChartAlert } from "./chartRenderer.js";
+import { createBarHistory } from "./barHistory.js";
+import { computeLevels, createLevelTracker, formatLevels } from "./levels.js";
+import { createHaltDetector } from "./haltDetector.js";
 
 // ─── SCORING ─────────────────────────────────────────────────────────────────
 
@@ -144,30 +155,80 @@ export const formatDashboard = (alphaStocks, bearStocks, prevStocks, timestamp)
 
 // ─── ALERT FORMATTING ────────────────────────────────────────────────────────
 
-const formatNewEntrantAlert = (stock) => {
+/**
+ * Level summary line appended to every alert (empty when no level is known yet)
+ */
+const levelsLine = (levels) => {
+    const summary = levels ? formatLevels(levels) : "";
+    return summary ? [`📐 ${summary}`] : [];
+};
+
+const formatNewEntrantAlert = (stock, levels) => {
     const ticker = stock.symbol.split(":")[1] || stock.symbol;
     return [
         `🚨 <b>NEW ALERT: ${ticker}</b>`,
         `⚡️ RVOL: ${stock.rvol_intraday_5m.toFixed(1)} | 📈 Chg: +${stock.change_from_open.toFixed(1)}%`,
         `💵 Value: $${formatNum(stock.value_traded)}`,
-        `Спекулятивний вхід. Увага на волатильність!`
+        `Спекулятивний вхід. Увага на волатильність!`,
+        ...levelsLine(levels)
     ].join("\n");
 };
 
-const formatVolumeSpikeAlert = (stock, prevRvol, currentRvol) => {
+const formatVolumeSpikeAlert = (stock, prevRvol, currentRvol, levels) => {
     const ticker = stock.symbol.split(":")[1] || stock.symbol;
     return [
         `🔋 <b>${ticker}: Fuel Injection!</b>`,
         `Об'єм різко виріс! RVOL: ${prevRvol.toFixed(0)} → ${currentRvol.toFixed(0)}.`,
-        `Ціна пробиває локальний хай?`
+        `Ціна пробиває локальний хай?`,
+        ...levelsLine(levels)
     ].join("\n");
 };
 
-const formatTrendReversalAlert = (stock, priceDrop) => {
+const formatTrendReversalAlert = (stock, priceDrop, levels) => {
     const ticker = stock.symbol.split(":")[1] || stock.symbol;
     return [
         `⚠️ <b>WARNING: ${ticker} Dropping</b>`,
-        `Ціна впала на ${priceDrop.toFixed(1)}% за хвилину. Можливий кінець тренду.`
+        `Ціна впала на ${priceDrop.toFixed(1)}% за хвилину. Можливий кінець тренду.`,
+        ...levelsLine(levels)
+    ].join("\n");
+};
+
+const formatLevelAlert = (stock, type, levels) => {
+    const ticker = stock.symbol.split(":")[1] || stock.symbol;
+    const price = `$${stock.close.toFixed(2)}`;
+    const headline = {
+        PMH: [`🏔 <b>${ticker}: Premarket High Break</b>`, `Ціна ${price} пробила премаркет-хай $${levels.premarketHigh?.toFixed(2)}.`],
+        VWAP_UP: [`📈 <b>${ticker}: VWAP Reclaim</b>`, `Ціна ${price} повернулась вище VWAP $${levels.vwap?.toFixed(2)}.`],
+        VWAP_DOWN: [`📉 <b>${ticker}: VWAP Lost</b>`, `Ціна ${price} впала нижче VWAP $${levels.vwap?.toFixed(2)}.`]
+    }[type];
+    return [...headline, ...levelsLine(levels)].join("\n");
+};
+
+const formatDuration = (ms) => {
+    const totalSec = Math.round(ms / 1000);
+    return totalSec >= 60 ? `${Math.floor(totalSec / 60)}m ${totalSec % 60}s` : `${totalSec}s`;
+};
+
+const signed = (value) => `${value >= 0 ? "+" : ""}${value.toFixed(1)}%`;
+
+const formatHaltAlert = (halt, now) => {
+    const ticker = halt.stock.symbol.split(":")[1] || halt.stock.symbol;
+    return [
+        `⏸ <b>HALTED: ${ticker}</b>`,
+        `Ціна $${halt.haltPrice.toFixed(2)} і об'єм не змінюються ${formatDuration(now - halt.since)}, решта ринку торгується.`,
+        halt.band
+            ? `Рух ${signed(halt.move)} від 5-хв середньої — ймовірна LULD-пауза ${halt.move > 0 ? "↑" : "↓"} (смуга ${halt.band}%).`
+            : `Без LULD-руху (${signed(halt.move)} від 5-хв середньої) — можлива новинна зупинка.`,
+        `PUMP / DUMP вимкнено до відновлення торгів.`
+    ].join("\n");
+};
+
+const formatResumeAlert = (halt) => {
+    const ticker = halt.stock.symbol.split(":")[1] || halt.stock.symbol;
+    return [
+        `▶️ <b>RESUMED: ${ticker}</b>`,
+        `Торги відновились після ${formatDuration(halt.durationMs)} зупинки.`,
+        `$${halt.haltPrice.toFixed(2)} → $${halt.stock.close.toFixed(2)} (${signed(halt.gap)})`
     ].join("\n");
 };
 
@@ -178,8 +239,12 @@ const formatTrendReversalAlert = (stock, priceDrop) => {
  * @param {Object} config - App configuration
  * @param {Object} telegramService - Telegram service instance
  * @param {Object} [scanner=TvScanner] - Scanner (injectable for testing)
+ * @param {Object|null} [stateStore=null] - Optional state store for restart persistence
+ * @param {Object|null} [chartRenderer=null] - Chart renderer for alert charts (see chartRenderer.js)
+ * @param {Object} [barHistory=createBarHistory()] - Per-symbol 1-minute bars built from every poll
  */
-export const createMarketService = (config, telegramService, scanner = TvScanner) => {
+export const createMarketService = (config, telegramService, scanner = TvScanner, stateStore = null, chartRenderer = null,
+    barHistory = createBarHistory()) => {
     const logger = createLogger();
     const errorHandler = createErrorHandler(logger);
 
@@ -188,24 +253,88 @@ export const createMarketService = (config, telegramService, scanner = TvScanner
     let prevStocks = new Map();           // symbol → { price, change, rvol, firstSeen, timestamp }
     let alertCooldowns = new Map();       // symbol → { time, type }
     let scanTimer = null;
+    let scanInFlight = false;
     let dashboardTimer = null;
     let lastScanResult = { alpha: [], bear: [] };
     let isRunning = false;
     let alertCount = 0;
+    let dayPeaks = { day: null, alpha: new Map(), bear: new Map() };   // symbol → best score today (EOD report)
+    const levelTracker = createLevelTracker();                         // symbol → side of PMH / VWAP
+    let levelDay = null;
+    let lastLevels = new Map();                                        // symbol → Levels (last scan)
+    const haltDetector = createHaltDetector({ minPolls: config.marketHaltPolls ?? 3 });
+    const haltAlerted = new Set();                                     // symbols with a HALTED alert awaiting RESUMED
+    const dumping = new Set();                                         // symbols below the DUMP threshold (one alert per drop)
 
     // ── Config defaults ──
     const SCAN_INTERVAL = config.marketScanIntervalMs ?? 10_000;
     const DASHBOARD_INTERVAL = config.marketDashboardIntervalMs ?? 30_000;
-    const COOLDOWN_MS = config.marketAlertCooldownMs ?? 300_000;        // 5 min
-    const RVOL_PUMP_DELTA = config.marketRvolPumpDelta ?? 5;            // +5 RVOL points
-    const DUMP_THRESHOLD = config.marketDumpThreshold ?? -2;            // -2% price per min
+    // Tunable via /set — read on every scan instead of captured at construction
+    const cooldownMs = () => config.marketAlertCooldownMs ?? 300_000;        // 5 min
+    const rvolPumpDelta = () => config.marketRvolPumpDelta ?? 5;            // +5 RVOL points
+    const dumpThreshold = () => config.marketDumpThreshold ?? -2;           // -2% price per min
+    const TRIGGER_WINDOW_MIN = 1;                                           // PUMP / DUMP velocity window
     const TOP_N = 5;
+    const STATE_NAMESPACE = "market";
+
+    // Dashboard reference is the per-chat deliveries (a bare message id = CHAT_ID, from older snapshots)
+    const describeDashboard = () => (Array.isArray(dashboardMessageId)
+        ? dashboardMessageId.map(d => `${d.chatId}/${d.messageId}`).join(", ")
+        : dashboardMessageId);
+
+    // ── Persistence ──
+    const persist = async () => {
+        if (!stateStore) return;
+        try {
+            await stateStore.save(STATE_NAMESPACE, { dashboardMessageId, prevStocks, alertCooldowns, alertCount, dayPeaks });
+        } catch (error) {
+            errorHandler.handle(error, { component: "MarketScanner", operation: "persist" });
+        }
+    };
+
+    const rehydrate = async () => {
+        if (!stateStore) return;
+        try {
+            const snapshot = await stateStore.load(STATE_NAMESPACE);
+            if (!snapshot) return;
+            dashboardMessageId = snapshot.dashboardMessageId ?? null;
+            if (snapshot.prevStocks instanceof Map) prevStocks = snapshot.prevStocks;
+            if (snapshot.alertCooldowns instanceof Map) alertCooldowns = snapshot.alertCooldowns;
+            alertCount = snapshot.alertCount || 0;
+            if (snapshot.dayPeaks?.alpha instanceof Map) dayPeaks = snapshot.dayPeaks;
+            logger.info("MarketScanner", `♻️ Restored state: ${prevStocks.size} tracked, dashboard msg ${describeDashboard() ?? "none"}`);
+        } catch (error) {
+            errorHandler.handle(error, { component: "MarketScanner", operation: "rehydrate" });
+        }
+    };
+
+    // ── Peak SVS / HSS per symbol for the day ──
+    const recordPeaks = (alphaPool, bearPool) => {
+        const day = nyDate(new Date());
+        if (dayPeaks.day !== day) dayPeaks = { day, alpha: new Map(), bear: new Map() };
+        const keep = (map, stock, score) => {
+            if ((map.get(stock.symbol)?.score ?? -Infinity) >= score) return;
+            map.set(stock.symbol, {
+                symbol: stock.symbol,
+                score,
+                close: stock.close,
+                change: stock.change_from_open,
+                rvol: stock.rvol_intraday_5m,
+                value: stock.value_traded
+            });
+        };
+        alphaPool.forEach(s => keep(dayPeaks.alpha, s, s._svs));
+        bearPool.forEach(s => keep(dayPeaks.bear, s, s._hss));
+    };
 
     // ── Core scan logic ──
-    const scanOnce = async () => {
+    const scanOnce = timeScan("market", async () => {
         try {
             const { data: rawStocks } = await scanner.getMarketStocks(config);
             const stocks = rawStocks.map(scanner.mapMarketRow);
+            const now = Date.now();
+            barHistory.record(stocks, now);
+            const haltEvents = haltDetector.update(stocks, now);
 
             // Calculate scores
             const alphaPool = stocks
@@ -231,40 +360,83 @@ export const createMarketService = (config, telegramService, scanner = TvScanner
                 .slice(0, TOP_N);
 
             logger.info("MarketScanner", `📊 Raw: ${stocks.length} | Pass: ${alphaPool.length} alpha, ${bearPool.length} bear`);
+            recordPeaks(alphaPool, bearPool);
+
+            // ── Levels of every polled symbol; crossings are alerted for ranked names only ──
+            const day = nyDate(new Date(now));
+            if (levelDay !== day) {
+                levelTracker.clear();
+                dumping.clear();
+                levelDay = day;
+            }
+            const levels = new Map();
+            const levelEvents = new Map();
+            for (const stock of stocks) {
+                const stockLevels = computeLevels(stock, barHistory, now);
+                levels.set(stock.symbol, stockLevels);
+                levelEvents.set(stock.symbol, levelTracker.detect(stock, stockLevels));
+            }
+            lastLevels = levels;
 
             // ── Detect alert triggers ──
-            const now = Date.now();
-
             for (const stock of alphaRanked) {
                 const prev = prevStocks.get(stock.symbol);
+                // A halt freezes the price, so the velocity baseline straddles it until a minute after the resume
+                const velocity = haltDetector.isSuppressed(stock.symbol, now, TRIGGER_WINDOW_MIN * 60_000)
+                    ? null
+                    : barHistory.getVelocity(stock.symbol, TRIGGER_WINDOW_MIN, now);
 
                 // Trigger 1: NEW ENTRANT — in TOP-5 and not seen for 30 min
                 if (!prev || (now - prev.timestamp > 30 * 60_000)) {
                     if (!isCooldown(stock.symbol, "NEW", now)) {
-                        await sendAlert(formatNewEntrantAlert(stock), stock.symbol, "NEW", now);
+                        await sendAlert(formatNewEntrantAlert(stock, levels.get(stock.symbol)), stock, "NEW", now);
                     }
                 }
 
-                // Trigger 2: VOLUME SPIKE — RVOL grew +5 in ~1 min
-                if (prev && stock.rvol_intraday_5m - prev.rvol >= RVOL_PUMP_DELTA) {
+                // Trigger 2: VOLUME SPIKE — RVOL grew +5 within the last minute
+                if (velocity?.rvolChange != null && velocity.rvolChange >= rvolPumpDelta()) {
                     if (!isCooldown(stock.symbol, "PUMP", now)) {
                         await sendAlert(
-                            formatVolumeSpikeAlert(stock, prev.rvol, stock.rvol_intraday_5m),
-                            stock.symbol, "PUMP", now
+                            formatVolumeSpikeAlert(stock, stock.rvol_intraday_5m - velocity.rvolChange, stock.rvol_intraday_5m,
+                                levels.get(stock.symbol)),
+                            stock, "PUMP", now
                         );
                     }
                 }
 
-                // Trigger 3: TREND REVERSAL — price dropped 2%+ since last scan
-                if (prev && prev.price > 0) {
-                    const priceDrop = ((stock.close - prev.price) / prev.price) * 100;
-                    if (priceDrop <= DUMP_THRESHOLD) {
-                        // No cooldown for DUMP — always alert
+                // Trigger 3: TREND REVERSAL — price dropped 2%+ within the last minute.
+                // The drop stays in the rolling window for a minute, so alert once when it crosses
+                if (velocity && velocity.priceChange <= dumpThreshold()) {
+                    if (!dumping.has(stock.symbol)) {
+                        dumping.add(stock.symbol);
                         await sendAlert(
-                            formatTrendReversalAlert(stock, priceDrop),
-                            stock.symbol, "DUMP", now
+                            formatTrendReversalAlert(stock, velocity.priceChange, levels.get(stock.symbol)),
+                            stock, "DUMP", now
                         );
                     }
+                } else if (velocity) {
+                    dumping.delete(stock.symbol);
+                }
+            }
+
+            // Trigger 4: LEVELS — premarket high break, VWAP reclaim / loss
+            for (const stock of [...alphaRanked, ...bearRanked]) {
+                for (const type of levelEvents.get(stock.symbol) ?? []) {
+                    if (!isCooldown(stock.symbol, type, now)) {
+                        await sendAlert(formatLevelAlert(stock, type, levels.get(stock.symbol)), stock, type, now);
+                    }
+                }
+            }
+
+            // Trigger 5: HALTS — names ranked now or in the last scan; RESUMED follows its HALTED
+            const tracked = new Set([...alphaRanked, ...bearRanked].map(s => s.symbol).concat([...prevStocks.keys()]));
+            for (const halt of haltEvents) {
+                const symbol = halt.stock.symbol;
+                if (halt.type === "HALTED" && tracked.has(symbol)) {
+                    haltAlerted.add(symbol);
+                    await sendAlert(formatHaltAlert(halt, now), halt.stock, "HALTED", now);
+                } else if (halt.type === "RESUMED" && haltAlerted.delete(symbol)) {
+                    await sendAlert(formatResumeAlert(halt), halt.stock, "RESUMED", now);
                 }
             }
 
@@ -281,16 +453,21 @@ export const createMarketService = (config, telegramService, scanner = TvScanner
                 });
             }
             prevStocks = newPrev;
+            // A symbol that left the ranking starts a new drop if it comes back
+            for (const symbol of dumping) {
+                if (!newPrev.has(symbol)) dumping.delete(symbol);
+            }
             lastScanResult = { alpha: alphaRanked, bear: bearRanked };
 
             logger.info("MarketScanner", `📊 Scan: ${alphaRanked.length} alpha, ${bearRanked.length} bear`);
+            await persist();
         } catch (error) {
             errorHandler.handle(error, {
                 component: "MarketScanner",
                 operation: "scanOnce"
             });
         }
-    };
+    });
 
     // ── Dashboard update ──
     const updateDashboard = async () => {
@@ -304,15 +481,22 @@ export const createMarketService = (config, telegramService, scanner = TvScanner
 
             if (!dashboardMessageId) {
                 // First time — send and pin
-                const result = await telegramService.sendMessageHTML(text);
+                const result = await telegramService.sendMessageHTML(text, { route: ALERT_ROUTES.DASHBOARD });
                 if (result?.success && result.message) {
-                    dashboardMessageId = result.message.message_id;
+                    // Keep chat + message id of every copy, so edits/pins reach the routed chats (not CHAT_ID)
+                    dashboardMessageId = result.deliveries ?? result.message.message_id;
                     await telegramService.pinMessage(dashboardMessageId);
-                    logger.info("MarketScanner", `📌 Dashboard pinned (msg ${dashboardMessageId})`);
+                    logger.info("MarketScanner", `📌 Dashboard pinned (msg ${result.message.message_id})`);
+                    await persist();
                 }
             } else {
                 // Update existing
-                await telegramService.editMessage(dashboardMessageId, text);
+                const result = await telegramService.editMessage(dashboardMessageId, text);
+                // A restored message id may point to a deleted message — re-send on next cycle
+                if (result && !result.success && result.error?.response?.description?.includes("not found")) {
+                    logger.warn("MarketScanner", `Dashboard msg ${describeDashboard()} is gone, will re-create`);
+                    dashboardMessageId = null;
+                }
             }
         } catch (error) {
             errorHandler.handle(error, {
@@ -326,15 +510,16 @@ export const createMarketService = (config, telegramService, scanner = TvScanner
     const isCooldown = (symbol, type, now) => {
         const key = `${symbol}:${type}`;
         const cd = alertCooldowns.get(key);
-        return cd && (now - cd < COOLDOWN_MS);
+        return cd && (now - cd < cooldownMs());
     };
 
-    const sendAlert = async (text, symbol, type, now) => {
-        const result = await telegramService.sendMessageHTML(text);
+    const sendAlert = async (text, stock, type, now) => {
+        const result = await sendChartAlert(telegramService, chartRenderer, stock.symbol, text,
+            createAlertOptions("market", stock.symbol, ALERT_ROUTES[`MARKET_${type}`], stock.close), "HTML");
         if (result?.success) {
-            alertCooldowns.set(`${symbol}:${type}`, now);
+            alertCooldowns.set(`${stock.symbol}:${type}`, now);
             alertCount++;
-            logger.info("MarketScanner", `🔔 Alert [${type}]: ${symbol}`);
+            logger.info("MarketScanner", `🔔 Alert [${type}]: ${stock.symbol}`);
         }
     };
 
@@ -342,12 +527,39 @@ export const createMarketService = (config, telegramService, scanner = TvScanner
     const cleanupCooldowns = () => {
         const now = Date.now();
         for (const [key, time] of alertCooldowns) {
-            if (now - time > COOLDOWN_MS * 2) {
+            if (now - time > cooldownMs() * 2) {
                 alertCooldowns.delete(key);
             }
         }
     };
 
+    // ── Alert buttons ──
+    const getDetails = (symbol) => {
+        const ranked = [...lastScanResult.alpha, ...lastScanResult.bear].find(s => s.symbol === symbol);
+        const prev = prevStocks.get(symbol);
+        if (!ranked && !prev) return null;
+        const ticker = symbol.split(":")[1] || symbol;
+        const lines = [`🔥 ${ticker} market`];
+        if (ranked) {
+            lines.push(`Price: $${ranked.close} | Chg from open: ${ranked.change_from_open.toFixed(1)}%`);
+            lines.push(`RVOL 5m: ${(ranked.rvol_intraday_5m || 0).toFixed(1)} | Value: $${formatNum(ranked.value_traded || 0)}`);
+            if (ranked._svs != null) lines.push(`SVS: ${formatNum(Math.round(ranked._svs))}`);
+            if (ranked._hss != null) lines.push(`HSS: ${formatNum(Math.round(ranked._hss))}`);
+        } else {
+            lines.push(`Last seen: $${prev.price} | Chg from open: ${prev.change.toFixed(1)}%`);
+        }
+        const moves = [1, 5, 15]
+            .map(minutes => [minutes, barHistory.getVelocity(symbol, minutes)])
+            .filter(([, velocity]) => velocity)
+            .map(([minutes, velocity]) => `${minutes}m ${velocity.priceChange >= 0 ? "+" : ""}${velocity.priceChange.toFixed(1)}%`);
+        if (moves.length > 0) lines.push(`Velocity: ${moves.join(" | ")}`);
+        const halt = haltDetector.getHalt(symbol);
+        if (halt) lines.push(`⏸ Halted for ${formatDuration(Date.now() - halt.since)} at $${halt.haltPrice}`);
+        const levels = lastLevels.get(symbol);
+        if (levels && formatLevels(levels)) lines.push(`Levels: ${formatLevels(levels)}`);
+        return lines.join("\n");
+    };
+
     // ── Public API ──
     return Object.freeze({
         start: async () => {
@@ -355,14 +567,26 @@ export const createMarketService = (config, telegramService, scanner = TvScanner
             isRunning = true;
             logger.info("MarketScanner", "🔥 Shadow Velocity Scanner started");
 
+            await rehydrate();
+
             // Initial scan + dashboard
             await scanOnce();
             await updateDashboard();
 
             // Start loops
             scanTimer = setInterval(async () => {
-                await scanOnce();
-                cleanupCooldowns();
+                // A slow pass (TradingView retries, chart bars) must not pile up with the next ticks
+                if (scanInFlight) {
+                    logger.warn("MarketScanner", "⏭ Previous scan still running, skipping this tick");
+                    return;
+                }
+                scanInFlight = true;
+                try {
+                    await scanOnce();
+                    cleanupCooldowns();
+                } finally {
+                    scanInFlight = false;
+                }
             }, SCAN_INTERVAL);
 
             dashboardTimer = setInterval(updateDashboard, DASHBOARD_INTERVAL);
@@ -385,13 +609,27 @@ export const createMarketService = (config, telegramService, scanner = TvScanner
             }
         },
 
+        getDetails,
+
+        /**
+         * Names of the day ranked by their peak score (EOD report)
+         * @param {number} [limit=5] - Names per side
+         * @returns {{day: string|null, alpha: Array<Object>, bear: Array<Object>}} Peaks (score = SVS / HSS)
+         */
+        getDaySummary: (limit = TOP_N) => ({
+            day: dayPeaks.day,
+            alpha: [...dayPeaks.alpha.values()].sort((a, b) => b.score - a.score).slice(0, limit),
+            bear: [...dayPeaks.bear.values()].sort((a, b) => b.score - a.score).slice(0, limit)
+        }),
+
         getState: () => ({
             isRunning,
             dashboardMessageId,
             alertCount,
             alphaCount: lastScanResult.alpha.length,
             bearCount: lastScanResult.bear.length,
-            trackedSymbols: prevStocks.size
+            trackedSymbols: prevStocks.size,
+            dumpingSymbols: dumping.size
         })
     });
 };
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Premarket morning briefing posted (and pinned) just before the open
+ *
+ * The orchestrator calls `send()` inside the `briefing` window (09:25–09:30 ET by default).
+ * Nothing is fetched: the list is built from state the scanners already hold —
+ * - Growth Scanner `lastStocks`: the latest premarket snapshot (gappers up),
+ * - Catalyst Sniper watchlist: gaps in both directions, ranked by calcScore.
+ * Gappers are ranked by premarket dollar volume (premarket volume × premarket price).
+ */
+import { ALERT_ROUTES } from "./alertRoutes.js";
+import { nyDate } from "../core/utils/index.js";
+import { formatNum } from "../core/utils/format.js";
+import { createLogger } from "../core/logger.js";
+
+const TOP_N = 10;
+
+const ticker = (symbol) => symbol.split(":")[1] || symbol;
+
+/**
+ * @typedef {Object} Gapper
+ * @property {string} symbol - Full symbol
+ * @property {number} gap - Premarket change, %
+ * @property {number} price - Premarket price
+ * @property {number} high - Premarket high (0 if unknown)
+ * @property {number} volume - Premarket volume
+ * @property {number} float - Float shares (0 if unknown)
+ * @property {number} dollarVolume - Premarket dollar volume
+ */
+
+/**
+ * Builds the briefing from scanner state
+ * @param {Object} sources - { growthScanner, catalystScanner }
+ * @returns {{up: Gapper[], down: Gapper[], watchlist: Array<Object>}} Briefing data
+ */
+export const buildBriefing = (sources) => {
+    const gappers = new Map();
+
+    // Catalyst watchlist first, so the fresher Growth Scanner snapshot wins on overlap
+    const watchlist = [...(sources.catalystScanner?.getState().watchlist?.values() || [])];
+    for (const entry of watchlist) {
+        if (entry.manual) continue;
+        gappers.set(entry.symbol, {
+            symbol: entry.symbol,
+            gap: entry.gap,
+            price: entry.price || 0,
+            high: entry.high || 0,
+            volume: entry.preVol || 0,
+            float: entry.float || 0
+        });
+    }
+    for (const stock of sources.growthScanner?.getState().lastStocks || []) {
+        gappers.set(stock.symbol, {
+            symbol: stock.symbol,
+            gap: stock.premarket_change,
+            price: stock.premarket_close,
+            high: stock.premarket_high || 0,
+            volume: stock.premarket_volume,
+            float: stock.float_shares_outstanding
+        });
+    }
+
+    const ranked = [...gappers.values()]
+        .map(g => ({ ...g, dollarVolume: g.volume * g.price }))
+        .sort((a, b) => b.dollarVolume - a.dollarVolume);
+
+    return {
+        up: ranked.filter(g => g.gap > 0).slice(0, TOP_N),
+        down: ranked.filter(g => g.gap < 0).slice(0, TOP_N),
+        watchlist: watchlist.sort((a, b) => b.score - a.score).slice(0, TOP_N)
+    };
+};
+
+/**
+ * Formats the briefing as a Telegram HTML message
+ * @param {Object} briefing - Result of buildBriefing
+ * @param {string} day - NY date (YYYY-MM-DD)
+ * @returns {string} HTML text
+ */
+export const formatBriefingHtml = (briefing, day) => {
+    const row = (g) => `<code>${ticker(g.symbol).padEnd(6)} ${`${g.gap > 0 ? "+" : ""}${g.gap.toFixed(1)}%`.padStart(7)} ` +
+        `$${formatNum(g.dollarVolume).padEnd(6)} F ${(g.float ? formatNum(g.float) : "n/a").padEnd(6)} ` +
+        `H ${g.high ? g.high.toFixed(2) : "n/a"}</code>`;
+
+    const lines = [`<b>☀️ PREMARKET BRIEFING — ${day}</b>`, "<i>ranked by premarket $ volume · F = float · H = premarket high</i>", ""];
+
+    lines.push(`<b>🚀 Gappers up</b>`);
+    lines.push(...(briefing.up.length ? briefing.up.map(row) : ["—"]));
+
+    lines.push("", `<b>🩸 Gappers down</b>`);
+    lines.push(...(briefing.down.length ? briefing.down.map(row) : ["—"]));
+
+    lines.push("", `<b>🎯 Catalyst watchlist</b>`);
+    lines.push(...(briefing.watchlist.length
+        ? briefing.watchlist.map(w => w.manual
+            ? `<code>${ticker(w.symbol).padEnd(6)}</code> added manually`
+            : `<code>${ticker(w.symbol).padEnd(6)} ${`${w.gap > 0 ? "+" : ""}${w.gap.toFixed(1)}%`.padStart(7)} score ${w.score.toFixed(1)}</code> ${w.gap > 0 ? "FADE watch" : "BOUNCE watch"}`)
+        : ["—"]));
+
+    return lines.join("\n");
+};
+
+/**
+ * Creates the morning briefing poster
+ * @param {Object} config - App config
+ * @param {Object} telegramService - Telegram service instance
+ * @param {Object} sources - { growthScanner, catalystScanner }
+ * @param {Function} [getNow=() => new Date()] - Clock (injectable for testing)
+ * @returns {Object} Briefing instance
+ */
+export const createMorningBriefing = (config, telegramService, sources, getNow = () => new Date()) => {
+    const logger = createLogger();
+    let lastSentDay = null;
+
+    /**
+     * Posts and pins today's briefing (once per NY day)
+     * @returns {Promise<Object|null>} Send result, or null if already sent today
+     */
+    const send = async () => {
+        const day = nyDate(getNow());
+        if (lastSentDay === day) return null;
+        lastSentDay = day;
+
+        const briefing = buildBriefing(sources);
+        logger.info("Briefing", `☀️ Posting briefing: ${briefing.up.length} up, ${briefing.down.length} down, ${briefing.watchlist.length} on watchlist`);
+        const result = await telegramService.sendMessageHTML(formatBriefingHtml(briefing, day), { route: ALERT_ROUTES.REPORT_BRIEFING });
+        if (result?.success) {
+            // Deliveries carry the chat id — the briefing route may point away from CHAT_ID
+            await telegramService.pinMessage(result.deliveries ?? result.message.message_id);
+        }
+        return result;
+    };
+
+    return Object.freeze({
+        send,
+        build: () => buildBriefing(sources)
+    });
+};
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Per-ticker mute / ignore list shared by every scanner
+ *
+ * - Mutes expire (fixed duration or "today" in NY time) and may be scoped to one
+ *   scanner (alert buttons) or apply everywhere (/mute command).
+ * - Ignores are permanent until /unmute.
+ * The list is stored under the `mutes` namespace with `{ persistent: true }`,
+ * so it survives restarts and trading-day rollover.
+ */
+import { nyDate } from "../core/utils/index.js";
+import { createLogger } from "../core/logger.js";
+import { createErrorHandler } from "../core/errorHandler.js";
+
+/**
+ * @typedef {Object} MuteExpiry
+ * @property {number} [until] - Epoch ms the mute ends at
+ * @property {string} [day] - NY date (YYYY-MM-DD) the mute is valid for
+ */
+
+/**
+ * @typedef {Object} MuteEntry
+ * @property {string} ticker - Ticker without exchange prefix
+ * @property {string|null} scanner - Scanner id the mute applies to (null = all scanners)
+ * @property {MuteExpiry} expiry - When the mute ends
+ */
+
+const STATE_NAMESPACE = "mutes";
+const UNIT_MS = Object.freeze({ m: 60_000, h: 3_600_000, d: 86_400_000 });
+
+/**
+ * Normalizes "NASDAQ:aapl" / "$AAPL" / "aapl" to "AAPL"
+ * @param {string} symbol - Symbol or ticker
+ * @returns {string} Upper-case ticker
+ */
+export const toMuteKey = (symbol) => {
+    const raw = String(symbol || "").trim();
+    return (raw.split(":")[1] || raw).replace(/^\$/, "").toUpperCase();
+};
+
+/**
+ * Parses a /mute duration: "30m", "2h", "3d" or "today" (default)
+ * @param {string} [input="today"] - Duration text
+ * @param {Date} [now=new Date()] - Current moment
+ * @returns {MuteExpiry|null} Expiry or null if the text is not a duration
+ */
+export const parseMuteDuration = (input = "today", now = new Date()) => {
+    const text = String(input).trim().toLowerCase();
+    if (text === "today") return { day: nyDate(now) };
+    const match = text.match(/^(\d+)([mhd])$/);
+    if (!match || Number(match[1]) <= 0) return null;
+    return { until: now.getTime() + Number(match[1]) * UNIT_MS[match[2]] };
+};
+
+/**
+ * Checks whether a mute expiry is still in effect
+ * @param {MuteExpiry|undefined} expiry - Expiry
+ * @param {Date} [now=new Date()] - Current moment
+ * @returns {boolean} True while muted
+ */
+export const isMuteActive = (expiry, now = new Date()) => {
+    if (!expiry) return false;
+    if (expiry.day) return expiry.day === nyDate(now);
+    return now.getTime() < expiry.until;
+};
+
+/**
+ * Describes an expiry for humans
+ * @param {MuteExpiry} expiry - Expiry
+ * @param {Date} [now=new Date()] - Current moment
+ * @returns {string} "today" or remaining time
+ */
+export const describeMuteExpiry = (expiry, now = new Date()) => {
+    if (expiry.day) return "today";
+    const mins = Math.max(1, Math.ceil((expiry.until - now.getTime()) / 60_000));
+    if (mins < 60) return `${mins}m left`;
+    if (mins < 24 * 60) return `${Math.floor(mins / 60)}h ${mins % 60}m left`;
+    return `${Math.floor(mins / (24 * 60))}d ${Math.floor((mins % (24 * 60)) / 60)}h left`;
+};
+
+/**
+ * Creates the shared mute service
+ * @param {Object|null} [stateStore=null] - Optional state store for restart persistence
+ * @param {Function} [getNow=() => new Date()] - Clock (injectable for testing)
+ * @returns {Object} Mute service instance
+ */
+export const createMuteService = (stateStore = null, getNow = () => new Date()) => {
+    const logger = createLogger();
+    const errorHandler = createErrorHandler(logger);
+
+    /** @type {Map<string, MuteEntry>} key: "TICKER" or "scanner:TICKER" */
+    let mutes = new Map();
+    /** @type {Set<string>} */
+    let ignored = new Set();
+
+    const entryKey = (ticker, scanner) => (scanner ? `${scanner}:${ticker}` : ticker);
+
+    const persist = async () => {
+        if (!stateStore) return;
+        try {
+            await stateStore.save(STATE_NAMESPACE, { mutes, ignored });
+        } catch (error) {
+            errorHandler.handle(error, { component: "MuteService", operation: "persist" });
+        }
+    };
+
+    /**
+     * Drops expired mutes
+     * @returns {boolean} True if anything was removed
+     */
+    const prune = () => {
+        const now = getNow();
+        let removed = false;
+        for (const [key, entry] of mutes) {
+            if (!isMuteActive(entry.expiry, now)) {
+                mutes.delete(key);
+                removed = true;
+            }
+        }
+        return removed;
+    };
+
+    /**
+     * Restores the list from the state store
+     * @returns {Promise<void>}
+     */
+    const load = async () => {
+        if (!stateStore) return;
+        try {
+            const snapshot = await stateStore.load(STATE_NAMESPACE, { persistent: true });
+            if (!snapshot) return;
+            if (snapshot.mutes instanceof Map) mutes = snapshot.mutes;
+            if (snapshot.ignored instanceof Set) ignored = snapshot.ignored;
+            if (prune()) await persist();
+            logger.info("MuteService", `♻️ Restored ${mutes.size} mutes and ${ignored.size} ignored tickers`);
+        } catch (error) {
+            errorHandler.handle(error, { component: "MuteService", operation: "load" });
+        }
+    };
+
+    /**
+     * Mutes a ticker
+     * @param {string} symbol - Symbol or ticker
+     * @param {MuteExpiry} expiry - When the mute ends
+     * @param {string|null} [scanner=null] - Limit to one scanner (null = all)
+     * @returns {Promise<MuteEntry>} Stored entry
+     */
+    const mute = async (symbol, expiry, scanner = null) => {
+        const ticker = toMuteKey(symbol);
+        const entry = { ticker, scanner, expiry };
+        mutes.set(entryKey(ticker, scanner), entry);
+        logger.info("MuteService", `🔕 ${ticker} muted${scanner ? ` (${scanner})` : ""} — ${describeMuteExpiry(expiry, getNow())}`);
+        await persist();
+        return entry;
+    };
+
+    /**
+     * Permanently ignores a ticker
+     * @param {string} symbol - Symbol or ticker
+     * @returns {Promise<string>} Ticker
+     */
+    const ignore = async (symbol) => {
+        const ticker = toMuteKey(symbol);
+        ignored.add(ticker);
+        logger.info("MuteService", `🚫 ${ticker} ignored`);
+        await persist();
+        return ticker;
+    };
+
+    /**
+     * Lifts every mute and ignore for a ticker
+     * @param {string} symbol - Symbol or ticker
+     * @returns {Promise<boolean>} True if anything was removed
+     */
+    const unmute = async (symbol) => {
+        const ticker = toMuteKey(symbol);
+        let removed = ignored.delete(ticker);
+        for (const [key, entry] of mutes) {
+            if (entry.ticker === ticker) {
+                mutes.delete(key);
+                removed = true;
+            }
+        }
+        if (removed) {
+            logger.info("MuteService", `🔔 ${ticker} unmuted`);
+            await persist();
+        }
+        return removed;
+    };
+
+    /**
+     * Checks whether an alert for a symbol must be suppressed
+     * @param {string} symbol - Symbol or ticker
+     * @param {string|null} [scanner=null] - Scanner that wants to alert
+     * @returns {boolean} True if muted or ignored
+     */
+    const isMuted = (symbol, scanner = null) => {
+        const ticker = toMuteKey(symbol);
+        if (ignored.has(ticker)) return true;
+        const now = getNow();
+        if (isMuteActive(mutes.get(ticker)?.expiry, now)) return true;
+        return Boolean(scanner) && isMuteActive(mutes.get(entryKey(ticker, scanner))?.expiry, now);
+    };
+
+    /**
+     * Lists active mutes and ignores
+     * @returns {{mutes: MuteEntry[], ignored: string[]}} Snapshot
+     */
+    const list = () => {
+        prune();
+        return {
+            mutes: [...mutes.values()].sort((a, b) => a.ticker.localeCompare(b.ticker)),
+            ignored: [...ignored].sort()
+        };
+    };
+
+    return Object.freeze({
+        load,
+        mute,
+        ignore,
+        unmute,
+        isMuted,
+        list
+    });
+};
+
+/**
+ * Formats the /mutes reply
+ * @param {{mutes: MuteEntry[], ignored: string[]}} list - Snapshot from list()
+ * @param {Date} [now=new Date()] - Current moment
+ * @returns {string} Plain-text message
+ */
+export const formatMuteList = ({ mutes, ignored }, now = new Date()) => {
+    if (mutes.length === 0 && ignored.length === 0) return "🔔 Nothing muted.";
+    const lines = [];
+    if (mutes.length > 0) {
+        lines.push("🔕 Muted:");
+        mutes.forEach(m => lines.push(`- ${m.ticker}${m.scanner ? ` [${m.scanner}]` : ""} — ${describeMuteExpiry(m.expiry, now)}`));
+    }
+    if (ignored.length > 0) {
+        lines.push(`🚫 Ignored: ${ignored.join(", ")}`);
+    }
+    return lines.join("\n");
+};
@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Alert outcome tracking and hit-rate scoring
+ *
+ * Every delivered alert (see createAlertGate) is stored with its trigger price.
+ * During regular hours a sampler reads prices from the `getMarketStocks` feed and fills:
+ * - the move at +5m / +15m / +60m (first sample at or after the checkpoint),
+ * - max favorable / max adverse excursion (MFE / MAE),
+ * - the move at the close (last price seen before the session ended).
+ * Moves are in % in the strategy's direction: DUMP and FADE are shorts.
+ * Premarket alerts are sampled from the open, so their early checkpoints land at 09:30.
+ *
+ * Outcomes live under the `outcomes` namespace with `{ persistent: true }` and are
+ * kept for RETENTION_DAYS, so /performance can look back across trading days.
+ */
+import { TvScanner as DefaultScanner } from "./tradingview.js";
+import { ALERT_ROUTES } from "./alertRoutes.js";
+import { nyDate, getCurrentNYTime, nyTradingDay, isMarketNow, resolvePhaseWindow, DEFAULT_SCHEDULE } from "../core/utils/index.js";
+import { createLogger } from "../core/logger.js";
+import { createErrorHandler } from "../core/errorHandler.js";
+
+/**
+ * @typedef {Object} AlertOutcome
+ * @property {string} strategy - One of STRATEGIES
+ * @property {string} symbol - Full symbol
+ * @property {string} day - NY date of the alert (YYYY-MM-DD)
+ * @property {number} at - Epoch ms of the alert
+ * @property {number} price - Trigger price
+ * @property {Object<string, number|null>} moves - Move in % at each checkpoint and at the close
+ * @property {number} mfe - Max favorable excursion in % (≥ 0)
+ * @property {number} mae - Max adverse excursion in % (≤ 0)
+ * @property {number|null} last - Last sampled price
+ * @property {boolean} done - Session over, close recorded
+ */
+
+const STATE_NAMESPACE = "outcomes";
+const RETENTION_DAYS = 90;
+const DAY_MS = 86_400_000;
+
+/** Alert category → strategy */
+export const OUTCOME_STRATEGIES = Object.freeze({
+    [ALERT_ROUTES.PREMARKET_NEW]: "STEP",
+    [ALERT_ROUTES.PREMARKET_STEP]: "STEP",
+    [ALERT_ROUTES.MARKET_NEW]: "NEW",
+    [ALERT_ROUTES.MARKET_PUMP]: "PUMP",
+    [ALERT_ROUTES.MARKET_DUMP]: "DUMP",
+    [ALERT_ROUTES.MARKET_PMH]: "PMH",
+    [ALERT_ROUTES.MARKET_VWAP_UP]: "VWAP_UP",
+    [ALERT_ROUTES.MARKET_VWAP_DOWN]: "VWAP_DOWN",
+    [ALERT_ROUTES.CATALYST_FADE]: "FADE",
+    [ALERT_ROUTES.CATALYST_BOUNCE]: "BOUNCE"
+});
+
+/** Strategies in report order */
+export const STRATEGIES = Object.freeze(["STEP", "NEW", "PUMP", "DUMP", "PMH", "VWAP_UP", "VWAP_DOWN", "FADE", "BOUNCE"]);
+
+const SHORT_STRATEGIES = new Set(["DUMP", "VWAP_DOWN", "FADE"]);
+
+/** Checkpoint → delay after the alert */
+export const OUTCOME_CHECKPOINTS = Object.freeze({ "5m": 5 * 60_000, "15m": 15 * 60_000, "60m": 60 * 60_000 });
+
+/**
+ * Move from the trigger price in the strategy's direction
+ * @param {AlertOutcome} outcome - Outcome
+ * @param {number} price - Current price
+ * @returns {number} Move in %
+ */
+export const directionalMove = (outcome, price) => {
+    const move = ((price - outcome.price) / outcome.price) * 100;
+    return SHORT_STRATEGIES.has(outcome.strategy) ? -move : move;
+};
+
+/**
+ * Parses /performance arguments: optional strategy and optional day count, in any order
+ * @param {string[]} args - Command arguments
+ * @returns {{strategy: string|null, days: number}|null} Query or null if an argument is not understood
+ */
+export const parsePerformanceArgs = (args) => {
+    const query = { strategy: null, days: 7 };
+    for (const arg of args) {
+        const upper = arg.toUpperCase();
+        if (/^\d+$/.test(arg) && Number(arg) > 0 && Number(arg) <= RETENTION_DAYS) query.days = Number(arg);
+        else if (STRATEGIES.includes(upper)) query.strategy = upper;
+        else return null;
+    }
+    return query;
+};
+
+/**
+ * Creates the outcome tracker
+ * @param {Object} config - App config (schedule, outcomeSampleIntervalMs)
+ * @param {Object|null} [stateStore=null] - Optional state store for persistence
+ * @param {Object} [scanner=DefaultScanner] - TradingView client (injectable for testing)
+ * @param {Function} [getNow=() => new Date()] - Clock (injectable for testing)
+ * @returns {Object} Outcome tracker instance
+ */
+export const createOutcomeTracker = (config, stateStore = null, scanner = DefaultScanner, getNow = () => new Date()) => {
+    const logger = createLogger();
+    const errorHandler = createErrorHandler(logger);
+    const marketHours = config.schedule?.market || DEFAULT_SCHEDULE.market;
+
+    /** @type {AlertOutcome[]} */
+    let outcomes = [];
+    let timer = null;
+
+    const persist = async () => {
+        if (!stateStore) return;
+        try {
+            await stateStore.save(STATE_NAMESPACE, { outcomes });
+        } catch (error) {
+            errorHandler.handle(error, { component: "OutcomeTracker", operation: "persist" });
+        }
+    };
+
+    const prune = () => {
+        const cutoff = getNow().getTime() - RETENTION_DAYS * DAY_MS;
+        const before = outcomes.length;
+        outcomes = outcomes.filter(o => o.at >= cutoff);
+        return outcomes.length !== before;
+    };
+
+    /**
+     * Restores outcomes from the state store
+     * @returns {Promise<void>}
+     */
+    const load = async () => {
+        if (!stateStore) return;
+        try {
+            const snapshot = await stateStore.load(STATE_NAMESPACE, { persistent: true });
+            if (Array.isArray(snapshot?.outcomes)) outcomes = snapshot.outcomes;
+            if (prune()) await persist();
+            logger.info("OutcomeTracker", `♻️ Restored ${outcomes.length} alert outcomes`);
+        } catch (error) {
+            errorHandler.handle(error, { component: "OutcomeTracker", operation: "load" });
+        }
+    };
+
+    /**
+     * Starts tracking a delivered alert
+     * @param {{symbol: string, category: string|null, price: number|null}} alert - Alert metadata from createAlertOptions
+     * @returns {Promise<boolean>} False if the alert's category is not scored or it has no price
+     */
+    const track = async (alert) => {
+        const strategy = OUTCOME_STRATEGIES[alert?.category];
+        const price = Number(alert?.price);
+        if (!strategy || !(price > 0)) return false;
+
+        const now = getNow();
+        outcomes.push({
+            strategy,
+            symbol: alert.symbol,
+            day: nyDate(now),
+            at: now.getTime(),
+            price,
+            moves: { ...Object.fromEntries(Object.keys(OUTCOME_CHECKPOINTS).map(k => [k, null])), close: null },
+            mfe: 0,
+            mae: 0,
+            last: null,
+            done: false
+        });
+        logger.debug("OutcomeTracker", `📌 Tracking ${strategy} ${alert.symbol} @ ${price}`);
+        await persist();
+        return true;
+    };
+
+    /**
+     * Records the close for outcomes whose session is over
+     * @param {Date} now - Current moment
+     * @returns {number} Outcomes closed
+     */
+    const closeFinished = (now) => {
+        const today = nyDate(now);
+        const window = resolvePhaseWindow(marketHours, nyTradingDay(now));
+        const sessionOver = !window || getCurrentNYTime(now).hhmm >= window.end;
+        let closed = 0;
+        for (const outcome of outcomes) {
+            if (outcome.done || (outcome.day === today && !sessionOver)) continue;
+            outcome.moves.close = outcome.last != null ? directionalMove(outcome, outcome.last) : null;
+            outcome.done = true;
+            closed++;
+        }
+        return closed;
+    };
+
+    /**
+     * Samples prices for open outcomes (one feed request per call)
+     * @returns {Promise<void>}
+     */
+    const sample = async () => {
+        const now = getNow();
+        if (!outcomes.some(o => !o.done)) return;
+
+        if (!isMarketNow(marketHours, now)) {
+            if (closeFinished(now) > 0) await persist();
+            return;
+        }
+
+        try {
+            const { data } = await scanner.getMarketStocks(config);
+            const prices = new Map(data.map(scanner.mapMarketRow).map(s => [s.symbol, s.close]));
+            const t = now.getTime();
+
+            for (const outcome of outcomes) {
+                if (outcome.done) continue;
+                const price = prices.get(outcome.symbol);
+                if (!(price > 0)) continue;
+
+                const move = directionalMove(outcome, price);
+                outcome.last = price;
+                outcome.mfe = Math.max(outcome.mfe, move);
+                outcome.mae = Math.min(outcome.mae, move);
+                for (const [key, delay] of Object.entries(OUTCOME_CHECKPOINTS)) {
+                    if (outcome.moves[key] == null && t >= outcome.at + delay) outcome.moves[key] = move;
+                }
+            }
+            await persist();
+        } catch (error) {
+            errorHandler.handle(error, { component: "OutcomeTracker", operation: "sample" });
+        }
+    };
+
+    /**
+     * Aggregates closed outcomes per strategy
+     * @param {{strategy?: string|null, days?: number}} [query={}] - Filter
+     * @returns {Array<Object>} Stats per strategy that had alerts in the period
+     */
+    const getPerformance = ({ strategy = null, days = 7 } = {}) => {
+        const since = getNow().getTime() - days * DAY_MS;
+        const average = (values) => {
+            const known = values.filter(v => v != null);
+            return known.length ? known.reduce((a, b) => a + b, 0) / known.length : null;
+        };
+
+        return STRATEGIES
+            .filter(name => !strategy || name === strategy)
+            .map(name => {
+                const list = outcomes.filter(o => o.strategy === name && o.at >= since);
+                const scored = list.filter(o => o.done && o.moves.close != null);
+                return {
+                    strategy: name,
+                    alerts: list.length,
+                    scored: scored.length,
+                    winRate: scored.length ? (scored.filter(o => o.moves.close > 0).length / scored.length) * 100 : null,
+                    avgClose: average(scored.map(o => o.moves.close)),
+                    avg5m: average(list.map(o => o.moves["5m"])),
+                    avg15m: average(list.map(o => o.moves["15m"])),
+                    avg60m: average(list.map(o => o.moves["60m"])),
+                    avgMfe: average(scored.map(o => o.mfe)),
+                    avgMae: average(scored.map(o => o.mae))
+                };
+            })
+            .filter(stats => stats.alerts > 0);
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(sample, config.outcomeSampleIntervalMs || 60000);
+        logger.info("OutcomeTracker", `Sampling every ${config.outcomeSampleIntervalMs || 60000}ms`);
+    };
+
+    const stop = () => {
+        if (timer) clearInterval(timer);
+        timer = null;
+    };
+
+    return Object.freeze({
+        load,
+        track,
+        sample,
+        getPerformance,
+        start,
+        stop,
+        getOutcomes: () => outcomes.map(o => ({ ...o, moves: { ...o.moves } }))
+    });
+};
+
+/**
+ * Formats the /performance report
+ * @param {Array<Object>} stats - Result of getPerformance
+ * @param {{strategy: string|null, days: number}} query - Query the stats were built for
+ * @returns {string} Message text
+ */
+export const formatPerformanceMessage = (stats, query) => {
+    const pct = (v) => (v == null ? "n/a" : `${v >= 0 ? "+" : ""}${v.toFixed(1)}%`);
+    const title = `📈 Alert performance — ${query.strategy || "all strategies"}, last ${query.days}d`;
+    if (stats.length === 0) return `${title}\n\nNo tracked alerts in this period.`;
+
+    const lines = [title, ""];
+    for (const s of stats) {
+        lines.push(`${s.strategy}: ${s.alerts} alerts, ${s.scored} closed`);
+        lines.push(`  Win rate: ${s.winRate == null ? "n/a" : `${s.winRate.toFixed(0)}%`} | Avg close: ${pct(s.avgClose)}`);
+        lines.push(`  +5m ${pct(s.avg5m)} | +15m ${pct(s.avg15m)} | +60m ${pct(s.avg60m)}`);
+        lines.push(`  MFE ${pct(s.avgMfe)} | MAE ${pct(s.avgMae)}`);
+    }
+    lines.push("", "Moves are in the alert's direction (DUMP/VWAP_DOWN/FADE = short). Win = positive move at the close.");
+    return lines.join("\n");
+};
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview After-hours (16:00–20:00 ET) earnings-reaction scanner
+ *
+ * Polls TradingView postmarket_change / postmarket_volume / postmarket_close and
+ * alerts with the same step-based re-alert logic as the premarket Growth Scanner.
+ */
+import { TvScanner } from "./tradingview.js";
+import { collectStepAlerts, shouldSendNotifications } from "./stock.js";
+import { createAlertOptions } from "./alertActions.js";
+import { ALERT_ROUTES } from "./alertRoutes.js";
+import { createStateManager, createPostmarketMessage, createPostmarketStatusMessage } from "../core/utils/index.js";
+import { createLogger } from "../core/logger.js";
+import { timeScan } from "../core/metrics.js";
+import { createErrorHandler } from "../core/errorHandler.js";
+
+/**
+ * Creates the after-hours scanner service
+ * @param {Object} config - Configuration object
+ * @param {Object} telegramService - Telegram service instance
+ * @param {Object} [scanner=TvScanner] - Scanner (injectable for testing)
+ * @param {Object|null} [stateStore=null] - Optional state store for restart persistence
+ * @returns {Object} Postmarket scanner service instance
+ */
+export const createPostmarketScanner = (config, telegramService, scanner = TvScanner, stateStore = null) => {
+    const logger = createLogger();
+    const errorHandler = createErrorHandler(logger);
+    const STATE_NAMESPACE = 'postmarket';
+
+    const stateManager = createStateManager({
+        isRunning: false,
+        isStarting: false,
+        isFirstScan: true,
+        lastReportedChanges: new Map(),
+        sendOnStartup: config.sendOnStartup,
+        lastTotalCount: 0,
+        lastTickers: [],
+        alertCount: 0,
+        scanTimer: null
+    });
+
+    /**
+     * Snapshots alert memory to the state store
+     * @returns {Promise<void>}
+     */
+    const persist = async () => {
+        if (!stateStore) return;
+        const { lastReportedChanges, alertCount, lastTotalCount, lastTickers } = stateManager.get();
+        try {
+            await stateStore.save(STATE_NAMESPACE, { lastReportedChanges, alertCount, lastTotalCount, lastTickers });
+        } catch (error) {
+            errorHandler.handle(error, { component: 'PostmarketScanner', operation: 'persist' });
+        }
+    };
+
+    /**
+     * Restores alert memory from the state store (same trading day only)
+     * @returns {Promise<void>}
+     */
+    const rehydrate = async () => {
+        if (!stateStore) return;
+        try {
+            const snapshot = await stateStore.load(STATE_NAMESPACE);
+            if (!snapshot) return;
+
+            const lastReportedChanges = snapshot.lastReportedChanges instanceof Map
+                ? snapshot.lastReportedChanges
+                : new Map();
+
+            stateManager.update(() => ({
+                lastReportedChanges,
+                alertCount: snapshot.alertCount || 0,
+                lastTotalCount: snapshot.lastTotalCount || 0,
+                lastTickers: snapshot.lastTickers || [],
+                isFirstScan: lastReportedChanges.size === 0
+            }));
+            logger.info('PostmarketScanner', `♻️ Restored ${lastReportedChanges.size} tracked tickers from state store`);
+        } catch (error) {
+            errorHandler.handle(error, { component: 'PostmarketScanner', operation: 'rehydrate' });
+        }
+    };
+
+    /**
+     * Performs a single after-hours scan
+     * @returns {Promise<void>}
+     */
+    const scanOnce = timeScan('postmarket', async () => {
+        const state = stateManager.get();
+        try {
+            const { data: rawStocks, totalCount } = await scanner.getPostmarketStocks(config);
+            const stocks = rawStocks
+                .map(scanner.mapPostmarketRow)
+                .filter(s => s.symbol && Number.isFinite(s.postmarket_change));
+
+            const alertsToSend = collectStepAlerts(
+                stocks,
+                state.lastReportedChanges,
+                config.postmarketAlertStep ?? 1.0,
+                stock => stock.postmarket_change
+            );
+
+            const updatedChanges = new Map(state.lastReportedChanges);
+            const baseUpdate = {
+                lastTotalCount: totalCount,
+                lastTickers: stocks.map(s => s.symbol),
+                isFirstScan: false
+            };
+
+            if (alertsToSend.length === 0) {
+                logger.info('PostmarketScanner', `0 new after-hours movers (${stocks.length} scanned)`);
+                stateManager.update(() => baseUpdate);
+                return;
+            }
+
+            if (!shouldSendNotifications(state.isFirstScan, state.sendOnStartup, alertsToSend.length)) {
+                logger.info('PostmarketScanner', `bootstrap suppressed: ${alertsToSend.length} movers`);
+                alertsToSend.forEach(({ stock, count }) =>
+                    updatedChanges.set(stock.symbol, { change: stock.postmarket_change, count }));
+                stateManager.update(() => ({ ...baseUpdate, lastReportedChanges: updatedChanges }));
+                return;
+            }
+
+            let sent = 0;
+            for (const { stock, prevChange, count } of alertsToSend) {
+                const message = createPostmarketMessage(stock, prevChange !== undefined, prevChange ?? null, count);
+                const result = await telegramService.sendMessage(message, createAlertOptions('postmarket', stock.symbol,
+                    prevChange !== undefined ? ALERT_ROUTES.POSTMARKET_STEP : ALERT_ROUTES.POSTMARKET_NEW));
+                if (result?.success) {
+                    updatedChanges.set(stock.symbol, { change: stock.postmarket_change, count });
+                    sent++;
+                    logger.info('PostmarketScanner', `🌙 AH alert: ${stock.symbol}, change=${stock.postmarket_change.toFixed(2)}%`);
+                }
+            }
+
+            stateManager.update(s => ({
+                ...baseUpdate,
+                lastReportedChanges: updatedChanges,
+                alertCount: s.alertCount + sent
+            }));
+        } catch (error) {
+            errorHandler.handle(error, {
+                component: 'PostmarketScanner',
+                operation: 'scanOnce'
+            });
+        } finally {
+            await persist();
+        }
+    });
+
+    let startup = null; // in-flight launch(); a stop() that lands during it waits for it
+
+    const launch = async () => {
+        const state = stateManager.get();
+        if (state.isRunning || state.isStarting) return;
+
+        try {
+            stateManager.update(() => ({ isStarting: true }));
+
+            await rehydrate();
+            await telegramService.sendMessage(createPostmarketStatusMessage(true, config.schedule?.postmarket));
+            logger.info('PostmarketScanner', '== after-hours scanner START ==');
+
+            await scanOnce();
+
+            const scanTimer = setInterval(scanOnce, config.postmarketScanIntervalMs || 15000);
+            stateManager.update(() => ({
+                isRunning: true,
+                isStarting: false,
+                scanTimer
+            }));
+        } catch (error) {
+            stateManager.update(() => ({ isStarting: false }));
+            errorHandler.handle(error, {
+                component: 'PostmarketScanner',
+                operation: 'start'
+            });
+        }
+    };
+
+    const start = () => {
+        startup ??= launch().finally(() => { startup = null; });
+        return startup;
+    };
+
+    const stop = async () => {
+        // Stopping mid-start: let start() finish, then clear the interval it created
+        if (startup) await startup;
+
+        const state = stateManager.get();
+        if (!state.isRunning) return;
+
+        try {
+            if (state.scanTimer) clearInterval(state.scanTimer);
+            stateManager.update(() => ({ isRunning: false, scanTimer: null }));
+
+            logger.info('PostmarketScanner', '== after-hours scanner STOP ==');
+            await telegramService.sendMessage(createPostmarketStatusMessage(false));
+        } catch (error) {
+            errorHandler.handle(error, {
+                component: 'PostmarketScanner',
+                operation: 'stop'
+            });
+        }
+    };
+
+    /**
+     * Describes what the scanner knows about a symbol (alert button)
+     * @param {string} symbol - Full symbol
+     * @returns {string|null} Details text or null if untracked
+     */
+    const getDetails = (symbol) => {
+        const entry = stateManager.get().lastReportedChanges.get(symbol);
+        if (!entry) return null;
+        const ticker = symbol.split(':')[1] || symbol;
+        return `🌙 ${ticker} after-hours\nLast alerted change: ${entry.change > 0 ? '+' : ''}${entry.change.toFixed(2)}%\nAlerts today: ${entry.count}`;
+    };
+
+    return Object.freeze({
+        start: errorHandler.wrapAsync(start, {
+            component: 'PostmarketScanner',
+            operation: 'start'
+        }),
+        stop: errorHandler.wrapAsync(stop, {
+            component: 'PostmarketScanner',
+            operation: 'stop'
+        }),
+        getDetails,
+        getState: stateManager.get
+    });
+};
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Live premarket dashboard — one pinned message, edited in place
+ *
+ * The premarket counterpart of the Shadow Velocity dashboard: the top N gappers from the
+ * Growth Scanner's latest snapshot (`lastStocks`), refreshed every
+ * PREMARKET_DASHBOARD_INTERVAL_MS. Nothing is fetched here — the scanner owns the TradingView
+ * requests. At the end of the premarket window the orchestrator calls `archive()`: the
+ * message gets its final state and is unpinned, so the market dashboard takes its place.
+ */
+import { formatNum } from "../core/utils/format.js";
+import { nyDate } from "../core/utils/index.js";
+import { createLogger } from "../core/logger.js";
+import { createErrorHandler } from "../core/errorHandler.js";
+import { ALERT_ROUTES } from "./alertRoutes.js";
+
+const STATE_NAMESPACE = "premarketDashboard";
+
+/** Change (percentage points) between refreshes that counts as a move */
+const TREND_EPSILON = 0.3;
+
+/**
+ * Micro-trend arrow vs the previous refresh
+ * @param {number} change - Current premarket change, %
+ * @param {number|undefined} prevChange - Change shown on the previous refresh
+ * @returns {string} ✦ new, ↑ up, ↓ down, → flat
+ */
+const trendArrow = (change, prevChange) => {
+    if (prevChange === undefined) return "✦";
+    if (change > prevChange + TREND_EPSILON) return "↑";
+    if (change < prevChange - TREND_EPSILON) return "↓";
+    return "→";
+};
+
+const pad = (str, len, alignRight = false) => {
+    const s = String(str).substring(0, len);
+    return alignRight ? s.padStart(len) : s.padEnd(len);
+};
+
+const formatPrice = (price) => "$" + price.toFixed(price >= 100 ? 0 : price >= 10 ? 1 : 2);
+
+/**
+ * Formats the dashboard text (HTML monospace)
+ * @param {Array<Object>} stocks - Top gappers (premarket rows)
+ * @param {Map<string, number>} prevChanges - symbol → change on the previous refresh
+ * @param {Date} timestamp - Refresh time
+ * @param {Object} [options={}] - { archived: true } for the final state at the open
+ * @returns {string} HTML text
+ */
+export const formatPremarketDashboard = (stocks, prevChanges, timestamp, { archived = false } = {}) => {
+    const time = timestamp.toLocaleTimeString("en-US", {
+        hour12: false, hour: "2-digit", minute: "2-digit", second: "2-digit",
+        timeZone: "America/New_York"
+    });
+
+    const lines = [];
+    lines.push(`🌅 <b>PREMARKET DASHBOARD</b> [${time}]`);
+    lines.push("───────────────────────────────────");
+    lines.push("<code>#   Ticker  Price  %Chg  Float   Vol    $Vol</code>");
+
+    if (stocks.length === 0) {
+        lines.push("<code>   (no stocks matching criteria)</code>");
+    }
+    stocks.forEach((s, i) => {
+        const ticker = s.symbol.split(":")[1] || s.symbol;
+        const arrow = trendArrow(s.premarket_change, prevChanges.get(s.symbol));
+        lines.push(
+            `<code>${pad(i + 1 + ".", 3)}${arrow}${pad(ticker, 6)} ` +
+            `${pad(formatPrice(s.premarket_close || 0), 6, true)} ` +
+            `${pad((s.premarket_change >= 0 ? "+" : "") + s.premarket_change.toFixed(0) + "%", 5, true)} ` +
+            `${pad(s.float_shares_outstanding ? formatNum(s.float_shares_outstanding) : "n/a", 6, true)} ` +
+            `${pad(formatNum(s.premarket_volume || 0), 6, true)} ` +
+            `${pad(formatNum((s.premarket_volume || 0) * (s.premarket_close || 0)), 6, true)}</code>`
+        );
+    });
+
+    lines.push("───────────────────────────────────");
+    lines.push(archived ? "Статус: 📁 Archived (market open)" : "Статус: ✅ Active · ✦ new ↑ up ↓ down → flat");
+
+    return lines.join("\n");
+};
+
+/**
+ * Creates the premarket dashboard
+ * @param {Object} config - App config (premarketDashboardIntervalMs, premarketDashboardTopN)
+ * @param {Object} telegramService - Telegram service instance (sendMessageHTML / editMessage / pinMessage / unpinMessage)
+ * @param {Object} growthScanner - Growth Scanner (getState().lastStocks)
+ * @param {Object|null} [stateStore=null] - Optional state store (keeps the pinned message across restarts)
+ * @param {Function} [getNow=() => new Date()] - Clock (injectable for testing)
+ * @returns {Object} Dashboard instance
+ */
+export const createPremarketDashboard = (config, telegramService, growthScanner, stateStore = null, getNow = () => new Date()) => {
+    const logger = createLogger();
+    const errorHandler = createErrorHandler(logger);
+
+    let messageRef = null;          // per-chat deliveries (chat + message id), so edits / unpin reach the routed chats
+    let prevChanges = new Map();    // symbol → change shown on the previous refresh
+    let day = null;
+    let timer = null;
+    let isRunning = false;
+
+    const topN = () => config.premarketDashboardTopN ?? 10;
+
+    // ── Persistence ──
+    const persist = async () => {
+        if (!stateStore) return;
+        try {
+            await stateStore.save(STATE_NAMESPACE, { messageRef, prevChanges, day });
+        } catch (error) {
+            errorHandler.handle(error, { component: "PremarketDashboard", operation: "persist" });
+        }
+    };
+
+    const rehydrate = async () => {
+        if (!stateStore) return;
+        try {
+            const snapshot = await stateStore.load(STATE_NAMESPACE);
+            if (!snapshot || snapshot.day !== nyDate(getNow())) return;
+            messageRef = snapshot.messageRef ?? null;
+            if (snapshot.prevChanges instanceof Map) prevChanges = snapshot.prevChanges;
+            day = snapshot.day;
+            logger.info("PremarketDashboard", `♻️ Restored dashboard msg ${messageRef ? JSON.stringify(messageRef) : "none"}`);
+        } catch (error) {
+            errorHandler.handle(error, { component: "PremarketDashboard", operation: "rehydrate" });
+        }
+    };
+
+    /**
+     * Top gappers from the Growth Scanner snapshot
+     * @returns {Array<Object>} Rows sorted by premarket change
+     */
+    const topStocks = () => [...(growthScanner.getState().lastStocks || [])]
+        .sort((a, b) => b.premarket_change - a.premarket_change)
+        .slice(0, topN());
+
+    /**
+     * Sends (and pins) or edits the dashboard
+     * @param {Object} [options={}] - { archived: true } for the final state
+     * @returns {Promise<void>}
+     */
+    const render = async ({ archived = false } = {}) => {
+        try {
+            const stocks = topStocks();
+            const text = formatPremarketDashboard(stocks, prevChanges, getNow(), { archived });
+
+            if (!messageRef) {
+                const result = await telegramService.sendMessageHTML(text, { route: ALERT_ROUTES.DASHBOARD });
+                if (result?.success && result.message) {
+                    messageRef = result.deliveries ?? result.message.message_id;
+                    day = nyDate(getNow());
+                    await telegramService.pinMessage(messageRef);
+                    logger.info("PremarketDashboard", `📌 Dashboard pinned (msg ${result.message.message_id})`);
+                }
+            } else {
+                const result = await telegramService.editMessage(messageRef, text);
+                // A restored message id may point to a deleted message — re-send on next refresh
+                if (result && !result.success && result.error?.response?.description?.includes("not found")) {
+                    logger.warn("PremarketDashboard", "Dashboard message is gone, will re-create");
+                    messageRef = null;
+                }
+            }
+
+            prevChanges = new Map(stocks.map(s => [s.symbol, s.premarket_change]));
+            await persist();
+        } catch (error) {
+            errorHandler.handle(error, { component: "PremarketDashboard", operation: "render" });
+        }
+    };
+
+    /**
+     * Starts refreshing the dashboard
+     * @returns {Promise<void>}
+     */
+    const start = async () => {
+        if (isRunning) return;
+        isRunning = true;
+        await rehydrate();
+        await render();
+
+        const interval = config.premarketDashboardIntervalMs || 30_000;
+        timer = setInterval(render, interval);
+        logger.info("PremarketDashboard", `🌅 Dashboard started (every ${interval}ms, top ${topN()})`);
+    };
+
+    /**
+     * Stops refreshing; the pinned message stays (restart keeps editing it)
+     * @returns {Promise<void>}
+     */
+    const stop = async () => {
+        if (timer) { clearInterval(timer); timer = null; }
+        if (!isRunning) return;
+        isRunning = false;
+        logger.info("PremarketDashboard", "🛑 Dashboard stopped");
+    };
+
+    /**
+     * Final refresh at the open: marks the message archived and unpins it
+     * @returns {Promise<void>}
+     */
+    const archive = async () => {
+        await stop();
+        if (!messageRef) return;
+
+        await render({ archived: true });
+        if (messageRef) {
+            await telegramService.unpinMessage(messageRef);
+            logger.info("PremarketDashboard", "📁 Dashboard archived and unpinned");
+        }
+        messageRef = null;
+        prevChanges = new Map();
+        await persist();
+    };
+
+    return Object.freeze({
+        start,
+        stop,
+        archive,
+        getState: () => ({ isRunning, messageRef, day })
+    });
+};
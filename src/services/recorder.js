@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Recorder of raw TradingView scanner responses (input for replay)
+ *
+ * Every successful /scan response is appended to `<dir>/<NY date>.jsonl`:
+ *   { "at": ISO timestamp, "scan": "market", "filter": [...], "response": { data, totalCount } }
+ * One file per trading day, one line per request, written in arrival order.
+ */
+import fs from "fs/promises";
+import path from "path";
+import { nyDate } from "../core/utils/index.js";
+import { createLogger } from "../core/logger.js";
+import { createErrorHandler } from "../core/errorHandler.js";
+
+/**
+ * @typedef {Object} RecordedResponse
+ * @property {string} at - ISO timestamp the response arrived
+ * @property {string} scan - Scan name (premarket, market, catalystSetup, postmarket, rvol)
+ * @property {Array} filter - Request filter (for reference)
+ * @property {Object} response - Raw TradingView response
+ */
+
+/**
+ * Creates a recorder for setResponseRecorder()
+ * @param {string} dir - Recordings directory
+ * @param {Function} [getNow=() => new Date()] - Clock (injectable for testing)
+ * @returns {Object} Recorder instance
+ */
+export const createTvRecorder = (dir, getNow = () => new Date()) => {
+    const logger = createLogger();
+    const errorHandler = createErrorHandler(logger);
+
+    // Writes are chained so lines keep arrival order; a directory that cannot be
+    // created only disables recording
+    let enabled = true;
+    let queue = fs.mkdir(dir, { recursive: true }).catch(error => {
+        enabled = false;
+        errorHandler.handle(error, { component: "TvRecorder", operation: "mkdir", metadata: { dir } });
+    });
+    let count = 0;
+
+    /**
+     * Appends one response (fire-and-forget; errors are logged, never thrown)
+     * @param {string|null} scan - Scan name
+     * @param {Object} body - Request body
+     * @param {Object} response - Parsed response
+     */
+    const record = (scan, body, response) => {
+        const now = getNow();
+        const line = JSON.stringify({ at: now.toISOString(), scan: scan || "unknown", filter: body?.filter ?? null, response });
+        const file = path.join(dir, `${nyDate(now)}.jsonl`);
+        queue = queue
+            .then(async () => {
+                if (!enabled) return;
+                await fs.appendFile(file, line + "\n");
+                count++;
+            })
+            .catch(error => errorHandler.handle(error, { component: "TvRecorder", operation: "record", metadata: { file } }));
+    };
+
+    return Object.freeze({
+        record,
+        /** @returns {Promise<void>} Resolves when pending writes are on disk */
+        flush: () => queue,
+        getCount: () => count,
+        /** @returns {boolean} False once the directory could not be created */
+        isEnabled: () => enabled
+    });
+};
+
+/**
+ * Reads a recording file
+ * @param {string} filePath - Path to a .jsonl recording
+ * @returns {Promise<RecordedResponse[]>} Responses sorted by time (broken lines skipped)
+ */
+export const readRecording = async (filePath) => {
+    const text = await fs.readFile(filePath, "utf8");
+    return text.split("\n")
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(entry => entry?.at && entry.scan && entry.response)
+        .sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+};
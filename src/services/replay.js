@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Replay / backtest of recorded TradingView responses
+ *
+ * Feeds a recording (see recorder.js) through the real scanners — Growth Scanner
+ * (processStockData), Shadow Velocity (createMarketService), Catalyst Sniper and the
+ * After-Hours scanner — under the real orchestrator, on a simulated clock:
+ * - the orchestrator gets `getNow` from the clock via its injectable timeUtils;
+ * - `Date` and `setInterval` / `setTimeout` are swapped for simulated ones while the
+ *   replay runs, so the services' own timers and cooldowns follow recorded time;
+ * - Telegram is replaced by a collector: nothing is sent, every alert is reported.
+ */
+import { TvScanner } from "./tradingview.js";
+import { createScanner } from "./scanner.js";
+import { createMarketService } from "./marketService.js";
+import { createCatalystService } from "./catalystService.js";
+import { createPostmarketScanner } from "./postmarketScanner.js";
+import { createRvolService } from "./rvolService.js";
+import { createOrchestrator } from "../core/orchestrator.js";
+import { getCurrentNYTime } from "../core/utils/index.js";
+import { ALERT_ROUTES } from "./alertRoutes.js";
+
+/**
+ * @typedef {Object} ReplayAlert
+ * @property {string} at - ISO timestamp (simulated)
+ * @property {string} ny - NY time HH:MM
+ * @property {string} scanner - Scanner id
+ * @property {string|null} category - Routing category (e.g. market.pump)
+ * @property {string} symbol - Full symbol
+ * @property {string} headline - First line of the alert text
+ */
+
+const RealDate = Date;
+const realTimers = Object.freeze({
+    setInterval: globalThis.setInterval,
+    clearInterval: globalThis.clearInterval,
+    setTimeout: globalThis.setTimeout,
+    clearTimeout: globalThis.clearTimeout
+});
+
+/** Lets pending promise chains (un-awaited scans) settle between timer callbacks */
+const settle = async () => {
+    for (let i = 0; i < 5; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+/**
+ * Creates a simulated clock with its own timers
+ * @param {number} startMs - Start time (epoch ms)
+ * @returns {Object} Clock instance
+ */
+export const createSimulatedClock = (startMs) => {
+    let current = startMs;
+    let nextId = 1;
+    /** @type {Map<number, {due: number, every: number|null, fn: Function}>} */
+    const timers = new Map();
+
+    const schedule = (fn, ms, repeat) => {
+        const id = nextId++;
+        const every = Math.max(1, Number(ms) || 0);
+        timers.set(id, { due: current + every, every: repeat ? every : null, fn });
+        // Mimic Node's Timeout object enough for callers that unref()
+        return { id, unref() { return this; }, ref() { return this; }, [Symbol.toPrimitive]: () => id };
+    };
+    const cancel = (handle) => timers.delete(typeof handle === "object" ? handle?.id : handle);
+
+    class SimulatedDate extends RealDate {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [current]));
+        }
+
+        static now() {
+            return current;
+        }
+    }
+
+    /**
+     * Moves time forward, firing due timers in order (each callback is awaited)
+     * @param {number} ms - Milliseconds to advance
+     * @returns {Promise<void>}
+     */
+    const advance = async (ms) => {
+        const target = current + ms;
+        for (;;) {
+            let nextTimer = null;
+            for (const [id, timer] of timers) {
+                if (timer.due <= target && (!nextTimer || timer.due < nextTimer[1].due)) nextTimer = [id, timer];
+            }
+            if (!nextTimer) break;
+            const [id, timer] = nextTimer;
+            current = timer.due;
+            if (timer.every) timer.due += timer.every;
+            else timers.delete(id);
+            await timer.fn();
+            await settle();
+        }
+        current = target;
+    };
+
+    return Object.freeze({
+        now: () => current,
+        advance,
+        /** Swaps global Date and timers for the simulated ones */
+        install: () => {
+            globalThis.Date = SimulatedDate;
+            globalThis.setInterval = (fn, ms) => schedule(fn, ms, true);
+            globalThis.setTimeout = (fn, ms) => schedule(fn, ms, false);
+            globalThis.clearInterval = cancel;
+            globalThis.clearTimeout = cancel;
+        },
+        /** Restores the real Date and timers */
+        uninstall: () => {
+            globalThis.Date = RealDate;
+            Object.assign(globalThis, realTimers);
+        },
+        getPendingTimers: () => timers.size
+    });
+};
+
+/**
+ * Creates a TradingView client that answers from a recording
+ * @param {import('./recorder.js').RecordedResponse[]} records - Recorded responses (sorted)
+ * @param {Function} now - Simulated clock (epoch ms)
+ * @param {number} [maxAgeMs=120000] - Older snapshots count as "no data" (recording gaps)
+ * @returns {Object} Scanner with the TvScanner interface
+ */
+export const createReplayScanner = (records, now, maxAgeMs = 120_000) => {
+    const byScan = new Map();
+    for (const record of records) {
+        if (!byScan.has(record.scan)) byScan.set(record.scan, []);
+        byScan.get(record.scan).push({ at: Date.parse(record.at), response: record.response });
+    }
+
+    const latest = (scan) => {
+        const list = byScan.get(scan) || [];
+        const t = now();
+        let found = null;
+        for (const entry of list) {
+            if (entry.at > t) break;
+            found = entry;
+        }
+        if (!found || t - found.at > maxAgeMs) return { data: [], totalCount: 0 };
+        return {
+            data: Array.isArray(found.response?.data) ? found.response.data : [],
+            totalCount: found.response?.totalCount ?? 0
+        };
+    };
+
+    return Object.freeze({
+        ...TvScanner,
+        getStocks10: async () => latest("premarket"),
+        getMarketStocks: async () => latest("market"),
+        getCatalystSetupStocks: async () => latest("catalystSetup"),
+        getPostmarketStocks: async () => latest("postmarket"),
+        getRvolSurgeStocks: async () => latest("rvol")
+    });
+};
+
+/**
+ * Creates a Telegram stand-in that reports alerts instead of sending them
+ * @param {Function} now - Simulated clock (epoch ms)
+ * @returns {Object} Telegram-compatible service plus getReport()
+ */
+export const createReplayTelegram = (now) => {
+    const alerts = [];
+    const counters = { status: 0, dashboard: 0 };
+    let nextMessageId = 1;
+
+    const collect = async (text, extra = {}) => {
+        const at = new RealDate(now());
+        if (extra.alert) {
+            alerts.push({
+                at: at.toISOString(),
+                ny: getCurrentNYTime(at).hhmm,
+                scanner: extra.alert.scanner,
+                category: extra.alert.category ?? null,
+                symbol: extra.alert.symbol,
+                headline: String(text).split("\n")[0].replace(/<[^>]+>/g, "")
+            });
+        } else if (extra.route === ALERT_ROUTES.DASHBOARD) {
+            counters.dashboard++;
+        } else {
+            counters.status++;
+        }
+        return { success: true, message: { message_id: nextMessageId++, chat: { id: 0 } } };
+    };
+
+    return Object.freeze({
+        sendMessage: collect,
+        sendMessageHTML: collect,
+        sendPhoto: async (photo, caption, extra) => collect(caption, extra),
+        editMessage: async () => {
+            counters.dashboard++;
+            return { success: true };
+        },
+        pinMessage: async () => ({ success: true }),
+        getReport: () => ({ alerts: [...alerts], ...counters })
+    });
+};
+
+/**
+ * Replays a recording through the scanners
+ * @param {import('./recorder.js').RecordedResponse[]} records - Recorded responses
+ * @param {Object} config - App config (thresholds, schedule, intervals)
+ * @param {Object} [options={}] - Replay options
+ * @param {number} [options.stepMs=1000] - Clock step
+ * @param {number} [options.fromMs] - Start (defaults to the first record)
+ * @param {number} [options.toMs] - End (defaults to the last record + one gatekeeper interval)
+ * @returns {Promise<{alerts: ReplayAlert[], status: number, dashboard: number, from: string, to: string, records: number}>} Report
+ */
+export const runReplay = async (records, config, options = {}) => {
+    if (records.length === 0) {
+        throw new Error("Recording is empty");
+    }
+
+    const gatekeeperMs = config.timeouts?.gatekeeperIntervalMs || 30000;
+    const fromMs = options.fromMs ?? Date.parse(records[0].at) - gatekeeperMs;
+    const toMs = options.toMs ?? Date.parse(records.at(-1).at) + gatekeeperMs;
+    const stepMs = options.stepMs ?? 1000;
+
+    const clock = createSimulatedClock(fromMs);
+    const scanner = createReplayScanner(records, clock.now);
+    const telegram = createReplayTelegram(clock.now);
+
+    clock.install();
+    try {
+        const services = {
+            growthScanner: createScanner(config, telegram, scanner),
+            marketScanner: createMarketService(config, telegram, scanner),
+            rvolScanner: createRvolService(config, telegram, scanner),
+            catalystScanner: createCatalystService(config, telegram, scanner),
+            postmarketScanner: createPostmarketScanner(config, telegram, scanner)
+        };
+        const orchestrator = createOrchestrator(config, services, { getNow: () => new Date(clock.now()) });
+
+        orchestrator.start();
+        await settle();
+        while (clock.now() < toMs) {
+            await clock.advance(Math.min(stepMs, toMs - clock.now()));
+        }
+        await orchestrator.stop();
+        await settle();
+    } finally {
+        clock.uninstall();
+    }
+
+    return {
+        ...telegram.getReport(),
+        from: new RealDate(fromMs).toISOString(),
+        to: new RealDate(toMs).toISOString(),
+        records: records.length
+    };
+};
+
+/**
+ * Formats a replay report
+ * @param {Object} report - Result of runReplay
+ * @param {'text'|'csv'} [format='text'] - Output format
+ * @returns {string} Report
+ */
+export const formatReplayReport = (report, format = "text") => {
+    if (format === "csv") {
+        const esc = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+        return ["at,ny,scanner,category,symbol,headline"]
+            .concat(report.alerts.map(a => [a.at, a.ny, a.scanner, a.category, a.symbol, a.headline].map(esc).join(",")))
+            .join("\n");
+    }
+
+    const byScanner = report.alerts.reduce((acc, a) => ({ ...acc, [a.scanner]: (acc[a.scanner] || 0) + 1 }), {});
+    const lines = [
+        `🎞 Replay ${report.from} → ${report.to} (${report.records} snapshots)`,
+        `Alerts: ${report.alerts.length}${Object.keys(byScanner).length ? ` (${Object.entries(byScanner).map(([s, n]) => `${s} ${n}`).join(", ")})` : ""} | status msgs: ${report.status} | dashboard updates: ${report.dashboard}`,
+        ""
+    ];
+    report.alerts.forEach(a => {
+        lines.push(`${a.ny}  ${a.scanner.padEnd(10)} ${(a.category || "-").padEnd(16)} ${(a.symbol.split(":")[1] || a.symbol).padEnd(6)} ${a.headline}`);
+    });
+    return lines.join("\n");
+};
@@ -1,151 +1,231 @@
 /**
- * @fileoverview RVOL surge monitoring service
- * 
- * [DISABLED] Market Scanner — entire service commented out, will be rewritten.
- * Stub export kept so existing imports don't break.
+ * @fileoverview RVOL surge scanner — intraday relative volume spikes (09:30–16:00 ET)
+ *
+ * Polls its own TradingView query on `relative_volume_intraday|5` (RVOL_THRESHOLD) and
+ * alerts with the same step-based re-alert logic as the Growth Scanner: a ticker alerts
+ * again once its RVOL has grown by RVOL_ALERT_STEP since the previous alert.
  */
+import { TvScanner } from "./tradingview.js";
+import { collectStepAlerts, shouldSendNotifications } from "./stock.js";
+import { createAlertOptions } from "./alertActions.js";
+import { ALERT_ROUTES } from "./alertRoutes.js";
+import { createStateManager, createRvolMessage, createRvolStatusMessage } from "../core/utils/index.js";
+import { createLogger } from "../core/logger.js";
+import { timeScan } from "../core/metrics.js";
+import { createErrorHandler } from "../core/errorHandler.js";
 
-// TODO: Market scanner disabled — will be rewritten
-export const createRvolService = () => Object.freeze({
-    start: async () => { },
-    stop: () => { },
-    getState: () => ({ isRunning: false, lastTotalCount: 0, lastTickers: [], alertCount: 0 })
-});
-
-// =============================================================================
-// [DISABLED] Original RVOL Service implementation below
-// =============================================================================
-//
-// import { TvScanner } from "./tradingview.js";
-// import { captureTicker, captureStitchedTicker } from "./screenshot.js";
-// import { createStateManager, createStatusMessage } from "../core/utils/index.js";
-// import { createLogger } from "../core/logger.js";
-// import { createErrorHandler } from "../core/errorHandler.js";
-//
-// export const createRvolService = (config, telegramService, scanner = TvScanner) => {
-//     const logger = createLogger();
-//     const errorHandler = createErrorHandler(logger);
-//
-//     const stateManager = createStateManager({
-//         isRunning: false,
-//         isStarting: false,
-//         lastReportedRvol: new Map(),
-//         lastTotalCount: 0,
-//         lastTickers: [],
-//         alertCount: 0,
-//         scanTimer: null
-//     });
-//
-//     const scanOnce = async () => {
-//         const state = stateManager.get();
-//         try {
-//             const { data: rawStocks, totalCount } = await scanner.getRvolSurgeStocks(config, config.rvolThreshold);
-//
-//             const currentTickers = rawStocks?.map(s => s.s) || [];
-//
-//             if (!rawStocks || rawStocks.length === 0) {
-//                 stateManager.update(() => ({
-//                     lastTotalCount: totalCount,
-//                     lastTickers: currentTickers
-//                 }));
-//                 return;
-//             }
-//
-//             const candidates = rawStocks.map(TvScanner.mapRvolRow);
-//             const alertsToSend = [];
-//
-//             for (const stock of candidates) {
-//                 const prevValue = state.lastReportedRvol.get(stock.symbol);
-//                 const shouldAlert = !prevValue || (stock.rvol_intraday_5m >= prevValue + config.rvolAlertStep);
-//
-//                 if (shouldAlert) {
-//                     alertsToSend.push({ stock, prevValue });
-//                 }
-//             }
-//
-//             const updatedMap = new Map(stateManager.get().lastReportedRvol);
-//             alertsToSend.forEach(({ stock }) => updatedMap.set(stock.symbol, stock.rvol_intraday_5m));
-//
-//             stateManager.update(s => ({
-//                 lastReportedRvol: updatedMap,
-//                 lastTotalCount: totalCount,
-//                 lastTickers: currentTickers,
-//                 alertCount: s.alertCount + alertsToSend.length
-//             }));
-//
-//             if (alertsToSend.length === 0) return;
-//
-//             for (const { stock, prevValue } of alertsToSend) {
-//                 const isUpdate = !!prevValue;
-//                 const prefix = isUpdate ? "📈 *RVOL GROWTH*" : "🚀 *RVOL SURGE ALERT*";
-//
-//                 const message = `${prefix}\n\n` +
-//                     `Ticker: \`${stock.symbol}\`\n` +
-//                     `RVOL 5m: *${stock.rvol_intraday_5m.toFixed(2)}x*` +
-//                     (isUpdate ? ` (was ${prevValue.toFixed(2)}x)` : "") + "\n" +
-//                     `Price: *$${stock.close.toFixed(2)}*\n` +
-//                     `Change: *${stock.change.toFixed(2)}%*\n` +
-//                     `Float: *${(stock.float_shares_outstanding / 1000000).toFixed(2)}M*\n` +
-//                     `Volume: *${(stock.volume / 1000000).toFixed(2)}M*\n` +
-//                     `Premarket: *${stock.premarket_change.toFixed(2)}%*`;
-//
-//                 logger.info('RvolService', `${isUpdate ? 'Growth' : 'Surge'} detected: ${stock.symbol} (${stock.rvol_intraday_5m.toFixed(2)})`);
-//
-//                 const intervals = config.screenshot.intervals || ["D", "240", "15", "1"];
-//                 const chartPath = await captureStitchedTicker(stock.symbol, config, intervals);
-//
-//                 if (chartPath) {
-//                     await telegramService.sendPhoto(chartPath, message);
-//                 } else {
-//                     await telegramService.sendMessage(message);
-//                 }
-//             }
-//         } catch (error) {
-//             errorHandler.handle(error, {
-//                 component: 'RvolService',
-//                 operation: 'scanOnce'
-//             });
-//         }
-//     };
-//
-//     const start = async () => {
-//         const state = stateManager.get();
-//         if (state.isRunning || state.isStarting) return;
-//
-//         try {
-//             stateManager.update(() => ({ isStarting: true }));
-//             logger.info('RvolService', "🚀 RVOL Listener started");
-//
-//             await scanOnce();
-//
-//             const scanTimer = setInterval(scanOnce, config.rvolIntervalMs);
-//             stateManager.update(() => ({
-//                 isRunning: true,
-//                 isStarting: false,
-//                 lastReportedRvol: new Map(),
-//                 lastTickers: [],
-//                 alertCount: 0,
-//                 scanTimer
-//             }));
-//         } catch (error) {
-//             stateManager.update(() => ({ isStarting: false }));
-//             errorHandler.handle(error, {
-//                 component: 'RvolService',
-//                 operation: 'start'
-//             });
-//         }
-//     };
-//
-//     const stop = () => {
-//         const state = stateManager.get();
-//         if (state.scanTimer) clearInterval(state.scanTimer);
-//         stateManager.update(() => ({ isRunning: false, scanTimer: null }));
-//         logger.info('RvolService', "🛑 RVOL Listener stopped");
-//     };
-//
-//     return Object.freeze({
-//         start,
-//         stop,
-//         getState: stateManager.get
-//     });
-// };
+/**
+ * Creates the RVOL surge scanner service
+ * @param {Object} config - Configuration object (rvolThreshold, rvolAlertStep, rvolIntervalMs)
+ * @param {Object} telegramService - Telegram service instance
+ * @param {Object} [scanner=TvScanner] - Scanner (injectable for testing)
+ * @param {Object|null} [stateStore=null] - Optional state store for restart persistence
+ * @returns {Object} RVOL scanner service instance
+ */
+export const createRvolService = (config, telegramService, scanner = TvScanner, stateStore = null) => {
+    const logger = createLogger();
+    const errorHandler = createErrorHandler(logger);
+    const STATE_NAMESPACE = 'rvol';
+
+    const stateManager = createStateManager({
+        isRunning: false,
+        isStarting: false,
+        isFirstScan: true,
+        lastReportedRvol: new Map(),   // symbol → { change: RVOL at last alert, count }
+        sendOnStartup: config.sendOnStartup,
+        lastTotalCount: 0,
+        lastTickers: [],
+        alertCount: 0,
+        scanTimer: null
+    });
+
+    /**
+     * Snapshots alert memory to the state store
+     * @returns {Promise<void>}
+     */
+    const persist = async () => {
+        if (!stateStore) return;
+        const { lastReportedRvol, alertCount, lastTotalCount, lastTickers } = stateManager.get();
+        try {
+            await stateStore.save(STATE_NAMESPACE, { lastReportedRvol, alertCount, lastTotalCount, lastTickers });
+        } catch (error) {
+            errorHandler.handle(error, { component: 'RvolService', operation: 'persist' });
+        }
+    };
+
+    /**
+     * Restores alert memory from the state store (same trading day only)
+     * @returns {Promise<void>}
+     */
+    const rehydrate = async () => {
+        if (!stateStore) return;
+        try {
+            const snapshot = await stateStore.load(STATE_NAMESPACE);
+            if (!snapshot) return;
+
+            const lastReportedRvol = snapshot.lastReportedRvol instanceof Map
+                ? snapshot.lastReportedRvol
+                : new Map();
+
+            stateManager.update(() => ({
+                lastReportedRvol,
+                alertCount: snapshot.alertCount || 0,
+                lastTotalCount: snapshot.lastTotalCount || 0,
+                lastTickers: snapshot.lastTickers || [],
+                isFirstScan: lastReportedRvol.size === 0
+            }));
+            logger.info('RvolService', `♻️ Restored ${lastReportedRvol.size} tracked tickers from state store`);
+        } catch (error) {
+            errorHandler.handle(error, { component: 'RvolService', operation: 'rehydrate' });
+        }
+    };
+
+    /**
+     * Performs a single RVOL scan
+     * @returns {Promise<void>}
+     */
+    const scanOnce = timeScan('rvol', async () => {
+        const state = stateManager.get();
+        try {
+            const { data: rawStocks, totalCount } = await scanner.getRvolSurgeStocks(config, config.rvolThreshold);
+            const stocks = rawStocks
+                .map(scanner.mapMarketRow)
+                .filter(s => s.symbol && Number.isFinite(s.rvol_intraday_5m));
+
+            const alertsToSend = collectStepAlerts(
+                stocks,
+                state.lastReportedRvol,
+                config.rvolAlertStep ?? 2,
+                stock => stock.rvol_intraday_5m
+            );
+
+            const updatedRvol = new Map(state.lastReportedRvol);
+            const baseUpdate = {
+                lastTotalCount: totalCount,
+                lastTickers: stocks.map(s => s.symbol),
+                isFirstScan: false
+            };
+
+            if (alertsToSend.length === 0) {
+                logger.info('RvolService', `0 new RVOL surges (${stocks.length} scanned)`);
+                stateManager.update(() => baseUpdate);
+                return;
+            }
+
+            if (!shouldSendNotifications(state.isFirstScan, state.sendOnStartup, alertsToSend.length)) {
+                logger.info('RvolService', `bootstrap suppressed: ${alertsToSend.length} surges`);
+                alertsToSend.forEach(({ stock, count }) =>
+                    updatedRvol.set(stock.symbol, { change: stock.rvol_intraday_5m, count }));
+                stateManager.update(() => ({ ...baseUpdate, lastReportedRvol: updatedRvol }));
+                return;
+            }
+
+            let sent = 0;
+            for (const { stock, prevChange, count } of alertsToSend) {
+                const isUpdate = prevChange !== undefined;
+                const message = createRvolMessage(stock, isUpdate, prevChange ?? null, count);
+                const result = await telegramService.sendMessage(message, createAlertOptions('rvol', stock.symbol,
+                    isUpdate ? ALERT_ROUTES.RVOL_STEP : ALERT_ROUTES.RVOL_NEW, stock.close));
+                if (result?.success) {
+                    updatedRvol.set(stock.symbol, { change: stock.rvol_intraday_5m, count });
+                    sent++;
+                    logger.info('RvolService', `⚡ RVOL ${isUpdate ? 'growth' : 'surge'}: ${stock.symbol}, rvol=${stock.rvol_intraday_5m.toFixed(2)}`);
+                }
+            }
+
+            stateManager.update(s => ({
+                ...baseUpdate,
+                lastReportedRvol: updatedRvol,
+                alertCount: s.alertCount + sent
+            }));
+        } catch (error) {
+            errorHandler.handle(error, {
+                component: 'RvolService',
+                operation: 'scanOnce'
+            });
+        } finally {
+            await persist();
+        }
+    });
+
+    let startup = null; // in-flight launch(); a stop() that lands during it waits for it
+
+    const launch = async () => {
+        const state = stateManager.get();
+        if (state.isRunning || state.isStarting) return;
+
+        try {
+            stateManager.update(() => ({ isStarting: true }));
+
+            await rehydrate();
+            await telegramService.sendMessage(createRvolStatusMessage(true, config.schedule?.market));
+            logger.info('RvolService', '🚀 RVOL surge scanner started');
+
+            await scanOnce();
+
+            const scanTimer = setInterval(scanOnce, config.rvolIntervalMs || 30000);
+            stateManager.update(() => ({
+                isRunning: true,
+                isStarting: false,
+                scanTimer
+            }));
+        } catch (error) {
+            stateManager.update(() => ({ isStarting: false }));
+            errorHandler.handle(error, {
+                component: 'RvolService',
+                operation: 'start'
+            });
+        }
+    };
+
+    const start = () => {
+        startup ??= launch().finally(() => { startup = null; });
+        return startup;
+    };
+
+    const stop = async () => {
+        // Stopping mid-start: let start() finish, then clear the interval it created
+        if (startup) await startup;
+
+        const state = stateManager.get();
+        if (!state.isRunning) return;
+
+        try {
+            if (state.scanTimer) clearInterval(state.scanTimer);
+            stateManager.update(() => ({ isRunning: false, scanTimer: null }));
+
+            logger.info('RvolService', '🛑 RVOL surge scanner stopped');
+            await telegramService.sendMessage(createRvolStatusMessage(false));
+        } catch (error) {
+            errorHandler.handle(error, {
+                component: 'RvolService',
+                operation: 'stop'
+            });
+        }
+    };
+
+    /**
+     * Describes what the scanner knows about a symbol (alert button)
+     * @param {string} symbol - Full symbol
+     * @returns {string|null} Details text or null if untracked
+     */
+    const getDetails = (symbol) => {
+        const entry = stateManager.get().lastReportedRvol.get(symbol);
+        if (!entry) return null;
+        const ticker = symbol.split(':')[1] || symbol;
+        return `⚡ ${ticker} RVOL surge\nLast alerted RVOL 5m: ${entry.change.toFixed(1)}x\nAlerts today: ${entry.count}`;
+    };
+
+    return Object.freeze({
+        start: errorHandler.wrapAsync(start, {
+            component: 'RvolService',
+            operation: 'start'
+        }),
+        stop: errorHandler.wrapAsync(stop, {
+            component: 'RvolService',
+            operation: 'stop'
+        }),
+        getDetails,
+        getState: stateManager.get
+    });
+};
@@ -2,17 +2,22 @@
  * @fileoverview Scanner management and premarket monitoring logic
  */
 import { processStockData } from "./stock.js";
+import { TvScanner } from "./tradingview.js";
 import { createStateManager, getCurrentNYTime, isPremarketTime, createStatusMessage } from "../core/utils/index.js";
 import { createLogger } from "../core/logger.js";
+import { timeScan } from "../core/metrics.js";
 import { createErrorHandler } from "../core/errorHandler.js";
 
 /**
  * Creates scanner service with enhanced logging and error handling
  * @param {Object} config - Configuration object
  * @param {Object} telegramService - Telegram service instance
+ * @param {Object} [scanner=TvScanner] - TradingView client (injectable for testing / replay)
+ * @param {Object|null} [stateStore=null] - Optional state store for restart persistence
+ * @param {Object|null} [chartRenderer=null] - Chart renderer for alert charts (see chartRenderer.js)
  * @returns {Object} Scanner service instance
  */
-export const createScanner = (config, telegramService) => {
+export const createScanner = (config, telegramService, scanner = TvScanner, stateStore = null, chartRenderer = null) => {
     const logger = createLogger();
     const errorHandler = createErrorHandler(logger);
 
@@ -24,24 +29,73 @@ export const createScanner = (config, telegramService) => {
         sendOnStartup: config.sendOnStartup,
         lastTotalCount: 0,
         lastTickers: [],
+        lastStocks: [],
         alertCount: 0,
         scanTimer: null
     });
 
+    const STATE_NAMESPACE = 'premarket';
+
+    /**
+     * Snapshots alert memory to the state store
+     * @returns {Promise<void>}
+     */
+    const persist = async () => {
+        if (!stateStore) return;
+        const { lastReportedChanges, alertCount, lastTotalCount, lastTickers, lastStocks } = stateManager.get();
+        try {
+            await stateStore.save(STATE_NAMESPACE, { lastReportedChanges, alertCount, lastTotalCount, lastTickers, lastStocks });
+        } catch (error) {
+            errorHandler.handle(error, { component: 'ScannerService', operation: 'persist' });
+        }
+    };
+
+    /**
+     * Restores alert memory from the state store (same trading day only)
+     * @returns {Promise<void>}
+     */
+    const rehydrate = async () => {
+        if (!stateStore) return;
+        try {
+            const snapshot = await stateStore.load(STATE_NAMESPACE);
+            if (!snapshot) return;
+
+            const lastReportedChanges = snapshot.lastReportedChanges instanceof Map
+                ? snapshot.lastReportedChanges
+                : new Map();
+
+            stateManager.update(() => ({
+                lastReportedChanges,
+                alertCount: snapshot.alertCount || 0,
+                lastTotalCount: snapshot.lastTotalCount || 0,
+                lastTickers: snapshot.lastTickers || [],
+                lastStocks: snapshot.lastStocks || [],
+                // Known tickers are already recorded, so the next scan must not be treated as bootstrap
+                isFirstScan: lastReportedChanges.size === 0
+            }));
+            logger.info('ScannerService', `♻️ Restored ${lastReportedChanges.size} tracked tickers from state store`);
+        } catch (error) {
+            errorHandler.handle(error, { component: 'ScannerService', operation: 'rehydrate' });
+        }
+    };
+
     /**
      * Performs a single scan operation
      * @returns {Promise<void>}
      */
-    const scanOnce = async () => {
+    const scanOnce = timeScan('premarket', async () => {
         const currentState = stateManager.get();
         try {
             const newState = await processStockData(
                 config.premarketThreshold,
                 currentState,
                 telegramService,
-                config
+                config,
+                scanner,
+                chartRenderer
             );
             stateManager.update(() => newState);
+            await persist();
         } catch (error) {
             errorHandler.handle(error, {
                 component: 'ScannerService',
@@ -49,15 +103,18 @@ export const createScanner = (config, telegramService) => {
                 metadata: { threshold: config.premarketThreshold }
             });
         }
-    };
+    });
+
+    let startup = null; // in-flight launch(); a stop() that lands during it waits for it
 
-    const start = async () => {
+    const launch = async () => {
         const state = stateManager.get();
         if (state.isRunning || state.isStarting) return;
 
         try {
             stateManager.update(() => ({ isStarting: true }));
 
+            await rehydrate();
             await telegramService.sendMessage(createStatusMessage(true));
             logger.scanner.start();
 
@@ -78,7 +135,15 @@ export const createScanner = (config, telegramService) => {
         }
     };
 
+    const start = () => {
+        startup ??= launch().finally(() => { startup = null; });
+        return startup;
+    };
+
     const stop = async () => {
+        // Stopping mid-start: let start() finish, then clear the interval it created
+        if (startup) await startup;
+
         const state = stateManager.get();
         if (!state.isRunning) return;
 
@@ -137,6 +202,18 @@ export const createScanner = (config, telegramService) => {
         }
     };
 
+    /**
+     * Describes what the scanner knows about a symbol (alert button)
+     * @param {string} symbol - Full symbol
+     * @returns {string|null} Details text or null if untracked
+     */
+    const getDetails = (symbol) => {
+        const entry = stateManager.get().lastReportedChanges.get(symbol);
+        if (!entry) return null;
+        const ticker = symbol.split(':')[1] || symbol;
+        return `🌅 ${ticker} premarket\nLast alerted change: ${entry.change > 0 ? '+' : ''}${entry.change.toFixed(2)}%\nAlerts today: ${entry.count}`;
+    };
+
     return Object.freeze({
         start: errorHandler.wrapAsync(start, {
             component: 'ScannerService',
@@ -150,6 +227,7 @@ export const createScanner = (config, telegramService) => {
             component: 'ScannerService',
             operation: 'shutdown'
         }),
+        getDetails,
         getState: stateManager.get
     });
 };
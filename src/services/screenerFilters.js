@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Declarative TradingView screener filter specs
+ *
+ * Each scan (premarket, market, catalystSetup, postmarket, rvol) is described by a spec:
+ *
+ *   {
+ *     filters: [{ column, op, value }],          // AND list  → body.filter
+ *     groups:  { all|any: [node, ...] },         // tree      → body.filter2
+ *     sort:    { column, order: "asc"|"desc" },
+ *     limit:   100                               // → body.range [0, limit]
+ *   }
+ *
+ * A value may reference a config key as "$key" (or "-$key"), resolved when the
+ * query is built, so PREMARKET_THRESHOLD and /set changes reach the request.
+ * Custom specs come from SCREENER_FILTERS_PATH (JSON/YAML) or SCREENER_FILTERS
+ * (inline JSON) and replace the defaults field by field, per scan.
+ */
+
+/**
+ * @typedef {Object} FilterExpression
+ * @property {string} column - TradingView column name
+ * @property {string} op - TradingView operation (greater, in_range, has, ...)
+ * @property {*} value - Right-hand side (number, string, array or "$configKey")
+ */
+
+/**
+ * @typedef {Object} ScreenerSpec
+ * @property {FilterExpression[]} filters - Expressions joined with AND
+ * @property {Object} groups - Nested { all: [...] } / { any: [...] } tree of expressions
+ * @property {{column: string, order: string}} sort - Sort column and order
+ * @property {number} limit - Max rows to fetch
+ */
+
+/** Scans that read a spec */
+export const SCREENER_SCANS = Object.freeze(["premarket", "market", "catalystSetup", "postmarket", "rvol"]);
+
+/** Operations accepted by the TradingView scanner API */
+export const FILTER_OPERATIONS = Object.freeze([
+    "greater", "egreater", "less", "eless", "equal", "nequal",
+    "in_range", "not_in_range", "has", "has_none_of", "match", "empty", "nempty"
+]);
+
+/** Columns usable in filters without being requested in `columns` */
+export const FILTER_ONLY_COLUMNS = Object.freeze(["is_primary", "exchange", "subtype"]);
+
+// Common stocks, preferred, DRs and non-ETF funds; no pre-IPO listings
+const STOCK_UNIVERSE = Object.freeze({
+    all: [
+        {
+            any: [
+                { all: [{ column: "type", op: "equal", value: "stock" }, { column: "typespecs", op: "has", value: ["common"] }] },
+                { all: [{ column: "type", op: "equal", value: "stock" }, { column: "typespecs", op: "has", value: ["preferred"] }] },
+                { all: [{ column: "type", op: "equal", value: "dr" }] },
+                { all: [{ column: "type", op: "equal", value: "fund" }, { column: "typespecs", op: "has_none_of", value: ["etf"] }] }
+            ]
+        },
+        { column: "typespecs", op: "has_none_of", value: ["pre-ipo"] }
+    ]
+});
+
+/** Built-in specs (the queries the scanners shipped with) */
+export const DEFAULT_SCREENER_FILTERS = Object.freeze({
+    premarket: Object.freeze({
+        filters: [
+            { column: "premarket_volume", op: "greater", value: 500000 },
+            // Same query as catalystSetup, so both scans share one request (snapshot cache);
+            // getStocks10 drops gappers up below PREMARKET_THRESHOLD from the rows
+            { column: "premarket_change", op: "not_in_range", value: [-8, 4] },
+            { column: "premarket_close", op: "egreater", value: 2.0 },
+            { column: "is_primary", op: "equal", value: true } // Avoid duplicates from secondary listings
+        ],
+        groups: STOCK_UNIVERSE,
+        sort: { column: "premarket_volume", order: "desc" },
+        limit: 100
+    }),
+    market: Object.freeze({
+        filters: [
+            { column: "close", op: "egreater", value: 1 },
+            { column: "volume", op: "greater", value: 1000000 },
+            { column: "relative_volume_intraday|5", op: "greater", value: 1.5 },
+            { column: "is_primary", op: "equal", value: true }
+        ],
+        groups: STOCK_UNIVERSE,
+        sort: { column: "Value.Traded", order: "desc" },
+        limit: 100
+    }),
+    catalystSetup: Object.freeze({
+        filters: [
+            { column: "premarket_volume", op: "greater", value: 500000 },
+            { column: "premarket_change", op: "not_in_range", value: [-8, 4] },
+            { column: "premarket_close", op: "egreater", value: 2.0 },
+            { column: "is_primary", op: "equal", value: true }
+        ],
+        groups: STOCK_UNIVERSE,
+        sort: { column: "premarket_volume", order: "desc" },
+        limit: 100
+    }),
+    postmarket: Object.freeze({
+        filters: [
+            { column: "postmarket_volume", op: "greater", value: "$postmarketMinVolume" },
+            { column: "postmarket_change", op: "not_in_range", value: ["-$postmarketThreshold", "$postmarketThreshold"] },
+            { column: "postmarket_close", op: "egreater", value: 1.0 },
+            { column: "is_primary", op: "equal", value: true }
+        ],
+        groups: STOCK_UNIVERSE,
+        sort: { column: "postmarket_volume", order: "desc" },
+        limit: 100
+    }),
+    rvol: Object.freeze({
+        filters: [
+            { column: "relative_volume_intraday|5", op: "greater", value: "$rvolThreshold" },
+            { column: "close", op: "egreater", value: 2.0 },
+            { column: "volume", op: "greater", value: 500000 },
+            { column: "is_primary", op: "equal", value: true }
+        ],
+        groups: STOCK_UNIVERSE,
+        sort: { column: "relative_volume_intraday|5", order: "desc" },
+        limit: 50
+    })
+});
+
+const PARAM_REF = /^(-?)\$([A-Za-z_]\w*)$/;
+
+const isExpression = (node) => node && typeof node === "object" && "column" in node;
+const groupItems = (node) => node?.all ?? node?.any;
+
+/**
+ * Walks a value (scalar or array) and lists "$key" references
+ * @param {*} value - Expression value
+ * @returns {string[]} Referenced config keys
+ */
+const collectParamRefs = (value) => (Array.isArray(value) ? value : [value])
+    .map(v => (typeof v === "string" ? v.match(PARAM_REF)?.[2] : null))
+    .filter(Boolean);
+
+/**
+ * Resolves "$key" / "-$key" references against params
+ * @param {*} value - Expression value
+ * @param {Object} params - Parameter source (usually config)
+ * @returns {*} Resolved value
+ */
+const resolveValue = (value, params) => {
+    if (Array.isArray(value)) return value.map(v => resolveValue(v, params));
+    const match = typeof value === "string" ? value.match(PARAM_REF) : null;
+    if (!match) return value;
+    const resolved = Number(params?.[match[2]]);
+    return match[1] ? -resolved : resolved;
+};
+
+/**
+ * Merges custom specs over the defaults (per scan, field by field)
+ * @param {Object|null} custom - Parsed JSON/YAML specs keyed by scan
+ * @returns {Object} Frozen specs for every scan
+ */
+export const resolveScreenerFilters = (custom = null) => {
+    // Unknown scans are kept so validation can report them
+    const specs = { ...(custom || {}) };
+    for (const scan of SCREENER_SCANS) {
+        specs[scan] = Object.freeze({ ...DEFAULT_SCREENER_FILTERS[scan], ...(custom?.[scan] || {}) });
+    }
+    return Object.freeze(specs);
+};
+
+/**
+ * Validates specs against the columns each scan requests
+ * @param {Object} specs - Specs keyed by scan
+ * @param {Object<string, string[]>} columnSets - Requested columns per scan
+ * @param {Object} [params={}] - Config the "$key" references resolve against
+ * @returns {{isValid: boolean, errors: string[]}} Validation result
+ */
+export const validateScreenerFilters = (specs, columnSets, params = {}) => {
+    const errors = [];
+
+    if (!specs || typeof specs !== "object") {
+        return { isValid: false, errors: ["Screener filters must be an object"] };
+    }
+
+    for (const [scan, spec] of Object.entries(specs)) {
+        const columns = columnSets[scan];
+        if (!columns) {
+            errors.push(`Screener filters: unknown scan "${scan}" (expected ${SCREENER_SCANS.join(", ")})`);
+            continue;
+        }
+        const known = new Set([...columns, ...FILTER_ONLY_COLUMNS]);
+
+        const checkExpression = (expr, where) => {
+            if (!isExpression(expr)) {
+                errors.push(`Screener ${scan}.${where} must be { column, op, value }`);
+                return;
+            }
+            if (!known.has(expr.column)) errors.push(`Screener ${scan}.${where}: unknown column "${expr.column}"`);
+            if (!FILTER_OPERATIONS.includes(expr.op)) errors.push(`Screener ${scan}.${where}: unknown op "${expr.op}"`);
+            collectParamRefs(expr.value)
+                .filter(key => !Number.isFinite(Number(params[key])))
+                .forEach(key => errors.push(`Screener ${scan}.${where}: "$${key}" is not a numeric config value`));
+        };
+
+        const checkGroup = (node, where) => {
+            if (isExpression(node)) return checkExpression(node, where);
+            const items = groupItems(node);
+            if (!Array.isArray(items) || items.length === 0) {
+                errors.push(`Screener ${scan}.${where} must be { all: [...] } or { any: [...] }`);
+                return;
+            }
+            items.forEach((item, i) => checkGroup(item, `${where}[${i}]`));
+        };
+
+        if (!Array.isArray(spec?.filters)) {
+            errors.push(`Screener ${scan}.filters must be an array`);
+        } else {
+            spec.filters.forEach((expr, i) => checkExpression(expr, `filters[${i}]`));
+        }
+        if (spec?.groups !== undefined) {
+            if (isExpression(spec.groups)) errors.push(`Screener ${scan}.groups must be { all: [...] } or { any: [...] }`);
+            else checkGroup(spec.groups, "groups");
+        }
+        if (spec?.sort !== undefined) {
+            if (!known.has(spec.sort?.column)) errors.push(`Screener ${scan}.sort: unknown column "${spec.sort?.column}"`);
+            if (!["asc", "desc"].includes(spec.sort?.order)) errors.push(`Screener ${scan}.sort.order must be asc or desc`);
+        }
+        if (spec?.limit !== undefined && !(Number.isInteger(spec.limit) && spec.limit > 0)) {
+            errors.push(`Screener ${scan}.limit must be positive integer`);
+        }
+    }
+
+    return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Compiles one { all | any } node (or expression) into a filter2 operand
+ * @param {Object} node - Group node or expression
+ * @param {Object} params - Parameter source
+ * @returns {Object} { operation } or { expression } operand
+ */
+const compileOperand = (node, params) => {
+    if (isExpression(node)) {
+        return { expression: { left: node.column, operation: node.op, right: resolveValue(node.value, params) } };
+    }
+    return {
+        operation: {
+            operator: node.all ? "and" : "or",
+            operands: groupItems(node).map(item => compileOperand(item, params))
+        }
+    };
+};
+
+/**
+ * Compiles a spec into the TradingView scan request body
+ * @param {ScreenerSpec} spec - Scan spec
+ * @param {string[]} columns - Columns to request (row mappers index into them)
+ * @param {Object} [params={}] - Values for "$key" references (usually config)
+ * @returns {Object} Request body for the /scan endpoint
+ */
+export const compileScreenerQuery = (spec, columns, params = {}) => ({
+    columns,
+    filter: spec.filters.map(expr => ({
+        left: expr.column,
+        operation: expr.op,
+        right: resolveValue(expr.value, params)
+    })),
+    filter2: compileOperand(spec.groups ?? STOCK_UNIVERSE, params).operation,
+    ignore_unknown_fields: false,
+    options: { lang: "en" },
+    range: [0, spec.limit ?? 100],
+    sort: { sortBy: spec.sort.column, sortOrder: spec.sort.order },
+    symbols: {},
+    markets: ["america"]
+});
@@ -2,10 +2,12 @@
  * @fileoverview Stock data processing and filtering logic
  */
 import { TvScanner } from "./tradingview.js";
-// import { captureStitchedTicker } from "./screenshot.js"; // [DISABLED] Screenshot service
 import { createStockMessage } from "../core/utils/index.js";
+import { createAlertOptions } from "./alertActions.js";
+import { ALERT_ROUTES } from "./alertRoutes.js";
+import { sendChartAlert } from "./chartRenderer.js";
 import { createLogger } from "../core/logger.js";
-import { createErrorHandler, TradingViewError } from "../core/errorHandler.js";
+import { createErrorHandler, TradingViewError, TradingViewPausedError } from "../core/errorHandler.js";
 import { validateStockData, validateTradingViewResponse } from "../config/validation.js";
 
 /**
@@ -36,6 +38,40 @@ export const extractSymbols = (rawStocks) =>
 export const shouldSendNotifications = (isFirstScan, sendOnStartup, newStocksCount) =>
     newStocksCount > 0 && (sendOnStartup || !isFirstScan);
 
+/**
+ * Decides whether a tracked change has stepped far enough to re-alert.
+ * Alert conditions:
+ * 1. Never seen before
+ * 2. Current change has moved significantly in the same direction (further growth or further drop)
+ * @param {number|undefined} prevChange - Last reported change (undefined if never alerted)
+ * @param {number} change - Current change
+ * @param {number} step - Minimum move since last alert
+ * @returns {boolean} Whether to alert
+ */
+export const shouldStepAlert = (prevChange, change, step) => {
+    if (prevChange === undefined) return true;
+    const diff = change - prevChange;
+    return (change > 0 && diff >= step) || (change < 0 && diff <= -step);
+};
+
+/**
+ * Collects step-based alerts for a batch of stocks
+ * @param {Array<Object>} stocks - Mapped stocks (must have `symbol`)
+ * @param {Map<string, {change: number, count: number}>} lastReportedChanges - Last alerted change per symbol
+ * @param {number} step - Minimum move since last alert
+ * @param {Function} getChange - Extracts the tracked change from a stock
+ * @returns {Array<{stock: Object, prevChange: number|undefined, count: number}>} Alerts to send
+ */
+export const collectStepAlerts = (stocks, lastReportedChanges, step, getChange) =>
+    stocks.reduce((alerts, stock) => {
+        const stateEntry = lastReportedChanges.get(stock.symbol);
+        const prevChange = stateEntry?.change;
+        if (shouldStepAlert(prevChange, getChange(stock), step)) {
+            alerts.push({ stock, prevChange, count: (stateEntry?.count || 0) + 1 });
+        }
+        return alerts;
+    }, []);
+
 /**
  * Processes stock data with enhanced logging and error handling
  * @param {number} threshold - Premarket change threshold
@@ -43,9 +79,10 @@ export const shouldSendNotifications = (isFirstScan, sendOnStartup, newStocksCou
  * @param {Object} telegramService - Telegram service instance
  * @param {Object} config - Configuration object
  * @param {Object} [scanner=TvScanner] - Optional scanner implementation for testing
+ * @param {Object|null} [chartRenderer=null] - Chart renderer; alerts go out as chart + caption when set
  * @returns {Promise<StockState>} Updated state
  */
-export const processStockData = async (threshold, state, telegramService, config, scanner = TvScanner) => {
+export const processStockData = async (threshold, state, telegramService, config, scanner = TvScanner, chartRenderer = null) => {
     const logger = createLogger();
     const errorHandler = createErrorHandler(logger);
 
@@ -65,44 +102,36 @@ export const processStockData = async (threshold, state, telegramService, config
             logger.scanner.noData();
             return {
                 ...state,
+                lastStocks: [],
                 lastTotalCount: totalCount
             };
         }
 
-        const candidates = rawStocks.map(TvScanner.mapRow);
-        const alertsToSend = [];
-
-        for (const stock of candidates) {
+        const candidates = rawStocks.map(TvScanner.mapRow).filter(stock => {
             // Validate each stock before processing
             const validation = validateStockData(stock);
             if (!validation.isValid) {
                 logger.warn('StockService', `Invalid stock data: ${validation.errors.join(', ')}`);
-                continue;
             }
+            return validation.isValid;
+        });
 
-            const stateEntry = state.lastReportedChanges.get(stock.symbol);
-            const prevChange = stateEntry?.change;
-            const prevCount = stateEntry?.count || 0;
-
-            // Alert conditions:
-            // 1. Never seen before
-            // 2. Current change has moved significantly in the same direction (further growth or further drop)
-            const diff = prevChange === undefined ? 0 : stock.premarket_change - prevChange;
-            const shouldAlert = prevChange === undefined ||
-                (stock.premarket_change > 0 && diff >= config.premarketAlertStep) ||
-                (stock.premarket_change < 0 && diff <= -config.premarketAlertStep);
+        // Latest premarket snapshot (morning briefing)
+        const scanned = { ...state, lastStocks: candidates };
 
-            if (shouldAlert) {
-                alertsToSend.push({ stock, prevChange, count: prevCount + 1 });
-            }
-        }
+        const alertsToSend = collectStepAlerts(
+            candidates,
+            state.lastReportedChanges,
+            config.premarketAlertStep,
+            stock => stock.premarket_change
+        );
 
         const updatedChanges = new Map(state.lastReportedChanges);
 
         if (alertsToSend.length === 0) {
             logger.scanner.noNewStocks();
             return {
-                ...state,
+                ...scanned,
                 isFirstScan: false
             };
         }
@@ -112,7 +141,7 @@ export const processStockData = async (threshold, state, telegramService, config
             // Record initial values to suppress future alerts until they grow
             alertsToSend.forEach(({ stock, count }) => updatedChanges.set(stock.symbol, { change: stock.premarket_change, count: count }));
             return {
-                ...state,
+                ...scanned,
                 lastReportedChanges: updatedChanges,
                 isFirstScan: false
             };
@@ -125,15 +154,13 @@ export const processStockData = async (threshold, state, telegramService, config
                 const message = createStockMessage(stock, isUpdate, prevChange, count);
                 logger.scanner.newStock(stock.symbol, stock.premarket_change.toFixed(2));
 
-                // [DISABLED] Screenshot service
-                // const intervals = config.screenshot?.intervals || ["D", "240", "15", "1"];
-                // const chartPath = await captureStitchedTicker(stock.symbol, config, intervals);
-
-                const result = await telegramService.sendMessage(message);
+                const result = await sendChartAlert(telegramService, chartRenderer, stock.symbol, message,
+                    createAlertOptions('premarket', stock.symbol,
+                        isUpdate ? ALERT_ROUTES.PREMARKET_STEP : ALERT_ROUTES.PREMARKET_NEW, stock.premarket_close));
 
                 if (result.success) {
                     updatedChanges.set(stock.symbol, { change: stock.premarket_change, count });
-                } else {
+                } else if (!result.muted) {
                     logger.error('StockService', `Failed to send notification for ${stock.symbol}`, {
                         error: result.error?.message
                     });
@@ -152,7 +179,7 @@ export const processStockData = async (threshold, state, telegramService, config
         await Promise.allSettled(sendPromises);
 
         return {
-            ...state,
+            ...scanned,
             lastReportedChanges: updatedChanges,
             lastTickers: rawStocks.map(s => s.s),
             alertCount: state.alertCount + alertsToSend.length,
@@ -160,7 +187,9 @@ export const processStockData = async (threshold, state, telegramService, config
             lastTotalCount: totalCount
         };
     } catch (error) {
-        if (error instanceof TradingViewError) {
+        if (error instanceof TradingViewPausedError) {
+            logger.debug('TV', `Premarket scan skipped: ${error.message}`);
+        } else if (error instanceof TradingViewError) {
             logger.tradingview.error(error.message);
         } else {
             errorHandler.handle(error, {
@@ -3,9 +3,39 @@
  */
 import { Telegraf } from "telegraf";
 import { withLogging, withRetry } from "../core/utils/index.js";
-import { createLogger } from "../core/logger.js";
+import { createLogger, withLogContext } from "../core/logger.js";
 import { createErrorHandler, TelegramError } from "../core/errorHandler.js";
 import { validateTelegramMessage } from "../config/validation.js";
+import { parseActionData, ACTION_PREFIX } from "./alertActions.js";
+import { resolveDestinations, getRoutedChatIds } from "./alertRoutes.js";
+import { metrics } from "../core/metrics.js";
+
+/** @typedef {import('./alertRoutes.js').Destination} Destination */
+
+const telegramCallsTotal = metrics.counter("tvsrocks_telegram_calls_total",
+    "Telegram sends / edits / pins by method and outcome (error = threw)", ["method", "outcome"]);
+const telegramCallDuration = metrics.histogram("tvsrocks_telegram_call_duration_seconds",
+    "Telegram call duration, all destinations of the route", ["method"]);
+
+/**
+ * Records the outcome (`result.success`) and duration of a Telegram call
+ * @param {string} method - Method label
+ * @param {Function} fn - Async call returning `{ success }`
+ * @returns {Function} Instrumented call
+ */
+const withMetrics = (method, fn) => async (...args) => {
+    const stopTimer = telegramCallDuration.startTimer({ method });
+    try {
+        const result = await fn(...args);
+        telegramCallsTotal.inc({ method, outcome: result?.success ? "success" : "failure" });
+        return result;
+    } catch (error) {
+        telegramCallsTotal.inc({ method, outcome: "error" });
+        throw error;
+    } finally {
+        stopTimer();
+    }
+};
 
 /**
  * Creates Telegram service with enhanced logging and error handling
@@ -16,34 +46,79 @@ export const createTelegramService = (config) => {
     const logger = createLogger();
     const errorHandler = createErrorHandler(logger);
     const bot = new Telegraf(config.botToken);
+    // Log lines of one command / button press share the update ID
+    bot.use((ctx, next) => withLogContext({ correlationId: `tg-${ctx.update?.update_id}` }, next));
+
+    const authorizedChats = getRoutedChatIds(config);
 
     /**
      * Creates send options with optional thread support
-     * @param {boolean} useThread - Whether to use thread ID
+     * @param {Destination} destination - Target chat/topic
+     * @param {boolean} useThread - Whether to use the destination's thread ID
      * @returns {Object} Telegram send options
      */
-    const createSendOptions = (useThread) => {
+    const createSendOptions = (destination, useThread) => {
         const baseOpts = { disable_web_page_preview: true };
-        return useThread && config.threadId
-            ? { ...baseOpts, message_thread_id: config.threadId }
+        return useThread && destination.threadId
+            ? { ...baseOpts, message_thread_id: destination.threadId }
             : baseOpts;
     };
 
     /**
      * Attempts to send message with given options
+     * @param {Destination} destination - Target chat/topic
      * @param {string} text - Message text
      * @param {Object} options - Send options
      * @returns {Promise<Object>} Telegram message response
      */
-    const trySendMessage = (text, options) =>
-        bot.telegram.sendMessage(config.chatId, String(text), options);
+    const trySendMessage = (destination, text, options) =>
+        bot.telegram.sendMessage(destination.chatId, String(text), options);
+
+    /**
+     * Sends to one destination, falling back to the main chat if its thread is rejected
+     * @param {Destination} destination - Target chat/topic
+     * @param {string} text - Message text
+     * @param {Object} extra - Extra send options (parse_mode, reply_markup, ...)
+     * @returns {Promise<Object>} Send result
+     */
+    const deliver = async (destination, text, extra) => {
+        try {
+            const msg = await trySendMessage(destination, text, { ...createSendOptions(destination, true), ...extra });
+            logger.telegram.sent(msg.message_id, msg.chat.id, destination.threadId);
+            return { success: true, message: msg };
+        } catch (error) {
+            return await handleSendError(error, destination, text, extra);
+        }
+    };
+
+    /**
+     * Sends to every destination of a route
+     * @param {string} text - Message text
+     * @param {Object} extra - Send options; `route` selects the destinations
+     * @returns {Promise<Object>} First successful result plus `deliveries` for all destinations
+     */
+    const sendToRoute = async (text, extra) => {
+        const { route, alert, ...options } = extra;
+        const results = [];
+        for (const destination of resolveDestinations(config, route)) {
+            results.push(await deliver(destination, text, options));
+        }
+        const delivered = results.filter(r => r.success);
+        if (delivered.length === 0) return results[0];
+        return {
+            success: true,
+            message: delivered[0].message,
+            deliveries: delivered.map(r => ({ chatId: r.message.chat.id, messageId: r.message.message_id }))
+        };
+    };
 
     /**
      * Sends message with validation and error handling
      * @param {string} text - Message text to send
+     * @param {Object} [extra={}] - Extra send options (e.g. reply_markup for alert buttons, route)
      * @returns {Promise<Object>} Send result
      */
-    const sendMessage = async (text) => {
+    const sendMessage = async (text, extra = {}) => {
         // Validate message parameters
         const validation = validateTelegramMessage(text, config.chatId, config.threadId);
         if (!validation.isValid) {
@@ -56,33 +131,27 @@ export const createTelegramService = (config) => {
             throw error;
         }
 
-        try {
-            const opts = createSendOptions(true);
-            const msg = await trySendMessage(text, opts);
-
-            logger.telegram.sent(msg.message_id, msg.chat.id, config.threadId);
-            return { success: true, message: msg };
-        } catch (error) {
-            return await handleSendError(error, text);
-        }
+        return sendToRoute(text, extra);
     };
 
     /**
-     * Handles send errors with retry logic
+     * Handles send errors with retry logic (per destination)
      * @param {Error} error - Original error
+     * @param {Destination} destination - Destination that failed
      * @param {string} text - Message text
+     * @param {Object} [extra={}] - Extra send options
      * @returns {Promise<Object>} Retry result
      */
-    const handleSendError = async (error, text) => {
+    const handleSendError = async (error, destination, text, extra = {}) => {
         const code = error?.response?.error_code;
         const desc = error?.response?.description || error.message;
 
         logger.telegram.error(code, desc);
 
-        if (config.threadId && code === 400) {
+        if (destination.threadId && code === 400) {
             logger.telegram.retry();
             try {
-                const msg = await trySendMessage(text, createSendOptions(false));
+                const msg = await trySendMessage(destination, text, { ...createSendOptions(destination, false), ...extra });
                 logger.telegram.sent(msg.message_id, msg.chat.id, null);
                 return { success: true, message: msg };
             } catch (retryError) {
@@ -97,7 +166,7 @@ export const createTelegramService = (config) => {
                 errorHandler.handle(telegramError, {
                     component: 'TelegramService',
                     operation: 'handleSendError',
-                    metadata: { originalCode: code, retryCode: retryError?.response?.error_code }
+                    metadata: { chatId: destination.chatId, originalCode: code, retryCode: retryError?.response?.error_code }
                 });
             }
         }
@@ -105,6 +174,16 @@ export const createTelegramService = (config) => {
         return { success: false, error };
     };
 
+    /**
+     * Expands a message reference into per-chat message IDs
+     * @param {number|Array<{chatId: string|number, messageId: number}>} messageRef - Message ID in the
+     *   default chat, or `deliveries` from a routed send
+     * @returns {Array<{chatId: string|number, messageId: number}>} Targets
+     */
+    const toMessageTargets = (messageRef) => (Array.isArray(messageRef)
+        ? messageRef
+        : [{ chatId: config.chatId, messageId: messageRef }]);
+
     /**
      * Initializes Telegram bot and validates connection
      * @returns {Promise<Object>} Bot information
@@ -124,6 +203,19 @@ export const createTelegramService = (config) => {
         }
     };
 
+    /**
+     * Checks that the Bot API answers (HTTP API /healthz). Never throws.
+     * @returns {Promise<{ok: boolean, username?: string, error?: string}>} Result
+     */
+    const ping = async () => {
+        try {
+            const me = await bot.telegram.getMe();
+            return { ok: true, username: me.username };
+        } catch (error) {
+            return { ok: false, error: error?.response?.description || error.message };
+        }
+    };
+
     /**
      * Launches bot with timeout handling
      * @returns {Promise<void>}
@@ -157,107 +249,161 @@ export const createTelegramService = (config) => {
      * Sends photo with caption (Supports either file path or Buffer)
      * @param {string|Buffer} photo - Path to photo file or raw Buffer
      * @param {string} caption - Optional caption
+     * @param {Object} [extra={}] - Extra send options (route, reply_markup, parse_mode)
      * @returns {Promise<Object>} Send result
      */
-    const sendPhoto = async (photo, caption = "") => {
-        try {
-            const opts = createSendOptions(true);
-            if (caption) {
-                opts.caption = caption;
-                opts.parse_mode = "Markdown";
+    const sendPhoto = async (photo, caption = "", extra = {}) => {
+        const { route, alert, ...options } = extra;
+        let firstResult = null;
+        for (const destination of resolveDestinations(config, route)) {
+            try {
+                const opts = { ...createSendOptions(destination, true), ...options };
+                if (caption) {
+                    opts.caption = caption;
+                    // parse_mode: null sends a plain-text caption
+                    if (opts.parse_mode === undefined) opts.parse_mode = "Markdown";
+                }
+                if (opts.parse_mode === null) delete opts.parse_mode;
+
+                // Telegraf's source property handles both strings (paths) and Buffers
+                const msg = await bot.telegram.sendPhoto(destination.chatId, { source: photo }, opts);
+
+                logger.telegram.sent(msg.message_id, msg.chat.id, destination.threadId);
+                if (!firstResult?.success) firstResult = { success: true, message: msg };
+            } catch (error) {
+                const code = error?.response?.error_code;
+                const desc = error?.response?.description || error.message;
+                logger.telegram.error(code, desc);
+                if (!firstResult) firstResult = { success: false, error };
             }
+        }
+        return firstResult;
+    };
 
-            // Telegraf's source property handles both strings (paths) and Buffers
-            const msg = await bot.telegram.sendPhoto(config.chatId, { source: photo }, opts);
+    /**
+     * Sends a file as a document (reports)
+     * @param {Buffer|string} content - File contents or path
+     * @param {string} filename - File name shown in the chat
+     * @param {string} [caption=""] - Optional caption
+     * @param {Object} [extra={}] - Extra send options (route)
+     * @returns {Promise<Object>} Send result
+     */
+    const sendDocument = async (content, filename, caption = "", extra = {}) => {
+        const { route, alert, ...options } = extra;
+        let firstResult = null;
+        for (const destination of resolveDestinations(config, route)) {
+            try {
+                const opts = { ...createSendOptions(destination, true), ...options };
+                if (caption) opts.caption = caption;
 
-            logger.telegram.sent(msg.message_id, msg.chat.id, config.threadId);
-            return { success: true, message: msg };
-        } catch (error) {
-            const code = error?.response?.error_code;
-            const desc = error?.response?.description || error.message;
-            logger.telegram.error(code, desc);
-            return { success: false, error };
+                const msg = await bot.telegram.sendDocument(destination.chatId, { source: content, filename }, opts);
+
+                logger.telegram.sent(msg.message_id, msg.chat.id, destination.threadId);
+                if (!firstResult?.success) firstResult = { success: true, message: msg };
+            } catch (error) {
+                const code = error?.response?.error_code;
+                const desc = error?.response?.description || error.message;
+                logger.telegram.error(code, desc);
+                if (!firstResult) firstResult = { success: false, error };
+            }
         }
+        return firstResult;
     };
 
     return Object.freeze({
-        sendMessage: errorHandler.wrapAsync(sendMessage, {
+        sendMessage: withMetrics("sendMessage", errorHandler.wrapAsync(sendMessage, {
             component: 'TelegramService',
             operation: 'sendMessage'
-        }),
-        sendPhoto: errorHandler.wrapAsync(sendPhoto, {
+        })),
+        sendPhoto: withMetrics("sendPhoto", errorHandler.wrapAsync(sendPhoto, {
             component: 'TelegramService',
             operation: 'sendPhoto'
-        }),
+        })),
+        sendDocument: withMetrics("sendDocument", errorHandler.wrapAsync(sendDocument, {
+            component: 'TelegramService',
+            operation: 'sendDocument'
+        })),
 
         /**
          * Sends message with HTML parse mode (for monospace tables)
          * @param {string} text - HTML-formatted message
+         * @param {Object} [extra={}] - Extra send options (e.g. reply_markup for alert buttons, route)
          * @returns {Promise<Object>} Send result with message object
          */
-        sendMessageHTML: errorHandler.wrapAsync(async (text) => {
-            try {
-                const opts = { ...createSendOptions(true), parse_mode: 'HTML' };
-                const msg = await bot.telegram.sendMessage(config.chatId, String(text), opts);
-                logger.telegram.sent(msg.message_id, msg.chat.id, config.threadId);
-                return { success: true, message: msg };
-            } catch (error) {
-                const code = error?.response?.error_code;
-                const desc = error?.response?.description || error.message;
-                logger.telegram.error(code, desc);
-                return { success: false, error };
-            }
-        }, { component: 'TelegramService', operation: 'sendMessageHTML' }),
+        sendMessageHTML: withMetrics("sendMessageHTML", errorHandler.wrapAsync(
+            (text, extra = {}) => sendToRoute(text, { parse_mode: 'HTML', ...extra }),
+            { component: 'TelegramService', operation: 'sendMessageHTML' }
+        )),
 
         /**
          * Edits an existing message (for dashboard updates)
-         * @param {number} messageId - ID of message to edit
+         * @param {number|Array<{chatId: string|number, messageId: number}>} messageRef - Message ID or routed `deliveries`
          * @param {string} text - New HTML-formatted text
-         * @returns {Promise<Object>} Edit result
+         * @returns {Promise<Object>} Edit result (first failure, if any)
          */
-        editMessage: errorHandler.wrapAsync(async (messageId, text) => {
-            try {
-                const opts = { parse_mode: 'HTML', disable_web_page_preview: true };
-                if (config.threadId) opts.message_thread_id = config.threadId;
-                const msg = await bot.telegram.editMessageText(
-                    config.chatId, messageId, undefined, String(text), opts
-                );
-                return { success: true, message: msg };
-            } catch (error) {
-                const code = error?.response?.error_code;
-                const desc = error?.response?.description || error.message;
-                // 400 "message is not modified" is not a real error
-                if (code === 400 && desc?.includes('not modified')) {
-                    return { success: true, notModified: true };
+        editMessage: withMetrics("editMessage", errorHandler.wrapAsync(async (messageRef, text) => {
+            let failure = null;
+            for (const { chatId, messageId } of toMessageTargets(messageRef)) {
+                try {
+                    const opts = { parse_mode: 'HTML', disable_web_page_preview: true };
+                    await bot.telegram.editMessageText(chatId, messageId, undefined, String(text), opts);
+                } catch (error) {
+                    const code = error?.response?.error_code;
+                    const desc = error?.response?.description || error.message;
+                    // 400 "message is not modified" is not a real error
+                    if (code === 400 && desc?.includes('not modified')) continue;
+                    logger.telegram.error(code, desc);
+                    failure = failure || { success: false, error };
                 }
-                logger.telegram.error(code, desc);
-                return { success: false, error };
             }
-        }, { component: 'TelegramService', operation: 'editMessage' }),
+            return failure || { success: true };
+        }, { component: 'TelegramService', operation: 'editMessage' })),
 
         /**
-         * Pins a message in the chat
-         * @param {number} messageId - ID of message to pin
-         * @returns {Promise<Object>} Pin result
+         * Pins a message in every chat it was delivered to
+         * @param {number|Array<{chatId: string|number, messageId: number}>} messageRef - Message ID or routed `deliveries`
+         * @returns {Promise<Object>} Pin result (first failure, if any)
          */
-        pinMessage: errorHandler.wrapAsync(async (messageId) => {
-            try {
-                await bot.telegram.pinChatMessage(config.chatId, messageId, {
-                    disable_notification: true
-                });
-                return { success: true };
-            } catch (error) {
-                const desc = error?.response?.description || error.message;
-                logger.error('TelegramService', `Pin failed: ${desc}`);
-                return { success: false, error };
+        pinMessage: withMetrics("pinMessage", errorHandler.wrapAsync(async (messageRef) => {
+            let failure = null;
+            for (const { chatId, messageId } of toMessageTargets(messageRef)) {
+                try {
+                    await bot.telegram.pinChatMessage(chatId, messageId, {
+                        disable_notification: true
+                    });
+                } catch (error) {
+                    const desc = error?.response?.description || error.message;
+                    logger.error('TelegramService', `Pin failed in ${chatId}: ${desc}`);
+                    failure = failure || { success: false, error };
+                }
+            }
+            return failure || { success: true };
+        }, { component: 'TelegramService', operation: 'pinMessage' })),
+
+        /**
+         * Unpins a message in every chat it was delivered to
+         * @param {number|Array<{chatId: string|number, messageId: number}>} messageRef - Message ID or routed `deliveries`
+         * @returns {Promise<Object>} Unpin result (first failure, if any)
+         */
+        unpinMessage: withMetrics("unpinMessage", errorHandler.wrapAsync(async (messageRef) => {
+            let failure = null;
+            for (const { chatId, messageId } of toMessageTargets(messageRef)) {
+                try {
+                    await bot.telegram.unpinChatMessage(chatId, messageId);
+                } catch (error) {
+                    const desc = error?.response?.description || error.message;
+                    logger.error('TelegramService', `Unpin failed in ${chatId}: ${desc}`);
+                    failure = failure || { success: false, error };
+                }
             }
-        }, { component: 'TelegramService', operation: 'pinMessage' }),
+            return failure || { success: true };
+        }, { component: 'TelegramService', operation: 'unpinMessage' })),
 
         onCommand: (command, handler) => {
             bot.command(command, async (ctx) => {
                 try {
-                    // Security: only allow commands from the configured chatId
-                    if (ctx.chat.id !== config.chatId) {
+                    // Security: only allow commands from the configured chatId, routed chats and the admin chat
+                    if (!authorizedChats.has(ctx.chat.id)) {
                         logger.warn('TelegramService', `Ignored command from unauthorized chat: ${ctx.chat.id}`);
                         return;
                     }
@@ -271,6 +417,40 @@ export const createTelegramService = (config) => {
                 }
             });
         },
+
+        /**
+         * Registers the handler for alert inline-keyboard buttons
+         * @param {Function} handler - (action) => Promise<{toast: string, message?: string}>
+         */
+        onAlertAction: (handler) => {
+            bot.action(new RegExp(`^${ACTION_PREFIX}:`), async (ctx) => {
+                try {
+                    // Security: same rule as commands — only configured/routed chats may press buttons
+                    if (!authorizedChats.has(ctx.chat?.id)) {
+                        logger.warn('TelegramService', `Ignored button from unauthorized chat: ${ctx.chat?.id}`);
+                        await ctx.answerCbQuery('Not authorized');
+                        return;
+                    }
+
+                    const action = parseActionData(ctx.callbackQuery?.data);
+                    if (!action) {
+                        await ctx.answerCbQuery('Unknown action');
+                        return;
+                    }
+
+                    const { toast, message } = await handler(action);
+                    await ctx.answerCbQuery(toast);
+                    // Reply where the button was pressed
+                    if (message) await deliver({ chatId: ctx.chat.id, threadId: ctx.callbackQuery?.message?.message_thread_id ?? null }, message, {});
+                } catch (error) {
+                    errorHandler.handle(error, {
+                        component: 'TelegramService',
+                        operation: 'alertActionHandler',
+                        metadata: { data: ctx.callbackQuery?.data }
+                    });
+                }
+            });
+        },
         initialize: withRetry(
             errorHandler.wrapAsync(initialize, {
                 component: 'TelegramService',
@@ -282,6 +462,7 @@ export const createTelegramService = (config) => {
             component: 'TelegramService',
             operation: 'launch'
         }),
+        ping,
         stop
     });
 };
@@ -1,6 +1,15 @@
 // tvClient.js
 // TradingView scanner client (browser-like headers, retries, fixed columns)
 // ⚠️ НЕ ЧІПАТИ без крайньої потреби.
+// Фільтри запитів — декларативні (screenerFilters.js, config.screenerFilters).
+
+import { DEFAULT_SCREENER_FILTERS, compileScreenerQuery } from "./screenerFilters.js";
+import { metrics } from "../core/metrics.js";
+import { createLogger } from "../core/logger.js";
+import { TradingViewError, TradingViewPausedError } from "../core/errorHandler.js";
+
+// Усі логи клієнта йдуть через спільний логер (компонент "TV", рівень — LOG_LEVELS=TV=...)
+const logger = createLogger();
 
 const TV_URL =
     "https://scanner.tradingview.com/america/scan?label-product=popup-screener-stock";
@@ -19,9 +28,6 @@ const BROWSER_HEADERS_BASE = {
     "sec-fetch-site": "same-site",
 };
 
-function nowTs() {
-    return new Date().toISOString().split("T")[1].split(".")[0];
-}
 function sleep(ms) {
     return new Promise((r) => setTimeout(r, ms));
 }
@@ -38,7 +44,8 @@ const COLUMNS_PREMARKET = Object.freeze([
     "type", "typespecs", "pricescale", "minmov", "fractional", "minmove2",
     "currency", "premarket_volume", "market_cap_basic", "fundamental_currency_code",
     "volume", "average_volume_10d_calc", "change", "relative_volume_10d_calc",
-    "sector.tr", "market", "sector", "premarket_close", "change_from_open"
+    "sector.tr", "market", "sector", "premarket_close", "change_from_open",
+    "premarket_high", "update_mode"
 ]);
 
 // =============================================================================
@@ -70,7 +77,36 @@ const COLUMNS_MARKET = Object.freeze([
     "average_volume_10d_calc",        // idx 22
     "ATR",                            // idx 23
     "volume_change",                  // idx 24
-    "gap"                             // idx 25
+    "gap",                            // idx 25
+    "premarket_high",                 // idx 26
+    "premarket_low",                  // idx 27
+    "update_mode"                     // idx 28 (streaming | delayed_streaming_900 — ознака анонімної сесії)
+]);
+
+// =============================================================================
+// Postmarket Scanner — колонки для After-hours (16:00–20:00 ET)
+// =============================================================================
+const COLUMNS_POSTMARKET = Object.freeze([
+    "ticker-view",                    // idx 0
+    "postmarket_change",              // idx 1
+    "float_shares_outstanding_current", // idx 2
+    "close",                          // idx 3
+    "type",                           // idx 4
+    "typespecs",                      // idx 5
+    "pricescale",                     // idx 6
+    "minmov",                         // idx 7
+    "fractional",                     // idx 8
+    "minmove2",                       // idx 9
+    "currency",                       // idx 10
+    "postmarket_volume",              // idx 11
+    "market_cap_basic",               // idx 12
+    "fundamental_currency_code",      // idx 13
+    "volume",                         // idx 14
+    "change",                         // idx 15
+    "postmarket_close",               // idx 16
+    "sector.tr",                      // idx 17
+    "market",                         // idx 18
+    "update_mode"                     // idx 19
 ]);
 
 // Маппер для Premarket (індекси за COLUMNS_PREMARKET)
@@ -82,20 +118,428 @@ function mapRow(row) {
         premarket_volume: Number(d[11] || 0),         // idx 11
         float_shares_outstanding: Number(d[2] || 0),  // idx 2 (float_shares_outstanding_current)
         premarket_close: Number(d[21] || 0),          // idx 21 (premarket_close)
+        premarket_high: Number(d[23] || 0),           // idx 23 (premarket_high)
+    });
+}
+
+// Маппер для Postmarket (індекси за COLUMNS_POSTMARKET)
+function mapPostmarketRow(row) {
+    const d = row.d || [];
+    return Object.freeze({
+        symbol: row.s,
+        postmarket_change: Number(d[1] || 0),         // idx 1
+        float_shares_outstanding: Number(d[2] || 0),  // idx 2
+        close: Number(d[3] || 0),                     // idx 3 (regular session close)
+        postmarket_volume: Number(d[11] || 0),        // idx 11
+        market_cap: Number(d[12] || 0),               // idx 12
+        volume: Number(d[14] || 0),                   // idx 14
+        change: Number(d[15] || 0),                   // idx 15 (regular session change)
+        postmarket_close: Number(d[16] || 0),         // idx 16
+    });
+}
+
+// Опційний запис сирих відповідей (replay / backtest) — див. recorder.js
+let responseRecorder = null;
+
+/**
+ * Registers a callback that receives every successful raw response
+ * @param {Function|null} recorder - (scan, body, response) => void, or null to disable
+ */
+function setResponseRecorder(recorder) {
+    responseRecorder = recorder;
+}
+
+// Лічильники запитів за торговий день (NY) — для звіту після закриття
+let requestStats = { day: null, requests: 0, errors: 0, rateLimited: 0 };
+
+// Час останньої успішної відповіді (HTTP API /healthz) — не скидається з днем
+let lastSuccessAt = null;
+
+function countRequest(field) {
+    const day = new Date().toLocaleDateString("en-CA", { timeZone: "America/New_York" });
+    if (requestStats.day !== day) requestStats = { day, requests: 0, errors: 0, rateLimited: 0 };
+    requestStats[field]++;
+}
+
+/**
+ * Today's request counters (every attempt counts, retries included)
+ * @returns {{day: string|null, requests: number, errors: number, rateLimited: number, lastSuccessAt: number|null, circuit: string, budget: number, dataMode: string|null}} Counters
+ */
+function getRequestStats() {
+    return { ...requestStats, lastSuccessAt, circuit: breaker.getState().state, budget: scheduler.getState().budget, dataMode };
+}
+
+// =============================================================================
+// Спільний планувальник запитів і circuit breaker — один на всі сканери
+// =============================================================================
+const MINUTE_MS = 60_000;
+
+/**
+ * Creates the shared request scheduler: a sliding one-minute request budget that
+ * halves on every 429 (and recovers by one per success) plus a jittered
+ * exponential backoff after a 429
+ * @param {Object} [options={}] - Scheduler options
+ * @param {number} [options.requestsPerMinute=30] - Budget when TradingView is healthy
+ * @param {number} [options.maxWaitMs=20000] - Longest wait before a request gives up (TradingViewPausedError)
+ * @param {number} [options.backoffBaseMs=5000] - First 429 backoff
+ * @param {number} [options.backoffMaxMs=300000] - Backoff cap
+ * @param {Function} [options.now=Date.now] - Clock
+ * @param {Function} [options.wait=sleep] - Sleep
+ * @param {Function} [options.random=Math.random] - Jitter source
+ * @returns {Object} Scheduler with acquire / onRateLimited / onSuccess / getState
+ */
+function createRequestScheduler({ requestsPerMinute = 30, maxWaitMs = 20_000, backoffBaseMs = 5000, backoffMaxMs = 300_000,
+    now = Date.now, wait = sleep, random = Math.random } = {}) {
+    const sent = [];          // час кожного запиту за останню хвилину
+    let budget = requestsPerMinute;
+    let backoffUntil = 0;
+    let rateLimitStreak = 0;
+    let queue = Promise.resolve();
+
+    const delayFor = (t) => {
+        while (sent.length && sent[0] <= t - MINUTE_MS) sent.shift();
+        const budgetDelay = sent.length >= budget ? sent[sent.length - budget] + MINUTE_MS - t : 0;
+        return Math.max(budgetDelay, backoffUntil - t, 0);
+    };
+
+    /**
+     * Waits for a request slot; calls are served one by one, so concurrent scans queue up
+     * @returns {Promise<void>} Resolves when the request may go out
+     * @throws {TradingViewPausedError} If the slot is further away than maxWaitMs
+     */
+    const acquire = () => {
+        const slot = queue.then(async () => {
+            const delay = delayFor(now());
+            if (delay > maxWaitMs) {
+                const reason = backoffUntil > now() ? "backoff" : "budget";
+                throw new TradingViewPausedError(`TradingView ${reason}: next request in ${Math.ceil(delay / 1000)}s`, reason, now() + delay);
+            }
+            if (delay > 0) await wait(delay);
+            sent.push(now());
+        });
+        queue = slot.catch(() => { });
+        return slot;
+    };
+
+    /**
+     * Registers a 429: halves the budget and starts a jittered backoff
+     * @returns {number} Backoff, ms
+     */
+    const onRateLimited = () => {
+        rateLimitStreak++;
+        budget = Math.max(1, Math.floor(budget / 2));
+        const base = Math.min(backoffMaxMs, backoffBaseMs * 2 ** (rateLimitStreak - 1));
+        const delay = Math.round(base / 2 + random() * base / 2);
+        backoffUntil = Math.max(backoffUntil, now() + delay);
+        return delay;
+    };
+
+    const onSuccess = () => {
+        rateLimitStreak = 0;
+        if (budget < requestsPerMinute) budget++;
+    };
+
+    return Object.freeze({
+        acquire,
+        onRateLimited,
+        onSuccess,
+        getState: () => ({ budget, requestsPerMinute, inLastMinute: sent.length, backoffUntil: backoffUntil > now() ? backoffUntil : null })
     });
 }
 
+/**
+ * Creates the 401/403 circuit breaker. After `failureThreshold` auth failures in a
+ * row the circuit opens and every request fails fast; after `cooldownMs` one probe
+ * request goes out (half-open) — success closes the circuit, failure re-opens it.
+ * onChange fires only on open (from closed) and on close, so one expired cookie
+ * means one warning
+ * @param {Object} [options={}] - Breaker options
+ * @param {number} [options.failureThreshold=3] - Auth failures in a row that open the circuit
+ * @param {number} [options.cooldownMs=600000] - Pause before the probe request
+ * @param {Function} [options.now=Date.now] - Clock
+ * @param {Function|null} [options.onChange=null] - ({state, status, failures, retryAt}) => void
+ * @returns {Object} Breaker with allowRequest / onSuccess / onFailure / getState
+ */
+function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 600_000, now = Date.now, onChange = null } = {}) {
+    let state = "closed";     // closed | open | half_open
+    let failures = 0;
+    let openedAt = null;
+    let probing = false;
+
+    const notify = (event) => {
+        try {
+            Promise.resolve(onChange?.(event)).catch(e => logger.error("TV", `circuit listener error: ${e.message}`));
+        } catch (e) {
+            logger.error("TV", `circuit listener error: ${e.message}`);
+        }
+    };
+
+    /**
+     * Whether a request may go out now (the first call after the cooldown is the probe)
+     * @returns {boolean} True if allowed
+     */
+    const allowRequest = () => {
+        if (state === "closed") return true;
+        if (state === "open" && now() - openedAt >= cooldownMs) {
+            state = "half_open";
+            probing = false;
+        }
+        if (state === "half_open" && !probing) {
+            probing = true;
+            return true;
+        }
+        return false;
+    };
+
+    const onSuccess = () => {
+        failures = 0;
+        probing = false;
+        if (state === "closed") return;
+        state = "closed";
+        openedAt = null;
+        logger.info("TV", "✅ Circuit closed: TradingView відповідає знову");
+        notify({ state: "closed" });
+    };
+
+    /**
+     * Registers a failed request
+     * @param {number|null} status - HTTP status, null for network errors
+     */
+    const onFailure = (status) => {
+        const auth = status === 401 || status === 403;
+        if (state === "half_open") {
+            // Проба не пройшла — знову пауза, без повторного попередження
+            state = "open";
+            openedAt = now();
+            probing = false;
+            if (auth) failures++;
+            return;
+        }
+        if (!auth) return;
+        failures++;
+        if (state === "closed" && failures >= failureThreshold) {
+            state = "open";
+            openedAt = now();
+            logger.error("TV", `⛔ Circuit open: ${failures}× HTTP ${status}, сканери на паузі ${Math.round(cooldownMs / 60_000)} хв`);
+            notify({ state: "open", status, failures, retryAt: openedAt + cooldownMs });
+        }
+    };
+
+    return Object.freeze({
+        allowRequest,
+        onSuccess,
+        onFailure,
+        getState: () => ({ state, failures, retryAt: state === "closed" ? null : openedAt + cooldownMs })
+    });
+}
+
+// Слухач змін circuit breaker (index.js шле попередження в Telegram)
+let circuitListener = null;
+
+/**
+ * Registers the callback for circuit breaker changes
+ * @param {Function|null} listener - ({state: "open"|"closed", status, failures, retryAt}) => void
+ */
+function setCircuitListener(listener) {
+    circuitListener = listener;
+}
+
+let scheduler = createRequestScheduler();
+let breaker = createCircuitBreaker({ onChange: (event) => circuitListener?.(event) });
+
+/**
+ * Replaces the shared scheduler and breaker with configured ones
+ * @param {Object} [limits={}] - Limits
+ * @param {number} [limits.requestsPerMinute] - Request budget per minute
+ * @param {number} [limits.failureThreshold] - 401/403 in a row that open the circuit
+ * @param {number} [limits.cooldownMs] - Pause before the probe request
+ */
+function configureRequestLimits({ requestsPerMinute, failureThreshold, cooldownMs } = {}) {
+    scheduler = createRequestScheduler({ requestsPerMinute });
+    breaker = createCircuitBreaker({ failureThreshold, cooldownMs, onChange: (event) => circuitListener?.(event) });
+}
+
+// =============================================================================
+// Спільний кеш відповідей — однакові тіла запитів від різних сканерів
+// =============================================================================
+
+/**
+ * Creates the request-coalescing snapshot cache: callers with the same key share
+ * one in-flight request, and its response is served for `ttlMs` after it arrives.
+ * Failed requests are not cached. Responses are shared objects — read-only for callers
+ * @param {Object} [options={}] - Cache options
+ * @param {number} [options.ttlMs=5000] - How long a response is reused
+ * @param {Function} [options.now=Date.now] - Clock
+ * @returns {Object} Cache with get / clear / size
+ */
+function createSnapshotCache({ ttlMs = 5000, now = Date.now } = {}) {
+    const entries = new Map();    // key → { at: час відповіді | null поки летить, promise }
+
+    /**
+     * Returns the cached / in-flight response for key, or loads it
+     * @param {string} key - Cache key (query body)
+     * @param {Function} load - () => Promise<value>, called on a miss
+     * @returns {Promise<{value: any, source: "miss"|"shared"|"hit"}>} Value and where it came from
+     */
+    const get = async (key, load) => {
+        const t = now();
+        for (const [k, entry] of entries) {
+            if (entry.at !== null && t - entry.at >= ttlMs) entries.delete(k);
+        }
+
+        const cached = entries.get(key);
+        if (cached) {
+            const source = cached.at === null ? "shared" : "hit";
+            return { value: await cached.promise, source };
+        }
+
+        const entry = { at: null, promise: load() };
+        entries.set(key, entry);
+        try {
+            const value = await entry.promise;
+            entry.at = now();
+            return { value, source: "miss" };
+        } catch (e) {
+            entries.delete(key);
+            throw e;
+        }
+    };
+
+    return Object.freeze({ get, clear: () => entries.clear(), size: () => entries.size });
+}
+
+let snapshotCache = createSnapshotCache();
+
+/**
+ * Sets how long identical scan responses are shared between scanners
+ * @param {number} ttlMs - TTL in ms; 0 disables the cache
+ */
+function setSnapshotCacheTtl(ttlMs) {
+    snapshotCache = ttlMs > 0 ? createSnapshotCache({ ttlMs }) : null;
+}
+
+function recordResponse(scan, bodyObj, json) {
+    if (!responseRecorder) return;
+    try {
+        responseRecorder(scan, bodyObj, json);
+    } catch (e) {
+        logger.error("TV", `recorder error: ${e.message}`);
+    }
+}
+
+// =============================================================================
+// Сесія TradingView — cookie з /tvcookie (tvSession.js) і ознаки анонімних даних
+// =============================================================================
+
+// Cookie, прийнятий через /tvcookie, має пріоритет над TV_COOKIE з env
+let sessionCookie = null;
+
+// Частка рядків з update_mode "delayed_*", з якої сесію вважаємо анонімною
+const DELAYED_SHARE = 0.5;
+
+let sessionListener = null;
+let dataMode = null;    // null (ще не бачили) | "realtime" | "delayed"
+
+/**
+ * Replaces the session cookie used by every scan
+ * @param {string|null} cookie - Cookie header value, null to fall back to TV_COOKIE
+ */
+function setSessionCookie(cookie) {
+    sessionCookie = cookie || null;
+    dataMode = null;
+}
+
+function cookieFor(config) {
+    return sessionCookie ?? config?.api?.tvCookie ?? null;
+}
+
+/**
+ * Registers the callback for data mode changes (anonymous delayed data ↔ real-time)
+ * @param {Function|null} listener - ({state: "delayed"|"realtime", share}) => void
+ */
+function setSessionListener(listener) {
+    sessionListener = listener;
+}
+
+/**
+ * Share of rows whose update_mode says the data is delayed
+ * @param {Object} bodyObj - Scan body (its columns)
+ * @param {Object} json - Response
+ * @returns {number|null} Share 0..1, null if the scan has no update_mode column or no rows
+ */
+function delayedShare(bodyObj, json) {
+    const idx = bodyObj?.columns?.indexOf("update_mode") ?? -1;
+    if (idx < 0) return null;
+    const modes = (Array.isArray(json?.data) ? json.data : [])
+        .map(row => row.d?.[idx])
+        .filter(mode => typeof mode === "string");
+    if (modes.length === 0) return null;
+    return modes.filter(mode => mode.startsWith("delayed")).length / modes.length;
+}
+
+// Слухача кличемо лише на зміну режиму — одне попередження на весь час, поки cookie не діє
+function trackDataMode(bodyObj, json, cookie) {
+    if (!cookie) return;    // без cookie затримка очікувана
+    const share = delayedShare(bodyObj, json);
+    if (share === null) return;
+
+    const mode = share >= DELAYED_SHARE ? "delayed" : "realtime";
+    if (mode === dataMode) return;
+    const previous = dataMode;
+    dataMode = mode;
+    if (mode === "delayed") {
+        logger.warn("TV", `⚠️ ${Math.round(share * 100)}% рядків із затримкою (update_mode) — cookie, схоже, анонімний`);
+    } else if (previous === "delayed") {
+        logger.info("TV", "✅ Дані знову real-time");
+    } else {
+        return;
+    }
+    try {
+        Promise.resolve(sessionListener?.({ state: mode, share }))
+            .catch(e => logger.error("TV", `session listener error: ${e.message}`));
+    } catch (e) {
+        logger.error("TV", `session listener error: ${e.message}`);
+    }
+}
+
+// Метрики Prometheus (/metrics) — status = HTTP-код або "error" (мережа / таймаут)
+const tvRequestsTotal = metrics.counter("tvsrocks_tv_requests_total",
+    "TradingView /scan attempts by HTTP status (error = network failure or timeout)", ["scan", "status"]);
+const tvRequestDuration = metrics.histogram("tvsrocks_tv_request_duration_seconds",
+    "TradingView /scan attempt duration", ["scan", "status"]);
+const tvCacheTotal = metrics.counter("tvsrocks_tv_cache_total",
+    "TradingView scan calls by cache result (miss = own request, shared = joined an in-flight one, hit = cached)", ["scan", "result"]);
+const tvFetchAttempts = metrics.histogram("tvsrocks_tv_fetch_attempts",
+    "Attempts per TradingView fetch, retries included", ["scan", "outcome"], [1, 2, 3, 4, 5]);
+
 // Низькорівневий fetch з ретраями, referrer/referrerPolicy і логами
-async function fetchWithBrowserHeaders(bodyObj, { timeoutMs = 20000, retries = 2, cookie = null } = {}) {
+// probe: перевірка нового cookie — повз circuit breaker (він рахує лише робочий cookie)
+async function fetchWithBrowserHeaders(bodyObj, { timeoutMs = 20000, retries = 2, cookie = null, scan = null, probe = false } = {}) {
     const headers = { ...BROWSER_HEADERS_BASE };
     if (cookie) headers.cookie = cookie;
 
     const payload = JSON.stringify(bodyObj);
+    const scanLabel = scan || "unknown";
 
     for (let attempt = 0; attempt <= retries; attempt++) {
+        // Пауза (відкритий circuit / довгий backoff) — кидаємо без запиту в мережу
+        if (!probe && !breaker.allowRequest()) {
+            const { retryAt } = breaker.getState();
+            throw new TradingViewPausedError("TradingView paused: cookie rejected (401/403)", "circuit", retryAt);
+        }
+        await scheduler.acquire();
+
         const { signal, cancel } = withTimeout(timeoutMs);
+        const stopTimer = tvRequestDuration.startTimer({ scan: scanLabel });
+        let status = "error";
+        // Фіксуємо до паузи перед ретраєм, щоб sleep не рахувався як час запиту
+        const recordAttempt = () => {
+            tvRequestsTotal.inc({ scan: scanLabel, status });
+            stopTimer({ status });
+        };
         try {
-            console.log(`[${nowTs()}] [TV] → request (try ${attempt + 1}/${retries + 1})`);
+            logger.tradingview.request(attempt + 1, retries + 1);
+            countRequest("requests");
             const res = await fetch(TV_URL, {
                 method: "POST",
                 mode: "cors",
@@ -106,28 +550,49 @@ async function fetchWithBrowserHeaders(bodyObj, { timeoutMs = 20000, retries = 2
                 referrerPolicy: "origin-when-cross-origin",
                 body: payload,
             });
+            status = String(res.status);
             const text = await res.text();
-            console.log(`[${nowTs()}] [TV] ← status=${res.status} len=${text.length}`);
+            logger.tradingview.response(res.status, text.length);
 
             if (!res.ok) {
-                if (res.status === 429) console.error(`[${nowTs()}] [TV] Rate limited (429). Збільш інтервал/додай backoff.`);
-                if (res.status === 403) console.error(`[${nowTs()}] [TV] Forbidden (403). Перевір cookie/заголовки.`);
-                if (res.status === 401) console.error(`[${nowTs()}] [TV] Unauthorized (401). COOKIE протух/некоректний.`);
-                throw new Error(`HTTP ${res.status}: ${text.slice(0, 200)}`);
+                if (res.status === 429) {
+                    countRequest("rateLimited");
+                    const delay = scheduler.onRateLimited();
+                    logger.error("TV", `Rate limited (429). Backoff ${Math.round(delay / 1000)}s, бюджет ${scheduler.getState().budget} запитів/хв.`);
+                }
+                if (res.status === 403) logger.error("TV", "Forbidden (403). Перевір cookie/заголовки.");
+                if (res.status === 401) logger.error("TV", "Unauthorized (401). COOKIE протух/некоректний.");
+                throw new TradingViewError(`HTTP ${res.status}: ${text.slice(0, 200)}`, res.status, text.slice(0, 200));
             }
+            let json;
             try {
-                return JSON.parse(text);
+                json = JSON.parse(text);
             } catch {
                 throw new Error(`Invalid JSON: ${text.slice(0, 200)}`);
             }
+            lastSuccessAt = Date.now();
+            scheduler.onSuccess();
+            if (!probe) breaker.onSuccess();
+            recordAttempt();
+            tvFetchAttempts.observe({ scan: scanLabel, outcome: "success" }, attempt + 1);
+            return json;
         } catch (e) {
-            console.error(`[${nowTs()}] [TV] ✖ fetch error: ${e.message}`);
-            if (attempt < retries) {
-                const wait = 1000 * Math.pow(2, attempt);
-                console.log(`[${nowTs()}] [TV] ⏳ retry in ${wait}ms`);
-                await sleep(wait);
+            logger.tradingview.error(e.message);
+            countRequest("errors");
+            recordAttempt();
+            if (!probe) breaker.onFailure(e.status ?? null);
+            // 401/403 не ретраїмо — лічильник circuit breaker рахує запити, а не спроби
+            const retryable = e.status !== 401 && e.status !== 403;
+            if (attempt < retries && retryable) {
+                // Після 429 чекає scheduler.acquire() наступної спроби (backoff з jitter)
+                if (e.status !== 429) {
+                    const wait = 1000 * Math.pow(2, attempt);
+                    logger.tradingview.retry(wait);
+                    await sleep(wait);
+                }
                 continue;
             }
+            tvFetchAttempts.observe({ scan: scanLabel, outcome: "failure" }, attempt + 1);
             throw e;
         } finally {
             cancel();
@@ -135,85 +600,86 @@ async function fetchWithBrowserHeaders(bodyObj, { timeoutMs = 20000, retries = 2
     }
 }
 
-// Shared stock type filters
-const BASE_FILTER2 = {
-    operator: "and",
-    operands: [{
-        operation: {
-            operator: "or",
-            operands: [
-                {
-                    operation: {
-                        operator: "and",
-                        operands: [
-                            { expression: { left: "type", operation: "equal", right: "stock" } },
-                            { expression: { left: "typespecs", operation: "has", right: ["common"] } }
-                        ]
-                    }
-                },
-                {
-                    operation: {
-                        operator: "and",
-                        operands: [
-                            { expression: { left: "type", operation: "equal", right: "stock" } },
-                            { expression: { left: "typespecs", operation: "has", right: ["preferred"] } }
-                        ]
-                    }
-                },
-                {
-                    operation: {
-                        operator: "and",
-                        operands: [
-                            { expression: { left: "type", operation: "equal", right: "dr" } }
-                        ]
-                    }
-                },
-                {
-                    operation: {
-                        operator: "and",
-                        operands: [
-                            { expression: { left: "type", operation: "equal", right: "fund" } },
-                            { expression: { left: "typespecs", operation: "has_none_of", right: ["etf"] } }
-                        ]
-                    }
-                }
-            ]
-        }
-    },
-    { expression: { left: "typespecs", operation: "has_none_of", right: ["pre-ipo"] } }
-    ]
-};
+/**
+ * Fetches a scan through the snapshot cache (identical bodies share one request)
+ * @param {Object} bodyObj - Scan body
+ * @param {Object} [options={}] - fetchWithBrowserHeaders options
+ * @returns {Promise<Object>} Response JSON (shared, do not mutate)
+ */
+async function fetchScan(bodyObj, options = {}) {
+    const scan = options.scan ?? null;
+    const load = async () => {
+        const json = await fetchWithBrowserHeaders(bodyObj, options);
+        trackDataMode(bodyObj, json, options.cookie);
+        return { scan, json };
+    };
+    if (!snapshotCache) {
+        const { json } = await load();
+        recordResponse(scan, bodyObj, json);
+        return json;
+    }
+
+    const key = `${options.cookie ?? ""}\n${JSON.stringify(bodyObj)}`;
+    const { value, source } = await snapshotCache.get(key, load);
+    tvCacheTotal.inc({ scan: scan || "unknown", result: source });
+    if (source !== "miss") logger.debug("TV", `↺ ${scan}: ${source === "hit" ? "cached" : "shared"} response of ${value.scan}`);
+    // Скан, що отримав відповідь іншого скану, теж пишемо — replay шукає відповіді за назвою скану
+    if (source === "miss" || value.scan !== scan) recordResponse(scan, bodyObj, value.json);
+    return value.json;
+}
+
+// Колонки кожного скану — фільтри валідуються саме проти них
+const SCREENER_COLUMNS = Object.freeze({
+    premarket: COLUMNS_PREMARKET,
+    market: COLUMNS_MARKET,
+    catalystSetup: COLUMNS_PREMARKET,
+    postmarket: COLUMNS_POSTMARKET,
+    rvol: COLUMNS_MARKET
+});
+
+// Значення "$key" за замовчуванням, якщо config не передали (тести, скрипти)
+const DEFAULT_PARAMS = Object.freeze({
+    premarketThreshold: 10,
+    postmarketThreshold: 5,
+    postmarketMinVolume: 100000,
+    rvolThreshold: 3
+});
+
+/**
+ * Builds the scan body from the configured (or default) spec
+ * @param {string} scan - Scan name (key of SCREENER_COLUMNS)
+ * @param {Object} config - Config (specs + "$key" parameter values)
+ * @param {Object} [overrides={}] - Parameter overrides for this request
+ * @returns {Object} Request body
+ */
+function buildScanBody(scan, config, overrides = {}) {
+    const spec = config?.screenerFilters?.[scan] ?? DEFAULT_SCREENER_FILTERS[scan];
+    return compileScreenerQuery(spec, SCREENER_COLUMNS[scan], { ...DEFAULT_PARAMS, ...(config || {}), ...overrides });
+}
+
+const PREMARKET_CHANGE_IDX = COLUMNS_PREMARKET.indexOf("premarket_change");
 
 // Публічний API модуля: один стабільний метод
-async function getStocks10(config) {
-    const body = {
-        columns: COLUMNS_PREMARKET,
-        filter: [
-            { left: "premarket_volume", operation: "greater", right: 500000 },
-            { left: "premarket_change", operation: "not_in_range", right: [-8, 4] },
-            { left: "premarket_close", operation: "egreater", right: 2.0 },
-            { left: "is_primary", operation: "equal", right: true } // Avoid duplicates from secondary listings
-        ],
-        filter2: BASE_FILTER2,
-        ignore_unknown_fields: false,
-        options: { lang: "en" },
-        range: [0, 100],
-        sort: { sortBy: "premarket_volume", sortOrder: "desc" },
-        symbols: {},
-        markets: ["america"]
-    };
+async function getStocks10(config, threshold = config?.premarketThreshold ?? DEFAULT_PARAMS.premarketThreshold) {
+    const body = buildScanBody("premarket", config, { premarketThreshold: threshold });
 
     const t0 = Date.now();
-    const data = await fetchWithBrowserHeaders(body, {
+    const data = await fetchScan(body, {
         timeoutMs: 12000,
         retries: 2,
-        cookie: config?.api?.tvCookie
+        cookie: cookieFor(config),
+        scan: "premarket"
     });
     const dt = Date.now() - t0;
 
-    const rows = Array.isArray(data?.data) ? data.data : [];
+    // Гепи вниз проходять як є, гепери вгору — лише від порогу
+    const rows = (Array.isArray(data?.data) ? data.data : [])
+        .filter(row => {
+            const change = Number(row.d?.[PREMARKET_CHANGE_IDX] || 0);
+            return change < 0 || change >= threshold;
+        });
     const totalCount = data?.totalCount ?? 0;
-    console.log(`[${nowTs()}] ✓ Premarket Scan (Threshold: ${threshold}%): Found ${totalCount} matching, returning ${rows.length} rows`);
+    logger.info("TV", `✓ Premarket Scan (Threshold: ${threshold}%): Found ${totalCount} matching, returning ${rows.length} rows`);
     return { data: rows, totalCount };
 }
 
@@ -221,34 +687,20 @@ async function getStocks10(config) {
 // Market Scanner — отримання даних для Market-годин
 // =============================================================================
 async function getMarketStocks(config) {
-    const body = {
-        columns: COLUMNS_MARKET,
-        filter: [
-            { left: "close", operation: "egreater", right: 1 },
-            { left: "volume", operation: "greater", right: 1000000 },
-            { left: "relative_volume_intraday|5", operation: "greater", right: 1.5 },
-            { left: "is_primary", operation: "equal", right: true }
-        ],
-        filter2: BASE_FILTER2,
-        ignore_unknown_fields: false,
-        options: { lang: "en" },
-        range: [0, 100],
-        sort: { sortBy: "Value.Traded", sortOrder: "desc" },
-        symbols: {},
-        markets: ["america"]
-    };
+    const body = buildScanBody("market", config);
 
     const t0 = Date.now();
-    const data = await fetchWithBrowserHeaders(body, {
+    const data = await fetchScan(body, {
         timeoutMs: 15000,
         retries: 2,
-        cookie: config?.api?.tvCookie
+        cookie: cookieFor(config),
+        scan: "market"
     });
     const dt = Date.now() - t0;
 
     const rows = Array.isArray(data?.data) ? data.data : [];
     const totalCount = data?.totalCount ?? 0;
-    console.log(`[${nowTs()}] ✓ Market Scan ($1M+ Vol, 1.5x RVOL): Found ${totalCount} matching, returning ${rows.length} rows`);
+    logger.info("TV", `✓ Market Scan: Found ${totalCount} matching, returning ${rows.length} rows`);
     return { data: rows, totalCount };
 }
 
@@ -274,6 +726,8 @@ function mapMarketRow(row) {
         atr: Number(d[23] || 0),
         volume_change: Number(d[24] || 0),
         gap: Number(d[25] || 0),
+        premarket_high: Number(d[26] || 0),           // 0 = no premarket trades
+        premarket_low: Number(d[27] || 0),
     });
 }
 
@@ -281,30 +735,16 @@ function mapMarketRow(row) {
 // Catalyst Sniper — отримання кандидатів для Watchlist (Pre-market)
 // =============================================================================
 async function getCatalystSetupStocks(config) {
-    const body = {
-        columns: COLUMNS_PREMARKET,
-        filter: [
-            { left: "premarket_volume", operation: "greater", right: 500000 },
-            { left: "premarket_change", operation: "not_in_range", right: [-8, 4] },
-            { left: "premarket_close", operation: "egreater", right: 2.0 },
-            { left: "is_primary", operation: "equal", right: true }
-        ],
-        filter2: BASE_FILTER2,
-        ignore_unknown_fields: false,
-        options: { lang: "en" },
-        range: [0, 100],
-        sort: { sortBy: "premarket_volume", sortOrder: "desc" },
-        symbols: {},
-        markets: ["america"]
-    };
+    const body = buildScanBody("catalystSetup", config);
 
-    const data = await fetchWithBrowserHeaders(body, {
+    const data = await fetchScan(body, {
         timeoutMs: 15000,
         retries: 2,
-        cookie: config?.api?.tvCookie
+        cookie: cookieFor(config),
+        scan: "catalystSetup"
     });
 
-    console.log(`[${nowTs()}] ✓ Catalyst Setup (500k+ Vol, Gaps [-8, 4]): Found ${data?.totalCount || 0} candidates`);
+    logger.info("TV", `✓ Catalyst Setup: Found ${data?.totalCount || 0} candidates`);
 
     return {
         data: Array.isArray(data?.data) ? data.data : [],
@@ -312,11 +752,93 @@ async function getCatalystSetupStocks(config) {
     };
 }
 
+// =============================================================================
+// Postmarket Scanner — earnings movers після закриття (16:00–20:00 ET)
+// =============================================================================
+async function getPostmarketStocks(config) {
+    const threshold = config?.postmarketThreshold ?? DEFAULT_PARAMS.postmarketThreshold;
+    const body = buildScanBody("postmarket", config);
+
+    const data = await fetchScan(body, {
+        timeoutMs: 15000,
+        retries: 2,
+        cookie: cookieFor(config),
+        scan: "postmarket"
+    });
+
+    const rows = Array.isArray(data?.data) ? data.data : [];
+    const totalCount = data?.totalCount ?? 0;
+    logger.info("TV", `✓ Postmarket Scan (|chg| ≥ ${threshold}%): Found ${totalCount} matching, returning ${rows.length} rows`);
+    return { data: rows, totalCount };
+}
+
+// =============================================================================
+// RVOL Surge Scanner — сплески relative_volume_intraday|5 у сесію (колонки Market)
+// =============================================================================
+async function getRvolSurgeStocks(config, threshold = config?.rvolThreshold ?? DEFAULT_PARAMS.rvolThreshold) {
+    const body = buildScanBody("rvol", config, { rvolThreshold: threshold });
+
+    const data = await fetchScan(body, {
+        timeoutMs: 15000,
+        retries: 2,
+        cookie: cookieFor(config),
+        scan: "rvol"
+    });
+
+    const rows = Array.isArray(data?.data) ? data.data : [];
+    const totalCount = data?.totalCount ?? 0;
+    logger.info("TV", `✓ RVOL Scan (RVOL 5m > ${threshold}): Found ${totalCount} matching, returning ${rows.length} rows`);
+    return { data: rows, totalCount };
+}
+
+/**
+ * Checks a cookie with one market scan — outside the cache and the circuit, no retries
+ * @param {string} cookie - Cookie header value
+ * @returns {Promise<{ok: boolean, status: number|null, delayedShare: number|null, error: string|null}>} Result
+ */
+async function probeSession(cookie) {
+    const body = buildScanBody("market", null);
+    try {
+        const json = await fetchWithBrowserHeaders(body, { timeoutMs: 15000, retries: 0, cookie, scan: "probe", probe: true });
+        const share = delayedShare(body, json);
+        const delayed = share !== null && share >= DELAYED_SHARE;
+        return { ok: !delayed, status: 200, delayedShare: share, error: delayed ? "TradingView returned delayed (anonymous) data" : null };
+    } catch (e) {
+        return { ok: false, status: e.status ?? null, delayedShare: null, error: e.message };
+    }
+}
+
+/**
+ * Closes the circuit after a new cookie was accepted (the listener gets "closed")
+ */
+function resetCircuit() {
+    breaker.onSuccess();
+}
+
+export {
+    SCREENER_COLUMNS,
+    setResponseRecorder,
+    getRequestStats,
+    createRequestScheduler,
+    createCircuitBreaker,
+    setCircuitListener,
+    configureRequestLimits,
+    createSnapshotCache,
+    setSnapshotCacheTtl,
+    setSessionCookie,
+    setSessionListener,
+    probeSession,
+    resetCircuit
+};
+
 // Freeze експорт, щоб не мутували випадково
 export const TvScanner = Object.freeze({
     getStocks10,
     getMarketStocks,
     getCatalystSetupStocks,
+    getPostmarketStocks,
+    getRvolSurgeStocks,
     mapRow,
     mapMarketRow,
+    mapPostmarketRow,
 });
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview TradingView session cookie lifecycle
+ *
+ * - The cookie starts as TV_COOKIE and can be replaced at runtime with /tvcookie
+ *   (admin chat only). A new cookie is checked with a probe scan first: 401/403 or
+ *   delayed (anonymous) data reject it.
+ * - An accepted cookie is stored AES-256-GCM encrypted under the `tvSession`
+ *   namespace with `{ persistent: true }`, so it survives restarts without a redeploy.
+ *   The key is derived from TV_COOKIE_KEY (BOT_TOKEN if unset).
+ * - If TV_COOKIE changes in the env, the stored cookie is dropped — the redeployed one wins.
+ * - Circuit breaker (401/403) and delayed-data notices go to the system.session route.
+ */
+import crypto from "node:crypto";
+import { createLogger } from "../core/logger.js";
+import { createErrorHandler } from "../core/errorHandler.js";
+import { createTvCircuitMessage, createTvSessionMessage } from "../core/utils/index.js";
+import { ALERT_ROUTES } from "./alertRoutes.js";
+import { probeSession, setSessionCookie, resetCircuit } from "./tradingview.js";
+
+const STATE_NAMESPACE = "tvSession";
+const FORMAT_VERSION = "v1";
+const KEY_SALT = "tvsrocks.tvSession";
+
+const TV_CLIENT = Object.freeze({ probeSession, setSessionCookie, resetCircuit });
+
+/**
+ * Derives the 256-bit encryption key from a secret
+ * @param {string} secret - TV_COOKIE_KEY or BOT_TOKEN
+ * @returns {Buffer} Key
+ */
+const deriveKey = (secret) => crypto.scryptSync(String(secret), KEY_SALT, 32);
+
+/**
+ * Encrypts a secret for storage ("v1.iv.tag.data", base64url parts)
+ * @param {string} plaintext - Value to encrypt
+ * @param {string} secret - Key material
+ * @returns {string} Encrypted payload
+ */
+export const encryptSecret = (plaintext, secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(secret), iv);
+    const data = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+    return [FORMAT_VERSION, iv, cipher.getAuthTag(), data]
+        .map(part => (typeof part === "string" ? part : part.toString("base64url")))
+        .join(".");
+};
+
+/**
+ * Decrypts a payload made by encryptSecret
+ * @param {string} payload - Encrypted payload
+ * @param {string} secret - Key material
+ * @returns {string} Plaintext
+ * @throws {Error} If the payload is malformed, tampered with or the key is wrong
+ */
+export const decryptSecret = (payload, secret) => {
+    const [version, iv, tag, data] = String(payload).split(".");
+    if (version !== FORMAT_VERSION || !iv || !tag || data === undefined) {
+        throw new Error("Unsupported encrypted payload");
+    }
+    const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(secret), Buffer.from(iv, "base64url"));
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    return Buffer.concat([decipher.update(Buffer.from(data, "base64url")), decipher.final()]).toString("utf8");
+};
+
+/**
+ * Cleans a pasted cookie ("Cookie: a=1; b=2", quotes, new lines → "a=1; b=2")
+ * @param {string} raw - Pasted text
+ * @returns {string} Cookie header value ("" if nothing left)
+ */
+export const normalizeCookie = (raw) => String(raw || "")
+    .trim()
+    .replace(/^cookie:\s*/i, "")
+    .replace(/^(["'`])([\s\S]*)\1$/, "$2")
+    .replace(/\s*[\r\n]+\s*/g, " ")
+    .trim();
+
+/**
+ * Fingerprint of the env cookie, to notice a redeploy with a new TV_COOKIE
+ * @param {string|null} cookie - TV_COOKIE
+ * @returns {string|null} Short SHA-256 hex
+ */
+const fingerprint = (cookie) => (cookie ? crypto.createHash("sha256").update(cookie).digest("hex").slice(0, 16) : null);
+
+/**
+ * Creates the TradingView session service
+ * @param {Object} config - Configuration (api.tvCookie, tvCookieKey, botToken)
+ * @param {Object|null} [stateStore=null] - State store for the encrypted cookie
+ * @param {Object|null} [telegramService=null] - Telegram service for session notices
+ * @param {Object} [client=TV_CLIENT] - TradingView client (probeSession / setSessionCookie / resetCircuit)
+ * @param {Function} [getNow=() => Date.now()] - Clock (injectable for testing)
+ * @returns {Object} TradingView session service
+ */
+export const createTvSession = (config, stateStore = null, telegramService = null, client = TV_CLIENT, getNow = () => Date.now()) => {
+    const logger = createLogger();
+    const errorHandler = createErrorHandler(logger);
+
+    const envCookie = config.api?.tvCookie || null;
+    let current = null;    // { cookie, updatedAt, updatedBy } — cookie з /tvcookie
+    let keyWarned = false;
+
+    const secret = () => {
+        if (config.tvCookieKey) return config.tvCookieKey;
+        if (!keyWarned) {
+            keyWarned = true;
+            logger.warn("TvSession", "TV_COOKIE_KEY not set — the stored cookie is encrypted with a key derived from BOT_TOKEN");
+        }
+        return config.botToken;
+    };
+
+    const persist = async () => {
+        if (!stateStore) return false;
+        try {
+            await stateStore.save(STATE_NAMESPACE, {
+                cookie: encryptSecret(current.cookie, secret()),
+                envFingerprint: fingerprint(envCookie),
+                updatedAt: current.updatedAt,
+                updatedBy: current.updatedBy
+            });
+            return true;
+        } catch (error) {
+            errorHandler.handle(error, { component: "TvSession", operation: "persist" });
+            return false;
+        }
+    };
+
+    /**
+     * Restores the stored cookie and makes every scan use it
+     * @returns {Promise<void>}
+     */
+    const restore = async () => {
+        if (!stateStore) return;
+        try {
+            const snapshot = await stateStore.load(STATE_NAMESPACE, { persistent: true });
+            if (!snapshot?.cookie) return;
+            if (snapshot.envFingerprint !== fingerprint(envCookie)) {
+                logger.info("TvSession", "TV_COOKIE changed since the last /tvcookie — using the env cookie");
+                await stateStore.clear(STATE_NAMESPACE);
+                return;
+            }
+            let cookie;
+            try {
+                cookie = decryptSecret(snapshot.cookie, secret());
+            } catch {
+                logger.error("TvSession", "Stored TradingView cookie cannot be decrypted (TV_COOKIE_KEY changed?) — using TV_COOKIE");
+                return;
+            }
+            current = { cookie, updatedAt: snapshot.updatedAt ?? null, updatedBy: snapshot.updatedBy ?? null };
+            client.setSessionCookie(cookie);
+            logger.info("TvSession", `♻️ Restored the TradingView cookie set via /tvcookie${current.updatedBy ? ` by ${current.updatedBy}` : ""}`);
+        } catch (error) {
+            errorHandler.handle(error, { component: "TvSession", operation: "restore" });
+        }
+    };
+
+    /**
+     * Probes a new cookie and, if TradingView accepts it, switches every scan to it
+     * @param {string} rawCookie - Pasted cookie
+     * @param {string|null} [by=null] - Who set it (audit)
+     * @returns {Promise<{success: boolean, error?: string, persisted?: boolean}>} Result
+     */
+    const update = async (rawCookie, by = null) => {
+        const cookie = normalizeCookie(rawCookie);
+        if (!cookie) return { success: false, error: "Empty cookie" };
+
+        const probe = await client.probeSession(cookie);
+        if (!probe.ok) {
+            const reason = probe.status ? `HTTP ${probe.status}` : probe.error;
+            logger.warn("TvSession", `Cookie from ${by || "unknown"} rejected: ${reason}`);
+            return { success: false, error: probe.status ? `TradingView answered ${probe.status}` : probe.error };
+        }
+
+        current = { cookie, updatedAt: getNow(), updatedBy: by };
+        client.setSessionCookie(cookie);
+        const persisted = await persist();
+        client.resetCircuit();
+        logger.info("TvSession", `🔑 TradingView cookie updated by ${by || "unknown"}${persisted ? "" : " (not persisted)"}`);
+        return { success: true, persisted };
+    };
+
+    const notify = (text) => telegramService?.sendMessage(text, { route: ALERT_ROUTES.SYSTEM_SESSION });
+
+    return Object.freeze({
+        restore,
+        update,
+        /** Circuit breaker listener (tradingview.js setCircuitListener) */
+        notifyCircuit: (event) => notify(createTvCircuitMessage(event)),
+        /** Delayed-data listener (tradingview.js setSessionListener) */
+        notifyDataMode: (event) => notify(createTvSessionMessage(event)),
+        /**
+         * Where the active cookie comes from
+         * @returns {{source: "telegram"|"env"|"none", updatedAt: number|null, updatedBy: string|null}} State
+         */
+        getState: () => ({
+            source: current ? "telegram" : envCookie ? "env" : "none",
+            updatedAt: current?.updatedAt ?? null,
+            updatedBy: current?.updatedBy ?? null
+        })
+    });
+};
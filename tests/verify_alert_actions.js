@@ -0,0 +1,121 @@
+/**
+ * 🧪 VERIFICATION: Inline-keyboard actions on alerts
+ *
+ * Tests that:
+ * 1. Every alert keyboard carries Mute 1h / Mute today / Watchlist / Chart / Details
+ * 2. Callback data round-trips (exchange-prefixed symbols) and fits Telegram's 64-byte limit
+ * 3. Buttons route to the scanner that sent the alert
+ * 4. A mute button silences the ticker for that scanner only (through the alert gate)
+ * 5. "Add to watchlist" lands in the Catalyst Sniper watchlist
+ *
+ * Usage: node tests/verify_alert_actions.js
+ */
+import {
+    ALERT_ACTIONS,
+    createAlertKeyboard,
+    parseActionData,
+    createMuteExpiry,
+    createAlertActionRouter
+} from '../src/services/alertActions.js';
+import { createMuteService, isMuteActive } from '../src/services/muteService.js';
+import { createAlertGate } from '../src/services/alertGate.js';
+import { createPostmarketScanner } from '../src/services/postmarketScanner.js';
+import { createCatalystService } from '../src/services/catalystService.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+// --- MOCKS ---
+let rows = [];
+const mockScanner = {
+    getPostmarketStocks: async () => ({ data: rows, totalCount: rows.length }),
+    mapPostmarketRow: (row) => row
+};
+
+const sent = [];
+const mockTelegram = {
+    sendMessage: async (text, extra) => { sent.push({ text, extra }); return { success: true }; }
+};
+const muteService = createMuteService();
+const gatedTelegram = createAlertGate(mockTelegram, muteService);
+
+async function runTest() {
+    console.log('--- ALERT ACTIONS VERIFICATION ---');
+
+    // 1. Keyboard layout
+    console.log('\nScenario 1: Keyboard layout');
+    const keyboard = createAlertKeyboard('market', 'NASDAQ:GOOGL');
+    const buttons = keyboard.reply_markup.inline_keyboard.flat();
+    assert(buttons.length === 5, '5 buttons per alert');
+    assert(buttons.map(b => b.text).join('|') === '🔕 Mute 1h|🔕 Mute today|⭐ Add to watchlist|📈 Chart|ℹ️ Details', 'Button labels');
+
+    // 2. Callback data
+    console.log('\nScenario 2: Callback data');
+    assert(buttons.every(b => Buffer.byteLength(b.callback_data) <= 64), 'Callback data ≤ 64 bytes');
+    const parsed = parseActionData(buttons[0].callback_data);
+    assert(parsed?.action === ALERT_ACTIONS.MUTE_HOUR && parsed.scanner === 'market' && parsed.symbol === 'NASDAQ:GOOGL', 'Round-trip keeps exchange prefix');
+    assert(parseActionData('alert:rm-rf:market:NASDAQ:X') === null, 'Unknown action rejected');
+    assert(parseActionData('other:mute1h:market:NASDAQ:X') === null, 'Foreign prefix rejected');
+
+    // 3. Mute expiry
+    console.log('\nScenario 3: Mute expiry');
+    const t0 = new Date('2026-11-02T21:30:00Z'); // 16:30 EST
+    const hour = createMuteExpiry(ALERT_ACTIONS.MUTE_HOUR, t0);
+    assert(isMuteActive(hour, new Date(t0.getTime() + 59 * 60_000)) && !isMuteActive(hour, new Date(t0.getTime() + 61 * 60_000)), 'Mute 1h expires after an hour');
+    const day = createMuteExpiry(ALERT_ACTIONS.MUTE_DAY, t0);
+    assert(isMuteActive(day, new Date('2026-11-03T04:30:00Z')), 'Mute today holds until NY midnight (23:30 EST)');
+    assert(!isMuteActive(day, new Date('2026-11-03T05:30:00Z')), 'Mute today ends on the next NY day');
+
+    // 4. Routing + muted symbol skipped
+    console.log('\nScenario 4: Routing to owning scanner');
+    const postmarket = createPostmarketScanner({ sendOnStartup: true, postmarketAlertStep: 1.0, postmarketScanIntervalMs: 60_000 }, gatedTelegram, mockScanner);
+    const catalyst = createCatalystService({}, gatedTelegram, {});
+    const router = createAlertActionRouter({ postmarket, catalyst }, muteService);
+
+    const muteReply = await router.handle({ action: ALERT_ACTIONS.MUTE_DAY, scanner: 'postmarket', symbol: 'NYSE:ORCL' });
+    assert(muteReply.toast.includes('ORCL muted'), 'Mute acknowledged');
+    rows = [
+        { symbol: 'NYSE:ORCL', postmarket_change: 9.5 },
+        { symbol: 'NASDAQ:AMD', postmarket_change: 6.0 }
+    ];
+    await postmarket.start();
+    await postmarket.stop();
+    const alerts = sent.filter(m => m.text.includes('AH'));
+    assert(alerts.length === 1 && alerts[0].text.includes('AMD'), 'Muted ORCL skipped, AMD alerted');
+    assert(alerts[0].extra?.reply_markup?.inline_keyboard?.flat()[0].callback_data === 'alert:mute1h:postmarket:NASDAQ:AMD', 'Alert carries postmarket keyboard');
+    assert(alerts[0].extra.alert === undefined, 'Gate strips alert metadata before Telegram');
+    assert(!muteService.isMuted('NYSE:ORCL', 'market'), 'Button mute does not leak into other scanners');
+
+    const details = await router.handle({ action: ALERT_ACTIONS.DETAILS, scanner: 'postmarket', symbol: 'NASDAQ:AMD' });
+    assert(details.message?.includes('AMD') && details.message.includes('+6.00%'), 'Details come from the owning scanner');
+    const chart = await router.handle({ action: ALERT_ACTIONS.CHART, scanner: 'postmarket', symbol: 'NASDAQ:AMD' });
+    assert(chart.message?.includes('tradingview.com/chart/?symbol=NASDAQ%3AAMD'), 'Chart link');
+    const unknown = await router.handle({ action: ALERT_ACTIONS.DETAILS, scanner: 'rvol', symbol: 'NASDAQ:AMD' });
+    assert(unknown.toast.includes('Unknown scanner'), 'Unknown scanner handled');
+
+    // 5. Watchlist
+    console.log('\nScenario 5: Add to watchlist');
+    const first = await router.handle({ action: ALERT_ACTIONS.WATCH, scanner: 'postmarket', symbol: 'NASDAQ:AMD' });
+    const second = await router.handle({ action: ALERT_ACTIONS.WATCH, scanner: 'postmarket', symbol: 'NASDAQ:AMD' });
+    assert(first.toast.includes('added') && catalyst.getState().watchlist.has('NASDAQ:AMD'), 'AMD on Catalyst watchlist');
+    assert(second.toast.includes('already'), 'Second press is idempotent');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,167 @@
+/**
+ * 🧪 VERIFICATION: Multi-destination alert routing
+ *
+ * Tests that:
+ * 1. ROUTE_<CATEGORY> env vars parse into the routing table and bad tables are rejected
+ * 2. Routed categories fan out to every destination; unrouted ones go to CHAT_ID / THREAD_ID
+ * 3. The thread fallback retry applies to each destination on its own
+ * 4. A routed dashboard is pinned and edited in every chat (also a single non-default chat)
+ * 5. Critical errors follow the system.error route; routed chats may use commands/buttons
+ *
+ * Usage: node tests/verify_alert_routing.js
+ */
+import { Telegram } from 'telegraf';
+import { parseConfig } from '../src/config/index.js';
+import { validateRoutes } from '../src/config/validation.js';
+import { ALERT_ROUTES, getRoutedChatIds } from '../src/services/alertRoutes.js';
+import { createTelegramService } from '../src/services/telegram.js';
+import { createAlertGate } from '../src/services/alertGate.js';
+import { createMuteService } from '../src/services/muteService.js';
+import { createMarketService } from '../src/services/marketService.js';
+import { createGlobalErrorHandler, ConfigurationError } from '../src/core/errorHandler.js';
+import { createLogger } from '../src/core/logger.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+// --- MOCK TELEGRAM API ---
+const calls = [];
+const badThreads = new Set();   // "chatId:threadId" pairs Telegram rejects with 400
+let nextId = 100;
+
+Telegram.prototype.sendMessage = async function (chatId, text, opts = {}) {
+    calls.push({ method: 'send', chatId, threadId: opts.message_thread_id ?? null, text, opts });
+    if (opts.message_thread_id && badThreads.has(`${chatId}:${opts.message_thread_id}`)) {
+        const error = new Error('Bad Request: message thread not found');
+        error.response = { error_code: 400, description: 'Bad Request: message thread not found' };
+        throw error;
+    }
+    return { message_id: nextId++, chat: { id: chatId } };
+};
+Telegram.prototype.editMessageText = async function (chatId, messageId) {
+    calls.push({ method: 'edit', chatId, messageId });
+    return true;
+};
+Telegram.prototype.pinChatMessage = async function (chatId, messageId) {
+    calls.push({ method: 'pin', chatId, messageId });
+    return true;
+};
+
+const sends = () => calls.filter(c => c.method === 'send');
+
+async function runTest() {
+    console.log('--- ALERT ROUTING VERIFICATION ---');
+
+    // 1. Config
+    console.log('\nScenario 1: Routing table from env');
+    Object.assign(process.env, {
+        BOT_TOKEN: '123:abc',
+        CHAT_ID: '-1001',
+        THREAD_ID: '7',
+        ROUTE_MARKET_PUMP: '-1002:11, -1003',
+        ROUTE_DASHBOARD: '-1002:12,-1004:5',
+        ROUTE_SYSTEM_ERROR: '@ops_alerts'
+    });
+    const config = parseConfig();
+    assert(JSON.stringify(config.routes['market.pump']) === '[{"chatId":-1002,"threadId":11},{"chatId":-1003,"threadId":null}]', 'market.pump → two destinations');
+    assert(config.routes['system.error'][0].chatId === '@ops_alerts', 'Channel usernames allowed');
+    assert(config.routes['premarket.new'] === undefined, 'Unset categories are not in the table');
+    assert(validateRoutes(config.routes).isValid, 'Table validates');
+    const bad = validateRoutes({ 'market.squeeze': [{ chatId: 1 }], 'market.dump': [], 'dashboard': [{ chatId: 1, threadId: -3 }] });
+    assert(bad.errors.length === 3, 'Unknown category, empty route and bad thread rejected');
+
+    // 2. Fan-out
+    console.log('\nScenario 2: Fan-out and default destination');
+    const telegram = createTelegramService(config);
+    const gated = createAlertGate(telegram, createMuteService());
+    let rvol = 6;
+    const market = createMarketService({ ...config, marketAlertCooldownMs: 0 }, gated, {
+        getMarketStocks: async () => ({
+            data: [{ symbol: 'NASDAQ:HOOD', close: 40, change_from_open: 8, rvol_intraday_5m: rvol, value_traded: 60_000_000 }]
+        }),
+        mapMarketRow: (row) => row
+    });
+    await market.start();
+    await market.stop();
+    const newAlert = sends().filter(c => c.text.includes('NEW ALERT: HOOD'));
+    assert(newAlert.length === 1 && newAlert[0].chatId === -1001 && newAlert[0].threadId === 7, 'market.new (unrouted) → CHAT_ID / THREAD_ID');
+    assert(newAlert[0].opts.reply_markup && newAlert[0].opts.route === undefined && newAlert[0].opts.alert === undefined, 'Buttons kept, routing metadata stripped');
+
+    calls.length = 0;
+    rvol = 12;
+    await market.start();
+    await market.stop();
+    const pump = sends().filter(c => c.text.includes('Fuel Injection'));
+    assert(pump.length === 2 && pump[0].chatId === -1002 && pump[0].threadId === 11 && pump[1].chatId === -1003 && pump[1].threadId === null, 'market.pump → both routed destinations');
+    assert(!pump.some(c => c.chatId === -1001), 'Routed category skips the default chat');
+
+    // 3. Thread fallback per destination
+    console.log('\nScenario 3: Per-destination thread fallback');
+    calls.length = 0;
+    badThreads.add('-1002:11');
+    const result = await telegram.sendMessageHTML('pump alert', { route: ALERT_ROUTES.MARKET_PUMP });
+    badThreads.clear();
+    const attempts = sends().map(c => `${c.chatId}:${c.threadId}`);
+    assert(attempts.join(',') === '-1002:11,-1002:null,-1003:null', 'Rejected thread retried in its own chat without thread');
+    assert(result.success && result.deliveries.length === 2, 'Both destinations delivered');
+    assert(sends().every(c => c.opts.parse_mode === 'HTML'), 'HTML parse mode kept on retry');
+
+    // 4. Dashboard
+    console.log('\nScenario 4: Routed dashboard');
+    calls.length = 0;
+    const dashboard = createMarketService({ ...config }, gated, {
+        getMarketStocks: async () => ({ data: [] }),
+        mapMarketRow: (row) => row
+    });
+    await dashboard.start();
+    await dashboard.stop();
+    const pins = calls.filter(c => c.method === 'pin').map(c => c.chatId);
+    assert(pins.length === 2 && pins.includes(-1002) && pins.includes(-1004), 'Dashboard pinned in both routed chats');
+    const dashRef = dashboard.getState().dashboardMessageId;
+    await telegram.editMessage(dashRef, 'updated');
+    const edits = calls.filter(c => c.method === 'edit');
+    assert(edits.length === 2 && edits.every(e => dashRef.some(d => d.chatId === e.chatId && d.messageId === e.messageId)), 'Edits reach every copy');
+
+    // One routed chat that is not CHAT_ID: edits and pins must still go there
+    calls.length = 0;
+    const singleConfig = { ...config, routes: { ...config.routes, [ALERT_ROUTES.DASHBOARD]: [{ chatId: -1009, threadId: null }] } };
+    const single = createMarketService(singleConfig, createTelegramService(singleConfig), {
+        getMarketStocks: async () => ({ data: [] }),
+        mapMarketRow: (row) => row
+    });
+    await single.start();
+    await single.stop();
+    const singleRef = single.getState().dashboardMessageId;
+    await createTelegramService(singleConfig).editMessage(singleRef, 'updated');
+    const targets = calls.filter(c => c.method === 'pin' || c.method === 'edit');
+    assert(singleRef.length === 1 && singleRef[0].chatId === -1009, 'Single routed destination keeps its chat id');
+    assert(targets.length === 2 && targets.every(c => c.chatId === -1009 && c.messageId === singleRef[0].messageId), 'Pin and edit go to the routed chat, not CHAT_ID');
+
+    // 5. system.error + authorization
+    console.log('\nScenario 5: system.error route and authorized chats');
+    calls.length = 0;
+    const quietLogger = { ...createLogger(), error: () => { } };
+    await createGlobalErrorHandler(telegram, quietLogger, { route: ALERT_ROUTES.SYSTEM_ERROR })(new ConfigurationError('boom'), { component: 'Test' });
+    assert(sends().length === 1 && sends()[0].chatId === '@ops_alerts', 'Critical error sent to system.error route');
+    const chats = getRoutedChatIds(config);
+    assert(chats.has(-1001) && chats.has(-1003) && chats.has(-1004) && !chats.has(-9999), 'Routed chats are authorized for commands/buttons');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
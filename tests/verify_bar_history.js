@@ -0,0 +1,208 @@
+/**
+ * 🧪 VERIFICATION: Intraday bar history
+ *
+ * Tests that:
+ * 1. Successive polls aggregate into 1-minute OHLC bars (volume / value from cumulative deltas)
+ * 2. Velocity is queryable over 1m / 5m / 15m windows
+ * 3. Bars serve as a bar source (5m aggregation, Yahoo fallback for thin histories)
+ * 4. Shadow Velocity DUMP / PUMP use the change over the last minute, not the last poll; DUMP fires once per drop
+ * 5. The EOD report shows the session range of Alpha / Bear names
+ *
+ * Usage: node tests/verify_bar_history.js
+ */
+import { createBarHistory } from '../src/services/barHistory.js';
+import { createBarSource, withBarHistory } from '../src/services/barSource.js';
+import { createMarketService } from '../src/services/marketService.js';
+import { buildEodReport, formatEodHtml } from '../src/services/eodReport.js';
+import { validateConfig } from '../src/config/validation.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+// 2025-01-15 10:00:00 ET
+const T0 = Date.parse('2025-01-15T15:00:00Z');
+const SEC = 1000;
+const MIN = 60 * SEC;
+
+const row = (close, volume, rvol = 6, value = volume * close) =>
+    ({ symbol: 'NASDAQ:HOOD', close, volume, rvol_intraday_5m: rvol, value_traded: value, change_from_open: 8 });
+
+async function runTest() {
+    console.log('--- BAR HISTORY VERIFICATION ---');
+
+    // 1. Minute bars
+    console.log('\nScenario 1: 1-minute bars from polls');
+    const history = createBarHistory();
+    history.record([row(40, 1_000_000, 6)], T0);
+    history.record([row(41, 1_010_000, 7)], T0 + 20 * SEC);
+    history.record([row(39.5, 1_030_000, 8)], T0 + 40 * SEC);
+    history.record([row(40.5, 1_050_000, 9)], T0 + 65 * SEC);
+    const bars = history.getBars('NASDAQ:HOOD');
+    assert(bars.length === 2 && bars[0].time === T0 && bars[1].time === T0 + MIN, 'Two minute buckets');
+    assert(bars[0].open === 40 && bars[0].high === 41 && bars[0].low === 39.5 && bars[0].close === 39.5, 'OHLC from polled prices');
+    assert(bars[0].volume === 30_000 && bars[1].volume === 20_000 && bars[0].rvol === 8, 'Volume from cumulative deltas, last RVOL');
+    assert(near(bars[1].valueTraded, 1_050_000 * 40.5 - 1_030_000 * 39.5), 'Value traded per minute');
+    history.record([{ symbol: 'NASDAQ:BAD', close: 0 }], T0 + 66 * SEC);
+    assert(!history.getSymbols().includes('NASDAQ:BAD'), 'Rows without a price ignored');
+
+    // 2. Velocity
+    console.log('\nScenario 2: Velocity windows');
+    const v = createBarHistory();
+    for (let i = 0; i <= 20; i++) v.record([row(100 + i, 1_000_000 + i * 10_000, 5 + i * 0.5)], T0 + i * MIN);
+    const now = T0 + 20 * MIN;
+    const m1 = v.getVelocity('NASDAQ:HOOD', 1, now);
+    const m5 = v.getVelocity('NASDAQ:HOOD', 5, now);
+    const m15 = v.getVelocity('NASDAQ:HOOD', 15, now);
+    assert(near(m1.priceChange, (120 - 119) / 119 * 100) && m1.volume === 10_000 && m1.rvolChange === 0.5, '1m: price, volume, RVOL change');
+    assert(near(m5.priceChange, (120 - 115) / 115 * 100) && m5.spanMs === 5 * MIN, '5m window');
+    assert(near(m15.priceChange, (120 - 105) / 105 * 100) && m15.volume === 150_000, '15m window');
+    assert(v.getVelocity('NASDAQ:HOOD', 60, now).spanMs === 15 * MIN, 'Samples kept for the 15m window only');
+    const fresh = createBarHistory();
+    fresh.record([row(10, 1000)], T0);
+    assert(fresh.getVelocity('NASDAQ:HOOD', 1, T0) === null, 'One sample → no velocity');
+    fresh.record([row(9, 1200)], T0 + 10 * SEC);
+    assert(near(fresh.getVelocity('NASDAQ:HOOD', 5, T0 + 10 * SEC).priceChange, -10), 'Short history → since the first sample');
+
+    // 3. Bar source
+    console.log('\nScenario 3: Bars for charts');
+    const fiveMin = v.getBars('NASDAQ:HOOD', '5');
+    assert(fiveMin.length === 5 && fiveMin[0].open === 100 && fiveMin[0].close === 104 && fiveMin[0].high === 104, '1m → 5m aggregation');
+    assert(v.getBars('NASDAQ:HOOD', '1', 3).length === 3 && v.getBars('NASDAQ:HOOD', 'D').length === 0, 'Limit applied, no daily bars');
+    v.getBars('NASDAQ:HOOD')[0].close = -1;
+    assert(v.getBars('NASDAQ:HOOD')[0].close === 100, 'Callers get copies');
+    const yahoo = { getBars: async (symbol, interval) => [{ source: 'yahoo', interval }] };
+    const combined = withBarHistory(yahoo, v, 10);
+    assert((await combined.getBars('NASDAQ:HOOD', '1', 180)).length === 21, '1m panel from own history');
+    assert((await combined.getBars('NASDAQ:HOOD', '15', 130))[0].source === 'yahoo', 'Thin 15m history → Yahoo');
+    assert((await combined.getBars('NASDAQ:HOOD', 'D', 90))[0].source === 'yahoo', 'Daily → Yahoo');
+    assert(createBarSource({ chartSource: 'history' }, v) === v && createBarSource({ chartSource: 'none' }, v) === null, 'CHART_SOURCE=history / none');
+    assert(validateConfig({ botToken: 'x', chatId: 1, chartSource: 'history' }).isValid, 'CHART_SOURCE=history accepted');
+
+    const rollover = createBarHistory();
+    rollover.record([row(10, 1000)], T0);
+    rollover.record([{ ...row(10, 1000), symbol: 'NASDAQ:NEXT' }], T0 + 24 * 60 * MIN);
+    assert(rollover.getSymbols().join() === 'NASDAQ:NEXT', 'New NY day starts a fresh history');
+
+    // 4. Shadow Velocity triggers
+    console.log('\nScenario 4: PUMP / DUMP over the last minute');
+    const realNow = Date.now;
+    const realLog = console.log;
+    let clock = T0;
+    let rows = [];
+    const sent = [];
+    const telegram = {
+        sendMessageHTML: async (text) => { sent.push(text); return { success: true, message: { message_id: 1 } }; },
+        editMessage: async () => ({ success: true }),
+        pinMessage: async () => ({ success: true })
+    };
+    const marketHistory = createBarHistory();
+    const market = createMarketService({ marketAlertCooldownMs: 0, marketRvolPumpDelta: 5 }, telegram, {
+        getMarketStocks: async () => ({ data: rows }),
+        mapMarketRow: (r) => r
+    }, null, null, marketHistory);
+    const poll = async (close, rvol, at) => {
+        clock = at;
+        rows = [row(close, 2_000_000, rvol, 60_000_000)];
+        await market.start();
+        await market.stop();
+    };
+    const count = (text) => sent.filter(m => m.includes(text)).length;
+    Date.now = () => clock;
+    console.log = () => { };
+    try {
+        // Slow bleed: -1% per 20s poll never crossed -2% "since the last poll"
+        await poll(40, 6, T0);
+        await poll(39.6, 6, T0 + 20 * SEC);
+        await poll(39.2, 6, T0 + 40 * SEC);
+        const dumpsBefore = count('Dropping');
+        await poll(38.8, 6, T0 + 60 * SEC);
+        const dumpsAfter = count('Dropping');
+        // RVOL +2 per poll: below the delta per poll, above it over the minute
+        await poll(38.8, 8, T0 + 80 * SEC);
+        await poll(38.8, 10, T0 + 100 * SEC);
+        const pumpsBefore = count('Fuel Injection');
+        await poll(38.8, 12, T0 + 120 * SEC);
+        const pumpsAfter = count('Fuel Injection');
+        // Drift of -0.5% per minute stays quiet
+        const quietFrom = sent.length;
+        for (let i = 1; i <= 5; i++) await poll(38.8 * (1 - 0.005 * i), 12, T0 + (2 + i) * MIN);
+        const quietAlerts = sent.slice(quietFrom).filter(m => m.includes('Dropping')).length;
+        console.log = realLog;
+        assert(dumpsBefore === 0 && dumpsAfter === 1, 'DUMP fires on -3% over the minute (three -1% polls)');
+        assert(sent.find(m => m.includes('Dropping')).includes('-3.0% за хвилину'), 'DUMP message shows the per-minute drop');
+        assert(pumpsBefore === 0 && pumpsAfter === 1 && sent.find(m => m.includes('Fuel Injection')).includes('RVOL: 6 → 12'), 'PUMP on +6 RVOL over the minute');
+        assert(quietAlerts === 0, 'Slow drift does not DUMP');
+        assert(market.getDetails('NASDAQ:HOOD').includes('Velocity: 1m -0.5%'), 'Details show 1m / 5m / 15m velocity');
+
+        // One -3% drop stays in the 1-minute window for several 10s polls → still one DUMP
+        const dropSent = [];
+        const dropMarket = createMarketService({ marketAlertCooldownMs: 0 }, {
+            ...telegram,
+            sendMessageHTML: async (text) => { dropSent.push(text); return { success: true, message: { message_id: 1 } }; }
+        }, {
+            getMarketStocks: async () => ({ data: rows }),
+            mapMarketRow: (r) => r
+        }, null, null, createBarHistory());
+        const dropPoll = async (close, at) => {
+            clock = at;
+            rows = [{ ...row(close, 2_000_000, 6, 60_000_000), symbol: 'NASDAQ:DROP' }];
+            await dropMarket.start();
+            await dropMarket.stop();
+        };
+        const dumps = () => dropSent.filter(m => m.includes('Dropping')).length;
+        console.log = () => { };
+        await dropPoll(10, T0);
+        for (let i = 1; i <= 6; i++) await dropPoll(9.7, T0 + i * 10 * SEC);
+        const oneDrop = dumps();
+        // Recovers and holds for a minute, then drops again
+        await dropPoll(10, T0 + 2 * MIN);
+        await dropPoll(10, T0 + 3 * MIN);
+        await dropPoll(9.7, T0 + 3 * MIN + 10 * SEC);
+        const dumpingAfterDrop = dropMarket.getState().dumpingSymbols;
+        const dumpCount = dumps();
+        clock = T0 + 3 * MIN + 20 * SEC;              // DROP falls out of the ranking
+        rows = [{ ...row(50, 2_000_000, 6, 60_000_000), symbol: 'NASDAQ:OTHER' }];
+        await dropMarket.start();
+        await dropMarket.stop();
+        const dumpingAfterExit = dropMarket.getState().dumpingSymbols;
+        await dropPoll(9.7, T0 + 3 * MIN + 30 * SEC);  // back, still down on the minute
+        const dumpingBeforeReset = dropMarket.getState().dumpingSymbols;
+        await dropPoll(9.7, T0 + 24 * 60 * MIN);      // next trading day, no fresh 1-minute history
+        const dumpingNextDay = dropMarket.getState().dumpingSymbols;
+        console.log = realLog;
+        assert(oneDrop === 1, 'One drop → one DUMP while it stays in the 1-minute window');
+        assert(dumpCount === 2, 'A new drop after the recovery alerts again');
+        assert(dumpingAfterDrop === 1 && dumpingAfterExit === 0, 'Drop memory cleared when the symbol leaves the ranking');
+        assert(dumpingBeforeReset === 1 && dumpingNextDay === 0, 'Drop memory cleared on the trading-day reset');
+    } finally {
+        Date.now = realNow;
+        console.log = realLog;
+    }
+
+    // 5. EOD report
+    console.log('\nScenario 5: Session range in the EOD report');
+    const report = buildEodReport({ marketScanner: market, barHistory: marketHistory }, '2025-01-15');
+    assert(report.alpha[0]?.range?.high === 40 && near(report.alpha[0].range.low, 38.8 * 0.975), 'Alpha row carries the session high / low');
+    assert(formatEodHtml(report).includes('$37.83–$40.00'), 'HTML shows the day range');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
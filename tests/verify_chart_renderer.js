@@ -0,0 +1,227 @@
+/**
+ * 🧪 VERIFICATION: Server-side chart renderer
+ *
+ * Tests that:
+ * 1. Candlestick panels are drawn as SVG (candles, volume, last price)
+ * 2. The 2x2 grid keeps the captureStitched geometry and is cached per symbol
+ * 3. The Yahoo bar source parses, maps symbols and builds 4h bars from 60m
+ * 4. Alerts go out as chart + caption, falling back to text
+ * 5. Growth Scanner and Shadow Velocity alerts carry the chart; muted tickers drop before any
+ *    rendering, slow charts fall back to text after the deadline, charts are opt-in
+ *
+ * Usage: node tests/verify_chart_renderer.js
+ */
+import sharp from 'sharp';
+import {
+    CHART_PANELS,
+    createChartRenderer,
+    renderCandlestickSvg,
+    sendChartAlert
+} from '../src/services/chartRenderer.js';
+import { aggregateBars, createYahooBarSource, toYahooTicker } from '../src/services/barSource.js';
+import { processStockData } from '../src/services/stock.js';
+import { createMarketService } from '../src/services/marketService.js';
+import { createAlertGate } from '../src/services/alertGate.js';
+import { ALERT_ROUTES } from '../src/services/alertRoutes.js';
+import { validateConfig } from '../src/config/validation.js';
+import { parseConfig } from '../src/config/index.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+/** Rising/falling bars, one minute apart */
+const makeBars = (count, start = 10) => Array.from({ length: count }, (_, i) => {
+    const open = start + i * 0.1;
+    const close = i % 3 === 0 ? open - 0.05 : open + 0.08;
+    return { time: Date.UTC(2025, 0, 15, 14, 30 + i), open, high: Math.max(open, close) + 0.02, low: Math.min(open, close) - 0.02, close, volume: 1000 + i };
+});
+
+// --- MOCKS ---
+const requested = [];
+const barSource = {
+    getBars: async (symbol, interval, limit) => { requested.push({ symbol, interval, limit }); return makeBars(20); }
+};
+
+const sent = [];
+const telegram = {
+    sendMessage: async (text, extra) => { sent.push({ op: 'text', text, extra }); return { success: true }; },
+    sendMessageHTML: async (text, extra) => { sent.push({ op: 'html', text, extra }); return { success: true }; },
+    sendPhoto: async (photo, caption, extra) => { sent.push({ op: 'photo', photo, caption, extra }); return { success: !photoFails }; }
+};
+let photoFails = false;
+
+const renderer = { renderStitched: async () => Buffer.from('png') };
+
+async function runTest() {
+    console.log('--- CHART RENDERER VERIFICATION ---');
+    const realLog = console.log;
+    const quiet = () => { console.log = () => { }; };
+    const loud = () => { console.log = realLog; };
+
+    // 1. Panel SVG
+    console.log('\nScenario 1: Candlestick panel');
+    const svg = renderCandlestickSvg(makeBars(12), { width: 800, height: 600, title: 'AAPL · 15m' });
+    assert(svg.startsWith('<svg') && svg.includes('AAPL · 15m'), 'SVG with title');
+    assert((svg.match(/fill="#26a69a"/g) || []).length >= 8 && (svg.match(/fill="#ef5350"/g) || []).length >= 4, 'Up and down candles + volume colored');
+    assert(svg.includes('stroke-dasharray') && svg.includes('C 11.18'), 'Last price line and OHLC');
+    assert(renderCandlestickSvg([], { width: 800, height: 600, title: 'X' }).includes('No data'), 'Empty panel placeholder');
+
+    // 2. Grid + cache
+    console.log('\nScenario 2: 2x2 grid');
+    const chartRenderer = createChartRenderer({}, barSource);
+    quiet();
+    const [png, same] = await Promise.all([chartRenderer.renderStitched('NASDAQ:AAPL'), chartRenderer.renderStitched('NASDAQ:AAPL')]);
+    const again = await chartRenderer.renderStitched('NASDAQ:AAPL');
+    loud();
+    const meta = await sharp(png).metadata();
+    assert(meta.format === 'png' && meta.width === 2000 && meta.height === 1200, 'PNG 2000x1200 like captureStitched');
+    assert(JSON.stringify(requested.map(r => r.interval)) === JSON.stringify(CHART_PANELS.map(p => p.interval)), 'One bar request per panel (D, 240, 15, 1)');
+    assert(same === png && again === png, 'Concurrent and repeated renders reuse one image');
+    quiet();
+    const empty = await createChartRenderer({}, { getBars: async () => [] }).renderStitched('NASDAQ:NONE');
+    loud();
+    assert(empty === null, 'No bars → no chart');
+
+    // 3. Yahoo bar source
+    console.log('\nScenario 3: Yahoo bar source');
+    const urls = [];
+    const t0 = Date.UTC(2025, 0, 15, 12) / 1000;
+    const yahooFetch = async (url) => {
+        urls.push(url);
+        return {
+            ok: true,
+            json: async () => ({ chart: { result: [{
+                timestamp: [0, 1, 2, 3, 4, 5].map(h => t0 + h * 3600),
+                indicators: { quote: [{
+                    open: [1, 2, null, 4, 5, 6], high: [2, 3, null, 5, 6, 7],
+                    low: [0.5, 1.5, null, 3.5, 4.5, 5.5], close: [1.5, 2.5, null, 4.5, 5.5, 6.5],
+                    volume: [10, 20, null, 40, 50, 60]
+                }] }
+            }] } })
+        };
+    };
+    const yahoo = createYahooBarSource({}, yahooFetch);
+    const fourHour = await yahoo.getBars('NYSE:BRK.B', '240', 10);
+    assert(toYahooTicker('NYSE:BRK.B') === 'BRK-B' && urls[0].includes('/BRK-B?interval=60m') && urls[0].includes('includePrePost=true'), 'Symbol mapped, 60m bars with extended hours');
+    assert(fourHour.length === 2 && fourHour[0].open === 1 && fourHour[0].high === 5 && fourHour[0].close === 4.5 && fourHour[0].volume === 70, '60m → 4h aggregation skips null rows');
+    assert(aggregateBars(makeBars(10), 5).length === 2, 'aggregateBars buckets by minutes');
+    quiet();
+    const failing = await createYahooBarSource({}, async () => ({ ok: false, status: 404 })).getBars('NASDAQ:X', '1');
+    loud();
+    assert(Array.isArray(failing) && failing.length === 0, 'HTTP error → no bars');
+
+    // 4. Send with fallback
+    console.log('\nScenario 4: Photo with text fallback');
+    const extra = { route: ALERT_ROUTES.MARKET_NEW, reply_markup: {} };
+    await sendChartAlert(telegram, renderer, 'NASDAQ:AAPL', '<b>alert</b>', extra, 'HTML');
+    assert(sent.length === 1 && sent[0].op === 'photo' && sent[0].caption === '<b>alert</b>' && sent[0].extra.parse_mode === 'HTML' && sent[0].extra.route === ALERT_ROUTES.MARKET_NEW, 'Photo with HTML caption, route and buttons');
+    sent.length = 0;
+    photoFails = true;
+    await sendChartAlert(telegram, renderer, 'NASDAQ:AAPL', '<b>alert</b>', extra, 'HTML');
+    photoFails = false;
+    assert(sent.map(s => s.op).join() === 'photo,html', 'Failed photo → HTML text');
+    sent.length = 0;
+    await sendChartAlert(telegram, renderer, 'NASDAQ:AAPL', 'x'.repeat(1100), extra);
+    await sendChartAlert(telegram, null, 'NASDAQ:AAPL', 'plain', extra);
+    assert(sent.map(s => s.op).join() === 'text,text', 'Long caption or no renderer → text');
+
+    // 5. Scanners
+    console.log('\nScenario 5: Scanner alerts');
+    sent.length = 0;
+    const row = { s: 'NASDAQ:GAP', d: [] };
+    row.d[1] = 25; row.d[2] = 5e6; row.d[11] = 1e6; row.d[21] = 3.5;
+    const state = { lastReportedChanges: new Map(), isFirstScan: false, sendOnStartup: true, alertCount: 0 };
+    quiet();
+    await processStockData(10, state, telegram, { retry: { maxAttempts: 1 }, premarketAlertStep: 1 },
+        { getStocks10: async () => ({ data: [row], totalCount: 1 }) }, renderer);
+    loud();
+    assert(sent.length === 1 && sent[0].op === 'photo' && sent[0].caption.includes('NASDAQ:GAP') && sent[0].extra.parse_mode === null, 'Premarket alert: chart with plain caption');
+    assert(sent[0].extra.alert.category === ALERT_ROUTES.PREMARKET_NEW, 'Premarket alert metadata kept');
+
+    sent.length = 0;
+    const market = createMarketService({ marketAlertCooldownMs: 0 }, telegram, {
+        getMarketStocks: async () => ({
+            data: [{ symbol: 'NASDAQ:HOOD', close: 40, change_from_open: 8, rvol_intraday_5m: 6, value_traded: 60_000_000 }]
+        }),
+        mapMarketRow: (r) => r
+    }, null, renderer);
+    quiet();
+    await market.start();
+    await market.stop();
+    loud();
+    const marketAlert = sent.find(s => s.op === 'photo');
+    assert(marketAlert?.caption.includes('NEW ALERT: HOOD') && marketAlert.extra.parse_mode === 'HTML', 'Market alert: chart with HTML caption');
+
+    sent.length = 0;
+    const gated = createAlertGate(telegram, { isMuted: (symbol) => symbol === 'NASDAQ:MUTE' });
+    const muted = await sendChartAlert(gated, renderer, 'NASDAQ:MUTE', 'x', { alert: { scanner: 'premarket', symbol: 'NASDAQ:MUTE' } });
+    assert(muted.muted && sent.length === 0, 'Muted ticker: no photo and no text fallback');
+    let renders = 0;
+    const counting = { renderStitched: async () => { renders++; return Buffer.from('png'); } };
+    await sendChartAlert(gated, counting, 'NASDAQ:MUTE', 'x', { alert: { scanner: 'premarket', symbol: 'NASDAQ:MUTE' } });
+    assert(renders === 0, 'Muted ticker: chart never rendered (no bar requests)');
+
+    // Slow bars: the alert goes out as text after the deadline, the render finishes in the background
+    sent.length = 0;
+    let release;
+    const slow = { deadlineMs: 30, renderStitched: () => new Promise(resolve => { release = () => resolve(Buffer.from('png')); }) };
+    const started = Date.now();
+    await sendChartAlert(telegram, slow, 'NASDAQ:SLOW', 'slow alert', {});
+    assert(Date.now() - started < 1000 && sent.map(s => s.op).join() === 'text', 'Chart not ready by the deadline → text alert');
+    release();
+    assert(createChartRenderer({}, barSource).deadlineMs === 3000 && createChartRenderer({ chartDeadlineMs: 500 }, barSource).deadlineMs === 500, 'Deadline from CHART_DEADLINE_MS (3s default)');
+
+    // Slow scan passes (charts, TradingView) do not overlap on the 10s interval
+    let inFlight = 0;
+    let maxInFlight = 0;
+    let passes = 0;
+    const slowMarket = createMarketService({ marketScanIntervalMs: 10, marketDashboardIntervalMs: 60_000 }, telegram, {
+        getMarketStocks: async () => {
+            passes++;
+            maxInFlight = Math.max(maxInFlight, ++inFlight);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            inFlight--;
+            return { data: [] };
+        },
+        mapMarketRow: (r) => r
+    });
+    const realWarn = console.warn;
+    quiet();
+    console.warn = () => { };
+    await slowMarket.start();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await slowMarket.stop();
+    await new Promise(resolve => setTimeout(resolve, 60));
+    loud();
+    console.warn = realWarn;
+    assert(passes >= 2 && maxInFlight === 1, 'Market scan ticks skip while a pass is still running');
+
+    const env = { ...process.env };
+    delete process.env.CHART_SOURCE;
+    const { chartSource } = parseConfig();
+    process.env = env;
+    assert(chartSource === 'none', 'Charts are opt-in: CHART_SOURCE defaults to none');
+    assert(!validateConfig({ botToken: 'x', chatId: 1, chartDeadlineMs: 0 }).isValid, 'CHART_DEADLINE_MS must be positive');
+
+    assert(!validateConfig({ botToken: 'x', chatId: 1, chartSource: 'bing' }).isValid, 'Unknown CHART_SOURCE rejected');
+    assert(validateConfig({ botToken: 'x', chatId: 1, chartSource: 'none' }).isValid, 'CHART_SOURCE=none accepted');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
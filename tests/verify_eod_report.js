@@ -0,0 +1,173 @@
+/**
+ * 🧪 VERIFICATION: End-of-day summary
+ *
+ * Tests that:
+ * 1. Shadow Velocity keeps each name's peak SVS / HSS for the day
+ * 2. The recap covers premarket alerts, Alpha / Bear peaks, Catalyst P&L, alert counts, TV counters
+ * 3. It is sent once per day as HTML, plus an md/csv document when EOD_REPORT_FILE is set
+ * 4. The orchestrator posts it when it stops Shadow Velocity at the close
+ * 5. TradingView errors and 429s are counted
+ *
+ * Usage: node tests/verify_eod_report.js
+ */
+import { createMarketService } from '../src/services/marketService.js';
+import { createOutcomeTracker } from '../src/services/outcomeTracker.js';
+import { createEodReport, buildEodReport, formatEodHtml, formatEodMarkdown, formatEodCsv } from '../src/services/eodReport.js';
+import { createAlertOptions } from '../src/services/alertActions.js';
+import { ALERT_ROUTES } from '../src/services/alertRoutes.js';
+import { createOrchestrator } from '../src/core/orchestrator.js';
+import { TvScanner, getRequestStats } from '../src/services/tradingview.js';
+import { validateConfig } from '../src/config/validation.js';
+import { DEFAULT_SCHEDULE } from '../src/core/utils/index.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// --- MOCKS ---
+const sent = [];
+const documents = [];
+const telegram = {
+    sendMessage: async (text, extra) => { sent.push({ text, extra }); return { success: true, message: { message_id: 1 } }; },
+    sendMessageHTML: async (text, extra) => { sent.push({ text, extra }); return { success: true, message: { message_id: 1 } }; },
+    sendDocument: async (content, filename, caption, extra) => { documents.push({ content: String(content), filename, extra }); return { success: true }; },
+    editMessage: async () => ({ success: true }),
+    pinMessage: async () => ({ success: true })
+};
+
+// 2025-01-15 (Wed, EST)
+let now = new Date('2025-01-15T14:45:00Z');
+
+async function runTest() {
+    console.log('--- EOD REPORT VERIFICATION ---');
+
+    // 1. Peaks
+    console.log('\nScenario 1: Peak SVS / HSS per name');
+    let rows = [
+        { symbol: 'NASDAQ:HOOD', close: 40, change_from_open: 8, rvol_intraday_5m: 6, value_traded: 60_000_000 },
+        { symbol: 'NYSE:BEAR', close: 10, change_from_open: -6, rvol_intraday_5m: 1, value_traded: 90_000_000 }
+    ];
+    const market = createMarketService({ marketAlertCooldownMs: 0 }, telegram, {
+        getMarketStocks: async () => ({ data: rows }),
+        mapMarketRow: (row) => row
+    });
+    await market.start();
+    await market.stop();
+    rows = [{ symbol: 'NASDAQ:HOOD', close: 38, change_from_open: 3, rvol_intraday_5m: 5, value_traded: 70_000_000 }];
+    await market.start();
+    await market.stop();
+    const peaks = market.getDaySummary();
+    assert(peaks.alpha.length === 1 && peaks.alpha[0].change === 8, 'HOOD keeps its peak SVS snapshot (+8%), not the later lower one');
+    assert(peaks.bear.length === 1 && peaks.bear[0].symbol === 'NYSE:BEAR', 'BEAR ranked by HSS');
+
+    // 2. Recap data
+    console.log('\nScenario 2: Recap contents');
+    const tracker = createOutcomeTracker({}, null, {
+        getMarketStocks: async () => ({ data: [{ symbol: 'NASDAQ:GAP', close: 11 }, { symbol: 'NASDAQ:AAA', close: 18 }] }),
+        mapMarketRow: (row) => row
+    }, () => now);
+    now = new Date('2025-01-15T13:00:00Z');
+    await tracker.track(createAlertOptions('premarket', 'NASDAQ:GAP', ALERT_ROUTES.PREMARKET_NEW, 10).alert);
+    await tracker.track(createAlertOptions('premarket', 'NASDAQ:GAP', ALERT_ROUTES.PREMARKET_STEP, 10.5).alert);
+    now = new Date('2025-01-15T15:00:00Z');
+    await tracker.track(createAlertOptions('catalyst', 'NASDAQ:AAA', ALERT_ROUTES.CATALYST_FADE, 20).alert);
+    await tracker.track(createAlertOptions('market', 'NASDAQ:HOOD', ALERT_ROUTES.MARKET_PUMP, 40).alert);
+    now = new Date('2025-01-15T20:59:00Z');
+    await tracker.sample();
+
+    const growthScanner = { getState: () => ({ lastReportedChanges: new Map([['NASDAQ:GAP', { change: 24.5, count: 2 }]]) }) };
+    const sources = {
+        growthScanner,
+        marketScanner: market,
+        outcomeTracker: tracker,
+        requestStats: () => ({ day: '2025-01-15', requests: 120, errors: 3, rateLimited: 1 })
+    };
+    const report = buildEodReport(sources, '2025-01-15');
+    assert(report.premarket.length === 1 && report.premarket[0].alerts === 2 && report.premarket[0].change === 24.5, 'GAP: one row, 2 alerts, final PM change +24.5%');
+    assert(Math.abs(report.premarket[0].move - 10) < 1e-9, 'GAP move since first alert +10%');
+    assert(report.catalyst.length === 1 && Math.abs(report.catalyst[0].pnl - 10) < 1e-9, 'AAA FADE P&L +10% (short 20 → 18)');
+    assert(report.counts.STEP === 2 && report.counts.PUMP === 1 && report.counts.FADE === 1 && report.counts.NEW === 0, 'Alert counts per type');
+    assert(report.tv.errors === 3 && report.tv.rateLimited === 1, 'TradingView counters');
+    assert(buildEodReport(sources, '2025-01-16').premarket.length === 0, 'Other days are not mixed in');
+
+    const html = formatEodHtml(report);
+    assert(html.includes('END OF DAY — 2025-01-15') && html.includes('GAP') && html.includes('P&amp;L +10.0%') && html.includes('Rate-limited 1'), 'HTML recap');
+    assert(formatEodMarkdown(report).includes('| GAP | +24.5% | 2 | 10 | +10.0% |'), 'Markdown table row');
+    assert(formatEodCsv(report).split('\n')[0] === 'section,symbol,strategy,price,change,score,move', 'CSV header');
+
+    // 3. Send
+    console.log('\nScenario 3: Sending');
+    sent.length = 0;
+    const eod = createEodReport({ eodReportFile: 'csv' }, telegram, sources, () => now);
+    await eod.send();
+    await eod.send();
+    assert(sent.length === 1 && sent[0].extra.route === ALERT_ROUTES.REPORT_EOD, 'One HTML message per day on the report.eod route');
+    assert(documents.length === 1 && documents[0].filename === 'eod-2025-01-15.csv' && documents[0].content.includes('catalyst,NASDAQ:AAA,FADE'), 'CSV attached via sendDocument');
+    documents.length = 0;
+    await createEodReport({ eodReportFile: null }, telegram, sources, () => now).send();
+    assert(documents.length === 0, 'No attachment without EOD_REPORT_FILE');
+    assert(!validateConfig({ botToken: 'x', chatId: 1, eodReportFile: 'pdf' }).isValid, 'Unknown file format rejected');
+
+    // 4. Orchestrator at the close
+    console.log('\nScenario 4: Orchestrator posts at the close');
+    let marketRunning = false;
+    let eodCalls = 0;
+    const marketScanner = {
+        start: async () => { marketRunning = true; },
+        stop: async () => { marketRunning = false; },
+        getState: () => ({ isRunning: marketRunning })
+    };
+    let clock = new Date('2025-01-15T20:55:00Z');
+    const orchestrator = createOrchestrator(
+        { schedule: DEFAULT_SCHEDULE, timeouts: { gatekeeperIntervalMs: 50 } },
+        { marketScanner, eodReport: { send: async () => { eodCalls++; } } },
+        { getNow: () => clock }
+    );
+    const realLog = console.log;
+    console.log = () => { };
+    orchestrator.start();
+    await sleep(120);
+    const beforeClose = eodCalls;
+    clock = new Date('2025-01-15T21:00:30Z');
+    await sleep(200);
+    await orchestrator.stop();
+    console.log = realLog;
+    assert(beforeClose === 0 && eodCalls === 1, 'Recap requested once, when Shadow Velocity stops at 16:00');
+
+    // 5. TradingView counters
+    console.log('\nScenario 5: TradingView error / 429 counters');
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async () => ({ ok: false, status: 429, text: async () => 'Too many requests' });
+    const before = getRequestStats();
+    console.log = () => { };
+    const realError = console.error;
+    console.error = () => { };
+    try {
+        await TvScanner.getMarketStocks({});
+    } catch { /* expected after retries */ }
+    console.log = realLog;
+    console.error = realError;
+    globalThis.fetch = realFetch;
+    const after = getRequestStats();
+    assert(after.requests - (before.requests || 0) === 3 && after.rateLimited - (before.rateLimited || 0) === 3 && after.errors - (before.errors || 0) === 3, 'Every attempt counted as request, 429 and error');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,136 @@
+/**
+ * 🧪 VERIFICATION: Halt / LULD inference
+ *
+ * Tests that:
+ * 1. A symbol frozen for several polls while neighbours print is declared halted
+ * 2. Trading again resumes the halt with its duration and gap
+ * 3. A stale feed (everything frozen) is not a halt
+ * 4. Freezes without a LULD-sized move need twice the polls
+ * 5. Shadow Velocity sends HALTED / RESUMED and no DUMP on the resume gap
+ *
+ * Usage: node tests/verify_halts.js
+ */
+import { createHaltDetector } from '../src/services/haltDetector.js';
+import { createMarketService } from '../src/services/marketService.js';
+import { ALERT_ROUTES } from '../src/services/alertRoutes.js';
+import { validateConfig } from '../src/config/validation.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+// 2025-01-15 10:00:00 ET
+const T0 = Date.parse('2025-01-15T15:00:00Z');
+const SEC = 1000;
+
+const stock = (symbol, close, volume, extra = {}) => ({
+    symbol, close, volume, rvol_intraday_5m: 1, value_traded: 20_000_000, change_from_open: 0, ...extra
+});
+
+/** Neighbours that print on every poll */
+const neighbours = (i) => [stock('NASDAQ:N1', 10 + i * 0.01, 1000 + i), stock('NASDAQ:N2', 20, 5000 + i * 10)];
+
+async function runTest() {
+    console.log('--- HALT DETECTION VERIFICATION ---');
+
+    // 1. LULD halt
+    console.log('\nScenario 1: Frozen after a LULD-sized move');
+    const detector = createHaltDetector({ minPolls: 3 });
+    const path = [40, 41, 45, 45, 45, 45];
+    const events = path.map((close, i) => detector.update(
+        [stock('NASDAQ:HALT', close, close === 45 ? 9000 : 1000 * (i + 1)), ...neighbours(i)], T0 + i * 10 * SEC));
+    assert(events.slice(0, 5).every(e => e.length === 0), 'Two frozen polls → not yet');
+    const halted = events[5][0];
+    assert(halted?.type === 'HALTED' && halted.since === T0 + 20 * SEC && halted.haltPrice === 45, 'Third frozen poll → HALTED since the last print');
+    assert(halted.band === 5 && halted.move > 7 && halted.move < 7.2, 'Move vs the 5-minute average past the 5% band');
+    assert(detector.isHalted('NASDAQ:HALT') && detector.isSuppressed('NASDAQ:HALT', T0 + 60 * SEC), 'Halted symbol suppressed');
+    assert(detector.update([stock('NASDAQ:HALT', 45, 9000), ...neighbours(6)], T0 + 70 * SEC).length === 0, 'HALTED reported once');
+
+    // 2. Resume
+    console.log('\nScenario 2: Resume');
+    const resumed = detector.update([stock('NASDAQ:HALT', 41, 9500), ...neighbours(7)], T0 + 120 * SEC)[0];
+    assert(resumed?.type === 'RESUMED' && resumed.durationMs === 100 * SEC && resumed.gap < -8.8 && resumed.gap > -9, 'RESUMED with duration and gap');
+    assert(!detector.isHalted('NASDAQ:HALT') && detector.isSuppressed('NASDAQ:HALT', T0 + 150 * SEC, 60 * SEC), 'Still suppressed right after the resume');
+    assert(!detector.isSuppressed('NASDAQ:HALT', T0 + 181 * SEC, 60 * SEC), 'Suppression ends a minute later');
+
+    // 3. Stale feed
+    console.log('\nScenario 3: Stale feed');
+    const stale = createHaltDetector({ minPolls: 3 });
+    const frozenScan = [stock('NASDAQ:A', 40, 1000), stock('NASDAQ:B', 10, 2000), stock('NASDAQ:C', 5, 3000)];
+    const staleEvents = Array.from({ length: 8 }, (_, i) => stale.update(frozenScan, T0 + i * 10 * SEC)).flat();
+    assert(staleEvents.length === 0, 'Whole scan frozen → no halt');
+
+    // 4. No LULD move
+    console.log('\nScenario 4: Freeze without a LULD move');
+    const quiet = createHaltDetector({ minPolls: 3 });
+    const quietEvents = Array.from({ length: 8 }, (_, i) =>
+        quiet.update([stock('NASDAQ:NEWS', 30, 5000), ...neighbours(i)], T0 + i * 10 * SEC));
+    assert(quietEvents.findIndex(e => e.length > 0) === 6, 'Six frozen polls needed (2 × minPolls)');
+    assert(quietEvents[6][0].band === null, 'Reported without a LULD band');
+
+    // 5. Shadow Velocity
+    console.log('\nScenario 5: HALTED / RESUMED alerts');
+    const realNow = Date.now;
+    const realLog = console.log;
+    let clock = T0;
+    let rows = [];
+    const sent = [];
+    const telegram = {
+        sendMessageHTML: async (text, extra) => { sent.push({ text, extra }); return { success: true, message: { message_id: 1 } }; },
+        editMessage: async () => ({ success: true }),
+        pinMessage: async () => ({ success: true })
+    };
+    const market = createMarketService({ marketAlertCooldownMs: 0, marketHaltPolls: 3 }, telegram, {
+        getMarketStocks: async () => ({ data: rows }),
+        mapMarketRow: (r) => r
+    });
+    const hood = (close, volume) => stock('NASDAQ:HOOD', close, volume, { rvol_intraday_5m: 6, value_traded: 60_000_000, change_from_open: 8 });
+    const poll = async (i, row) => {
+        clock = T0 + i * 10 * SEC;
+        rows = [row, ...neighbours(i)];
+        await market.start();
+        await market.stop();
+    };
+    let details = null;
+    Date.now = () => clock;
+    console.log = () => { };
+    try {
+        await poll(0, hood(40, 1_000_000));
+        await poll(1, hood(41, 1_100_000));
+        await poll(2, hood(45, 1_300_000));
+        for (let i = 3; i <= 5; i++) await poll(i, hood(45, 1_300_000));
+        details = market.getDetails('NASDAQ:HOOD');
+        await poll(12, hood(41, 1_500_000));
+        await poll(13, hood(40.5, 1_600_000));
+    } finally {
+        Date.now = realNow;
+        console.log = realLog;
+    }
+    const halt = sent.find(s => s.text.includes('HALTED: HOOD'));
+    assert(halt?.extra.alert.category === ALERT_ROUTES.MARKET_HALTED && halt.text.includes('LULD-пауза ↑ (смуга 5%)'), 'HALTED alert with the LULD band, routed to market.halted');
+    const resume = sent.find(s => s.text.includes('RESUMED: HOOD'));
+    assert(resume?.extra.alert.category === ALERT_ROUTES.MARKET_RESUMED && resume.text.includes('1m 40s') && resume.text.includes('$45.00 → $41.00 (-8.9%)'), 'RESUMED alert with duration and gap');
+    assert(!sent.some(s => s.text.includes('Dropping')), 'No DUMP on the resume gap');
+    assert(details?.includes('⏸ Halted for 30s at $45'), 'Details show the halt');
+    assert(!sent.some(s => s.text.includes('N1') || s.text.includes('N2')), 'Untracked neighbours never alert');
+
+    assert(!validateConfig({ botToken: 'x', chatId: 1, marketHaltPolls: 0 }).isValid, 'MARKET_HALT_POLLS=0 rejected');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
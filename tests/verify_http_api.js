@@ -0,0 +1,157 @@
+/**
+ * 🧪 VERIFICATION: Local HTTP API
+ *
+ * Tests that:
+ * 1. /healthz reports Telegram reachability and TradingView data age (503 when degraded)
+ * 2. /state returns every service state with Maps / Sets serialized and timers dropped
+ * 3. /alerts lists alerts delivered through the alert gate, filtered by ?since=
+ * 4. /watchlist returns the Catalyst Sniper watchlist
+ * 5. HTTP_API_TOKEN protects everything but /healthz; unknown routes and methods are rejected
+ *    The server binds to loopback by default; a public HTTP_HOST requires HTTP_API_TOKEN
+ *
+ * Usage: node tests/verify_http_api.js
+ */
+import { createHttpApi, parseSince, toStateJson, TV_MAX_AGE_MS } from '../src/services/httpApi.js';
+import { createAlertLog } from '../src/services/alertLog.js';
+import { createAlertGate } from '../src/services/alertGate.js';
+import { createAlertOptions } from '../src/services/alertActions.js';
+import { ALERT_ROUTES } from '../src/services/alertRoutes.js';
+import { validateConfig } from '../src/config/validation.js';
+import { parseConfig } from '../src/config/index.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+// --- MOCKS ---
+let telegramOk = true;
+let pings = 0;
+const telegramService = {
+    ping: async () => { pings++; return telegramOk ? { ok: true, username: 'tvsrocks_bot' } : { ok: false, error: 'Unauthorized' }; },
+    sendMessage: async () => ({ success: true }),
+    sendMessageHTML: async () => ({ success: true }),
+    sendPhoto: async () => ({ success: true })
+};
+
+let tvStats = { requests: 12, errors: 1, rateLimited: 0, lastSuccessAt: Date.now() - 10_000 };
+let marketRunning = true;
+const timer = setInterval(() => { }, 60_000);
+const catalystScanner = {
+    getState: () => ({
+        isRunning: false,
+        watchlist: new Map([['NASDAQ:GAP', { gap: 35, preVol: 2_000_000, score: 220 }]]),
+        triggered: new Set(['NASDAQ:GAP']),
+        timer
+    })
+};
+const services = {
+    marketScanner: { getState: () => ({ isRunning: marketRunning, alertCount: 3, dashboardMessageId: 7 }) },
+    growthScanner: { getState: () => ({ isRunning: false, lastReportedChanges: new Map([['NASDAQ:A', 12.5]]) }) },
+    catalystScanner,
+    premarketDashboard: null
+};
+
+async function runTest() {
+    console.log('--- HTTP API VERIFICATION ---');
+    const realLog = console.log;
+    const alertLog = createAlertLog(3);
+    const api = createHttpApi({ httpPort: 0, httpHost: '127.0.0.1', httpApiToken: null }, {
+        telegramService, services, alertLog, catalystScanner, requestStats: () => tvStats
+    });
+    console.log = () => { };
+    const port = await api.start();
+    console.log = realLog;
+    const get = async (path, headers = {}) => {
+        const res = await fetch(`http://127.0.0.1:${port}${path}`, { headers });
+        return { status: res.status, body: await res.json() };
+    };
+
+    try {
+        // 1. Health
+        console.log('\nScenario 1: /healthz');
+        const healthy = await get('/healthz');
+        assert(healthy.status === 200 && healthy.body.status === 'ok' && healthy.body.telegram.username === 'tvsrocks_bot', 'Healthy: Telegram reachable');
+        assert(healthy.body.tradingView.ageMs >= 10_000 && healthy.body.tradingView.ageMs < 20_000 && healthy.body.tradingView.scanning, 'Age of the last TradingView fetch');
+        await get('/healthz');
+        assert(pings === 1, 'Telegram check cached between polls');
+        tvStats = { ...tvStats, lastSuccessAt: Date.now() - TV_MAX_AGE_MS - 1000 };
+        const stale = await get('/healthz');
+        assert(stale.status === 503 && stale.body.status === 'degraded' && !stale.body.tradingView.ok, 'Stale TradingView data while scanning → 503');
+        marketRunning = false;
+        assert((await get('/healthz')).status === 200, 'Stale data outside scanning hours is fine');
+
+        // 2. State
+        console.log('\nScenario 2: /state');
+        const state = await get('/state');
+        assert(state.body.services.marketScanner.alertCount === 3 && state.body.services.growthScanner.lastReportedChanges['NASDAQ:A'] === 12.5, 'Service states, Maps as objects');
+        assert(Array.isArray(state.body.services.catalystScanner.triggered) && !('timer' in state.body.services.catalystScanner), 'Sets as arrays, timers dropped');
+        assert(!('premarketDashboard' in state.body.services), 'Disabled services skipped');
+        assert(toStateJson({ m: new Map([[1, new Set(['x'])]]) }) === '{"m":{"1":["x"]}}', 'Nested Map / Set serialization');
+
+        // 3. Alerts
+        console.log('\nScenario 3: /alerts');
+        const gate = createAlertGate(telegramService, { isMuted: (symbol) => symbol === 'NASDAQ:MUTE' }, null, alertLog);
+        await gate.sendMessageHTML('<b>NEW ALERT: HOOD</b>', createAlertOptions('market', 'NASDAQ:HOOD', ALERT_ROUTES.MARKET_NEW, 40));
+        await gate.sendMessage('muted', createAlertOptions('market', 'NASDAQ:MUTE', ALERT_ROUTES.MARKET_NEW, 1));
+        await gate.sendMessage('status message');
+        const cutoff = Date.now();
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await gate.sendPhoto(Buffer.from('png'), 'RVOL caption', createAlertOptions('rvol', 'NYSE:X', ALERT_ROUTES.RVOL_NEW, 5));
+        const all = await get('/alerts');
+        assert(all.body.count === 2 && all.body.alerts[0].symbol === 'NASDAQ:HOOD' && all.body.alerts[0].category === 'market.new' && all.body.alerts[0].price === 40, 'Delivered alerts only (no muted, no status)');
+        assert(all.body.alerts[0].text.includes('NEW ALERT') && all.body.alerts[1].text === 'RVOL caption', 'Text and photo captions logged');
+        const recent = await get(`/alerts?since=${cutoff}`);
+        const iso = await get(`/alerts?since=${encodeURIComponent(new Date(cutoff).toISOString())}`);
+        assert(recent.body.count === 1 && recent.body.alerts[0].symbol === 'NYSE:X' && iso.body.count === 1, '?since= as epoch ms or ISO date');
+        assert((await get('/alerts?since=yesterday')).status === 400, 'Unparseable since → 400');
+        for (let i = 0; i < 3; i++) alertLog.record({ scanner: 'market', symbol: `NASDAQ:S${i}` });
+        assert(alertLog.size() === 3 && alertLog.list()[0].symbol === 'NASDAQ:S0', 'Log bounded, oldest dropped');
+        assert(parseSince(null) === 0 && parseSince('1700000000000') === 1_700_000_000_000, 'parseSince defaults and epoch');
+
+        // 4. Watchlist
+        console.log('\nScenario 4: /watchlist');
+        const watchlist = await get('/watchlist');
+        assert(watchlist.body.count === 1 && watchlist.body.watchlist[0].symbol === 'NASDAQ:GAP' && watchlist.body.watchlist[0].gap === 35, 'Watchlist entries');
+        assert(watchlist.body.triggered.join() === 'NASDAQ:GAP', 'Triggered symbols');
+
+        // 5. Routing and auth
+        console.log('\nScenario 5: Routing and token');
+        assert((await get('/nope')).status === 404, 'Unknown route → 404');
+        assert((await fetch(`http://127.0.0.1:${port}/state`, { method: 'POST' })).status === 405, 'POST → 405');
+        const secured = createHttpApi({ httpApiToken: 's3cret' }, { telegramService, services, alertLog, requestStats: () => tvStats });
+        assert((await secured.handle('GET', '/state'))[0] === 401, 'Token set: /state without it → 401');
+        assert((await secured.handle('GET', '/state', { authorization: 'Bearer s3cret' }))[0] === 200, 'Bearer token accepted');
+        assert((await secured.handle('GET', '/state', { authorization: 'Bearer s3creX' }))[0] === 401 &&
+            (await secured.handle('GET', '/state', { authorization: 'Bearer s3cret!' }))[0] === 401, 'Wrong or longer token → 401');
+        assert((await secured.handle('GET', '/healthz'))[0] === 200, '/healthz stays open');
+        assert(!validateConfig({ botToken: 'x', chatId: 1, httpPort: 70000 }).isValid && validateConfig({ botToken: 'x', chatId: 1, httpPort: 8080 }).isValid, 'HTTP_PORT validated');
+        delete process.env.HTTP_HOST;
+        assert(parseConfig().httpHost === '127.0.0.1', 'Binds to loopback by default');
+        const exposed = { botToken: 'x', chatId: 1, httpPort: 8080, httpHost: '0.0.0.0' };
+        assert(!validateConfig(exposed).isValid && validateConfig({ ...exposed, httpApiToken: 's3cret' }).isValid, 'Non-loopback host requires HTTP_API_TOKEN');
+        assert(validateConfig({ ...exposed, httpHost: 'localhost' }).isValid && validateConfig({ ...exposed, httpHost: '::1' }).isValid, 'Loopback hosts need no token');
+    } finally {
+        console.log = () => { };
+        await api.stop();
+        console.log = realLog;
+        clearInterval(timer);
+    }
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,158 @@
+/**
+ * 🧪 VERIFICATION: Intraday levels (premarket high / low, opening range, VWAP)
+ *
+ * Tests that:
+ * 1. The market scan carries premarket high / low
+ * 2. VWAP is approximated from the polls
+ * 3. Opening ranges come from the first 5 / 15 minutes of tracked bars
+ * 4. Level crossings fire once per crossing, with a band around VWAP
+ * 5. Shadow Velocity alerts PMH break / VWAP reclaim / VWAP loss and shows levels in every alert
+ *
+ * Usage: node tests/verify_levels.js
+ */
+import { TvScanner, SCREENER_COLUMNS } from '../src/services/tradingview.js';
+import { createBarHistory } from '../src/services/barHistory.js';
+import {
+    computeLevels,
+    createLevelTracker,
+    formatLevels,
+    getOpeningRange,
+    sessionOpenMs
+} from '../src/services/levels.js';
+import { createMarketService } from '../src/services/marketService.js';
+import { ALERT_ROUTES, routeEnvName } from '../src/services/alertRoutes.js';
+import { OUTCOME_STRATEGIES, directionalMove } from '../src/services/outcomeTracker.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+// 2025-01-15 09:30:00 ET
+const OPEN = Date.parse('2025-01-15T14:30:00Z');
+const SEC = 1000;
+const MIN = 60 * SEC;
+
+const row = (close, volume, extra = {}) => ({
+    symbol: 'NASDAQ:HOOD', close, volume, rvol_intraday_5m: 6, value_traded: 60_000_000, change_from_open: 8,
+    premarket_high: 41, premarket_low: 36, ...extra
+});
+
+async function runTest() {
+    console.log('--- LEVELS VERIFICATION ---');
+
+    // 1. Columns
+    console.log('\nScenario 1: Premarket high / low in the market scan');
+    const d = new Array(28).fill(0);
+    d[1] = 40; d[26] = 41.2; d[27] = 35.5;
+    const mapped = TvScanner.mapMarketRow({ s: 'NASDAQ:HOOD', d });
+    assert(SCREENER_COLUMNS.market[26] === 'premarket_high' && SCREENER_COLUMNS.market[27] === 'premarket_low', 'Columns requested');
+    assert(mapped.premarket_high === 41.2 && mapped.premarket_low === 35.5, 'Mapped from idx 26 / 27');
+
+    // 2. VWAP
+    console.log('\nScenario 2: VWAP from polls');
+    const history = createBarHistory();
+    history.record([row(10, 1000)], OPEN);
+    assert(history.getVwap('NASDAQ:HOOD') === 10, 'First poll seeds VWAP at its price');
+    history.record([row(12, 2000)], OPEN + 20 * SEC);
+    history.record([row(11, 2000)], OPEN + 40 * SEC);
+    assert(near(history.getVwap('NASDAQ:HOOD'), 11), 'Volume between polls priced at the later poll');
+    assert(history.getVwap('NASDAQ:NONE') === null, 'Untracked symbol → null');
+
+    // 3. Opening range
+    console.log('\nScenario 3: Opening range');
+    assert(sessionOpenMs(OPEN + 7 * MIN + 15 * SEC) === OPEN, '09:30 NY resolved from any time of the day');
+    const bars = Array.from({ length: 20 }, (_, i) => ({ time: OPEN + i * MIN, high: 20 + i, low: 19 - (i === 2 ? 3 : 0) }));
+    assert(getOpeningRange(bars, 5, OPEN + 3 * MIN) === null, 'Still forming → null');
+    const or5 = getOpeningRange(bars, 5, OPEN + 6 * MIN);
+    assert(or5.high === 24 && or5.low === 16, 'OR5 from 09:30–09:34 bars');
+    assert(getOpeningRange(bars, 15, OPEN + 30 * MIN).high === 34, 'OR15 from 09:30–09:44 bars');
+    assert(getOpeningRange(bars.slice(3), 5, OPEN + 30 * MIN) === null, 'Tracked after the open → no range');
+
+    const orHistory = createBarHistory();
+    for (let i = 0; i <= 16; i++) orHistory.record([row(40 + (i % 4), 1_000_000 + i * 1000)], OPEN + i * MIN);
+    const levels = computeLevels(row(42, 0), orHistory, OPEN + 16 * MIN);
+    assert(levels.premarketHigh === 41 && levels.openingRange[5].high === 43 && levels.openingRange[15].low === 40, 'Levels of a symbol');
+    const line = formatLevels(levels);
+    assert(line.startsWith('PMH $41.00 | PML $36.00 | OR5 $40.00–$43.00 | OR15 $40.00–$43.00 | VWAP $'), 'Level summary line');
+    assert(formatLevels(computeLevels({ symbol: 'NASDAQ:NONE', close: 5 }, orHistory, OPEN)) === '', 'No levels → empty summary');
+
+    // 4. Crossings
+    console.log('\nScenario 4: Level crossings');
+    const tracker = createLevelTracker(0.002);
+    const at = (close, vwap, pmh = 41) => tracker.detect({ symbol: 'NASDAQ:HOOD', close }, { premarketHigh: pmh, vwap });
+    assert(at(42, 40).length === 0, 'First poll above both levels → no event');
+    assert(at(40, 40).length === 0, 'Back under PMH, inside the VWAP band → no event');
+    assert(at(41.5, 40).join() === 'PMH', 'PMH break after trading below it');
+    assert(at(39.95, 40).length === 0 && at(39.8, 40).join() === 'VWAP_DOWN', 'VWAP loss only beyond the band');
+    assert(at(39.5, 40).length === 0 && at(40.2, 40).join() === 'VWAP_UP', 'VWAP reclaim once');
+    assert(at(40.5, null, null).length === 0, 'Unknown levels keep the previous sides');
+
+    // 5. Shadow Velocity alerts
+    console.log('\nScenario 5: Level alerts in Shadow Velocity');
+    const realNow = Date.now;
+    const realLog = console.log;
+    let clock = OPEN;
+    let rows = [];
+    const sent = [];
+    const telegram = {
+        sendMessageHTML: async (text, extra) => { sent.push({ text, extra }); return { success: true, message: { message_id: 1 } }; },
+        editMessage: async () => ({ success: true }),
+        pinMessage: async () => ({ success: true })
+    };
+    const market = createMarketService({ marketAlertCooldownMs: 300_000 }, telegram, {
+        getMarketStocks: async () => ({ data: rows }),
+        mapMarketRow: (r) => r
+    });
+    const poll = async (close, volume, time) => {
+        clock = time;
+        rows = [row(close, volume)];
+        await market.start();
+        await market.stop();
+    };
+    const find = (title) => sent.filter(s => s.text.includes(title));
+    Date.now = () => clock;
+    console.log = () => { };
+    try {
+        await poll(40, 1_000_000, OPEN);
+        await poll(42, 1_100_000, OPEN + 20 * SEC);
+        await poll(39, 1_400_000, OPEN + 40 * SEC);
+        await poll(41.5, 1_500_000, OPEN + 60 * SEC);
+    } finally {
+        Date.now = realNow;
+        console.log = realLog;
+    }
+    const newAlert = find('NEW ALERT')[0];
+    assert(newAlert?.text.includes('📐 PMH $41.00 | PML $36.00 | VWAP $40.00'), 'NEW alert shows the levels');
+    const pmh = find('Premarket High Break');
+    assert(pmh.length === 1 && pmh[0].extra.alert.category === ALERT_ROUTES.MARKET_PMH, 'PMH break alerted once (cooldown), routed to market.pmh');
+    const lost = find('VWAP Lost');
+    assert(lost.length === 1 && lost[0].extra.alert.category === ALERT_ROUTES.MARKET_VWAP_DOWN && lost[0].text.includes('VWAP $39.93'), 'VWAP loss alerted');
+    const reclaim = find('VWAP Reclaim');
+    assert(reclaim.length === 1 && reclaim[0].extra.alert.category === ALERT_ROUTES.MARKET_VWAP_UP, 'VWAP reclaim alerted');
+    assert(find('Dropping')[0]?.text.includes('📐 PMH'), 'DUMP alert shows the levels');
+    assert(market.getDetails('NASDAQ:HOOD').includes('Levels: PMH $41.00'), 'Details show the levels');
+
+    assert(routeEnvName(ALERT_ROUTES.MARKET_VWAP_UP) === 'ROUTE_MARKET_VWAP_UP', 'Routable via ROUTE_MARKET_VWAP_UP');
+    assert(OUTCOME_STRATEGIES[ALERT_ROUTES.MARKET_PMH] === 'PMH', 'PMH outcomes tracked');
+    assert(directionalMove({ strategy: 'VWAP_DOWN', price: 40 }, 39) === 2.5, 'VWAP loss scored as a short');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,157 @@
+/**
+ * 🧪 VERIFICATION: Structured logging
+ *
+ * Tests that:
+ * 1. Levels follow LOG_LEVEL with per-component overrides (DEBUG reachable)
+ * 2. JSON lines carry ISO / NY time, component, phase and scan / correlation IDs
+ * 3. The file sink writes JSON lines and rotates by size
+ * 4. The TradingView client and hof.js log through the shared logger
+ * 5. LOG_* env vars are parsed and validated
+ *
+ * Usage: node tests/verify_logging.js
+ */
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createLogger, configureLogging, closeLogging, setLogContext, withLogContext } from '../src/core/logger.js';
+import { timeScan } from '../src/core/metrics.js';
+import { withRetry } from '../src/core/utils/hof.js';
+import { TvScanner } from '../src/services/tradingview.js';
+import { parseConfig } from '../src/config/index.js';
+import { validateConfig } from '../src/config/validation.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const realConsole = { log: console.log, warn: console.warn, error: console.error };
+
+/** Runs fn with console output captured */
+const capture = async (fn) => {
+    const lines = [];
+    console.log = console.warn = console.error = (line) => lines.push(String(line));
+    try {
+        await fn();
+    } finally {
+        Object.assign(console, realConsole);
+    }
+    return lines;
+};
+
+async function runTest() {
+    console.log('--- LOGGING VERIFICATION ---');
+    const logger = createLogger();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvsrocks-logs-'));
+
+    try {
+        // 1. Levels
+        console.log('\nScenario 1: Levels');
+        let lines = await capture(() => {
+            logger.debug('MarketScanner', 'hidden');
+            logger.info('MarketScanner', 'shown', { alpha: 3 });
+        });
+        assert(lines.length === 1 && /^\[\d{2}:\d{2}:\d{2}\] \[INFO\] \[MarketScanner\] shown \{"alpha":3\}$/.test(lines[0]), 'Default: INFO text lines, DEBUG dropped');
+        configureLogging({ level: 'WARN', componentLevels: { MarketScanner: 'DEBUG' } });
+        lines = await capture(() => {
+            logger.debug('marketscanner', 'debug now visible');
+            logger.info('Orchestrator', 'below WARN');
+            logger.warn('Orchestrator', 'warned');
+        });
+        assert(lines.length === 2 && lines[0].includes('debug now visible') && lines[1].includes('warned'), 'Per-component level (case-insensitive) over the default');
+        lines = await capture(() => createLogger('ERROR').warn('MarketScanner', 'fixed level'));
+        assert(lines.length === 0, 'Explicit createLogger level still wins');
+
+        // 2. JSON lines and context
+        console.log('\nScenario 2: JSON lines');
+        configureLogging({ format: 'json' });
+        setLogContext({ phase: 'market' });
+        lines = await capture(async () => {
+            await timeScan('market', async () => {
+                logger.info('MarketScanner', 'scan start');
+                await new Promise(resolve => setTimeout(resolve, 1));
+                logger.error('MarketScanner', 'scan failed', { error: new Error('boom'), msg: 'ignored' });
+            })();
+            await timeScan('market', async () => logger.info('MarketScanner', 'next scan'))();
+            withLogContext({ correlationId: 'http-1' }, () => logger.info('HttpApi', 'request'));
+            logger.info('App', 'outside');
+        });
+        const records = lines.map(line => JSON.parse(line));
+        const [start, failure, next, request, outside] = records;
+        assert(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(start.ts) && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(start.ny), 'ISO and NY timestamps');
+        assert(start.ny !== start.ts.slice(0, 19).replace('T', ' '), 'NY time differs from UTC');
+        assert(start.level === 'INFO' && start.component === 'MarketScanner' && start.phase === 'market' && start.msg === 'scan start', 'Level, component, phase, message');
+        assert(start.scanner === 'market' && /^market-[0-9a-f]{8}$/.test(start.scanId) && failure.scanId === start.scanId, 'Scan ID kept across awaits of one pass');
+        assert(next.scanId !== start.scanId, 'Every pass gets its own scan ID');
+        assert(failure.error === 'boom' && failure.msg === 'scan failed', 'Extra fields merged, errors as messages, fixed fields win');
+        assert(request.correlationId === 'http-1' && !('scanId' in request) && !('correlationId' in outside), 'Correlation ID scoped to its call tree');
+        setLogContext({ phase: undefined });
+        lines = await capture(() => logger.info('App', 'no phase'));
+        assert(!('phase' in JSON.parse(lines[0])), 'Context field removed');
+
+        // 3. File sink
+        console.log('\nScenario 3: Rotating file');
+        const file = path.join(tmpDir, 'nested', 'app.log');
+        configureLogging({ file, fileMaxBytes: 400, fileMaxFiles: 2 });
+        lines = await capture(() => {
+            for (let i = 0; i < 12; i++) logger.info('Rotation', `line ${i}`, { i });
+        });
+        closeLogging();
+        assert(lines.length === 12 && lines[0].startsWith('['), 'Console keeps the text format');
+        const fileLines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert(fileLines.at(-1).msg === 'line 11' && fileLines.at(-1).i === 11, 'File gets JSON lines');
+        assert(fs.existsSync(`${file}.1`) && fs.existsSync(`${file}.2`) && !fs.existsSync(`${file}.3`), 'Rotated, only two old files kept');
+        assert([file, `${file}.1`, `${file}.2`].every(f => fs.statSync(f).size <= 400), 'Files stay under the size limit');
+
+        // 4. TradingView client and hof.js
+        console.log('\nScenario 4: TradingView and hof.js');
+        configureLogging({ format: 'json', componentLevels: { TV: 'WARN' } });
+        const realFetch = globalThis.fetch;
+        globalThis.fetch = async () => ({ ok: false, status: 403, text: async () => 'Forbidden' });
+        lines = await capture(() => TvScanner.getMarketStocks({}).catch(() => { }));
+        globalThis.fetch = realFetch;
+        const tv = lines.map(line => JSON.parse(line));
+        assert(tv.length > 0 && tv.every(r => r.component === 'TV' && r.level === 'ERROR'), 'TV lines through the logger, TV=warn drops requests');
+        assert(tv.some(r => r.msg.includes('Forbidden (403)')), 'Status diagnostics kept');
+        let calls = 0;
+        lines = await capture(() => withRetry(async () => { if (++calls === 1) throw new Error('flaky'); return 'ok'; }, 1)());
+        const retry = JSON.parse(lines[0]);
+        assert(retry.component === 'Hof' && retry.level === 'WARN' && retry.msg.includes('flaky'), 'withRetry warns through the logger');
+        configureLogging();
+
+        // 5. Config
+        console.log('\nScenario 5: Config');
+        const env = { ...process.env };
+        Object.assign(process.env, { LOG_LEVEL: 'debug', LOG_LEVELS: 'TV=warn, MarketScanner=Debug', LOG_FORMAT: 'JSON', LOG_FILE: file, LOG_FILE_MAX_MB: '2' });
+        const { logging } = parseConfig();
+        process.env = env;
+        assert(logging.level === 'DEBUG' && logging.componentLevels.TV === 'WARN' && logging.componentLevels.MarketScanner === 'DEBUG', 'LOG_LEVEL and LOG_LEVELS parsed');
+        assert(logging.format === 'json' && logging.file === file && logging.fileMaxBytes === 2 * 1024 * 1024 && logging.fileMaxFiles === 5, 'Format and file settings');
+        const base = { botToken: 'x', chatId: 1 };
+        assert(validateConfig({ ...base, logging }).isValid, 'Valid logging config');
+        assert(!validateConfig({ ...base, logging: { ...logging, componentLevels: { TV: 'LOUD' } } }).isValid, 'Unknown component level rejected');
+        assert(!validateConfig({ ...base, logging: { ...logging, format: 'xml' } }).isValid, 'Unknown format rejected');
+    } finally {
+        Object.assign(console, realConsole);
+        configureLogging();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    Object.assign(console, realConsole);
+    console.error(e);
+    process.exit(1);
+});
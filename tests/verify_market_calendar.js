@@ -0,0 +1,105 @@
+/**
+ * 🧪 VERIFICATION: NYSE trading calendar
+ *
+ * Tests that:
+ * 1. Full holidays match the published NYSE schedule (2025-2027)
+ * 2. 13:00 early closes are detected (July 3, Black Friday, Christmas Eve)
+ * 3. Weekend-observed holidays shift correctly (2027 Christmas, 2028 New Year)
+ * 4. Orchestrator keeps scanners off on a holiday and posts one "closed" notice
+ *
+ * Usage: node tests/verify_market_calendar.js
+ */
+import { getMarketHolidays, getEarlyCloses, getTradingDayInfo } from '../src/core/utils/calendar.js';
+import { createOrchestrator } from '../src/core/orchestrator.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const sameDates = (map, expected) =>
+    JSON.stringify([...map.keys()].sort()) === JSON.stringify([...expected].sort());
+
+async function runTest() {
+    console.log('--- MARKET CALENDAR VERIFICATION ---');
+
+    // 1. Published holiday schedules
+    console.log('\nScenario 1: Full holidays');
+    assert(sameDates(getMarketHolidays(2025), [
+        '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+        '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25'
+    ]), '2025 holidays match NYSE schedule');
+    assert(sameDates(getMarketHolidays(2026), [
+        '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25',
+        '2026-06-19', '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25'
+    ]), '2026 holidays match NYSE schedule (July 4 observed Fri July 3)');
+
+    // 2. Early closes
+    console.log('\nScenario 2: Early closes');
+    assert(sameDates(getEarlyCloses(2025), ['2025-07-03', '2025-11-28', '2025-12-24']), '2025 early closes');
+    assert(sameDates(getEarlyCloses(2026), ['2026-11-27', '2026-12-24']), '2026 early closes (no July 2)');
+    const blackFriday = getTradingDayInfo('2026-11-27');
+    assert(blackFriday.isTradingDay && blackFriday.isEarlyClose && blackFriday.close === '13:00', 'Black Friday closes at 13:00');
+    assert(getTradingDayInfo('2026-11-30').close === '16:00', 'Regular Monday closes at 16:00');
+
+    // 3. Observed-date edge cases
+    console.log('\nScenario 3: Weekend-observed holidays');
+    assert(getTradingDayInfo('2027-12-24').isHoliday, '2027 Christmas (Sat) observed Fri Dec 24');
+    assert(getTradingDayInfo('2027-12-31').isTradingDay, '2028 New Year (Sat) not observed on Fri Dec 31');
+    assert(getTradingDayInfo('2027-06-18').isHoliday, '2027 Juneteenth (Sat) observed Fri June 18');
+    assert(!getTradingDayInfo('2026-11-28').isHoliday && !getTradingDayInfo('2026-11-28').isTradingDay, 'Saturday is weekend, not holiday');
+
+    // 4. Orchestrator on Thanksgiving
+    console.log('\nScenario 4: Orchestrator on a holiday');
+    let growthStarted = false;
+    let marketStarted = false;
+    const growthScanner = {
+        start: async () => { growthStarted = true; },
+        stop: async () => { },
+        getState: () => ({ isRunning: growthStarted })
+    };
+    const marketScanner = {
+        start: async () => { marketStarted = true; },
+        stop: async () => { },
+        getState: () => ({ isRunning: marketStarted })
+    };
+    const notices = [];
+    const telegramService = { sendMessage: async (msg) => { notices.push(msg); return { success: true }; } };
+
+    const orchestrator = createOrchestrator(
+        { premarketHours: { start: '04:00', end: '09:30' }, timeouts: { gatekeeperIntervalMs: 50 } },
+        { growthScanner, marketScanner },
+        {
+            getTradingDay: () => getTradingDayInfo('2026-11-26'),
+            getNYTime: () => ({ hhmm: '05:00', weekday: 'Thu' }),
+            isPremarketTime: () => true,
+            isMarketNow: () => true
+        },
+        telegramService
+    );
+
+    orchestrator.start();
+    await new Promise(r => setTimeout(r, 200));
+    await orchestrator.stop();
+
+    assert(!growthStarted && !marketStarted, 'No scanner started on Thanksgiving');
+    assert(notices.length === 1, `Exactly one "closed" notice posted (got ${notices.length})`);
+    assert(notices[0]?.includes('Thanksgiving'), 'Notice names the holiday');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -3,10 +3,10 @@
  * 
  * Tests that:
  * 1. Premarket scanner still works correctly with mock data
- * 2. rvolService stub export is functional (start/stop/getState)
- * 3. Orchestrator runs only growthScanner, ignores RVOL
- * 4. TvScanner export only has premarket methods
- * 5. Config no longer has RVOL fields
+ * 2. rvolService is a real service again (start/stop/getState; see verify_rvol_scanner.js)
+ * 3. Orchestrator runs with only growthScanner registered
+ * 4. TvScanner exports the premarket methods and the RVOL surge query
+ * 5. Config has the RVOL fields
  */
 import { createOrchestrator } from '../src/core/orchestrator.js';
 import { createScanner } from '../src/services/scanner.js';
@@ -94,44 +94,47 @@ async function runTests() {
     console.log('── TEST 1: TvScanner exports ──');
     assert(typeof TvScanner.getStocks10 === 'function', 'getStocks10 is exported');
     assert(typeof TvScanner.mapRow === 'function', 'mapRow is exported');
-    assert(TvScanner.getRvolSurgeStocks === undefined, 'getRvolSurgeStocks is NOT exported (disabled)');
-    assert(TvScanner.mapRvolRow === undefined, 'mapRvolRow is NOT exported (disabled)');
-
-    // ── TEST 2: rvolService stub ─────────────────────────────
-    console.log('\n── TEST 2: rvolService stub ──');
-    const rvolStub = createRvolService();
-    assert(typeof rvolStub.start === 'function', 'stub has start()');
-    assert(typeof rvolStub.stop === 'function', 'stub has stop()');
-    assert(typeof rvolStub.getState === 'function', 'stub has getState()');
-
-    const rvolState = rvolStub.getState();
-    assert(rvolState.isRunning === false, 'stub isRunning = false');
-    assert(rvolState.lastTotalCount === 0, 'stub lastTotalCount = 0');
-    assert(Array.isArray(rvolState.lastTickers), 'stub lastTickers is array');
-    assert(rvolState.alertCount === 0, 'stub alertCount = 0');
-
-    // start/stop should not throw
-    await rvolStub.start();
-    rvolStub.stop();
-    assert(true, 'stub start/stop did not throw');
-
-    // ── TEST 3: Config (no RVOL fields) ──────────────────────
+    assert(typeof TvScanner.getRvolSurgeStocks === 'function', 'getRvolSurgeStocks is exported (RVOL surge scanner)');
+    assert(typeof TvScanner.mapMarketRow === 'function', 'mapMarketRow is exported (RVOL rows use market columns)');
+
+    // ── TEST 2: rvolService ──────────────────────────────────
+    console.log('\n── TEST 2: rvolService ──');
+    const rvolService = createRvolService({ rvolIntervalMs: 60000 }, telegramService, {
+        getRvolSurgeStocks: async () => ({ data: [], totalCount: 0 }),
+        mapMarketRow: TvScanner.mapMarketRow
+    });
+    assert(typeof rvolService.start === 'function', 'service has start()');
+    assert(typeof rvolService.stop === 'function', 'service has stop()');
+    assert(typeof rvolService.getState === 'function', 'service has getState()');
+
+    const rvolState = rvolService.getState();
+    assert(rvolState.isRunning === false, 'isRunning = false before start');
+    assert(rvolState.lastTotalCount === 0, 'lastTotalCount = 0');
+    assert(Array.isArray(rvolState.lastTickers), 'lastTickers is array');
+    assert(rvolState.alertCount === 0, 'alertCount = 0');
+
+    await rvolService.start();
+    assert(rvolService.getState().isRunning === true, 'start() runs the scanner');
+    await rvolService.stop();
+    assert(rvolService.getState().isRunning === false, 'stop() stops it');
+
+    // ── TEST 3: Config (RVOL fields) ─────────────────────────
     console.log('\n── TEST 3: Config validation ──');
     try {
         const parsedConfig = parseConfig();
         assert(parsedConfig.premarketThreshold !== undefined, 'premarketThreshold exists in config');
         assert(parsedConfig.scanIntervalMs !== undefined, 'scanIntervalMs exists in config');
         assert(parsedConfig.premarketAlertStep !== undefined, 'premarketAlertStep exists in config');
-        assert(parsedConfig.rvolThreshold === undefined, 'rvolThreshold is NOT in config (disabled)');
-        assert(parsedConfig.rvolIntervalMs === undefined, 'rvolIntervalMs is NOT in config (disabled)');
-        assert(parsedConfig.rvolAlertStep === undefined, 'rvolAlertStep is NOT in config (disabled)');
+        assert(parsedConfig.rvolThreshold > 0, 'rvolThreshold is in config');
+        assert(parsedConfig.rvolIntervalMs > 0, 'rvolIntervalMs is in config');
+        assert(parsedConfig.rvolAlertStep > 0, 'rvolAlertStep is in config');
     } catch (e) {
-        // parseConfig may fail without .env — test still valid if RVOL fields missing
+        // parseConfig may fail without .env
         console.log('  ⚠️  parseConfig threw (likely missing .env), skipping config field checks');
     }
 
     // ── TEST 4: Orchestrator (only premarket, no RVOL) ───────
-    console.log('\n── TEST 4: Orchestrator without RVOL ──');
+    console.log('\n── TEST 4: Orchestrator with only the Growth Scanner ──');
     let growthRunning = false;
     const mockGrowthScanner = {
         start: async () => { growthRunning = true; },
@@ -144,7 +147,7 @@ async function runTests() {
         isPremarketTime: () => mockTime.inPremarket
     };
 
-    // Orchestrator should work with only growthScanner (no rvolScanner)
+    // Orchestrator should work with only growthScanner (services are optional)
     const orchestrator = createOrchestrator(
         config,
         { growthScanner: mockGrowthScanner },
@@ -231,7 +234,7 @@ async function runTests() {
     console.log(`\n${'═'.repeat(50)}`);
     console.log(`🏁 RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
     if (failed === 0) {
-        console.log('🎉 ALL TESTS PASSED — Premarket scanner works, Market scanner cleanly disabled');
+        console.log('🎉 ALL TESTS PASSED — Premarket scanner works, RVOL scanner wired');
     } else {
         console.log('⚠️  Some tests failed! Review output above.');
     }
@@ -0,0 +1,180 @@
+/**
+ * 🧪 VERIFICATION: Prometheus metrics
+ *
+ * Tests that:
+ * 1. The registry renders counters and cumulative histogram buckets in the text format
+ * 2. TradingView fetches record status, attempt duration and attempts per call
+ * 3. Telegram sends / pins are counted by method and outcome
+ * 4. Scan passes are timed per scanner
+ * 5. Alerts are counted by scanner, trigger type and outcome; /metrics serves the text
+ *
+ * Usage: node tests/verify_metrics.js
+ */
+import { Telegram } from 'telegraf';
+import { createMetricsRegistry, metrics, timeScan } from '../src/core/metrics.js';
+import { TvScanner } from '../src/services/tradingview.js';
+import { createTelegramService } from '../src/services/telegram.js';
+import { createAlertGate } from '../src/services/alertGate.js';
+import { createAlertOptions } from '../src/services/alertActions.js';
+import { ALERT_ROUTES } from '../src/services/alertRoutes.js';
+import { createHttpApi } from '../src/services/httpApi.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+/** Value of one exposition line, e.g. sample(text, 'x_total{a="b"}') */
+const sample = (text, series) => {
+    const line = text.split('\n').find(l => l.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : null;
+};
+
+async function runTest() {
+    console.log('--- METRICS VERIFICATION ---');
+    const realLog = console.log;
+    const realError = console.error;
+
+    // 1. Registry
+    console.log('\nScenario 1: Registry and text format');
+    const registry = createMetricsRegistry();
+    const hits = registry.counter('test_hits_total', 'Hits', ['route']);
+    hits.inc({ route: '/a' });
+    hits.inc({ route: '/a' }, 2);
+    hits.inc({ route: 'say "hi"' });
+    const latency = registry.histogram('test_latency_seconds', 'Latency', [], [0.1, 1]);
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+    latency.observe({}, 3);
+    const text = registry.render();
+    assert(text.includes('# HELP test_hits_total Hits\n# TYPE test_hits_total counter'), 'HELP and TYPE lines');
+    assert(sample(text, 'test_hits_total{route="/a"}') === 3 && text.includes('route="say \\"hi\\""'), 'Counter per label set, quotes escaped');
+    assert(sample(text, 'test_latency_seconds_bucket{le="0.1"}') === 1 && sample(text, 'test_latency_seconds_bucket{le="1"}') === 2 &&
+        sample(text, 'test_latency_seconds_bucket{le="+Inf"}') === 3, 'Cumulative buckets up to +Inf');
+    assert(sample(text, 'test_latency_seconds_sum') === 3.55 && sample(text, 'test_latency_seconds_count') === 3, 'Sum and count');
+    assert(registry.counter('test_hits_total', 'Hits', ['route']) && (() => {
+        try { registry.histogram('test_hits_total', 'Hits'); return false; } catch { return true; }
+    })(), 'Re-declaring is idempotent, a type clash throws');
+    registry.reset();
+    assert(!registry.render().includes('test_hits_total{'), 'reset() clears values');
+
+    // 2. TradingView
+    console.log('\nScenario 2: TradingView fetches');
+    metrics.reset();
+    const realFetch = globalThis.fetch;
+    const responses = [[429, 'Too Many Requests'], [200, JSON.stringify({ totalCount: 0, data: [] })]];
+    globalThis.fetch = async () => {
+        const [status, body] = responses.shift();
+        return { ok: status < 400, status, text: async () => body };
+    };
+    console.log = () => { };
+    console.error = () => { };
+    try {
+        await TvScanner.getMarketStocks({});
+    } finally {
+        globalThis.fetch = realFetch;
+        console.log = realLog;
+        console.error = realError;
+    }
+    let exposed = metrics.render();
+    assert(sample(exposed, 'tvsrocks_tv_requests_total{scan="market",status="429"}') === 1 &&
+        sample(exposed, 'tvsrocks_tv_requests_total{scan="market",status="200"}') === 1, 'Every attempt counted by status');
+    assert(sample(exposed, 'tvsrocks_tv_fetch_attempts_bucket{scan="market",outcome="success",le="1"}') === 0 &&
+        sample(exposed, 'tvsrocks_tv_fetch_attempts_bucket{scan="market",outcome="success",le="2"}') === 1, 'Two attempts for one fetch');
+    assert(sample(exposed, 'tvsrocks_tv_request_duration_seconds_sum{scan="market",status="429"}') < 0.5, 'Retry backoff not counted as request time');
+
+    // 3. Telegram
+    console.log('\nScenario 3: Telegram calls');
+    const realSend = Telegram.prototype.sendMessage;
+    const realPin = Telegram.prototype.pinChatMessage;
+    let sendOk = true;
+    Telegram.prototype.sendMessage = async () => {
+        if (!sendOk) throw Object.assign(new Error('Forbidden'), { response: { error_code: 403, description: 'Forbidden' } });
+        return { message_id: 1, chat: { id: 1 } };
+    };
+    Telegram.prototype.pinChatMessage = async () => true;
+    console.log = () => { };
+    console.error = () => { };
+    try {
+        const telegram = createTelegramService({ botToken: '123:abc', chatId: 1, retry: { maxAttempts: 1 } });
+        await telegram.sendMessage('hello');
+        sendOk = false;
+        await telegram.sendMessage('hello again');
+        await telegram.pinMessage(1);
+    } finally {
+        Telegram.prototype.sendMessage = realSend;
+        Telegram.prototype.pinChatMessage = realPin;
+        console.log = realLog;
+        console.error = realError;
+    }
+    exposed = metrics.render();
+    assert(sample(exposed, 'tvsrocks_telegram_calls_total{method="sendMessage",outcome="success"}') === 1 &&
+        sample(exposed, 'tvsrocks_telegram_calls_total{method="sendMessage",outcome="failure"}') === 1, 'Sends by outcome');
+    assert(sample(exposed, 'tvsrocks_telegram_calls_total{method="pinMessage",outcome="success"}') === 1, 'Pins counted');
+    assert(sample(exposed, 'tvsrocks_telegram_call_duration_seconds_count{method="sendMessage"}') === 2, 'Call durations observed');
+
+    // 4. Scan duration
+    console.log('\nScenario 4: Scan duration');
+    const scan = timeScan('rvol', async () => { await new Promise(resolve => setTimeout(resolve, 20)); return 'done'; });
+    const result = await scan();
+    await timeScan('rvol', async () => { throw new Error('boom'); })().catch(() => { });
+    exposed = metrics.render();
+    assert(result === 'done' && sample(exposed, 'tvsrocks_scan_duration_seconds_count{scanner="rvol"}') === 2, 'Timed, result passed through, failures included');
+    assert(sample(exposed, 'tvsrocks_scan_duration_seconds_sum{scanner="rvol"}') >= 0.015, 'Elapsed seconds recorded');
+
+    // 5. Alerts and /metrics
+    console.log('\nScenario 5: Alerts and /metrics');
+    let delivered = true;
+    const gate = createAlertGate({
+        sendMessageHTML: async () => ({ success: delivered }),
+        sendPhoto: async () => ({ success: true })
+    }, { isMuted: (symbol) => symbol === 'NASDAQ:MUTE' });
+    await gate.sendMessageHTML('pump', createAlertOptions('market', 'NASDAQ:HOOD', ALERT_ROUTES.MARKET_PUMP, 40));
+    await gate.sendMessageHTML('pump', createAlertOptions('market', 'NASDAQ:AMD', ALERT_ROUTES.MARKET_PUMP, 150));
+    await gate.sendMessageHTML('muted', createAlertOptions('market', 'NASDAQ:MUTE', ALERT_ROUTES.MARKET_NEW, 1));
+    await gate.sendPhoto(Buffer.from('png'), 'rvol', createAlertOptions('rvol', 'NYSE:X', ALERT_ROUTES.RVOL_NEW, 5));
+    delivered = false;
+    await gate.sendMessageHTML('pump', createAlertOptions('market', 'NASDAQ:HOOD', ALERT_ROUTES.MARKET_PUMP, 41));
+    await gate.sendMessageHTML('status message');
+    exposed = metrics.render();
+    assert(sample(exposed, 'tvsrocks_alerts_total{scanner="market",trigger="pump",outcome="delivered"}') === 2, 'Delivered alerts by scanner and trigger');
+    assert(sample(exposed, 'tvsrocks_alerts_total{scanner="market",trigger="new",outcome="muted"}') === 1 &&
+        sample(exposed, 'tvsrocks_alerts_total{scanner="market",trigger="pump",outcome="failed"}') === 1, 'Muted and failed alerts');
+    assert(sample(exposed, 'tvsrocks_alerts_total{scanner="rvol",trigger="new",outcome="delivered"}') === 1, 'Photo alerts counted');
+    assert(!exposed.includes('scanner=""'), 'Status messages not counted');
+
+    const api = createHttpApi({ httpPort: 0, httpHost: '127.0.0.1', httpApiToken: 's3cret' }, {
+        telegramService: { ping: async () => ({ ok: true }) }, services: {}
+    });
+    console.log = () => { };
+    const port = await api.start();
+    console.log = realLog;
+    try {
+        const res = await fetch(`http://127.0.0.1:${port}/metrics`, { headers: { authorization: 'Bearer s3cret' } });
+        const body = await res.text();
+        assert(res.status === 200 && res.headers.get('content-type').startsWith('text/plain; version=0.0.4'), '/metrics served as Prometheus text');
+        assert(body.includes('# TYPE tvsrocks_alerts_total counter') && body.includes('tvsrocks_tv_requests_total{'), 'All modules in one exposition');
+        assert((await fetch(`http://127.0.0.1:${port}/metrics`)).status === 401, '/metrics behind HTTP_API_TOKEN');
+    } finally {
+        console.log = () => { };
+        await api.stop();
+        console.log = realLog;
+    }
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
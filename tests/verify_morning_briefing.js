@@ -0,0 +1,158 @@
+/**
+ * 🧪 VERIFICATION: Premarket morning briefing
+ *
+ * Tests that:
+ * 1. The Growth Scanner keeps its latest premarket snapshot (with premarket high)
+ * 2. Catalyst watchlist entries keep gap/score but refresh price, high, volume and float
+ * 3. Gappers up/down are ranked by premarket dollar volume; the watchlist by score
+ * 4. The briefing is posted on its route and pinned, once per day
+ * 5. The orchestrator posts it inside the 09:25–09:30 window only
+ *
+ * Usage: node tests/verify_morning_briefing.js
+ */
+import { createScanner } from '../src/services/scanner.js';
+import { createCatalystService } from '../src/services/catalystService.js';
+import { createMorningBriefing, buildBriefing, formatBriefingHtml } from '../src/services/morningBriefing.js';
+import { ALERT_ROUTES } from '../src/services/alertRoutes.js';
+import { TvScanner } from '../src/services/tradingview.js';
+import { createOrchestrator } from '../src/core/orchestrator.js';
+import { DEFAULT_SCHEDULE } from '../src/core/utils/index.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/** Premarket row in TradingView column order (see COLUMNS_PREMARKET) */
+const premarketRow = (symbol, { gap, volume, price, high, float }) => {
+    const d = new Array(24).fill(0);
+    d[1] = gap;
+    d[2] = float;
+    d[11] = volume;
+    d[21] = price;
+    d[23] = high;
+    return { s: symbol, d };
+};
+
+// --- MOCKS ---
+const sent = [];
+const pins = [];
+const telegram = {
+    sendMessage: async (text, extra) => { sent.push({ text, extra }); return { success: true, message: { message_id: 1 } }; },
+    // Briefing routed to one chat that is not CHAT_ID
+    sendMessageHTML: async (text, extra) => {
+        sent.push({ text, extra });
+        return { success: true, message: { message_id: 77, chat: { id: -1005 } }, deliveries: [{ chatId: -1005, messageId: 77 }] };
+    },
+    pinMessage: async (ref) => { pins.push(ref); return { success: true }; }
+};
+
+async function runTest() {
+    console.log('--- MORNING BRIEFING VERIFICATION ---');
+    const realLog = console.log;
+    const quiet = () => { console.log = () => { }; };
+    const loud = () => { console.log = realLog; };
+
+    // 1. Growth Scanner snapshot
+    console.log('\nScenario 1: Growth Scanner snapshot');
+    const growthRows = [
+        premarketRow('NASDAQ:SMAL', { gap: 40, volume: 600_000, price: 3, high: 3.4, float: 5_000_000 }),
+        premarketRow('NASDAQ:BIG', { gap: 12, volume: 2_000_000, price: 50, high: 52.5, float: 80_000_000 })
+    ];
+    const growthScanner = createScanner(
+        { retry: { maxAttempts: 1 }, premarketAlertStep: 1, scanIntervalMs: 60_000, sendOnStartup: false },
+        telegram,
+        { ...TvScanner, getStocks10: async () => ({ data: growthRows, totalCount: growthRows.length }) }
+    );
+    quiet();
+    await growthScanner.start();
+    await growthScanner.stop();
+    loud();
+    const snapshot = growthScanner.getState().lastStocks;
+    assert(snapshot.length === 2 && snapshot[1].premarket_high === 52.5, 'Latest rows kept with premarket_high');
+
+    // 2. Catalyst watchlist refresh
+    console.log('\nScenario 2: Catalyst watchlist refresh');
+    let setupRows = [
+        premarketRow('NASDAQ:BIG', { gap: 12, volume: 1_000_000, price: 49, high: 50, float: 80_000_000 }),
+        premarketRow('NYSE:DROP', { gap: -15, volume: 3_000_000, price: 20, high: 23, float: 40_000_000 }),
+        premarketRow('NYSE:DIP', { gap: -9, volume: 800_000, price: 10, high: 11, float: 0 })
+    ];
+    const catalystScanner = createCatalystService({ catalystWatchlistIntervalMs: 30 }, telegram, {
+        ...TvScanner,
+        getCatalystSetupStocks: async () => ({ data: setupRows })
+    });
+    quiet();
+    await catalystScanner.start('watchlist');
+    await sleep(10);
+    const firstScore = catalystScanner.getState().watchlist.get('NYSE:DROP').score;
+    setupRows[1] = premarketRow('NYSE:DROP', { gap: -5, volume: 4_000_000, price: 21, high: 23.5, float: 40_000_000 });
+    await sleep(50);
+    loud();
+    const drop = catalystScanner.getState().watchlist.get('NYSE:DROP');
+    assert(drop.gap === -15 && drop.score === firstScore, 'Gap and score fixed at entry');
+    assert(drop.price === 21 && drop.high === 23.5 && drop.preVol === 4_000_000, 'Price, high and volume refreshed');
+    await catalystScanner.addToWatchlist('NASDAQ:MANL');
+
+    // 3. Ranking
+    console.log('\nScenario 3: Ranking');
+    const briefing = buildBriefing({ growthScanner, catalystScanner });
+    assert(briefing.up.map(g => g.symbol).join(',') === 'NASDAQ:BIG,NASDAQ:SMAL', 'Up: BIG ($100M) before SMAL ($1.8M)');
+    assert(briefing.up[0].price === 50, 'Overlap uses the fresher Growth Scanner row');
+    assert(briefing.down.map(g => g.symbol).join(',') === 'NYSE:DROP,NYSE:DIP', 'Down: DROP ($84M) before DIP ($8M)');
+    assert(briefing.watchlist[0].symbol === 'NYSE:DROP' && briefing.watchlist.at(-1).symbol === 'NASDAQ:MANL', 'Watchlist by score, manual entries last');
+    const html = formatBriefingHtml(briefing, '2025-01-15');
+    assert(html.includes('PREMARKET BRIEFING — 2025-01-15') && html.includes('H 52.50') && html.includes('BOUNCE watch') && html.includes('added manually'), 'HTML briefing');
+    catalystScanner.stop();
+
+    // 4. Send + pin
+    console.log('\nScenario 4: Post and pin');
+    sent.length = 0;
+    let now = new Date('2025-01-15T14:26:00Z');
+    const morning = createMorningBriefing({}, telegram, { growthScanner, catalystScanner }, () => now);
+    await morning.send();
+    await morning.send();
+    assert(sent.length === 1 && sent[0].extra.route === ALERT_ROUTES.REPORT_BRIEFING, 'Posted once on the report.briefing route');
+    assert(pins.length === 1 && JSON.stringify(pins[0]) === '[{"chatId":-1005,"messageId":77}]', 'Briefing pinned in the chat it was posted to');
+    now = new Date('2025-01-16T14:26:00Z');
+    await morning.send();
+    assert(sent.length === 2, 'Posted again the next day');
+
+    // 5. Orchestrator window
+    console.log('\nScenario 5: Orchestrator window');
+    let calls = 0;
+    let clock = new Date('2025-01-15T14:20:00Z'); // 09:20 ET
+    const orchestrator = createOrchestrator(
+        { schedule: DEFAULT_SCHEDULE, timeouts: { gatekeeperIntervalMs: 30 } },
+        { morningBriefing: { send: async () => { calls++; } } },
+        { getNow: () => clock }
+    );
+    quiet();
+    orchestrator.start();
+    await sleep(80);
+    const before = calls;
+    clock = new Date('2025-01-15T14:25:30Z'); // 09:25 ET
+    await sleep(80);
+    await orchestrator.stop();
+    loud();
+    assert(before === 0 && calls > 0, 'Requested inside 09:25–09:30 only (send() dedupes per day)');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,130 @@
+/**
+ * 🧪 VERIFICATION: Per-ticker mute / ignore list
+ *
+ * Tests that:
+ * 1. /mute durations parse (30m, 2h, 3d, today) and bad input is rejected
+ * 2. Global mutes, scanner-scoped mutes and permanent ignores are all enforced by the gate
+ * 3. /unmute lifts mutes and ignores; expired mutes drop out of /mutes
+ * 4. The list survives a restart — even on the next trading day
+ * 5. Market (HTML) alerts are gated the same way as plain-text ones
+ *
+ * Usage: node tests/verify_mute_list.js
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createMuteService, parseMuteDuration, formatMuteList } from '../src/services/muteService.js';
+import { createAlertGate } from '../src/services/alertGate.js';
+import { createAlertOptions } from '../src/services/alertActions.js';
+import { createFileStateStore } from '../src/core/stateStore.js';
+import { createMarketService } from '../src/services/marketService.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+async function runTest() {
+    console.log('--- MUTE LIST VERIFICATION ---');
+    let now = new Date('2026-11-02T15:00:00Z'); // 10:00 EST
+    const clock = () => now;
+
+    // 1. Durations
+    console.log('\nScenario 1: Duration parsing');
+    assert(parseMuteDuration('30m', now).until === now.getTime() + 30 * 60_000, '30m');
+    assert(parseMuteDuration('2h', now).until === now.getTime() + 2 * 3_600_000, '2h');
+    assert(parseMuteDuration('3d', now).until === now.getTime() + 3 * 86_400_000, '3d');
+    assert(parseMuteDuration(undefined, now).day === '2026-11-02', 'Default is today (NY date)');
+    assert(parseMuteDuration('forever', now) === null && parseMuteDuration('0h', now) === null, 'Invalid durations rejected');
+
+    // 2. Enforcement
+    console.log('\nScenario 2: Enforcement through the gate');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mutes-'));
+    const storePath = path.join(dir, 'state.json');
+    let tradingDay = '2026-11-02';
+    const store = createFileStateStore(storePath, () => tradingDay);
+    const mutes = createMuteService(store, clock);
+
+    const sent = [];
+    const telegram = {
+        sendMessage: async (text) => { sent.push(text); return { success: true }; },
+        sendMessageHTML: async (text) => { sent.push(text); return { success: true, message: { message_id: 1 } }; },
+        editMessage: async () => ({ success: true }),
+        pinMessage: async () => ({ success: true })
+    };
+    const gated = createAlertGate(telegram, mutes);
+
+    await mutes.mute('$mrna', parseMuteDuration('2h', now));
+    await mutes.mute('NASDAQ:AAPL', parseMuteDuration('today', now), 'market');
+    await mutes.ignore('nvax');
+
+    const r1 = await gated.sendMessage('MRNA alert', createAlertOptions('premarket', 'NASDAQ:MRNA'));
+    const r2 = await gated.sendMessage('AAPL premarket', createAlertOptions('premarket', 'NASDAQ:AAPL'));
+    const r3 = await gated.sendMessageHTML('AAPL market', createAlertOptions('market', 'NASDAQ:AAPL'));
+    const r4 = await gated.sendMessage('NVAX catalyst', createAlertOptions('catalyst', 'NASDAQ:NVAX'));
+    const r5 = await gated.sendMessage('🟢 status');
+    assert(r1.muted && !sent.includes('MRNA alert'), 'Global /mute blocks every scanner');
+    assert(r2.success && sent.includes('AAPL premarket'), 'Scanner-scoped mute lets other scanners through');
+    assert(r3.muted, 'Scanner-scoped mute blocks its own scanner');
+    assert(r4.muted, '/ignore blocks permanently');
+    assert(r5.success, 'Status messages bypass the gate');
+
+    // 3. /unmute + expiry
+    console.log('\nScenario 3: /unmute and expiry');
+    assert(await mutes.unmute('NVAX') && !mutes.isMuted('NASDAQ:NVAX', 'catalyst'), '/unmute lifts an ignore');
+    assert(!(await mutes.unmute('TSLA')), '/unmute on an unknown ticker is a no-op');
+    now = new Date('2026-11-02T17:30:00Z'); // 12:30 EST → MRNA 2h mute over
+    const listed = mutes.list();
+    assert(!listed.mutes.some(m => m.ticker === 'MRNA') && listed.mutes.some(m => m.ticker === 'AAPL'), 'Expired mute drops out of /mutes');
+    assert(formatMuteList(listed, now).includes('AAPL [market] — today'), '/mutes shows scope and expiry');
+
+    // 4. Restart on the next trading day
+    console.log('\nScenario 4: Persistence across restart');
+    await mutes.mute('GME', parseMuteDuration('3d', now));
+    await mutes.ignore('AMC');
+    await store.close();
+
+    tradingDay = '2026-11-03';
+    now = new Date('2026-11-03T15:00:00Z');
+    const restarted = createMuteService(createFileStateStore(storePath, () => tradingDay), clock);
+    await restarted.load();
+    assert(restarted.isMuted('NYSE:GME') && restarted.isMuted('NYSE:AMC'), '3d mute and ignore survive into the next day');
+    assert(!restarted.isMuted('NASDAQ:AAPL', 'market'), '"today" mute expired overnight');
+
+    // 5. Market service behind the gate
+    console.log('\nScenario 5: Market HTML alerts');
+    const market = createMarketService({ marketScanIntervalMs: 60_000, marketDashboardIntervalMs: 60_000 }, createAlertGate(telegram, restarted), {
+        getMarketStocks: async () => ({
+            data: [
+                { symbol: 'NYSE:GME', close: 30, change_from_open: 12, rvol_intraday_5m: 9, value_traded: 80_000_000 },
+                { symbol: 'NASDAQ:HOOD', close: 40, change_from_open: 8, rvol_intraday_5m: 7, value_traded: 60_000_000 }
+            ]
+        }),
+        mapMarketRow: (row) => row
+    });
+    sent.length = 0;
+    await market.start();
+    await market.stop();
+    assert(sent.some(m => m.includes('NEW ALERT: HOOD')), 'HOOD alerted');
+    assert(!sent.some(m => m.includes('NEW ALERT: GME')), 'Muted GME not alerted');
+    assert(market.getState().alertCount === 1, 'Suppressed alerts are not counted');
+
+    await fs.rm(dir, { recursive: true, force: true });
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -1,65 +1,127 @@
 /**
  * Verification script for Professional Orchestrator Architecture
+ *
+ * All phase windows come from the NY-time schedule table, so the host clock
+ * (UTC on Fly) must not matter. Scenarios pin `getNow` to UTC instants on
+ * both sides of the 2026 DST transitions (Mar 8 and Nov 1).
+ *
+ * Usage: node tests/verify_orchestrator.js
  */
 import { createOrchestrator } from '../src/core/orchestrator.js';
+import { isPhaseNow, DEFAULT_SCHEDULE } from '../src/core/utils/index.js';
 
 // --- CONFIGURATION ---
 const config = {
-    premarketHours: { start: "04:00", end: "09:30" },
-    timeouts: { gatekeeperIntervalMs: 100 }
+    schedule: DEFAULT_SCHEDULE,
+    timeouts: { gatekeeperIntervalMs: 50 }
 };
 
-// --- MOCK SERVICES ---
-let growthRunning = false;
-let rvolRunning = false;
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
 
-const growthScanner = {
-    start: async () => { growthRunning = true; },
-    stop: () => { growthRunning = false; },
-    getState: () => ({ isRunning: growthRunning })
-};
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
 
-const rvolScanner = {
-    start: async () => { rvolRunning = true; },
-    stop: () => { rvolRunning = false; },
-    getState: () => ({ isRunning: rvolRunning })
-};
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
-// --- MOCK TIME ---
-let mockTime = { inPremarket: false, inMarket: false };
-const mockTimeUtils = {
-    isPremarketTime: () => mockTime.inPremarket,
-    isMarketNow: () => mockTime.inMarket
+// --- MOCK SERVICES ---
+const createMockService = () => {
+    const s = { isRunning: false, isWatchlistOnly: true };
+    return {
+        start: async (mode) => { s.isRunning = true; s.isWatchlistOnly = mode !== 'active'; },
+        stop: async () => { s.isRunning = false; },
+        setMode: (mode) => { s.isWatchlistOnly = mode !== 'active'; },
+        getState: () => ({ ...s })
+    };
 };
 
+// --- MOCK CLOCK ---
+let mockNow = new Date();
+const mockTimeUtils = { getNow: () => mockNow };
+
 async function runTest() {
     console.log('--- STARTING ORCHESTRATOR ARCHITECTURE TEST ---');
-    const orchestrator = createOrchestrator(config, { growthScanner, rvolScanner }, mockTimeUtils);
 
-    // 1. Premarket Time
-    console.log('\nScenario 1: Testing Premarket hours');
-    mockTime = { inPremarket: true, inMarket: false };
+    // 1. Pure phase checks across DST
+    console.log('\nScenario 1: Phase windows across DST (pure)');
+    assert(isPhaseNow(DEFAULT_SCHEDULE.premarket, new Date('2026-03-06T13:45:00Z')), 'Fri Mar 6 13:45Z = 08:45 EST → premarket');
+    assert(!isPhaseNow(DEFAULT_SCHEDULE.market, new Date('2026-03-06T14:15:00Z')), 'Fri Mar 6 14:15Z = 09:15 EST → market closed');
+    assert(isPhaseNow(DEFAULT_SCHEDULE.market, new Date('2026-03-09T13:45:00Z')), 'Mon Mar 9 13:45Z = 09:45 EDT → market open');
+    assert(!isPhaseNow(DEFAULT_SCHEDULE.market, new Date('2026-10-30T20:30:00Z')), 'Fri Oct 30 20:30Z = 16:30 EDT → market closed');
+    assert(isPhaseNow(DEFAULT_SCHEDULE.market, new Date('2026-11-02T20:30:00Z')), 'Mon Nov 2 20:30Z = 15:30 EST → market open');
+    assert(!isPhaseNow(DEFAULT_SCHEDULE.market, new Date('2026-11-27T18:30:00Z')), 'Black Friday 13:30 EST → early close, market closed');
+    assert(!isPhaseNow(DEFAULT_SCHEDULE.premarket, new Date('2026-03-07T13:45:00Z')), 'Saturday → no premarket');
+
+    const growthScanner = createMockService();
+    const marketScanner = createMockService();
+    const catalystScanner = createMockService();
+    const orchestrator = createOrchestrator(config, { growthScanner, marketScanner, catalystScanner }, mockTimeUtils);
+
+    // 2. Before DST start: 08:45 EST
+    console.log('\nScenario 2: Fri Mar 6, 08:45 EST (13:45 UTC)');
+    mockNow = new Date('2026-03-06T13:45:00Z');
     orchestrator.start();
-    await new Promise(r => setTimeout(r, 150));
-    console.log(`Growth Scanner running: ${growthRunning} (Expected: true)`);
-    console.log(`RVOL Scanner running: ${rvolRunning} (Expected: false)`);
-
-    // 2. Regular Market Time
-    console.log('\nScenario 2: Testing Market hours');
-    mockTime = { inPremarket: false, inMarket: true };
-    await new Promise(r => setTimeout(r, 150));
-    console.log(`Growth Scanner running: ${growthRunning} (Expected: false)`);
-    console.log(`RVOL Scanner running: ${rvolRunning} (Expected: true)`);
-
-    // 3. Weekend / Off hours
-    console.log('\nScenario 3: Testing Off hours');
-    mockTime = { inPremarket: false, inMarket: false };
-    await new Promise(r => setTimeout(r, 150));
-    console.log(`Growth Scanner running: ${growthRunning} (Expected: false)`);
-    console.log(`RVOL Scanner running: ${rvolRunning} (Expected: false)`);
-
-    orchestrator.stop();
-    console.log('\n--- TEST COMPLETED ---');
+    await sleep(150);
+    assert(growthScanner.getState().isRunning, 'Growth Scanner running');
+    assert(!marketScanner.getState().isRunning, 'Market Scanner stopped');
+    assert(catalystScanner.getState().isRunning && catalystScanner.getState().isWatchlistOnly, 'Catalyst in WATCHLIST mode');
+
+    // 3. After DST start: same UTC clock is now 09:45 EDT
+    console.log('\nScenario 3: Mon Mar 9, 09:45 EDT (13:45 UTC)');
+    mockNow = new Date('2026-03-09T13:45:00Z');
+    await sleep(150);
+    assert(!growthScanner.getState().isRunning, 'Growth Scanner stopped');
+    assert(marketScanner.getState().isRunning, 'Market Scanner running');
+    assert(catalystScanner.getState().isRunning && !catalystScanner.getState().isWatchlistOnly, 'Catalyst in ACTIVE mode');
+
+    // 4. Before DST end: 13:15 EDT → catalyst still active
+    console.log('\nScenario 4: Fri Oct 30, 13:15 EDT (17:15 UTC)');
+    mockNow = new Date('2026-10-30T17:15:00Z');
+    await sleep(150);
+    assert(catalystScanner.getState().isRunning, 'Catalyst still running before 13:30');
+
+    // 5. After DST end: 17:15 UTC is now 12:15 EST; 18:45 UTC is 13:45 EST
+    console.log('\nScenario 5: Mon Nov 2, 13:45 EST (18:45 UTC)');
+    mockNow = new Date('2026-11-02T18:45:00Z');
+    await sleep(150);
+    assert(!catalystScanner.getState().isRunning, 'Catalyst stopped after 13:30 EST');
+    assert(marketScanner.getState().isRunning, 'Market Scanner still running');
+
+    // 6. Early close
+    console.log('\nScenario 6: Black Friday, 13:30 EST (18:30 UTC)');
+    mockNow = new Date('2026-11-27T18:30:00Z');
+    await sleep(150);
+    assert(!marketScanner.getState().isRunning, 'Market Scanner stopped after 13:00 early close');
+
+    await orchestrator.stop();
+
+    // 7. Per-environment schedule override
+    console.log('\nScenario 7: Overridden catalyst window (09:30-11:00)');
+    const custom = createMockService();
+    const overridden = createOrchestrator(
+        { ...config, schedule: { ...DEFAULT_SCHEDULE, catalystActive: { start: '09:30', end: '11:00' } } },
+        { catalystScanner: custom },
+        mockTimeUtils
+    );
+    mockNow = new Date('2026-11-02T16:30:00Z'); // 11:30 EST
+    overridden.start();
+    await sleep(150);
+    assert(!custom.getState().isRunning, 'Catalyst off at 11:30 with 11:00 override');
+    await overridden.stop();
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
 }
 
-runTest().catch(console.error);
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
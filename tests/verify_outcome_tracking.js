@@ -0,0 +1,135 @@
+/**
+ * 🧪 VERIFICATION: Alert outcome tracking and /performance
+ *
+ * Tests that:
+ * 1. The alert gate hands delivered alerts (with trigger price) to the tracker
+ * 2. Sampling fills +5m / +15m / +60m moves and MFE / MAE from the market feed
+ * 3. The close is recorded after the session; short strategies score in their direction
+ * 4. getPerformance() aggregates win rate and average moves per strategy
+ * 5. Outcomes survive a restart; /performance arguments parse
+ *
+ * Usage: node tests/verify_outcome_tracking.js
+ */
+import { createOutcomeTracker, parsePerformanceArgs, formatPerformanceMessage } from '../src/services/outcomeTracker.js';
+import { createAlertGate } from '../src/services/alertGate.js';
+import { createAlertOptions } from '../src/services/alertActions.js';
+import { createMuteService } from '../src/services/muteService.js';
+import { ALERT_ROUTES } from '../src/services/alertRoutes.js';
+import { createMemoryStateStore } from '../src/core/stateStore.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const near = (a, b) => a != null && Math.abs(a - b) < 1e-9;
+
+// --- MOCKS ---
+// 2025-01-15 (Wed, EST): 10:00 ET = 15:00Z
+let now = new Date('2025-01-15T15:00:00Z');
+const at = (hhmm) => { now = new Date(`2025-01-15T${String(Number(hhmm.slice(0, 2)) + 5).padStart(2, '0')}:${hhmm.slice(3)}:00Z`); };
+
+let prices = {};
+let feedCalls = 0;
+const scanner = {
+    getMarketStocks: async () => {
+        feedCalls++;
+        return { data: Object.entries(prices).map(([symbol, close]) => ({ symbol, close })) };
+    },
+    mapMarketRow: (row) => row
+};
+
+const telegram = {
+    sendMessage: async () => ({ success: true }),
+    sendMessageHTML: async () => ({ success: true })
+};
+
+async function runTest() {
+    console.log('--- OUTCOME TRACKING VERIFICATION ---');
+    const store = createMemoryStateStore();
+    const config = { outcomeSampleIntervalMs: 60000 };
+    const tracker = createOutcomeTracker(config, store, scanner, () => now);
+    const muteService = createMuteService(null, () => now);
+    const gate = createAlertGate(telegram, muteService, tracker);
+
+    // 1. Gate → tracker
+    console.log('\nScenario 1: Delivered alerts are tracked');
+    await gate.sendMessageHTML('NEW', createAlertOptions('market', 'NASDAQ:HOOD', ALERT_ROUTES.MARKET_NEW, 40));
+    await gate.sendMessage('FADE', createAlertOptions('catalyst', 'NASDAQ:AAA', ALERT_ROUTES.CATALYST_FADE, 20));
+    await gate.sendMessage('after-hours', createAlertOptions('postmarket', 'NASDAQ:PM', ALERT_ROUTES.POSTMARKET_NEW, 10));
+    await gate.sendMessage('no price', createAlertOptions('market', 'NASDAQ:NOP', ALERT_ROUTES.MARKET_PUMP));
+    await gate.sendMessage('status');
+    await muteService.mute('MUT', { day: '2025-01-15' });
+    await gate.sendMessage('muted', createAlertOptions('market', 'NASDAQ:MUT', ALERT_ROUTES.MARKET_PUMP, 5));
+    const tracked = tracker.getOutcomes();
+    assert(tracked.length === 2, 'Only scored, priced, delivered alerts are tracked');
+    assert(tracked[0].strategy === 'NEW' && tracked[0].price === 40 && tracked[0].day === '2025-01-15', 'NEW recorded with trigger price and NY day');
+    assert(tracked[1].strategy === 'FADE', 'FADE recorded');
+
+    // 2. Sampling
+    console.log('\nScenario 2: Checkpoints and excursions');
+    at('10:03'); prices = { 'NASDAQ:HOOD': 41, 'NASDAQ:AAA': 21 };
+    await tracker.sample();
+    at('10:05'); prices = { 'NASDAQ:HOOD': 42, 'NASDAQ:AAA': 19.5 };
+    await tracker.sample();
+    at('10:15'); prices = { 'NASDAQ:HOOD': 38 };
+    await tracker.sample();
+    assert(tracker.getOutcomes()[1].moves['15m'] === null, 'Symbol missing from the feed leaves its checkpoint open');
+    at('11:00'); prices = { 'NASDAQ:HOOD': 44, 'NASDAQ:AAA': 19 };
+    await tracker.sample();
+    let [hood, aaa] = tracker.getOutcomes();
+    assert(near(hood.moves['5m'], 5) && near(hood.moves['15m'], -5) && near(hood.moves['60m'], 10), 'HOOD +5m +5%, +15m -5%, +60m +10%');
+    assert(near(hood.mfe, 10) && near(hood.mae, -5), 'HOOD MFE +10%, MAE -5%');
+    assert(near(aaa.moves['5m'], 2.5) && near(aaa.moves['15m'], 5), 'Short move positive on a drop; late checkpoint filled on the next sample');
+    assert(near(aaa.mae, -5), 'Short MAE from the +5% rally');
+
+    // 3. Close
+    console.log('\nScenario 3: Close after the session');
+    const callsBefore = feedCalls;
+    at('16:05');
+    await tracker.sample();
+    [hood, aaa] = tracker.getOutcomes();
+    assert(feedCalls === callsBefore, 'No feed request outside regular hours');
+    assert(hood.done && near(hood.moves.close, 10), 'HOOD closed at +10% (last seen price)');
+    assert(aaa.done && near(aaa.moves.close, 5), 'AAA FADE closed +5% (short)');
+
+    // 4. Performance
+    console.log('\nScenario 4: Performance stats');
+    const all = tracker.getPerformance({ days: 7 });
+    assert(all.map(s => s.strategy).join(',') === 'NEW,FADE', 'Only strategies with alerts are listed');
+    assert(all[0].winRate === 100 && near(all[0].avgClose, 10) && near(all[0].avgMfe, 10), 'NEW win rate and averages');
+    const fade = tracker.getPerformance({ strategy: 'FADE', days: 7 });
+    assert(fade.length === 1 && fade[0].scored === 1, 'Strategy filter');
+    now = new Date('2025-02-20T15:00:00Z');
+    assert(tracker.getPerformance({ days: 7 }).length === 0, 'Old alerts fall outside the day window');
+    assert(formatPerformanceMessage([], { strategy: null, days: 7 }).includes('No tracked alerts'), 'Empty report message');
+    const text = formatPerformanceMessage(all, { strategy: null, days: 7 });
+    assert(text.includes('NEW: 1 alerts, 1 closed') && text.includes('Win rate: 100%'), 'Report text');
+
+    // 5. Restart + args
+    console.log('\nScenario 5: Restart and /performance args');
+    const restored = createOutcomeTracker(config, store, scanner, () => now);
+    await restored.load();
+    assert(restored.getOutcomes().length === 2 && restored.getOutcomes()[0].done, 'Outcomes restored across trading days');
+    assert(JSON.stringify(parsePerformanceArgs([])) === '{"strategy":null,"days":7}', 'Defaults: all strategies, 7 days');
+    assert(JSON.stringify(parsePerformanceArgs(['30', 'fade'])) === '{"strategy":"FADE","days":30}', 'Strategy and days in any order');
+    assert(parsePerformanceArgs(['SQUEEZE']) === null && parsePerformanceArgs(['0']) === null, 'Unknown strategy / bad days rejected');
+    assert(['PMH', 'VWAP_UP', 'VWAP_DOWN'].every(name => parsePerformanceArgs([name.toLowerCase()])?.strategy === name), 'Level strategies accepted (usage text lists STRATEGIES)');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
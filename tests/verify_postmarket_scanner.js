@@ -0,0 +1,126 @@
+/**
+ * 🧪 VERIFICATION: After-hours earnings-reaction scanner
+ *
+ * Tests that:
+ * 1. First scan bootstraps silently (SEND_ON_STARTUP=false), later movers alert
+ * 2. Step re-alerts fire only after POSTMARKET_ALERT_STEP, in both directions
+ * 3. The after-hours window is 16:00–20:00 ET, shifted to 13:00–17:00 on early-close days;
+ *    status messages show the schedule windows instead of fixed hours
+ * 4. Orchestrator starts/stops the scanner with the after-hours phase
+ *
+ * Usage: node tests/verify_postmarket_scanner.js
+ */
+import { createPostmarketScanner } from '../src/services/postmarketScanner.js';
+import { createOrchestrator } from '../src/core/orchestrator.js';
+import { isPhaseNow, DEFAULT_SCHEDULE, createPostmarketStatusMessage, createRvolStatusMessage } from '../src/core/utils/index.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// --- MOCKS ---
+let rows = [];
+const mockScanner = {
+    getPostmarketStocks: async () => ({ data: rows, totalCount: rows.length }),
+    mapPostmarketRow: (row) => row
+};
+
+const sent = [];
+const mockTelegram = {
+    sendMessage: async (msg) => { sent.push(msg); return { success: true }; }
+};
+
+const row = (symbol, postmarket_change) => ({
+    symbol, postmarket_change, postmarket_volume: 500000, postmarket_close: 10, close: 9, float: 1e7
+});
+
+const config = {
+    sendOnStartup: false,
+    postmarketAlertStep: 1.0,
+    postmarketScanIntervalMs: 60_000
+};
+
+async function runTest() {
+    console.log('--- AFTER-HOURS SCANNER VERIFICATION ---');
+
+    // 1. Bootstrap + new mover
+    console.log('\nScenario 1: Bootstrap then new mover');
+    const scanner = createPostmarketScanner(config, mockTelegram, mockScanner);
+    rows = [row('AAPL', 6.2)];
+    await scanner.start();
+    assert(sent.length === 1 && sent[0].includes('started'), 'Only the start status message on bootstrap');
+    assert(scanner.getState().lastReportedChanges.get('AAPL')?.change === 6.2, 'Bootstrap remembers AAPL silently');
+
+    // Each start() runs one scan immediately, so stop/start drives the next scan
+    await scanner.stop();
+    sent.length = 0;
+    rows = [row('AAPL', 6.5), row('NVDA', -7.1)];
+    await scanner.start();
+    const alerts = sent.filter(m => m.includes('AH'));
+    assert(alerts.length === 1 && alerts[0].includes('NVDA'), 'New mover NVDA alerts (negative reaction included)');
+    assert(!alerts.some(m => m.includes('AAPL')), 'AAPL below step → no re-alert');
+
+    // 2. Step re-alert
+    console.log('\nScenario 2: Step re-alert');
+    await scanner.stop();
+    sent.length = 0;
+    rows = [row('AAPL', 7.3), row('NVDA', -7.5)];
+    await scanner.start();
+    const step = sent.filter(m => m.includes('AH'));
+    assert(step.length === 1 && step[0].includes('AAPL'), 'AAPL +1.1% → re-alert');
+    assert(scanner.getState().lastReportedChanges.get('AAPL')?.count === 2, 'AAPL alert count = 2');
+    assert(scanner.getState().alertCount === 2, 'Total alerts = 2');
+    await scanner.stop();
+
+    // 3. Window resolution
+    console.log('\nScenario 3: After-hours window');
+    assert(isPhaseNow(DEFAULT_SCHEDULE.postmarket, new Date('2026-11-02T21:30:00Z')), 'Mon Nov 2 16:30 EST → after-hours');
+    assert(!isPhaseNow(DEFAULT_SCHEDULE.postmarket, new Date('2026-11-03T01:30:00Z')), 'Mon Nov 2 20:30 EST → closed');
+    assert(isPhaseNow(DEFAULT_SCHEDULE.postmarket, new Date('2026-11-27T18:30:00Z')), 'Black Friday 13:30 EST → after-hours (early close)');
+    assert(!isPhaseNow(DEFAULT_SCHEDULE.postmarket, new Date('2026-11-27T22:30:00Z')), 'Black Friday 17:30 EST → closed');
+    assert(!isPhaseNow(DEFAULT_SCHEDULE.postmarket, new Date('2026-11-26T21:30:00Z')), 'Thanksgiving → no after-hours');
+    assert(createPostmarketStatusMessage(true).includes('ET 16:00–20:00') && createRvolStatusMessage(true).includes('ET 09:30–16:00'), 'Status text built from DEFAULT_SCHEDULE');
+    assert(createPostmarketStatusMessage(true, { start: '16:00', end: '18:00' }).includes('ET 16:00–18:00'), 'Status text follows SCHEDULE_POSTMARKET');
+
+    // 4. Orchestrator
+    console.log('\nScenario 4: Orchestrator toggles the scanner');
+    let running = false;
+    const postmarketScanner = {
+        start: async () => { running = true; },
+        stop: async () => { running = false; },
+        getState: () => ({ isRunning: running, alertCount: 0 })
+    };
+    let mockNow = new Date('2026-11-02T21:30:00Z');
+    const orchestrator = createOrchestrator(
+        { schedule: DEFAULT_SCHEDULE, timeouts: { gatekeeperIntervalMs: 50 } },
+        { postmarketScanner },
+        { getNow: () => mockNow }
+    );
+    orchestrator.start();
+    await sleep(150);
+    assert(running, 'Started at 16:30 EST');
+    mockNow = new Date('2026-11-03T01:30:00Z');
+    await sleep(150);
+    assert(!running, 'Stopped at 20:30 EST');
+    await orchestrator.stop();
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,168 @@
+/**
+ * 🧪 VERIFICATION: Live premarket dashboard
+ *
+ * Tests that:
+ * 1. The dashboard shows the top N gappers with price, %chg, float, volume, $ volume
+ * 2. It is sent and pinned once, then edited in place with micro-trend arrows
+ * 3. A restart keeps editing the same pinned message
+ * 4. archive() posts the final state and unpins it
+ * 5. The orchestrator starts it with the Growth Scanner and archives it at 09:30
+ *
+ * Usage: node tests/verify_premarket_dashboard.js
+ */
+import { createPremarketDashboard, formatPremarketDashboard } from '../src/services/premarketDashboard.js';
+import { ALERT_ROUTES } from '../src/services/alertRoutes.js';
+import { createMemoryStateStore } from '../src/core/stateStore.js';
+import { createOrchestrator } from '../src/core/orchestrator.js';
+import { validateConfig } from '../src/config/validation.js';
+import { DEFAULT_SCHEDULE } from '../src/core/utils/index.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+/** The stored reference keeps the routed chat id */
+const isRoutedRef = (ref) => JSON.stringify(ref) === '[{"chatId":-1006,"messageId":55}]';
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+const stock = (symbol, change, price, volume, float) => ({
+    symbol,
+    premarket_change: change,
+    premarket_close: price,
+    premarket_volume: volume,
+    float_shares_outstanding: float
+});
+
+// --- MOCKS ---
+const calls = [];
+const telegram = {
+    // Dashboard routed to one chat that is not CHAT_ID
+    sendMessageHTML: async (text, extra) => {
+        calls.push({ op: 'send', text, extra });
+        return { success: true, message: { message_id: 55, chat: { id: -1006 } }, deliveries: [{ chatId: -1006, messageId: 55 }] };
+    },
+    editMessage: async (ref, text) => { calls.push({ op: 'edit', ref, text }); return { success: true }; },
+    pinMessage: async (ref) => { calls.push({ op: 'pin', ref }); return { success: true }; },
+    unpinMessage: async (ref) => { calls.push({ op: 'unpin', ref }); return { success: true }; }
+};
+
+let lastStocks = [];
+const growthScanner = { getState: () => ({ lastStocks }) };
+
+// 2025-01-15 (Wed, EST): 09:00 ET = 14:00Z
+const now = new Date('2025-01-15T14:00:00Z');
+
+async function runTest() {
+    console.log('--- PREMARKET DASHBOARD VERIFICATION ---');
+    const realLog = console.log;
+    const quiet = () => { console.log = () => { }; };
+    const loud = () => { console.log = realLog; };
+
+    // 1. Formatting
+    console.log('\nScenario 1: Formatting');
+    const text = formatPremarketDashboard(
+        [stock('NASDAQ:AAA', 42.4, 3.1, 2_500_000, 8_000_000), stock('NYSE:BBB', 15, 12.5, 400_000, 0)],
+        new Map([['NASDAQ:AAA', 30]]),
+        now
+    );
+    assert(text.includes('PREMARKET DASHBOARD') && text.includes('[09:00:00]'), 'Header with NY time');
+    assert(text.includes('↑AAA') && text.includes('$3.10') && text.includes('+42%') && text.includes('8M') && text.includes('2.5M') && text.includes('7.8M'),
+        'AAA row: arrow up, price, %chg, float, volume, $ volume');
+    assert(text.includes('✦BBB') && text.includes('n/a'), 'New name marked ✦, unknown float n/a');
+    assert(formatPremarketDashboard([], new Map(), now, { archived: true }).includes('Archived'), 'Archived footer');
+
+    // 2. Send, pin, edit
+    console.log('\nScenario 2: Pinned and edited in place');
+    const store = createMemoryStateStore();
+    const config = { premarketDashboardIntervalMs: 30, premarketDashboardTopN: 2 };
+    lastStocks = [stock('NASDAQ:AAA', 20, 3, 1e6, 5e6), stock('NYSE:BBB', 15, 12, 4e5, 0), stock('NYSE:CCC', 11, 5, 1e5, 0)];
+    const dashboard = createPremarketDashboard(config, telegram, growthScanner, store, () => now);
+    quiet();
+    await dashboard.start();
+    lastStocks = [stock('NASDAQ:AAA', 25, 3.2, 1.2e6, 5e6), stock('NYSE:BBB', 12, 11, 5e5, 0)];
+    await sleep(50);
+    await dashboard.stop();
+    loud();
+    const sends = calls.filter(c => c.op === 'send');
+    const edits = calls.filter(c => c.op === 'edit');
+    assert(sends.length === 1 && sends[0].extra.route === ALERT_ROUTES.DASHBOARD, 'Sent once on the dashboard route');
+    assert(calls.filter(c => c.op === 'pin').length === 1 && isRoutedRef(calls.find(c => c.op === 'pin').ref), 'Pinned once, in the routed chat');
+    assert(!sends[0].text.includes('CCC'), 'Top N only');
+    assert(edits.length >= 1 && isRoutedRef(edits[0].ref) && edits[0].text.includes('↑AAA') && edits[0].text.includes('↓BBB'), 'Refresh edits the message with micro-trend arrows');
+
+    // 3. Restart
+    console.log('\nScenario 3: Restart');
+    calls.length = 0;
+    const restarted = createPremarketDashboard(config, telegram, growthScanner, store, () => now);
+    quiet();
+    await restarted.start();
+    await restarted.stop();
+    loud();
+    assert(calls.length === 1 && calls[0].op === 'edit' && isRoutedRef(calls[0].ref) && calls[0].text.includes('→AAA'), 'Restored message edited, no new pin');
+
+    // 4. Archive
+    console.log('\nScenario 4: Archive at the open');
+    calls.length = 0;
+    quiet();
+    await restarted.archive();
+    loud();
+    assert(calls[0].op === 'edit' && calls[0].text.includes('Archived'), 'Final state posted');
+    assert(calls[1]?.op === 'unpin' && isRoutedRef(calls[1].ref), 'Unpinned in the routed chat');
+    assert(restarted.getState().messageRef === null && !restarted.getState().isRunning, 'Cleared and stopped');
+    calls.length = 0;
+    await restarted.archive();
+    assert(calls.length === 0, 'Second archive is a no-op');
+
+    // 5. Orchestrator
+    console.log('\nScenario 5: Orchestrator lifecycle');
+    let scannerRunning = false;
+    const events = [];
+    const growth = {
+        start: async () => { scannerRunning = true; },
+        stop: async () => { scannerRunning = false; },
+        getState: () => ({ isRunning: scannerRunning, alertCount: 0 })
+    };
+    let dashRunning = false;
+    const premarketDashboard = {
+        start: async () => { dashRunning = true; events.push('start'); },
+        stop: async () => { dashRunning = false; events.push('stop'); },
+        archive: async () => { dashRunning = false; events.push('archive'); },
+        getState: () => ({ isRunning: dashRunning })
+    };
+    let clock = new Date('2025-01-15T14:00:00Z'); // 09:00 ET
+    const orchestrator = createOrchestrator(
+        { schedule: DEFAULT_SCHEDULE, timeouts: { gatekeeperIntervalMs: 30 } },
+        { growthScanner: growth, premarketDashboard },
+        { getNow: () => clock }
+    );
+    quiet();
+    orchestrator.start();
+    await sleep(80);
+    clock = new Date('2025-01-15T14:31:00Z'); // 09:31 ET
+    await sleep(80);
+    await orchestrator.stop();
+    loud();
+    assert(events[0] === 'start' && events.filter(e => e === 'start').length === 1, 'Started once with the Growth Scanner');
+    assert(events.includes('archive') && !scannerRunning, 'Archived when premarket ends');
+
+    assert(!validateConfig({ botToken: 'x', chatId: 1, premarketDashboardTopN: -1 }).isValid, 'Negative TOP_N rejected');
+    assert(validateConfig({ botToken: 'x', chatId: 1, premarketDashboardTopN: 0, premarketDashboardIntervalMs: 30000 }).isValid, 'TOP_N=0 (off) accepted');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
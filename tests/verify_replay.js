@@ -0,0 +1,160 @@
+/**
+ * 🧪 VERIFICATION: TradingView recorder and replay
+ *
+ * Tests that:
+ * 1. The recorder appends one JSONL line per response into a per-NY-day file;
+ *    a record dir that cannot be created disables recording instead of crashing
+ * 2. readRecording() returns entries sorted and skips broken lines
+ * 3. The simulated clock fires timers in order and restores the real Date/timers
+ * 4. A recorded morning replays into NEW / PUMP / FADE alerts without Telegram
+ * 5. The report formats as text and CSV
+ *
+ * Usage: node tests/verify_replay.js
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createTvRecorder, readRecording } from '../src/services/recorder.js';
+import { createSimulatedClock, runReplay, formatReplayReport } from '../src/services/replay.js';
+import { parseConfig } from '../src/config/index.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+/** Market row in TradingView column order (see COLUMNS_MARKET) */
+const marketRow = (symbol, { close, valueTraded, rvol, changeFromOpen }) => {
+    const d = new Array(20).fill(0);
+    d[1] = close;
+    d[9] = valueTraded;
+    d[10] = rvol;
+    d[16] = changeFromOpen;
+    return { s: symbol, d };
+};
+
+/** Premarket row in TradingView column order (see COLUMNS_PREMARKET) */
+const premarketRow = (symbol, gap, volume) => {
+    const d = new Array(22).fill(0);
+    d[1] = gap;
+    d[11] = volume;
+    return { s: symbol, d };
+};
+
+const record = (at, scan, rows) => ({ at, scan, filter: [], response: { data: rows, totalCount: rows.length } });
+
+async function runTest() {
+    console.log('--- REPLAY VERIFICATION ---');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tv-replay-'));
+
+    // 1. Recorder
+    console.log('\nScenario 1: Recorder writes per-day JSONL');
+    let fakeNow = new Date('2025-01-15T14:40:00Z');
+    const recorder = createTvRecorder(dir, () => fakeNow);
+    recorder.record('market', { filter: [{ left: 'close' }] }, { data: [marketRow('NASDAQ:HOOD', { close: 40, valueTraded: 6e7, rvol: 6, changeFromOpen: 8 })], totalCount: 1 });
+    fakeNow = new Date('2025-01-15T13:10:00Z');
+    recorder.record('catalystSetup', {}, { data: [], totalCount: 0 });
+    await recorder.flush();
+    const file = path.join(dir, '2025-01-15.jsonl');
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+    assert(lines.length === 2 && recorder.getCount() === 2, 'Two lines written to 2025-01-15.jsonl');
+    assert(JSON.parse(lines[0]).filter[0].left === 'close', 'Request filter kept for reference');
+
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    const realError = console.error;
+    console.error = () => { };
+    const broken = createTvRecorder(path.join(file, 'rec'), () => fakeNow); // parent is a file → ENOTDIR
+    await new Promise(r => setTimeout(r, 20));
+    broken.record('market', {}, { data: [], totalCount: 0 });
+    await broken.flush();
+    console.error = realError;
+    process.off('unhandledRejection', onUnhandled);
+    assert(unhandled.length === 0 && !broken.isEnabled() && broken.getCount() === 0, 'Uncreatable record dir disables recording without an unhandled rejection');
+
+    // 2. readRecording
+    console.log('\nScenario 2: readRecording');
+    await fs.appendFile(file, '{broken json\n');
+    const loaded = await readRecording(file);
+    assert(loaded.length === 2, 'Broken line skipped');
+    assert(loaded[0].scan === 'catalystSetup' && loaded[1].scan === 'market', 'Entries sorted by time');
+
+    // 3. Simulated clock
+    console.log('\nScenario 3: Simulated clock');
+    const clock = createSimulatedClock(1_000);
+    const fired = [];
+    clock.install();
+    const interval = setInterval(() => fired.push(`i${Date.now()}`), 100);
+    setTimeout(() => fired.push(`t${Date.now()}`), 150);
+    await clock.advance(250);
+    clearInterval(interval);
+    const sawNow = Date.now();
+    clock.uninstall();
+    assert(fired.join(',') === 'i1100,t1150,i1200', 'Timers fire in order at simulated times');
+    assert(sawNow === 1_250 && clock.getPendingTimers() === 0, 'Clock advanced and interval cleared');
+    assert(Date.now() > 1_000_000_000_000, 'Real Date restored');
+
+    // 4. Replay a recorded morning
+    console.log('\nScenario 4: Replay a recorded morning');
+    process.env.BOT_TOKEN ||= '123:abc';
+    process.env.CHAT_ID ||= '-1001';
+    const config = parseConfig();
+    const recording = [
+        // 08:10 ET: AAA gaps up 6% → catalyst watchlist
+        record('2025-01-15T13:10:00Z', 'catalystSetup', [premarketRow('NASDAQ:AAA', 6, 2_000_000)]),
+        // 09:40 ET: HOOD passes the gatekeeper, AAA breaks below open
+        record('2025-01-15T14:40:00Z', 'market', [
+            marketRow('NASDAQ:HOOD', { close: 40, valueTraded: 6e7, rvol: 6, changeFromOpen: 8 }),
+            marketRow('NASDAQ:AAA', { close: 20, valueTraded: 3e7, rvol: 1, changeFromOpen: -1 })
+        ]),
+        // 09:41 ET: HOOD RVOL jumps 6 → 12
+        record('2025-01-15T14:41:00Z', 'market', [
+            marketRow('NASDAQ:HOOD', { close: 42, valueTraded: 8e7, rvol: 12, changeFromOpen: 10 })
+        ])
+    ];
+
+    const realLog = console.log;
+    console.log = () => { };
+    const realSetInterval = globalThis.setInterval;
+    let report;
+    try {
+        report = await runReplay(recording, config);
+    } finally {
+        console.log = realLog;
+    }
+
+    const find = (category, symbol) => report.alerts.filter(a => a.category === category && a.symbol === symbol);
+    assert(find('catalyst.fade', 'NASDAQ:AAA').length === 1, 'Catalyst FADE replayed for AAA');
+    assert(find('market.new', 'NASDAQ:HOOD').length === 1, 'Shadow Velocity NEW replayed for HOOD');
+    assert(find('market.pump', 'NASDAQ:HOOD').length === 1, 'RVOL PUMP replayed for HOOD');
+    assert(find('market.new', 'NASDAQ:HOOD')[0]?.ny === '09:40', 'Alert time is the recorded NY time');
+    assert(report.dashboard > 0 && report.status > 0, 'Dashboard and status messages counted, not sent');
+    assert(globalThis.setInterval === realSetInterval && Date.now() > Date.parse('2026-01-01'), 'Real Date and timers restored after replay');
+
+    // 5. Formatting
+    console.log('\nScenario 5: Report formats');
+    const text = formatReplayReport(report);
+    assert(text.includes('Alerts: 3') && text.includes('HOOD'), 'Text report lists the alerts');
+    const csv = formatReplayReport(report, 'csv').split('\n');
+    assert(csv[0] === 'at,ny,scanner,category,symbol,headline' && csv.length === 4, 'CSV has header plus one row per alert');
+
+    await fs.rm(dir, { recursive: true, force: true });
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
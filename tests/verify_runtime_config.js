@@ -0,0 +1,144 @@
+/**
+ * 🧪 VERIFICATION: Runtime threshold tuning (/config, /set, /reset)
+ *
+ * Tests that:
+ * 1. /set accepts env-style and camelCase keys and applies validation.js rules
+ * 2. Unknown or non-tunable keys are rejected
+ * 3. The market service and the premarket scanner pick up a new threshold on their next scan
+ * 4. /reset restores the startup value; every change lands in the audit trail
+ * 5. Overrides and audit survive a restart on the next trading day
+ *
+ * Usage: node tests/verify_runtime_config.js
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRuntimeConfig, formatConfigMessage, resolveSettingKey } from '../src/config/runtime.js';
+import { createFileStateStore, createMemoryStateStore } from '../src/core/stateStore.js';
+import { createMarketService } from '../src/services/marketService.js';
+import { createScanner } from '../src/services/scanner.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const baseConfig = Object.freeze({
+    botToken: 'x',
+    chatId: 1,
+    premarketThreshold: 10,
+    premarketAlertStep: 1,
+    marketScanIntervalMs: 60_000,
+    marketDashboardIntervalMs: 60_000,
+    marketAlertCooldownMs: 0,
+    marketRvolPumpDelta: 5,
+    marketDumpThreshold: -2,
+    postmarketThreshold: 5,
+    postmarketAlertStep: 1,
+    retry: { maxAttempts: 1 },
+    schedule: { market: { start: '09:30', end: '16:00' } }
+});
+
+async function runTest() {
+    console.log('--- RUNTIME CONFIG VERIFICATION ---');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'runtime-config-'));
+    const storePath = path.join(dir, 'state.json');
+    let tradingDay = '2026-11-02';
+    const store = createFileStateStore(storePath, () => tradingDay);
+    const runtime = createRuntimeConfig(baseConfig, store);
+
+    // 1. /set
+    console.log('\nScenario 1: /set with validation');
+    assert(resolveSettingKey('PREMARKET_THRESHOLD') === 'premarketThreshold' && resolveSettingKey('premarketThreshold') === 'premarketThreshold', 'Env-style and camelCase keys resolve');
+    const ok = await runtime.set('PREMARKET_THRESHOLD', '15', 'trader');
+    assert(ok.success && ok.from === 10 && ok.to === 15, 'PREMARKET_THRESHOLD 10 → 15');
+    assert(runtime.config.premarketThreshold === 15, 'Live config view reflects the override');
+    const negative = await runtime.set('premarket_threshold', '-3', 'trader');
+    assert(!negative.success && negative.error.includes('positive'), 'Negative threshold rejected');
+    const dump = await runtime.set('MARKET_DUMP_THRESHOLD', '2', 'trader');
+    assert(!dump.success && dump.error.includes('negative'), 'Positive dump threshold rejected');
+    assert(!(await runtime.set('MARKET_RVOL_PUMP_DELTA', 'abc', 'trader')).success, 'Non-numeric value rejected');
+    assert(runtime.config.premarketThreshold === 15, 'Rejected values leave config untouched');
+
+    // 2. Non-tunable keys
+    console.log('\nScenario 2: Non-tunable keys');
+    assert(!(await runtime.set('BOT_TOKEN', '1', 'trader')).success, 'BOT_TOKEN cannot be set');
+    assert(!(await runtime.set('SCAN_INTERVAL_MS', '1000', 'trader')).success, 'Intervals cannot be set at runtime');
+    assert(runtime.config.schedule === baseConfig.schedule, 'Non-tunable keys pass through');
+
+    // 3. Market service sees the change on the next scan
+    console.log('\nScenario 3: Next scan uses the new threshold');
+    let rvol = 6;
+    const sent = [];
+    const telegram = {
+        sendMessage: async (text) => { sent.push(text); return { success: true }; },
+        sendMessageHTML: async (text) => { sent.push(text); return { success: true, message: { message_id: 1 } }; },
+        editMessage: async () => ({ success: true }),
+        pinMessage: async () => ({ success: true })
+    };
+    const market = createMarketService(runtime.config, telegram, {
+        getMarketStocks: async () => ({
+            data: [{ symbol: 'NASDAQ:HOOD', close: 40, change_from_open: 8, rvol_intraday_5m: rvol, value_traded: 60_000_000 }]
+        }),
+        mapMarketRow: (row) => row
+    });
+    const scanOnce = async () => { await market.start(); await market.stop(); }; // start() runs one scan
+    await scanOnce();              // first sighting → NEW
+    rvol = 9;                      // +3 RVOL: below delta 5
+    await scanOnce();
+    const pumpsBefore = sent.filter(m => m.includes('Fuel Injection')).length;
+    await runtime.set('MARKET_RVOL_PUMP_DELTA', '2', 'trader');
+    rvol = 12;                     // +3 RVOL: above delta 2
+    await scanOnce();
+    const pumpsAfter = sent.filter(m => m.includes('Fuel Injection')).length;
+    assert(pumpsBefore === 0 && pumpsAfter === 1, 'PUMP fires only after lowering MARKET_RVOL_PUMP_DELTA');
+
+    const premarketRuntime = createRuntimeConfig(baseConfig, createMemoryStateStore());
+    const thresholds = [];
+    const growth = createScanner(premarketRuntime.config, telegram, {
+        getStocks10: async (config, threshold) => { thresholds.push(threshold); return { data: [], totalCount: 0 }; }
+    });
+    const premarketScan = async () => { await growth.start(); await growth.stop(); };
+    await premarketScan();
+    await premarketRuntime.set('PREMARKET_THRESHOLD', '20', 'trader');
+    await premarketScan();
+    assert(thresholds.join() === '10,20', 'Premarket scan queries the /set PREMARKET_THRESHOLD');
+
+    // 4. /reset + audit
+    console.log('\nScenario 4: /reset and audit trail');
+    const reset = await runtime.reset('MARKET_RVOL_PUMP_DELTA', 'admin');
+    assert(reset.success && runtime.config.marketRvolPumpDelta === 5, '/reset restores the startup value');
+    const audit = runtime.getAudit();
+    assert(audit.length === 3, 'Two sets and one reset audited (rejections are not)');
+    assert(audit[2].action === 'reset' && audit[2].by === 'admin' && audit[2].from === 2 && audit[2].to === 5, 'Audit entry records who, from and to');
+    const message = formatConfigMessage(runtime.list(), audit);
+    assert(message.includes('PREMARKET_THRESHOLD = 15 (default 10)') && message.includes('by admin'), '/config marks overrides and shows recent changes');
+
+    // 5. Restart on the next trading day
+    console.log('\nScenario 5: Persistence across restart');
+    await store.close();
+    tradingDay = '2026-11-03';
+    const restarted = createRuntimeConfig(baseConfig, createFileStateStore(storePath, () => tradingDay));
+    await restarted.load();
+    assert(restarted.config.premarketThreshold === 15, 'Override survives into the next trading day');
+    assert(restarted.getAudit().length === 3, 'Audit trail survives restart');
+
+    await fs.rm(dir, { recursive: true, force: true });
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,183 @@
+/**
+ * 🧪 VERIFICATION: RVOL surge scanner
+ *
+ * Tests that:
+ * 1. The rvol scan queries relative_volume_intraday|5 above RVOL_THRESHOLD
+ * 2. Surges alert once, then again only after RVOL grows by RVOL_ALERT_STEP
+ * 3. Alerts carry the rvol scanner id, routes and trigger price
+ * 4. Alert memory survives a restart
+ * 5. The orchestrator runs it during the regular session only
+ * 6. A stop() that lands while start() is still scanning leaves no interval behind
+ *
+ * Usage: node tests/verify_rvol_scanner.js
+ */
+import { createRvolService } from '../src/services/rvolService.js';
+import { TvScanner, SCREENER_COLUMNS } from '../src/services/tradingview.js';
+import { DEFAULT_SCREENER_FILTERS, compileScreenerQuery } from '../src/services/screenerFilters.js';
+import { ALERT_ROUTES } from '../src/services/alertRoutes.js';
+import { createMemoryStateStore } from '../src/core/stateStore.js';
+import { createOrchestrator } from '../src/core/orchestrator.js';
+import { validateConfig } from '../src/config/validation.js';
+import { DEFAULT_SCHEDULE } from '../src/core/utils/index.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/** Market row in TradingView column order (see COLUMNS_MARKET) */
+const marketRow = (symbol, rvol, close = 10) => {
+    const d = new Array(26).fill(0);
+    d[1] = close;
+    d[9] = 50_000_000;
+    d[10] = rvol;
+    d[11] = 2_000_000;
+    d[12] = 20_000_000;
+    d[15] = 4.5;
+    return { s: symbol, d };
+};
+
+// --- MOCKS ---
+const sent = [];
+const telegram = {
+    sendMessage: async (text, extra) => { sent.push({ text, extra }); return { success: true }; }
+};
+
+let rows = [];
+let lastThreshold = null;
+const scanner = {
+    getRvolSurgeStocks: async (config, threshold) => { lastThreshold = threshold; return { data: rows, totalCount: rows.length }; },
+    mapMarketRow: TvScanner.mapMarketRow
+};
+
+async function runTest() {
+    console.log('--- RVOL SURGE SCANNER VERIFICATION ---');
+    const realLog = console.log;
+    const quiet = () => { console.log = () => { }; };
+    const loud = () => { console.log = realLog; };
+
+    // 1. Query
+    console.log('\nScenario 1: TradingView query');
+    const body = compileScreenerQuery(DEFAULT_SCREENER_FILTERS.rvol, SCREENER_COLUMNS.rvol, { rvolThreshold: 4 });
+    const rvolFilter = body.filter.find(f => f.left === 'relative_volume_intraday|5');
+    assert(rvolFilter?.operation === 'greater' && rvolFilter.right === 4, 'Filter RVOL 5m > RVOL_THRESHOLD');
+    assert(body.sort.sortBy === 'relative_volume_intraday|5' && body.columns === SCREENER_COLUMNS.market, 'Sorted by RVOL 5m, market columns');
+    assert(validateConfig({ botToken: 'x', chatId: 1, rvolThreshold: 3, rvolAlertStep: 2, rvolIntervalMs: 30000 }).isValid, 'RVOL config accepted');
+    assert(!validateConfig({ botToken: 'x', chatId: 1, rvolAlertStep: 0 }).isValid, 'Zero RVOL_ALERT_STEP rejected');
+
+    // 2. Step alerts
+    console.log('\nScenario 2: Step-based alerts');
+    const store = createMemoryStateStore();
+    const config = { rvolThreshold: 3, rvolAlertStep: 2, rvolIntervalMs: 30, sendOnStartup: true };
+    const rvol = createRvolService(config, telegram, scanner, store);
+    rows = [marketRow('NASDAQ:SPKE', 5, 12.5)];
+    quiet();
+    await rvol.start();
+    loud();
+    const alerts = () => sent.filter(m => m.extra?.alert);
+    assert(lastThreshold === 3, 'Scan uses RVOL_THRESHOLD');
+    assert(alerts().length === 1 && alerts()[0].text.includes('RVOL 5m: 5.0x'), 'First surge alerted');
+    rows = [marketRow('NASDAQ:SPKE', 6.5)];
+    await sleep(50);
+    assert(alerts().length === 1, 'No repeat for +1.5 RVOL (step 2)');
+    rows = [marketRow('NASDAQ:SPKE', 7.2)];
+    await sleep(50);
+    assert(alerts().length === 2 && alerts()[1].text.includes('[STEP #2]') && alerts()[1].text.includes('(was 5.0x)'), 'Repeat after +2.2 RVOL');
+    quiet();
+    await rvol.stop();
+    loud();
+
+    // 3. Metadata
+    console.log('\nScenario 3: Alert metadata');
+    const [first, second] = alerts();
+    assert(first.extra.alert.scanner === 'rvol' && first.extra.alert.category === ALERT_ROUTES.RVOL_NEW && first.extra.alert.price === 12.5, 'NEW: scanner, route, trigger price');
+    assert(second.extra.alert.category === ALERT_ROUTES.RVOL_STEP, 'STEP route');
+    assert(rvol.getDetails('NASDAQ:SPKE').includes('7.2x'), 'Details button text');
+    assert(rvol.getState().alertCount === 2, 'Alert count for /stats');
+
+    // 4. Restart
+    console.log('\nScenario 4: Restart');
+    sent.length = 0;
+    rows = [marketRow('NASDAQ:SPKE', 8)];
+    const restarted = createRvolService({ ...config, sendOnStartup: false }, telegram, scanner, store);
+    quiet();
+    await restarted.start();
+    await restarted.stop();
+    loud();
+    assert(alerts().length === 0 && restarted.getState().alertCount === 2, 'No duplicate after restart (+0.8 since last alert)');
+
+    // 5. Orchestrator
+    console.log('\nScenario 5: Orchestrator window');
+    let running = false;
+    const starts = [];
+    const rvolScanner = {
+        start: async () => { running = true; starts.push(clock.toISOString()); },
+        stop: async () => { running = false; },
+        getState: () => ({ isRunning: running, alertCount: 0 })
+    };
+    let clock = new Date('2025-01-15T14:00:00Z'); // 09:00 ET
+    const orchestrator = createOrchestrator(
+        { schedule: DEFAULT_SCHEDULE, timeouts: { gatekeeperIntervalMs: 30 } },
+        { rvolScanner },
+        { getNow: () => clock }
+    );
+    quiet();
+    orchestrator.start();
+    await sleep(70);
+    const beforeOpen = starts.length;
+    clock = new Date('2025-01-15T15:00:00Z'); // 10:00 ET
+    await sleep(70);
+    const duringSession = running;
+    clock = new Date('2025-01-15T21:05:00Z'); // 16:05 ET
+    await sleep(70);
+    const afterClose = running;
+    await orchestrator.stop();
+    loud();
+    assert(beforeOpen === 0 && duringSession && starts.length === 1, 'Started once at the open');
+    assert(!afterClose, 'Stopped after the close');
+
+    // 6. Stop during start
+    console.log('\nScenario 6: Stop during start');
+    let release;
+    let scans = 0;
+    const slowScanner = {
+        ...scanner,
+        getRvolSurgeStocks: async () => {
+            scans++;
+            if (scans === 1) await new Promise(r => { release = r; });
+            return { data: [], totalCount: 0 };
+        }
+    };
+    const racing = createRvolService({ ...config, rvolIntervalMs: 20 }, telegram, slowScanner);
+    quiet();
+    const starting = racing.start();
+    await sleep(10);
+    const stopping = racing.stop();
+    await sleep(10);
+    release();
+    await Promise.all([starting, stopping]);
+    const scansAtStop = scans;
+    await sleep(80);
+    loud();
+    assert(!racing.getState().isRunning && !racing.getState().isStarting && racing.getState().scanTimer === null, 'Stopped once start() finished');
+    assert(scans === scansAtStop, 'No scans after stop');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,181 @@
+/**
+ * 🧪 VERIFICATION: Declarative TradingView screener filters
+ *
+ * Tests that:
+ * 1. Default specs compile to the exact filter/filter2 bodies the scanners used to hardcode
+ * 2. PREMARKET_THRESHOLD (and runtime /set changes) filter the premarket rows; gap-downs stay in
+ * 3. A custom JSON/YAML spec (SCREENER_FILTERS_PATH / SCREENER_FILTERS) replaces one scan's filters
+ * 4. Unknown columns, operations, scans and "$key" references are rejected at startup
+ *
+ * Usage: node tests/verify_screener_filters.js
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+    DEFAULT_SCREENER_FILTERS,
+    compileScreenerQuery,
+    resolveScreenerFilters,
+    validateScreenerFilters
+} from '../src/services/screenerFilters.js';
+import { TvScanner, SCREENER_COLUMNS } from '../src/services/tradingview.js';
+import { parseConfig } from '../src/config/index.js';
+import { validateConfig } from '../src/config/validation.js';
+import { createRuntimeConfig } from '../src/config/runtime.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+// The stock-type universe every scan used to send verbatim
+const LEGACY_FILTER2 = {
+    operator: "and",
+    operands: [{
+        operation: {
+            operator: "or",
+            operands: [
+                { operation: { operator: "and", operands: [
+                    { expression: { left: "type", operation: "equal", right: "stock" } },
+                    { expression: { left: "typespecs", operation: "has", right: ["common"] } }] } },
+                { operation: { operator: "and", operands: [
+                    { expression: { left: "type", operation: "equal", right: "stock" } },
+                    { expression: { left: "typespecs", operation: "has", right: ["preferred"] } }] } },
+                { operation: { operator: "and", operands: [
+                    { expression: { left: "type", operation: "equal", right: "dr" } }] } },
+                { operation: { operator: "and", operands: [
+                    { expression: { left: "type", operation: "equal", right: "fund" } },
+                    { expression: { left: "typespecs", operation: "has_none_of", right: ["etf"] } }] } }
+            ]
+        }
+    },
+    { expression: { left: "typespecs", operation: "has_none_of", right: ["pre-ipo"] } }
+    ]
+};
+
+// Captures request bodies instead of hitting TradingView
+const requests = [];
+let responseRows = [];
+globalThis.fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return { ok: true, status: 200, text: async () => JSON.stringify({ data: responseRows, totalCount: responseRows.length }) };
+};
+const premarketRow = (symbol, change) => ({ s: symbol, d: [symbol, change] });
+const symbols = (result) => result.data.map(row => row.s).join();
+
+async function runTest() {
+    console.log('--- SCREENER FILTERS VERIFICATION ---');
+    const originalLog = console.log;
+
+    // 1. Defaults
+    console.log('\nScenario 1: Defaults match the legacy queries');
+    const market = compileScreenerQuery(DEFAULT_SCREENER_FILTERS.market, SCREENER_COLUMNS.market, {});
+    assert(JSON.stringify(market.filter2) === JSON.stringify(LEGACY_FILTER2), 'filter2 universe compiles to the legacy tree');
+    assert(JSON.stringify(market.filter) === JSON.stringify([
+        { left: "close", operation: "egreater", right: 1 },
+        { left: "volume", operation: "greater", right: 1000000 },
+        { left: "relative_volume_intraday|5", operation: "greater", right: 1.5 },
+        { left: "is_primary", operation: "equal", right: true }
+    ]), 'Market filter unchanged');
+    assert(market.range[1] === 100 && market.sort.sortBy === 'Value.Traded' && market.columns === SCREENER_COLUMNS.market, 'Range, sort and columns');
+    const post = compileScreenerQuery(DEFAULT_SCREENER_FILTERS.postmarket, SCREENER_COLUMNS.postmarket, { postmarketThreshold: 7, postmarketMinVolume: 50000 });
+    assert(JSON.stringify(post.filter[1].right) === '[-7,7]' && post.filter[0].right === 50000, '"-$key" / "$key" resolve from config');
+    assert(validateScreenerFilters(resolveScreenerFilters(), SCREENER_COLUMNS, { premarketThreshold: 10, postmarketThreshold: 5, postmarketMinVolume: 1, rvolThreshold: 3 }).isValid, 'Defaults pass validation');
+
+    // 2. Threshold filters the premarket rows
+    console.log('\nScenario 2: PREMARKET_THRESHOLD filters the premarket rows');
+    const premarketFilter = compileScreenerQuery(DEFAULT_SCREENER_FILTERS.premarket, SCREENER_COLUMNS.premarket, {}).filter;
+    const catalystFilter = compileScreenerQuery(DEFAULT_SCREENER_FILTERS.catalystSetup, SCREENER_COLUMNS.catalystSetup, {}).filter;
+    assert(JSON.stringify(premarketFilter) === JSON.stringify(catalystFilter) && JSON.stringify(premarketFilter[1].right) === '[-8,4]', 'Premarket query is the legacy one, identical to catalystSetup');
+    responseRows = [premarketRow('NASDAQ:A', 25), premarketRow('NASDAQ:B', 18), premarketRow('NASDAQ:C', 13), premarketRow('NASDAQ:D', 5), premarketRow('NASDAQ:E', -9)];
+    console.log = () => {};
+    const baseConfig = Object.freeze({ premarketThreshold: 12, screenerFilters: resolveScreenerFilters() });
+    const fromConfig = await TvScanner.getStocks10(baseConfig);
+    const fromArg = await TvScanner.getStocks10(baseConfig, 15);
+    const runtime = createRuntimeConfig(baseConfig);
+    await runtime.set('PREMARKET_THRESHOLD', '20', 'test');
+    const fromSet = await TvScanner.getStocks10(runtime.config);
+    console.log = originalLog;
+    responseRows = [];
+    assert(symbols(fromConfig) === 'NASDAQ:A,NASDAQ:B,NASDAQ:C,NASDAQ:E', 'config.premarketThreshold used when no threshold passed');
+    assert(symbols(fromConfig).includes('NASDAQ:E'), 'Gap-downs below -8% still returned');
+    assert(symbols(fromArg) === 'NASDAQ:A,NASDAQ:B,NASDAQ:E', 'Explicit threshold argument wins');
+    assert(symbols(fromSet) === 'NASDAQ:A,NASDAQ:E', '/set PREMARKET_THRESHOLD applies to the next scan');
+
+    // 3. Custom spec from file / env
+    console.log('\nScenario 3: Custom spec from JSON');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'screener-'));
+    const specPath = path.join(dir, 'filters.json');
+    await fs.writeFile(specPath, JSON.stringify({
+        market: {
+            filters: [
+                { column: "close", op: "in_range", value: [5, 50] },
+                { column: "market_cap_basic", op: "less", value: 2e9 }
+            ],
+            limit: 50
+        }
+    }));
+    process.env.BOT_TOKEN = 'x';
+    process.env.CHAT_ID = '1';
+    process.env.SCREENER_FILTERS_PATH = specPath;
+    const fileConfig = parseConfig();
+    assert(validateConfig(fileConfig).isValid, 'Custom spec validates');
+    console.log = () => {};
+    await TvScanner.getMarketStocks(fileConfig);
+    console.log = originalLog;
+    const body = requests.at(-1);
+    assert(body.filter.length === 2 && body.filter[1].left === 'market_cap_basic', 'Market query uses the custom filters');
+    assert(body.range[1] === 50 && body.sort.sortBy === 'Value.Traded', 'Custom limit applied, default sort kept');
+    assert(JSON.stringify(fileConfig.screenerFilters.premarket) === JSON.stringify(DEFAULT_SCREENER_FILTERS.premarket), 'Other scans keep defaults');
+
+    const yamlPath = path.join(dir, 'filters.yaml');
+    await fs.writeFile(yamlPath, [
+        'rvol:',
+        '  filters:',
+        '    - { column: close, op: egreater, value: 5 }',
+        '  limit: 20'
+    ].join('\n'));
+    process.env.SCREENER_FILTERS_PATH = yamlPath;
+    const yamlConfig = parseConfig();
+    assert(yamlConfig.screenerFilters.rvol.filters[0].value === 5 && yamlConfig.screenerFilters.rvol.limit === 20 && validateConfig(yamlConfig).isValid, 'YAML spec loaded');
+
+    delete process.env.SCREENER_FILTERS_PATH;
+    process.env.SCREENER_FILTERS = '{not json';
+    let thrown = null;
+    try { parseConfig(); } catch (error) { thrown = error; }
+    assert(thrown?.name === 'ConfigurationError', 'Malformed SCREENER_FILTERS fails at startup');
+    delete process.env.SCREENER_FILTERS;
+
+    // 4. Validation
+    console.log('\nScenario 4: Validation');
+    const bad = validateScreenerFilters(resolveScreenerFilters({
+        premarket: { filters: [{ column: "Value.Traded", op: "greater", value: 1 }] },   // market-only column
+        market: { filters: [{ column: "close", op: "bigger", value: 1 }], sort: { column: "close", order: "up" } },
+        postmarket: { filters: [{ column: "postmarket_change", op: "greater", value: "$noSuchKey" }], limit: 0 },
+        midday: { filters: [] }
+    }), SCREENER_COLUMNS, { premarketThreshold: 10 });
+    const has = (text) => bad.errors.some(e => e.includes(text));
+    assert(has('premarket.filters[0]: unknown column "Value.Traded"'), 'Column outside the scan\'s column set rejected');
+    assert(has('unknown op "bigger"') && has('sort.order'), 'Unknown op and sort order rejected');
+    assert(has('"$noSuchKey"') && has('limit must be positive integer'), 'Bad "$key" reference and limit rejected');
+    assert(has('unknown scan "midday"'), 'Unknown scan rejected');
+
+    await fs.rm(dir, { recursive: true, force: true });
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,143 @@
+/**
+ * 🧪 VERIFICATION: TradingView snapshot cache (request coalescing)
+ *
+ * Tests that:
+ * 1. Concurrent callers with the same key share one load; later ones get the cached value until the TTL
+ * 2. Failed loads are not cached
+ * 3. Scanners sending the same market query share one HTTP request (cookie is part of the key);
+ *    so do the premarket and Catalyst setup scans
+ * 4. Every scan is still recorded for replay; results are counted in /metrics
+ * 5. TV_CACHE_TTL_MS=0 turns the cache off and is validated
+ *
+ * Usage: node tests/verify_snapshot_cache.js
+ */
+import {
+    TvScanner,
+    createSnapshotCache,
+    setSnapshotCacheTtl,
+    setResponseRecorder
+} from '../src/services/tradingview.js';
+import { metrics } from '../src/core/metrics.js';
+import { validateConfig } from '../src/config/validation.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const silenced = async (fn) => {
+    const real = { log: console.log, error: console.error };
+    console.log = console.error = () => { };
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, real);
+    }
+};
+
+async function runTest() {
+    console.log('--- SNAPSHOT CACHE VERIFICATION ---');
+
+    // 1. Coalescing and TTL
+    console.log('\nScenario 1: Coalescing and TTL');
+    let t = 0;
+    const cache = createSnapshotCache({ ttlMs: 5000, now: () => t });
+    let loads = 0;
+    const load = async () => {
+        loads++;
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return { rows: loads };
+    };
+    const [first, second] = await Promise.all([cache.get('market', load), cache.get('market', load)]);
+    assert(loads === 1 && first.source === 'miss' && second.source === 'shared' && first.value === second.value, 'Concurrent callers share one load');
+    t = 4999;
+    const hit = await cache.get('market', load);
+    assert(hit.source === 'hit' && loads === 1, 'Served from cache within the TTL');
+    assert((await cache.get('rvol', load)).source === 'miss' && loads === 2, 'Different key, own load');
+    t = 5000;
+    const expired = await cache.get('market', load);
+    assert(expired.source === 'miss' && expired.value.rows === 3, 'Reloaded once the TTL has passed');
+    t = 20_000;
+    await cache.get('market', load);
+    assert(cache.size() === 1, 'Expired entries pruned');
+
+    // 2. Failures
+    console.log('\nScenario 2: Failures');
+    let failing = true;
+    const flaky = async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        if (failing) throw new Error('HTTP 500');
+        return 'ok';
+    };
+    const results = await Promise.allSettled([cache.get('premarket', flaky), cache.get('premarket', flaky)]);
+    assert(results.every(r => r.status === 'rejected' && r.reason.message === 'HTTP 500'), 'Waiters get the shared failure');
+    failing = false;
+    assert((await cache.get('premarket', flaky)).source === 'miss', 'Failure not cached, next call retries');
+
+    // 3. Client
+    console.log('\nScenario 3: Shared market query');
+    metrics.reset();
+    const realFetch = globalThis.fetch;
+    const cookies = [];
+    globalThis.fetch = async (url, init) => {
+        cookies.push(init.headers.cookie ?? null);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return { ok: true, status: 200, text: async () => JSON.stringify({ totalCount: 1, data: [{ s: 'NASDAQ:HOOD', d: [] }] }) };
+    };
+    const recorded = [];
+    setResponseRecorder((scan, body, json) => recorded.push({ scan, rows: json.data.length }));
+    try {
+        const config = { api: { tvCookie: 'sid=1' } };
+        // Shadow Velocity and the Catalyst active phase poll at the same moment
+        const [market, catalyst] = await silenced(() => Promise.all([TvScanner.getMarketStocks(config), TvScanner.getMarketStocks(config)]));
+        assert(cookies.length === 1 && market.data.length === 1 && catalyst.data === market.data, 'One HTTP request for both scanners');
+        await silenced(() => TvScanner.getMarketStocks(config));
+        assert(cookies.length === 1, 'Near-simultaneous call served from the cache');
+        await silenced(() => TvScanner.getMarketStocks({ api: { tvCookie: 'sid=2' } }));
+        assert(cookies.length === 2 && cookies[1] === 'sid=2', 'Other cookie → own request');
+        await silenced(() => TvScanner.getRvolSurgeStocks(config));
+        assert(cookies.length === 3, 'Different query body → own request');
+        const premarketConfig = { ...config, premarketThreshold: 10 };
+        const [, setup] = await silenced(() => Promise.all([TvScanner.getStocks10(premarketConfig), TvScanner.getCatalystSetupStocks(premarketConfig)]));
+        assert(cookies.length === 4 && setup.data.length === 1, 'Premarket and Catalyst setup scans share one HTTP request');
+
+        // 4. Recording and metrics
+        console.log('\nScenario 4: Recording and metrics');
+        assert(recorded.filter(r => r.scan === 'market').length === 2 && recorded.filter(r => r.scan === 'rvol').length === 1 &&
+            recorded.filter(r => r.scan === 'premarket').length === 1 && recorded.filter(r => r.scan === 'catalystSetup').length === 1, 'Each HTTP response recorded once per scan');
+        const text = metrics.render();
+        assert(text.includes('tvsrocks_tv_cache_total{scan="market",result="miss"} 2') &&
+            text.includes('tvsrocks_tv_cache_total{scan="market",result="shared"} 1') &&
+            text.includes('tvsrocks_tv_cache_total{scan="market",result="hit"} 1'), 'Cache results counted');
+
+        // 5. Off switch
+        console.log('\nScenario 5: TTL 0');
+        setSnapshotCacheTtl(0);
+        await silenced(() => Promise.all([TvScanner.getMarketStocks(config), TvScanner.getMarketStocks(config)]));
+        assert(cookies.length === 6, 'Cache off: every call goes out');
+        assert(recorded.filter(r => r.scan === 'market').length === 4, 'Still recorded without the cache');
+    } finally {
+        globalThis.fetch = realFetch;
+        setResponseRecorder(null);
+        setSnapshotCacheTtl(5000);
+    }
+    const base = { botToken: 'x', chatId: 1 };
+    assert(validateConfig({ ...base, tvCacheTtlMs: 0 }).isValid && !validateConfig({ ...base, tvCacheTtlMs: -1 }).isValid, 'TV_CACHE_TTL_MS validated');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,146 @@
+/**
+ * 🧪 VERIFICATION: State Store persistence
+ *
+ * Tests that:
+ * 1. Maps and Sets survive serialize → deserialize
+ * 2. File backend persists across store instances (simulated restart)
+ * 3. Snapshots from a previous NY trading day are expired on load
+ * 4. Catalyst watchlist / triggered are rehydrated on start()
+ * 5. Growth scanner restores lastReportedChanges and skips bootstrap suppression
+ * 6. STATE_BACKEND=sqlite is rejected at startup on a runtime without node:sqlite
+ *
+ * Usage: node tests/verify_state_store.js
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    serializeState,
+    deserializeState,
+    createFileStateStore,
+    createMemoryStateStore,
+    createStateStore,
+    isSqliteSupported
+} from '../src/core/stateStore.js';
+import { validateConfig } from '../src/config/validation.js';
+import { createCatalystService } from '../src/services/catalystService.js';
+import { createScanner } from '../src/services/scanner.js';
+import { TvScanner } from '../src/services/tradingview.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+let tradingDay = '2026-03-10';
+const getTradingDay = () => tradingDay;
+
+async function runTest() {
+    console.log('--- STATE STORE VERIFICATION ---');
+
+    // 1. Serialization round-trip
+    console.log('\nScenario 1: Map/Set serialization');
+    const original = {
+        changes: new Map([['NASDAQ:AAPL', { change: 12.5, count: 2 }]]),
+        triggered: new Set(['NYSE:U'])
+    };
+    const restored = deserializeState(serializeState(original));
+    assert(restored.changes instanceof Map, 'Map restored as Map');
+    assert(restored.changes.get('NASDAQ:AAPL')?.count === 2, 'Map values preserved');
+    assert(restored.triggered instanceof Set && restored.triggered.has('NYSE:U'), 'Set restored as Set');
+
+    // 2. File backend across instances
+    console.log('\nScenario 2: File backend survives restart');
+    const filePath = path.join(tmpDir, 'state.json');
+    const storeA = createFileStateStore(filePath, getTradingDay);
+    await storeA.save('catalyst', { triggered: new Set(['NASDAQ:SHOP']) });
+    await storeA.close();
+
+    const storeB = createFileStateStore(filePath, getTradingDay);
+    const loaded = await storeB.load('catalyst');
+    assert(loaded?.triggered?.has('NASDAQ:SHOP'), 'Snapshot loaded by a fresh store instance');
+
+    // 3. Trading day expiry
+    console.log('\nScenario 3: Expiry at NY trading-day boundary');
+    tradingDay = '2026-03-11';
+    const storeC = createFileStateStore(filePath, getTradingDay);
+    assert(await storeC.load('catalyst') === null, 'Previous-day snapshot is expired');
+    tradingDay = '2026-03-10';
+
+    // 4. Catalyst rehydration
+    console.log('\nScenario 4: Catalyst rehydrates on start()');
+    const memStore = createMemoryStateStore(getTradingDay);
+    await memStore.save('catalyst', {
+        watchlist: new Map([['NASDAQ:SHOP', { symbol: 'NASDAQ:SHOP', gap: 12.5, preVol: 1200000, score: 70 }]]),
+        triggered: new Set(['NASDAQ:SHOP'])
+    });
+    const mockScanner = {
+        getCatalystSetupStocks: async () => ({ data: [], totalCount: 0 }),
+        getMarketStocks: async () => ({ data: [], totalCount: 0 }),
+        mapRow: TvScanner.mapRow,
+        mapMarketRow: TvScanner.mapMarketRow
+    };
+    const telegram = { sendMessage: async () => ({ success: true }) };
+    const catalyst = createCatalystService({ catalystWatchlistIntervalMs: 60000 }, telegram, mockScanner, memStore);
+    await catalyst.start('active');
+    const cState = catalyst.getState();
+    assert(cState.watchlist.has('NASDAQ:SHOP'), 'Watchlist restored after restart');
+    assert(cState.triggered.has('NASDAQ:SHOP'), 'Triggered set restored (no duplicate alert)');
+    catalyst.stop();
+
+    // 5. Growth scanner rehydration
+    console.log('\nScenario 5: Growth scanner restores alert memory');
+    await memStore.save('premarket', {
+        lastReportedChanges: new Map([['NASDAQ:AAPL', { change: 15, count: 3 }]]),
+        alertCount: 3,
+        lastTotalCount: 10,
+        lastTickers: ['NASDAQ:AAPL']
+    });
+    const config = {
+        premarketThreshold: 10,
+        premarketAlertStep: 1.0,
+        scanIntervalMs: 60000,
+        sendOnStartup: false,
+        retry: { maxAttempts: 1 },
+        timeouts: { shutdownGraceMs: 10 }
+    };
+    const growth = createScanner(config, { ...telegram, stop: () => { } }, undefined, memStore);
+    await growth.start();
+    const gState = growth.getState();
+    assert(gState.lastReportedChanges.get('NASDAQ:AAPL')?.count === 3, 'lastReportedChanges restored');
+    assert(gState.alertCount === 3, 'alertCount restored');
+    assert(gState.isFirstScan === false, 'Restored scanner does not bootstrap-suppress');
+    await growth.stop();
+
+    // 6. sqlite backend availability
+    console.log('\nScenario 6: sqlite backend needs node:sqlite');
+    const base = { botToken: 'x', chatId: 1 };
+    const sqliteConfig = { ...base, stateStore: { backend: 'sqlite', path: path.join(tmpDir, 'state.db') } };
+    const [major, minor] = process.versions.node.split('.').map(Number);
+    assert(isSqliteSupported() === (major > 22 || (major === 22 && minor >= 5)), `node:sqlite detected correctly on ${process.version}`);
+    assert(validateConfig(sqliteConfig).isValid === isSqliteSupported(), 'sqlite accepted only when the runtime has node:sqlite');
+    assert(validateConfig({ ...base, stateStore: { backend: 'file' } }).isValid, 'file backend valid on any runtime');
+    let sqliteError = null;
+    try { createStateStore(sqliteConfig); } catch (e) { sqliteError = e; }
+    assert(isSqliteSupported() ? sqliteError === null : sqliteError?.message.includes('22.5'), 'createStateStore refuses sqlite without node:sqlite');
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
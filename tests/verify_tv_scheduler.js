@@ -0,0 +1,173 @@
+/**
+ * 🧪 VERIFICATION: TradingView request scheduler and circuit breaker
+ *
+ * Tests that:
+ * 1. Requests share a per-minute budget and queue up one by one
+ * 2. A 429 halves the budget and starts a jittered exponential backoff
+ * 3. Repeated 401/403 open the circuit once; a probe after the cooldown closes it
+ * 4. The client fails fast while paused, without retrying 401/403, and warns once
+ * 5. Paused scans are logged quietly; limits are validated
+ *
+ * Usage: node tests/verify_tv_scheduler.js
+ */
+import {
+    TvScanner,
+    createRequestScheduler,
+    createCircuitBreaker,
+    configureRequestLimits,
+    setCircuitListener,
+    getRequestStats
+} from '../src/services/tradingview.js';
+import { createErrorHandler, TradingViewError, TradingViewPausedError } from '../src/core/errorHandler.js';
+import { createLogger } from '../src/core/logger.js';
+import { createTvCircuitMessage } from '../src/core/utils/index.js';
+import { validateConfig } from '../src/config/validation.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+/** Manual clock; wait() advances it */
+const createClock = (start = 1_700_000_000_000) => {
+    let t = start;
+    return {
+        now: () => t,
+        advance: (ms) => { t += ms; },
+        wait: async (ms) => { t += ms; }
+    };
+};
+
+const silenced = async (fn) => {
+    const real = { log: console.log, error: console.error, warn: console.warn };
+    console.log = console.error = console.warn = () => { };
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, real);
+    }
+};
+
+async function runTest() {
+    console.log('--- TV SCHEDULER VERIFICATION ---');
+
+    // 1. Budget
+    console.log('\nScenario 1: Per-minute budget');
+    const clock = createClock();
+    const scheduler = createRequestScheduler({ requestsPerMinute: 3, maxWaitMs: 90_000, now: clock.now, wait: clock.wait });
+    const t0 = clock.now();
+    const times = [];
+    await Promise.all(Array.from({ length: 4 }, () => scheduler.acquire().then(() => times.push(clock.now()))));
+    assert(times.slice(0, 3).every(t => t === t0), 'Three requests go out at once');
+    assert(times[3] === t0 + 60_000, 'Fourth waits for the oldest to leave the minute window');
+    const tight = createRequestScheduler({ requestsPerMinute: 1, maxWaitMs: 10_000, now: clock.now, wait: clock.wait });
+    await tight.acquire();
+    let paused = null;
+    await tight.acquire().catch(e => { paused = e; });
+    assert(paused instanceof TradingViewPausedError && paused.reason === 'budget' && paused.retryAt === clock.now() + 60_000, 'Waits longer than maxWaitMs fail with TradingViewPausedError');
+    clock.advance(60_000);
+    let next = false;
+    await tight.acquire().then(() => { next = true; });
+    assert(next, 'Queue keeps working after a rejected slot');
+
+    // 2. 429
+    console.log('\nScenario 2: 429 backoff');
+    const limited = createRequestScheduler({ requestsPerMinute: 8, maxWaitMs: 60_000, backoffBaseMs: 4000, now: clock.now, wait: clock.wait, random: () => 0 });
+    assert(limited.onRateLimited() === 2000 && limited.getState().budget === 4, 'First 429: budget halved, backoff = base with the lowest jitter');
+    assert(limited.onRateLimited() === 4000 && limited.getState().budget === 2, 'Second 429 doubles the backoff');
+    const before = clock.now();
+    await limited.acquire();
+    assert(clock.now() - before === 4000, 'Next request waits out the backoff');
+    limited.onSuccess();
+    assert(limited.getState().budget === 3 && limited.onRateLimited() === 2000, 'Success recovers the budget by one and resets the streak');
+    const jittered = createRequestScheduler({ backoffBaseMs: 4000, backoffMaxMs: 10_000, now: clock.now, random: () => 1 });
+    const delays = Array.from({ length: 4 }, () => jittered.onRateLimited());
+    assert(delays.join() === '4000,8000,10000,10000', 'Highest jitter = full base, capped at backoffMaxMs');
+
+    // 3. Circuit breaker
+    console.log('\nScenario 3: Circuit breaker');
+    const events = [];
+    const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 600_000, now: clock.now, onChange: (e) => events.push(e) });
+    await silenced(() => {
+        breaker.onFailure(403);
+        breaker.onFailure(500);
+        breaker.onFailure(null);
+        breaker.onFailure(403);
+    });
+    assert(breaker.allowRequest() && events.length === 0, 'Network / 5xx errors do not count');
+    breaker.onSuccess();
+    await silenced(() => [401, 403, 403].forEach(status => breaker.onFailure(status)));
+    assert(!breaker.allowRequest() && events.length === 1 && events[0].state === 'open' && events[0].status === 403 && events[0].failures === 3, 'Three auth failures in a row open it, one event');
+    clock.advance(600_000);
+    assert(breaker.allowRequest() && !breaker.allowRequest(), 'After the cooldown exactly one probe goes out');
+    await silenced(() => breaker.onFailure(403));
+    assert(!breaker.allowRequest() && events.length === 1 && breaker.getState().retryAt === clock.now() + 600_000, 'Failed probe re-opens silently');
+    clock.advance(600_000);
+    breaker.allowRequest();
+    await silenced(() => breaker.onSuccess());
+    assert(breaker.getState().state === 'closed' && events.at(-1).state === 'closed' && events.length === 2, 'Successful probe closes it with one event');
+
+    // 4. Client
+    console.log('\nScenario 4: Client');
+    const notices = [];
+    setCircuitListener(async (event) => { notices.push(event); });
+    configureRequestLimits({ requestsPerMinute: 30, failureThreshold: 3, cooldownMs: 200 });
+    const realFetch = globalThis.fetch;
+    let fetches = 0;
+    let status = 403;
+    globalThis.fetch = async () => {
+        fetches++;
+        return status === 200
+            ? { ok: true, status, text: async () => JSON.stringify({ totalCount: 1, data: [{ s: 'NASDAQ:A', d: [] }] }) }
+            : { ok: false, status, text: async () => 'Forbidden' };
+    };
+    try {
+        const errors = [];
+        for (let i = 0; i < 4; i++) {
+            await silenced(() => TvScanner.getMarketStocks({}).catch(e => errors.push(e)));
+        }
+        assert(errors.slice(0, 3).every(e => e instanceof TradingViewError && e.status === 403) && fetches === 3, '403 not retried: one request per scan');
+        assert(errors[3] instanceof TradingViewPausedError && errors[3].reason === 'circuit' && fetches === 3, 'Open circuit: scan fails fast, no request');
+        assert(notices.length === 1 && notices[0].state === 'open' && getRequestStats().circuit === 'open', 'One warning for the whole pause');
+        const text = createTvCircuitMessage(notices[0]);
+        assert(text.startsWith('⚠️ TV cookie expired') && text.includes('403') && text.includes('Update TV_COOKIE'), 'Warning text');
+        await new Promise(resolve => setTimeout(resolve, 250));
+        status = 200;
+        const result = await silenced(() => TvScanner.getMarketStocks({}));
+        assert(result.data.length === 1 && notices.at(-1).state === 'closed' && getRequestStats().circuit === 'closed', 'Probe succeeds → closed, scans resume');
+        assert(createTvCircuitMessage(notices.at(-1)).startsWith('✅'), 'Recovery notice');
+    } finally {
+        globalThis.fetch = realFetch;
+        setCircuitListener(null);
+        configureRequestLimits();
+    }
+
+    // 5. Quiet skips and config
+    console.log('\nScenario 5: Logging and config');
+    const logged = [];
+    const realError = console.error;
+    console.error = (line) => logged.push(line);
+    createErrorHandler(createLogger()).handle(new TradingViewPausedError('paused', 'circuit', 0), { component: 'MarketScanner', operation: 'scanOnce' });
+    console.error = realError;
+    assert(logged.length === 0, 'Paused scans are not logged as errors');
+    const base = { botToken: 'x', chatId: 1 };
+    assert(validateConfig({ ...base, tvRequestsPerMinute: 30, tvCircuitFailures: 3, tvCircuitCooldownMs: 600000 }).isValid, 'Valid limits');
+    assert(!validateConfig({ ...base, tvRequestsPerMinute: 0 }).isValid && !validateConfig({ ...base, tvCircuitFailures: 1.5 }).isValid, 'Bad limits rejected');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,210 @@
+/**
+ * 🧪 VERIFICATION: TradingView session cookie lifecycle
+ *
+ * Tests that:
+ * 1. The stored cookie is encrypted (AES-256-GCM); a wrong key or tampering fails
+ * 2. Delayed (anonymous) data is detected from update_mode, one notice per change
+ * 3. probeSession rejects 401/403 and delayed data without touching the circuit
+ * 4. /tvcookie updates: a probed cookie is used by every scan, stored encrypted, restored after a restart
+ * 5. Session notices route to the admin chat; ADMIN_CHAT_ID / TV_COOKIE_KEY are validated
+ *
+ * Usage: node tests/verify_tv_session.js
+ */
+import {
+    TvScanner,
+    SCREENER_COLUMNS,
+    probeSession,
+    setSessionCookie,
+    setSessionListener,
+    setCircuitListener,
+    configureRequestLimits,
+    setSnapshotCacheTtl,
+    getRequestStats
+} from '../src/services/tradingview.js';
+import { createTvSession, encryptSecret, decryptSecret, normalizeCookie } from '../src/services/tvSession.js';
+import { createStateStore } from '../src/core/stateStore.js';
+import { createTvSessionMessage } from '../src/core/utils/index.js';
+import { ALERT_ROUTES, getRoutedChatIds } from '../src/services/alertRoutes.js';
+import { parseConfig } from '../src/config/index.js';
+import { validateConfig } from '../src/config/validation.js';
+
+// --- HELPERS ---
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        console.log(`  ✅ ${label}`);
+        passed++;
+    } else {
+        console.log(`  ❌ FAIL: ${label}`);
+        failed++;
+    }
+}
+
+const silenced = async (fn) => {
+    const real = { log: console.log, error: console.error, warn: console.warn };
+    console.log = console.error = console.warn = () => { };
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, real);
+    }
+};
+
+const MODE_IDX = SCREENER_COLUMNS.market.indexOf('update_mode');
+
+/** Market response with `delayed` of `total` rows in delayed mode */
+const marketResponse = (total, delayed) => JSON.stringify({
+    totalCount: total,
+    data: Array.from({ length: total }, (_, i) => {
+        const d = [];
+        d[MODE_IDX] = i < delayed ? 'delayed_streaming_900' : 'streaming';
+        return { s: `NASDAQ:T${i}`, d };
+    })
+});
+
+async function runTest() {
+    console.log('--- TV SESSION VERIFICATION ---');
+
+    // 1. Encryption
+    console.log('\nScenario 1: Encryption at rest');
+    const secret = 'k'.repeat(32);
+    const payload = encryptSecret('sessionid=abc; sessionid_sign=xyz', secret);
+    assert(payload.startsWith('v1.') && !payload.includes('sessionid'), 'Payload is versioned and does not contain the cookie');
+    assert(decryptSecret(payload, secret) === 'sessionid=abc; sessionid_sign=xyz', 'Round trip');
+    assert(encryptSecret('same', secret) !== encryptSecret('same', secret), 'Random IV per encryption');
+    const throws = (fn) => { try { fn(); return false; } catch { return true; } };
+    const [v, iv, tag, data] = payload.split('.');
+    const tampered = [v, iv, tag, Buffer.from('x' + Buffer.from(data, 'base64url').toString('latin1').slice(1), 'latin1').toString('base64url')].join('.');
+    assert(throws(() => decryptSecret(payload, 'other-key-0123456789')) && throws(() => decryptSecret(tampered, secret)), 'Wrong key and tampering rejected');
+    assert(normalizeCookie('Cookie: "sessionid=abc;\n sessionid_sign=xyz"') === 'sessionid=abc; sessionid_sign=xyz', 'Pasted header cleaned up');
+
+    // 2. Delayed data detection
+    console.log('\nScenario 2: Delayed data detection');
+    setSnapshotCacheTtl(0);
+    configureRequestLimits({ requestsPerMinute: 1000 });
+    const realFetch = globalThis.fetch;
+    let response = { status: 200, body: marketResponse(4, 0) };
+    const sentCookies = [];
+    globalThis.fetch = async (url, init) => {
+        sentCookies.push(init.headers.cookie ?? null);
+        const { status, body } = response;
+        return { ok: status < 400, status, text: async () => body };
+    };
+    const modes = [];
+    setSessionListener(async (event) => { modes.push(event); });
+    const circuit = [];
+    setCircuitListener(async (event) => { circuit.push(event); });
+    try {
+        const config = { api: { tvCookie: 'sid=env' } };
+        await silenced(() => TvScanner.getMarketStocks(config));
+        assert(modes.length === 0 && getRequestStats().dataMode === 'realtime', 'Real-time data: no notice');
+        response = { status: 200, body: marketResponse(4, 3) };
+        await silenced(() => TvScanner.getMarketStocks(config));
+        await silenced(() => TvScanner.getRvolSurgeStocks(config));
+        assert(modes.length === 1 && modes[0].state === 'delayed' && modes[0].share === 0.75, 'Delayed data: one notice for repeated scans');
+        assert(createTvSessionMessage(modes[0]).includes('75%') && createTvSessionMessage(modes[0]).includes('/tvcookie'), 'Notice text');
+        response = { status: 200, body: marketResponse(4, 1) };
+        await silenced(() => TvScanner.getMarketStocks(config));
+        assert(modes.length === 2 && modes[1].state === 'realtime' && getRequestStats().dataMode === 'realtime', 'Recovery notice once real-time again');
+        response = { status: 200, body: marketResponse(4, 4) };
+        await silenced(() => TvScanner.getMarketStocks({}));
+        assert(modes.length === 2, 'No cookie configured: delay is expected, no notice');
+
+        // 3. Probe
+        console.log('\nScenario 3: Probe');
+        response = { status: 403, body: 'Forbidden' };
+        const fetchesBefore = sentCookies.length;
+        const rejected = await silenced(() => probeSession('sid=bad'));
+        assert(!rejected.ok && rejected.status === 403 && sentCookies.length === fetchesBefore + 1, '403 rejected without retries');
+        await silenced(async () => { for (let i = 0; i < 3; i++) await probeSession('sid=bad'); });
+        assert(circuit.length === 0 && getRequestStats().circuit === 'closed', 'Rejected probes do not open the circuit');
+        response = { status: 200, body: marketResponse(4, 4) };
+        const anonymous = await silenced(() => probeSession('sid=anon'));
+        assert(!anonymous.ok && anonymous.status === 200 && anonymous.delayedShare === 1, 'Delayed data rejected');
+        response = { status: 200, body: marketResponse(4, 0) };
+        const good = await silenced(() => probeSession('sid=good'));
+        assert(good.ok && sentCookies.at(-1) === 'sid=good', 'Real-time data accepted, probe uses the new cookie');
+
+        // 4. /tvcookie update, storage and restore
+        console.log('\nScenario 4: Update, storage and restore');
+        const store = createStateStore({ stateStore: { backend: 'memory' } });
+        const sessionConfig = { botToken: '123:abc', api: { tvCookie: 'sid=env' }, tvCookieKey: secret };
+        const notices = [];
+        const telegram = { sendMessage: async (text, extra) => { notices.push({ text, extra }); return { success: true }; } };
+        const session = createTvSession(sessionConfig, store, telegram);
+        response = { status: 401, body: 'Unauthorized' };
+        const denied = await silenced(() => session.update('sid=expired', 'admin'));
+        assert(!denied.success && denied.error.includes('401') && session.getState().source === 'env', 'Rejected cookie keeps the current one');
+        assert(await store.load('tvSession', { persistent: true }) === null, 'Rejected cookie not stored');
+
+        // Expired env cookie opens the circuit; the accepted cookie closes it
+        configureRequestLimits({ requestsPerMinute: 1000, failureThreshold: 1, cooldownMs: 600_000 });
+        await silenced(() => TvScanner.getMarketStocks(sessionConfig).catch(() => { }));
+        assert(getRequestStats().circuit === 'open', 'Env cookie expired → circuit open');
+        response = { status: 200, body: marketResponse(4, 0) };
+        const accepted = await silenced(() => session.update(' Cookie: sid=fresh ', 'admin'));
+        assert(accepted.success && accepted.persisted && session.getState().source === 'telegram' && session.getState().updatedBy === 'admin', 'Probed cookie accepted and stored');
+        assert(getRequestStats().circuit === 'closed' && circuit.at(-1).state === 'closed', 'Circuit closed right away');
+        await silenced(() => TvScanner.getMarketStocks(sessionConfig));
+        assert(sentCookies.at(-1) === 'sid=fresh', 'Scans use the new cookie instead of TV_COOKIE');
+        const stored = await store.load('tvSession', { persistent: true });
+        assert(!JSON.stringify(stored).includes('sid=fresh') && decryptSecret(stored.cookie, secret) === 'sid=fresh', 'Stored encrypted');
+
+        setSessionCookie(null);
+        const restarted = createTvSession(sessionConfig, store, telegram);
+        await silenced(() => restarted.restore());
+        await silenced(() => TvScanner.getMarketStocks(sessionConfig));
+        assert(restarted.getState().source === 'telegram' && sentCookies.at(-1) === 'sid=fresh', 'Restored after a restart');
+
+        setSessionCookie(null);
+        await silenced(() => createTvSession({ ...sessionConfig, tvCookieKey: 'another-secret-key-123' }, store).restore());
+        await silenced(() => TvScanner.getMarketStocks(sessionConfig));
+        assert(sentCookies.at(-1) === 'sid=env', 'Wrong key: stored cookie ignored, TV_COOKIE used');
+
+        const redeployed = createTvSession({ ...sessionConfig, api: { tvCookie: 'sid=redeployed' } }, store);
+        await silenced(() => redeployed.restore());
+        assert(redeployed.getState().source === 'env' && await store.load('tvSession', { persistent: true }) === null, 'New TV_COOKIE in env wins over the stored one');
+
+        // 5. Routing and config
+        console.log('\nScenario 5: Routing and config');
+        await session.notifyDataMode({ state: 'delayed', share: 1 });
+        await session.notifyCircuit({ state: 'open', status: 403, failures: 3, retryAt: Date.now() + 600_000 });
+        assert(notices.length === 2 && notices.every(n => n.extra.route === ALERT_ROUTES.SYSTEM_SESSION), 'Notices use the system.session route');
+        assert(notices[1].text.includes('/tvcookie'), 'Circuit warning points to /tvcookie');
+    } finally {
+        globalThis.fetch = realFetch;
+        setSessionListener(null);
+        setCircuitListener(null);
+        setSessionCookie(null);
+        configureRequestLimits();
+        setSnapshotCacheTtl(5000);
+    }
+
+    const env = { ...process.env };
+    Object.assign(process.env, { ADMIN_CHAT_ID: '777', ROUTE_SYSTEM_ERROR: '-1009' });
+    delete process.env.ROUTE_SYSTEM_SESSION;
+    const adminConfig = parseConfig();
+    delete process.env.ADMIN_CHAT_ID;
+    const errorRouted = parseConfig();
+    Object.assign(process.env, { ADMIN_CHAT_ID: '777', ROUTE_SYSTEM_SESSION: '-1010' });
+    const sessionRouted = parseConfig();
+    process.env = env;
+    assert(adminConfig.adminChatId === 777 && adminConfig.routes['system.session'][0].chatId === 777, 'Session notices default to ADMIN_CHAT_ID');
+    assert(getRoutedChatIds({ chatId: 1, routes: adminConfig.routes }).has(777), 'Admin chat may run commands');
+    const sessionChats = getRoutedChatIds({ chatId: 1, routes: sessionRouted.routes, adminChatId: sessionRouted.adminChatId });
+    assert(sessionChats.has(777) && sessionChats.has(-1010), 'ROUTE_SYSTEM_SESSION elsewhere: admin chat still authorized for /tvcookie');
+    assert(errorRouted.adminChatId === null && errorRouted.routes['system.session'][0].chatId === -1009, 'Without ADMIN_CHAT_ID: system.error route');
+    const base = { botToken: 'x', chatId: 1 };
+    assert(validateConfig({ ...base, adminChatId: 777, tvCookieKey: secret }).isValid, 'Valid session config');
+    assert(!validateConfig({ ...base, tvCookieKey: 'short' }).isValid && !validateConfig({ ...base, adminChatId: {} }).isValid, 'Short key / bad admin chat rejected');
+
+    console.log(`\n--- RESULTS: ${passed} passed, ${failed} failed ---`);
+    if (failed > 0) process.exit(1);
+}
+
+runTest().catch(e => {
+    console.error(e);
+    process.exit(1);
+});